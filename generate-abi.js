@@ -0,0 +1,96 @@
+const { readFileSync, writeFileSync, mkdirSync, readdirSync, existsSync } = require("fs");
+const path = require("path");
+
+// Usage: `forge build && node generate-abi.js [out-dir]`
+const outDir = process.argv[2] || "./out";
+
+// ABI key (in `LeveragedAMMABI`) => contract name of the Foundry artifact
+const contracts = {
+  erc20: "MyToken",
+  exchange: "ILeveragedAMMExchange",
+  exchangeCross: "LeveragedAMMExchangeCrossMode",
+  exchangeIsolated: "LeveragedAMMExchangeIsolatedMode",
+  aggregator: "IAggregatorV3",
+  mockAggregator: "MockAggregator",
+  multicall: "Multicall3",
+};
+
+// JS sources which call the contracts, with the patterns of the called functions and subscribed events
+const callers = [
+  {
+    dir: "./html/js",
+    patterns: [
+      /contractInstances\[[^\]]+\]\s*\.\s*(\w+)\s*\(/g,
+      // The batched reads: `readContract(contract, "method", ...args)`
+      /\breadContract\s*\(\s*[\w.[\]]+\s*,\s*"(\w+)"/g
+    ]
+  },
+  { dir: "./sdk", patterns: [/\b(?:contract|erc20|exchange|feed)\s*\.\s*(\w+)\s*\(/g] },
+];
+const eventPatterns = [/\.filters\s*\.\s*(\w+)\s*\(/g, /\bexchange\s*\.\s*(?:on|once|off)\s*\(\s*"(\w+)"/g];
+
+// Methods of `ethers.Contract` itself, which are not part of any ABI
+const contractMethods = new Set([
+  "connect", "attach", "getAddress", "getFunction", "getEvent", "queryFilter", "on", "once", "off", "emit",
+  "listenerCount", "listeners", "removeAllListeners", "removeListener", "addListener", "waitForDeployment",
+]);
+
+const abis = {};
+for (const [key, name] of Object.entries(contracts)) {
+  const artifactPath = path.join(outDir, `${name}.sol`, `${name}.json`);
+  if (!existsSync(artifactPath)) {
+    console.error(`Artifact not found: ${artifactPath} (run \`forge build\` first)`);
+    process.exit(1);
+  }
+  abis[key] = JSON.parse(readFileSync(artifactPath, "utf8"))["abi"];
+}
+
+// Check that every contract function / event used by the JS sources is in the generated ABIs
+const functionNames = new Set(Object.values(abis).flat().filter(item => item.type == "function").map(item => item.name));
+const eventNames = new Set(Object.values(abis).flat().filter(item => item.type == "event").map(item => item.name));
+const missing = [];
+for (const { dir, patterns } of callers) {
+  for (const file of readdirSync(dir).filter(file => file.endsWith(".js") && file != "abi.js")) {
+    const source = readFileSync(path.join(dir, file), "utf8");
+    for (const pattern of patterns) {
+      for (const [, name] of source.matchAll(pattern)) {
+        if (!functionNames.has(name) && !contractMethods.has(name)) missing.push(`${dir}/${file}: function ${name}`);
+      }
+    }
+    for (const pattern of eventPatterns) {
+      for (const [, name] of source.matchAll(pattern)) {
+        if (!eventNames.has(name)) missing.push(`${dir}/${file}: event ${name}`);
+      }
+    }
+  }
+}
+if (missing.length > 0) {
+  console.error(`Missing from the contract ABIs:\n  ${[...new Set(missing)].join("\n  ")}`);
+  process.exit(1);
+}
+
+// Per-contract JSON ABIs
+mkdirSync("./sdk/abi", { recursive: true });
+for (const [key, name] of Object.entries(contracts)) {
+  writeFileSync(`./sdk/abi/${name}.json`, JSON.stringify(abis[key], null, 2) + "\n");
+}
+
+// ABI module, shared by the SDK (Node) and the web GUI (browser)
+const abiModule = `"use strict";
+
+/**
+ * ABIs of the Leveraged AMM Exchange contracts.
+ * Generated by \`generate-abi.js\` from the Foundry build artifacts, DO NOT EDIT.
+ * Shared by the SDK client (Node) and the web GUI (browser, as the \`LeveragedAMMABI\` global).
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.LeveragedAMMABI = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  return ${JSON.stringify(abis, null, 2).replace(/\n/g, "\n  ")};
+});
+`;
+writeFileSync("./sdk/abi.js", abiModule);
+
+console.log("Generated ABIs =", Object.values(contracts).map(name => `sdk/abi/${name}.json`));
+console.log("Generated ABI module = sdk/abi.js");
@@ -0,0 +1,308 @@
+"use strict";
+
+const updateTime = document.querySelector("#update-time");
+const exchangeModeRadios = document.querySelectorAll("input[name='exchange-mode']");
+const exchangeModeBadge = document.querySelector("#exchange-mode-badge");
+const pageRadios = document.querySelectorAll("input[name='page']");
+const tradePage = document.querySelector("#trade-page");
+const liquidityPage = document.querySelector("#liquidity-page");
+const portfolioPage = document.querySelector("#portfolio-page");
+const tradingPairSelect = document.querySelector("#trading-pair-select");
+const refreshButton = document.querySelector("#refresh-btn");
+const connectButton = document.querySelector("#connect-btn");
+const walletConnectButton = document.querySelector("#wallet-connect-btn");
+const walletBalanceText = document.querySelector("#wallet-balance");
+const walletTokenText = document.querySelector("#wallet-token");
+const depositBalanceText = document.querySelector("#deposit-balance");
+const remainingValueText = document.querySelector("#remaining-value");
+const remainingValueUnitText = document.querySelector("#remaining-value-unit");
+const lockedValueText = document.querySelector("#locked-value");
+const crossHealthText = document.querySelector("#cross-health");
+const accountRemainingValueText = document.querySelector("#account-remaining-value");
+const accountWorthValueText = document.querySelector("#account-worth-value");
+const accountPoolValueText = document.querySelector("#account-pool-value");
+const accountPositionCountText = document.querySelector("#account-position-count");
+const accountCollateralsText = document.querySelector("#account-collaterals");
+const unrealizedPnlText = document.querySelector("#unrealized-pnl");
+const realizedPnlText = document.querySelector("#realized-pnl");
+const pnlUnitText = document.querySelector("#pnl-unit");
+
+const tradingPairText = document.querySelector("#token-pair");
+const tradingPairReservesText = document.querySelector("#token-pair-reserves");
+const tradingPairCountText = document.querySelector("#token-pair-count");
+const tradingPairFeeText = document.querySelector("#token-pair-fee");
+const tradingPairAccruedFeesText = document.querySelector("#token-pair-accrued-fees");
+const tradingPairOraclePriceText = document.querySelector("#token-pair-oracle-price");
+const tradingPairAmmPriceText = document.querySelector("#token-pair-amm-price");
+const tradingPairOracleSpreadText = document.querySelector("#token-pair-oracle-spread");
+const tradingPairOracleStatusText = document.querySelector("#token-pair-oracle-status");
+const fundingIntervalText = document.querySelector("#funding-interval");
+const fundingRateText = document.querySelector("#funding-rate");
+const fundingNextRateText = document.querySelector("#funding-next-rate");
+const fundingCountdownText = document.querySelector("#funding-countdown");
+const depositButton = document.querySelector("#deposit-btn");
+const depositTokenSelect = document.querySelector("#deposit-token-select");
+const depositTokenAmount = document.querySelector("#deposit-token-amount");
+const withdrawButton = document.querySelector("#withdraw-btn");
+const withdrawTokenSelect = document.querySelector("#withdraw-token-select");
+const withdrawTokenAmount = document.querySelector("#withdraw-token-amount");
+
+const requestSwapButton = document.querySelector("#request-swap-btn");
+const collateralTokenSelect = document.querySelector("#collateral-token-select");
+const targetTokenSelect = document.querySelector("#target-token-select");
+const swapTokenAmount = document.querySelector("#swap-token-amount");
+const positionModeSelect = document.querySelector("#position-mode-select");
+const positionSideRadios = document.querySelectorAll("input[name='position-side']");
+const positionLeverageSelect = document.querySelector("#position-leverage-select");
+const reducePositionSwitch = document.querySelector("#reduce-position-switch");
+const closePositionSwitch = document.querySelector("#close-position-switch");
+const closePositionIdText = document.querySelector("#close-position-id");
+const swapQuoteText = document.querySelector("#swap-quote");
+const slippageToleranceSelect = document.querySelector("#slippage-tolerance-select");
+const swapDeadlineMinutes = document.querySelector("#swap-deadline-minutes");
+const orderTypeRadios = document.querySelectorAll("input[name='order-type']");
+const limitPriceText = document.querySelector("#limit-price");
+const limitExpirySelect = document.querySelector("#limit-expiry-select");
+const limitPriceHint = document.querySelector("#limit-price-hint");
+const relayerUrlText = document.querySelector("#relayer-url");
+const limitOrdersTableBody = document.querySelector("#limit-order-table tbody");
+
+const marginModal = document.querySelector("#margin-modal");
+const marginActionRadios = document.querySelectorAll("input[name='margin-action']");
+const marginPositionText = document.querySelector("#margin-position");
+const marginAmount = document.querySelector("#margin-amount");
+const marginTokenText = document.querySelector("#margin-token");
+const marginMaxButton = document.querySelector("#margin-max-btn");
+const marginMaxText = document.querySelector("#margin-max");
+const marginPreviewText = document.querySelector("#margin-preview");
+const marginSubmitButton = document.querySelector("#margin-submit-btn");
+const triggerModal = document.querySelector("#trigger-modal");
+const triggerPositionText = document.querySelector("#trigger-position");
+const triggerMarkPriceText = document.querySelector("#trigger-mark-price");
+const triggerStopLossText = document.querySelector("#trigger-stop-loss");
+const triggerStopLossHint = document.querySelector("#trigger-stop-loss-hint");
+const triggerTakeProfitText = document.querySelector("#trigger-take-profit");
+const triggerTakeProfitHint = document.querySelector("#trigger-take-profit-hint");
+const triggerPreviewText = document.querySelector("#trigger-preview");
+const triggerRemoveButton = document.querySelector("#trigger-remove-btn");
+const triggerSubmitButton = document.querySelector("#trigger-submit-btn");
+
+const crossPositionsTableBody = document.querySelector("#cross-position-table tbody");
+const isolatedPositionsTableBody = document.querySelector("#isolated-position-table tbody");
+
+const historyTypeSelect = document.querySelector("#history-type-select");
+const historyModeSelect = document.querySelector("#history-mode-select");
+const historyPairSwitch = document.querySelector("#history-pair-switch");
+const historyTableBody = document.querySelector("#history-table tbody");
+const historyPageText = document.querySelector("#history-page");
+const historyPrevButton = document.querySelector("#history-prev-btn");
+const historyNextButton = document.querySelector("#history-next-btn");
+const historyExportButton = document.querySelector("#history-export-btn");
+
+const liquidityTableBody = document.querySelector("#liquidity-table tbody");
+const liquidityPairText = document.querySelector("#liquidity-pair");
+const liquidityAmountA = document.querySelector("#liquidity-amount-a");
+const liquidityAmountB = document.querySelector("#liquidity-amount-b");
+const liquidityTokenAText = document.querySelector("#liquidity-token-a");
+const liquidityTokenBText = document.querySelector("#liquidity-token-b");
+const liquidityQuoteText = document.querySelector("#liquidity-quote");
+const addLiquidityButton = document.querySelector("#add-liquidity-btn");
+const removeLiquidityPercent = document.querySelector("#remove-liquidity-percent");
+const removeLiquidityButton = document.querySelector("#remove-liquidity-btn");
+
+const portfolioEquityText = document.querySelector("#portfolio-equity");
+const portfolioBalanceText = document.querySelector("#portfolio-balance");
+const portfolioWorthValueText = document.querySelector("#portfolio-worth-value");
+const portfolioLeverageText = document.querySelector("#portfolio-leverage");
+const portfolioPositionCountText = document.querySelector("#portfolio-position-count");
+const portfolioPairCountText = document.querySelector("#portfolio-pair-count");
+const portfolioExposureChart = document.querySelector("#portfolio-exposure-chart");
+const portfolioLeverageChart = document.querySelector("#portfolio-leverage-chart");
+const portfolioExposureTableBody = document.querySelector("#portfolio-exposure-table tbody");
+const portfolioPositionsTableBody = document.querySelector("#portfolio-position-table tbody");
+
+const collateralSelectForwards = document.querySelector("#collateral-select-forwards");
+const targetSelectForwards = document.querySelector("#target-select-forwards");
+const leverageSelectForwards = document.querySelector("#leverage-select-forwards");
+const collateralAmountForwards = document.querySelector("#collateral-amount-forwards");
+const calculateButtonForwards = document.querySelector("#calculate-btn-forwards");
+
+const collateralSelectReverse = document.querySelector("#collateral-select-reverse");
+const targetSelectReverse = document.querySelector("#target-select-reverse");
+const leverageSelectReverse = document.querySelector("#leverage-select-reverse");
+const targetAmountReverse = document.querySelector("#target-amount-reverse");
+const calculateButtonReverse = document.querySelector("#calculate-btn-reverse");
+const calculateForSell = document.querySelector("#sell-checkbox");
+const calculateResult = document.querySelector("#calculate-result");
+
+document.addEventListener("DOMContentLoaded", async () => {
+  await loadContractAddress();
+  await main();
+});
+
+// NOTE: the contracts are loaded for the chain of the wallet, so reload the page when it changes
+window.ethereum?.on("chainChanged", () => window.location.reload());
+
+tradingPairSelect.addEventListener("change", async () => {
+  if (tradingPairSelect.value) await selectTradingPair(tradingPairSelect.value);
+});
+
+exchangeModeRadios.forEach(radio => radio.addEventListener("change", async () => {
+  if (radio.checked) await switchExchangeMode(radio.value);
+}));
+
+pageRadios.forEach(radio => radio.addEventListener("change", async () => {
+  if (radio.checked) await switchPage(radio.value);
+}));
+
+connectButton.addEventListener("click", async () => await connectWallet());
+refreshButton.addEventListener("click", async () => await refreshData());
+depositButton.addEventListener("click", async () => await depositTokens());
+withdrawButton.addEventListener("click", async () => await withdrawTokens());
+requestSwapButton.addEventListener("click", async () => await requestTokenSwap());
+
+for (const input of [historyTypeSelect, historyModeSelect, historyPairSwitch]) {
+  input.addEventListener("change", () => {
+    tradeHistory.page = 0;
+    renderTradeHistory();
+  });
+}
+historyPrevButton.addEventListener("click", () => changeTradeHistoryPage(-1));
+historyNextButton.addEventListener("click", () => changeTradeHistoryPage(1));
+historyExportButton.addEventListener("click", () => exportTradeHistory());
+
+addLiquidityButton.addEventListener("click", async () => await addLiquidity());
+removeLiquidityButton.addEventListener("click", async () => await removeLiquidity());
+liquidityAmountA.addEventListener("input", () => quoteLiquidityAmounts(false));
+liquidityAmountB.addEventListener("input", () => quoteLiquidityAmounts(true));
+
+// NOTE: ECharts does not follow the size of its container by itself
+window.addEventListener("resize", () => Object.values(portfolioCharts).forEach(chart => chart.resize()));
+
+calculateButtonForwards.addEventListener("click", async () => {
+  await calculateTargetFromCollateral()
+});
+calculateButtonReverse.addEventListener("click", async () => {
+  if (calculateForSell.checked) await calculateReturnedCollateral();
+  else await calculateCollateralFromTarget();
+});
+
+for (const input of [collateralAmountForwards, leverageSelectForwards]) {
+  input.addEventListener("input", () => quotePositionLocally(false));
+}
+for (const input of [targetAmountReverse, leverageSelectReverse, calculateForSell]) {
+  input.addEventListener("input", () => quotePositionLocally(true));
+}
+
+for (const input of [swapTokenAmount, positionLeverageSelect, reducePositionSwitch, ...positionSideRadios]) {
+  input.addEventListener("input", () => previewSwapOrder());
+}
+
+for (const input of [slippageToleranceSelect, swapDeadlineMinutes]) {
+  input.addEventListener("change", () => {
+    saveSwapSettings();
+    previewSwapOrder();
+  });
+}
+
+orderTypeRadios.forEach(radio => radio.addEventListener("change", async () => await renderOrderType()));
+// NOTE: the form reset checks the market order type again, once the event is handled
+requestSwapButton.form.addEventListener("reset", () => setTimeout(renderOrderType));
+relayerUrlText.addEventListener("change", async () => {
+  saveRelayerSettings();
+  if (serviceInfo.account) await loadLimitOrders();
+});
+
+marginAmount.addEventListener("input", () => renderMarginPreview());
+marginActionRadios.forEach(radio => radio.addEventListener("change", () => renderMarginPreview()));
+marginMaxButton.addEventListener("click", () => fillMaxMarginAmount());
+marginSubmitButton.addEventListener("click", async () => await submitMarginAdjustment());
+triggerStopLossText.addEventListener("input", () => renderTriggerPreview());
+triggerTakeProfitText.addEventListener("input", () => renderTriggerPreview());
+triggerRemoveButton.addEventListener("click", async () => await submitTrigger(true));
+triggerSubmitButton.addEventListener("click", async () => await submitTrigger());
+
+reducePositionSwitch.addEventListener("change", async () => {
+  if (reducePositionSwitch.checked) {
+    lockForCrossMode();
+  }
+});
+
+closePositionSwitch.addEventListener("change", async () => {
+  closePositionIdText.disabled = !closePositionSwitch.checked;
+  if (closePositionSwitch.checked) {
+    lockForIsolatedMode(true);
+  } else {
+    lockForIsolatedMode(false);
+    positionLeverageSelect.disabled = false;
+  }
+});
+
+function renderExchangeMode(mode) {
+  exchangeModeRadios.forEach(radio => radio.checked = (radio.value == mode.name));
+  exchangeModeBadge.innerHTML = mode.name;
+  positionModeSelect.value = mode.positionMode;
+  document.querySelectorAll(".cross-only").forEach(el => el.classList.toggle("d-none", mode.name != "CROSS"));
+  document.querySelectorAll(".isolated-only").forEach(el => el.classList.toggle("d-none", mode.name != "ISOLATED"));
+  resetAllFields();
+  renderLiquidityForm();
+}
+
+function renderTradingPair(pair, pairs) {
+  setSelectOptions(tradingPairSelect, pairs.map(p => [p.key, p.symbol]), pair.key);
+  for (const select of [depositTokenSelect, withdrawTokenSelect, collateralSelectForwards,
+    collateralSelectReverse, collateralTokenSelect]) {
+    setSelectOptions(select, [[pair.collateral, pair.collateral]], pair.collateral);
+  }
+  for (const select of [targetSelectForwards, targetSelectReverse, targetTokenSelect]) {
+    setSelectOptions(select, [[pair.target, pair.target]], pair.target);
+  }
+  calculateResult.innerHTML = "";
+  renderLiquidityForm();
+}
+
+/**
+ * Replace the options of a select element, keeping its first (placeholder) option.
+ * @param {HTMLSelectElement} select The select element.
+ * @param {Array<[string, string]>} options The list of [value, label] options.
+ * @param {string} selected The value to select.
+ */
+function setSelectOptions(select, options, selected) {
+  const placeholder = select.options[0];
+  select.innerHTML = "";
+  select.appendChild(placeholder);
+  for (const [value, label] of options) {
+    select.appendChild(new Option(label, value, false, value == selected));
+  }
+}
+
+/**
+ * Show the loading spinners in a table which has no rows yet (the live updates keep the current rows instead).
+ * @param {HTMLTableSectionElement} tableBody The table body element.
+ */
+function showTableSpinners(tableBody) {
+  if (tableBody.rows.length > 0) return;
+  tableBody.innerHTML = `<div class="spinner-border text-primary" role="status"><span class="visually-hidden">Loading...</span></div>`;
+}
+
+function lockForCrossMode() {
+  positionLeverageSelect.value = "10";
+  positionLeverageSelect.disabled = true;
+}
+
+function lockForIsolatedMode(posClose) {
+  // NOTE: closing sells the entered amount of target tokens, or the whole position value if empty
+  swapTokenAmount.placeholder = posClose ? "Close Amount (empty: all)" : "Swap Amount";
+  if (posClose) {
+    swapTokenAmount.value = "";
+    positionLeverageSelect.value = "";
+    positionLeverageSelect.disabled = true;
+  }
+}
+
+function resetAllFields() {
+  swapTokenAmount.disabled = false;
+  positionLeverageSelect.disabled = false;
+  swapQuoteText.innerHTML = "";
+  serviceInfo.mode.resetSwapForm();
+}
@@ -1,15 +1,34 @@
 "use strict";
 
 const txSettings = { gasLimit: 3000000 };
+// NOTE: the events are polled (`eth_getLogs`), and the events of the same burst refresh the cards once
+const liveUpdateSettings = { pollingInterval: 1000, debounceTime: 200 };
+// NOTE: the default URL of the limit order relayer started by `npm run relayer` (in `sdk/`)
+const relayerSettings = { url: "http://127.0.0.1:8580" };
 
 const addressList = {};
+const deploymentInfo = {};
+const deploymentManifest = {};
 
 async function loadContractAddress() {
-  fetch('contract-address.json')
+  return fetch('contract-address.json')
     .then(response => response.json())
     .then(data => {
-      Object.assign(addressList, data);
-      console.log("Contract address list loaded:", addressList);
+      Object.assign(deploymentManifest, data);
+      console.log("Deployment manifest loaded:", deploymentManifest);
     })
     .catch(error => console.error("Error fetching JSON data:", error));
 }
+
+/**
+ * Load the contract addresses and pairs deployed on the chain of the connected wallet.
+ * For the manifest format, refer to the `sdk/manifest.js` file.
+ */
+function selectDeployment(chainId) {
+  const deployment = LeveragedAMMManifest.getDeployment(deploymentManifest, chainId);
+  if (!deployment) return false;
+  Object.assign(addressList, deployment.addresses);
+  Object.assign(deploymentInfo, deployment);
+  console.log(`Contract address list loaded (chain ${chainId}):`, addressList);
+  return true;
+}
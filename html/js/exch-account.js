@@ -0,0 +1,93 @@
+"use strict";
+
+/**
+ * Margin pool of the cross accounts (`setCollateral`, see `getAccountSummary` of `sdk/client.js`): the deposit
+ * balances of the listed collaterals are valued at their feed price (or at par) less their haircut, and the cross
+ * positions of every pair whose token A is listed draw on them. In cross mode, the Account Margin card takes the place
+ * of the Remaining Value card, with the totals of the whole account in the common unit of the collateral prices.
+ * NOTE: the collaterals can be deposited and withdrawn in cross mode, as long as the pool covers the positions.
+ */
+
+/**
+ * Load the collaterals listed on the cross exchange (from its `CollateralUpdated` events), with their haircut.
+ * @returns {Promise<Array<object>>} `[{ symbol, token, decimals, feed, haircutBps }]`, of the deployment tokens.
+ */
+async function loadCollaterals() {
+  const exchange = contractInstances[exchangeModes.CROSS.exchangeKey];
+  const logs = await exchange.queryFilter(exchange.filters.CollateralUpdated(), deploymentInfo.deploymentBlock);
+  const symbols = deploymentInfo.tokens.filter(symbol => logs.some(log => isSelectedToken(log.args.token, symbol)));
+  return Promise.all(symbols.map(async symbol => {
+    const [[feed, , haircutBps], decimals] = await Promise.all([
+      readContract(exchange, "collaterals", addressList[symbol]),
+      readContract(contractInstances[symbol], "decimals")
+    ]);
+    return { symbol, token: addressList[symbol], decimals, feed, haircutBps };
+  }));
+}
+
+/**
+ * Load the margin pool of the connected account on the cross exchange.
+ * @returns {Promise<object>} `{ summary, collaterals }`, where `summary` is the `AccountSummary` of the account (null
+ *  while a collateral feed price is invalid or stale) and `collaterals` the listed collaterals with their `balance`.
+ */
+async function loadAccountMargin() {
+  const exchange = contractInstances[exchangeModes.CROSS.exchangeKey];
+  if (!serviceInfo.collaterals) serviceInfo.collaterals = await loadCollaterals();
+  const [summary, balances] = await Promise.all([
+    // NOTE: reverts while the feed price of a collateral is invalid or stale
+    readContract(exchange, "getAccountSummary", serviceInfo.account).catch(() => null),
+    Promise.all(serviceInfo.collaterals.map(collateral => {
+      return readContract(exchange, "balances", serviceInfo.account, collateral.token);
+    }))
+  ]);
+  for (const collateral of serviceInfo.collaterals) {
+    // A new answer of a collateral feed moves the value of the margin pool
+    if (collateral.feed != ethers.ZeroAddress) getFeedInstance(collateral.feed);
+  }
+  const collaterals = serviceInfo.collaterals.map((collateral, i) => ({ ...collateral, balance: balances[i] }));
+  return { summary, collaterals };
+}
+
+function formatPoolValue(value) {
+  return `${value < 0n ? "-" : ""}$${removeDecimals(value < 0n ? -value : value, LeveragedAMMRisk.PRICE_DECIMALS)}`;
+}
+
+/**
+ * Render the margin pool of the account (on the Account Margin card): the remaining value, the worth value of the
+ * positions against the margin of the pool (with their unrealized PnL) and the deposit balance of every collateral
+ * (with its haircut).
+ * @param {object} accountMargin The margin pool (see `loadAccountMargin`).
+ */
+function renderAccountMargin({ summary, collaterals }) {
+  accountCollateralsText.innerHTML = collaterals.length == 0 ? "No collateral listed" : collaterals.map(
+    collateral => `<span class="badge bg-light text-dark" title="Haircut: ${Number(collateral.haircutBps) / 100}%">`
+      + `${removeDecimals(collateral.balance, collateral.decimals, 4)} ${collateral.symbol}</span>`
+  ).join(" ");
+  if (!summary) {
+    for (const text of [accountRemainingValueText, accountWorthValueText, accountPoolValueText]) text.innerHTML = "-";
+    accountPositionCountText.innerHTML = `<span class="badge bg-dark" title="Invalid or stale feed price">`
+      + `Feed down</span>`;
+    return;
+  }
+  const [collateralValue, marginValue, pnlValue, worthValue, remainingValue, positionCount] = summary;
+  // NOTE: the unrealized PnL of the positions counts in the margin of the pool
+  const poolValue = collateralValue + marginValue + pnlValue;
+  accountRemainingValueText.innerHTML = formatPoolValue(remainingValue);
+  accountWorthValueText.innerHTML = formatPoolValue(worthValue);
+  accountPoolValueText.innerHTML = formatPoolValue(poolValue);
+  accountPoolValueText.title = `Unrealized PnL: ${formatPoolValue(pnlValue)}`;
+  accountPositionCountText.innerHTML = `${positionCount} position${positionCount == 1n ? "" : "s"}`;
+}
+
+/**
+ * List the collateral of the selected pair and, in cross mode, the listed collaterals in the deposit and withdraw
+ * forms (keeping the selected token).
+ * @param {Array<object>} collaterals The listed collaterals (see `loadCollaterals`).
+ */
+function renderCollateralOptions(collaterals) {
+  const symbols = [...new Set([serviceInfo.collateral, ...collaterals.map(collateral => collateral.symbol)])];
+  for (const select of [depositTokenSelect, withdrawTokenSelect]) {
+    const selected = symbols.includes(select.value) ? select.value : serviceInfo.collateral;
+    setSelectOptions(select, symbols.map(symbol => [symbol, symbol]), selected);
+  }
+}
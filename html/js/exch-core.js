@@ -0,0 +1,845 @@
+"use strict";
+
+const serviceInfo = {};
+const contractInstances = {};
+
+/**
+ * Registry of the position mode strategies, keyed by mode name.
+ * Each strategy is declared in its own `exch-mode-*.js` file and provides:
+ *  - `exchangeKey`: key of the exchange contract instance (and address)
+ *  - `abiKey`: key of the exchange ABI in `LeveragedAMMABI`
+ *  - `positionMode`: the value of `ILeveragedAMMExchange.Mode` for the swap order
+ *  - `buildSwapOrder(input)`: validates the swap form input and returns the order fields (or null)
+ *  - `loadPositions(positionId)`: renders the positions table of this mode
+ *  - `resetSwapForm()`: restores the mode-specific swap form fields
+ */
+const exchangeModes = {};
+
+async function main() {
+  if (!await checkMetaMask()) return;
+  if (!await loadServiceInfo()) return;
+  loadSwapSettings();
+  loadRelayerSettings();
+  await selectTradingPair(localStorage.getItem("tradingPair"));
+  await switchExchangeMode(localStorage.getItem("exchangeMode") || "CROSS");
+  await switchPage(localStorage.getItem("page") || "TRADE");
+}
+
+
+// ======= Functions for loading settings ======= //
+/**
+ * For contract ABIs defination, refer to the `sdk/abi.js` file (generated by `generate-abi.js`).
+ * For contract configuration, refer to the `contract-config.js` file.
+ * For contract addresses, refer to the `contract-address.json` file (written by `load-address.js`).
+ */
+
+async function loadServiceInfo() {
+  try {
+    serviceInfo.provider = new ethers.BrowserProvider(window.ethereum);
+    serviceInfo.signer = await serviceInfo.provider.getSigner();
+    serviceInfo.network = await serviceInfo.provider.getNetwork();
+    serviceInfo.provider.pollingInterval = liveUpdateSettings.pollingInterval;
+    console.log(`Network = ${serviceInfo.network.name}, Chain ID = ${serviceInfo.network.chainId}`);
+    if (!selectDeployment(serviceInfo.network.chainId)) {
+      alert(`The contracts are not deployed on this network (Chain ID = ${serviceInfo.network.chainId}).`);
+      return false;
+    }
+    serviceInfo.pairs = deploymentInfo.tradingPairs;
+
+    for (const symbol of deploymentInfo.tokens) {
+      contractInstances[symbol] = new ethers.Contract(addressList[symbol], LeveragedAMMABI.erc20, serviceInfo.signer);
+    }
+
+    // Both exchanges are loaded, so that positions of each mode can be shown side by side
+    for (const mode of Object.values(exchangeModes)) {
+      contractInstances[mode.exchangeKey] = new ethers.Contract(
+        addressList[mode.exchangeKey], LeveragedAMMABI[mode.abiKey], serviceInfo.signer
+      );
+    }
+    // NOTE: without Multicall3 in the deployment (e.g. the former flat manifest), the batched reads are sent one by one
+    serviceInfo.multicall = deploymentInfo.multicall
+      ? new ethers.Contract(deploymentInfo.multicall.address, LeveragedAMMABI.multicall, serviceInfo.signer) : null;
+    serviceInfo.reads = new LeveragedAMMMulticall.MulticallBatcher(serviceInfo.multicall, { cache: false });
+    serviceInfo.refreshReads = null;
+    serviceInfo.decimalDiff = BigInt(10 ** 3);
+    return true;
+  } catch (error) {
+    console.error(error);
+    return false;
+  }
+}
+
+async function selectTradingPair(pairKey) {
+  try {
+    const pair = serviceInfo.pairs.find(pair => pair.key == pairKey) || serviceInfo.pairs[0];
+    serviceInfo.collateral = pair.collateral;
+    serviceInfo.target = pair.target;
+    serviceInfo.pair = pair.key;
+    serviceInfo.pairReserves = null;
+    [serviceInfo.collateralDecimals, serviceInfo.targetDecimals] = await withRefreshReads(() => Promise.all([
+      readContract(contractInstances[pair.collateral], "decimals"),
+      readContract(contractInstances[pair.target], "decimals")
+    ]));
+    localStorage.setItem("tradingPair", pair.key);
+    renderTradingPair(pair, serviceInfo.pairs);
+    renderTradeHistory();
+    if (serviceInfo.account) await refreshData();
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+async function switchExchangeMode(modeName) {
+  try {
+    const mode = exchangeModes[modeName] || exchangeModes.CROSS;
+    serviceInfo.mode = mode;
+    serviceInfo.exchangeKey = mode.exchangeKey;
+    serviceInfo.pairReserves = null;
+    serviceInfo.maxLeverage = await withRefreshReads(
+      () => readContract(contractInstances[mode.exchangeKey], "MAX_LEVERAGE")
+    );
+    localStorage.setItem("exchangeMode", mode.name);
+    renderExchangeMode(mode);
+    if (serviceInfo.account) await refreshData();
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+/**
+ * Show a page of the dashboard: `TRADE` (the selected pair and exchange), `LIQUIDITY` (see `exch-liquidity.js`) or
+ * `PORTFOLIO` (see `exch-portfolio.js`).
+ */
+async function switchPage(pageName) {
+  try {
+    const pages = { TRADE: tradePage, LIQUIDITY: liquidityPage, PORTFOLIO: portfolioPage };
+    const shown = pages[pageName] ? pageName : "TRADE";
+    pageRadios.forEach(radio => radio.checked = (radio.value == shown));
+    for (const [name, page] of Object.entries(pages)) page.classList.toggle("d-none", name != shown);
+    localStorage.setItem("page", shown);
+    // NOTE: the liquidity table and the portfolio are only loaded while their page is shown
+    if (serviceInfo.account) await withRefreshReads(() => Promise.all([loadLiquidity(), loadPortfolio()]));
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+
+// ======= Functions triggered by Event listeners ======= //
+/**
+ * For DOM objects declaration, refer to the `components.js` file.
+ */
+
+async function connectWallet() {
+  try {
+    const accounts = await ethereum.request({ method: "eth_requestAccounts" });
+    serviceInfo.account = accounts[0];
+    // NOTE: the trade history is loaded first, as the PnL of the positions is derived from it
+    await subscribeEvents();
+    await loadTradeHistory();
+    await refreshData();
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+async function depositTokens() {
+  try {
+    if (!await checkWalletConnected()) return;
+    const exchKey = serviceInfo.exchangeKey;
+    const tokenSymbol = depositTokenSelect.value;
+    const tokenAmount = depositTokenAmount.value;
+    if (!tokenSymbol || !tokenAmount) {
+      alert("Please select token and enter amount to deposit.");
+      return;
+    }
+
+    const normalizedAmount = ethers.parseUnits(
+      tokenAmount,
+      await contractInstances[tokenSymbol].decimals()
+    );
+
+    let tx = await contractInstances[tokenSymbol].approve(
+      addressList[exchKey],
+      normalizedAmount,
+      txSettings
+    );
+    await tx.wait();
+
+    tx = await contractInstances[exchKey].deposit(
+      addressList[tokenSymbol],
+      normalizedAmount,
+      txSettings
+    );
+    await tx.wait();
+
+    await refreshData();
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+async function withdrawTokens() {
+  try {
+    if (!await checkWalletConnected()) return;
+    const exchKey = serviceInfo.exchangeKey;
+    const tokenSymbol = withdrawTokenSelect.value;
+    const tokenAmount = withdrawTokenAmount.value;
+    if (!tokenSymbol || !tokenAmount) {
+      alert("Please select token and enter amount to withdraw.");
+      return;
+    }
+
+    let normalizedAmount = ethers.parseUnits(
+      tokenAmount,
+      await contractInstances[tokenSymbol].decimals()
+    );
+    normalizedAmount -= serviceInfo.decimalDiff;
+
+    let tx = await contractInstances[exchKey].withdraw(
+      addressList[tokenSymbol],
+      normalizedAmount,
+      txSettings
+    );
+    await tx.wait();
+
+    await refreshData();
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+async function calculateTargetFromCollateral() {
+  try {
+    if (!await checkWalletConnected()) return;
+    const exchKey = serviceInfo.exchangeKey;
+    const collateralDecimals = serviceInfo.collateralDecimals;
+    const targetDecimals = serviceInfo.targetDecimals;
+    const amountIn = ethers.parseUnits(collateralAmountForwards.value, collateralDecimals);
+    const amountOut = await contractInstances[exchKey].getAmountOutFromIn(
+      addressList[collateralSelectForwards.value],
+      addressList[targetSelectForwards.value],
+      amountIn,
+      leverageSelectForwards.value
+    );
+    const { fee } = quoteSwapWithFee(amountIn, leverageSelectForwards.value, false);
+    renderCalculateResult(removeDecimals(amountOut, targetDecimals, 6), fee);
+  } catch (error) {
+    alert("Request Failed. Please check whether the fields are correct.");
+    console.error(error);
+  }
+}
+
+async function calculateCollateralFromTarget() {
+  try {
+    if (!await checkWalletConnected()) return;
+    const exchKey = serviceInfo.exchangeKey;
+    const collateralDecimals = serviceInfo.collateralDecimals;
+    const targetDecimals = serviceInfo.targetDecimals;
+    const amountIn = await contractInstances[exchKey].getAmountInForOut(
+      addressList[collateralSelectReverse.value],
+      addressList[targetSelectReverse.value],
+      ethers.parseUnits(targetAmountReverse.value, targetDecimals),
+      leverageSelectReverse.value
+    );
+    const { fee } = quoteSwapWithFee(amountIn, leverageSelectReverse.value, false);
+    renderCalculateResult(removeDecimals(amountIn, collateralDecimals, 6), fee);
+  } catch (error) {
+    alert("Request Failed. Please check whether the fields are correct.");
+    console.error(error);
+  }
+}
+
+async function calculateReturnedCollateral() {
+  try {
+    if (!await checkWalletConnected()) return;
+    const exchKey = serviceInfo.exchangeKey;
+    const collateralDecimals = serviceInfo.collateralDecimals;
+    const targetDecimals = serviceInfo.targetDecimals;
+    const amount = ethers.parseUnits(targetAmountReverse.value, targetDecimals);
+    const [_, returnedAmount] = await contractInstances[exchKey].getAmountCollateralReturn(
+      addressList[collateralSelectReverse.value],
+      addressList[targetSelectReverse.value],
+      amount,
+      leverageSelectReverse.value
+    );
+    const { fee } = quoteSwapWithFee(amount, leverageSelectReverse.value, true);
+    renderCalculateResult(removeDecimals(returnedAmount, collateralDecimals, 6), fee);
+  } catch (error) {
+    alert("Request Failed. Please check whether the fields are correct.");
+    console.error(error);
+  }
+}
+
+/**
+ * Quote the calculators off-chain (see `sdk/amm-math.js`) with the pair reserves of the last refresh,
+ * so that the result follows the user typing. The Calculate buttons still query the contract.
+ */
+function quotePositionLocally(reverse) {
+  const pairReserves = serviceInfo.pairReserves;
+  const amountText = reverse ? targetAmountReverse.value : collateralAmountForwards.value;
+  const leverage = reverse ? leverageSelectReverse.value : leverageSelectForwards.value;
+  if (!pairReserves || !amountText || !leverage) return;
+  try {
+    const collateralDecimals = serviceInfo.collateralDecimals;
+    const targetDecimals = serviceInfo.targetDecimals;
+    if (!reverse) {
+      const amountIn = ethers.parseUnits(amountText, collateralDecimals);
+      const { received, fee } = quoteSwapWithFee(amountIn, leverage, false);
+      renderCalculateResult(removeDecimals(received, targetDecimals, 6), fee);
+    } else if (calculateForSell.checked) {
+      const amount = ethers.parseUnits(amountText, targetDecimals);
+      const { received, fee } = quoteSwapWithFee(amount, leverage, true);
+      renderCalculateResult(removeDecimals(received, collateralDecimals, 6), fee);
+    } else {
+      const amountOut = ethers.parseUnits(amountText, targetDecimals);
+      const amountIn = LeveragedAMMMath.getAmountInForOut(pairReserves, amountOut, leverage);
+      const { fee } = quoteSwapWithFee(amountIn, leverage, false);
+      renderCalculateResult(removeDecimals(amountIn, collateralDecimals, 6), fee);
+    }
+  } catch (error) {
+    calculateResult.innerHTML = "";
+  }
+}
+
+/**
+ * Quote a swap with the swap fee of the pair of the last refresh (see `sdk/amm-math.js`).
+ * Opening a long pays the fee on the leveraged input, opening a short on the leveraged amount of its sold target
+ * tokens, and selling (reduce / close) on the amount settled with the pair.
+ * @param {bigint} amount The collateral amount to open with, or the target amount to sell (or buy back).
+ * @param {number|string} leverage The leverage of the order.
+ * @param {boolean} sell Whether the order settles the position.
+ * @param {object} [pairReserves] The pair reserves and swap fee (of the selected exchange by default).
+ * @param {object} [position] The position to settle, or its `side` only when opening (long by default).
+ * @returns {{received: bigint, fee: bigint}|{sold: bigint, fee: bigint}|null} The post-fee amount received (target
+ *  tokens when opening a long, collateral when selling) or the target amount sold (opening a short), and the fee in
+ *  collateral, or null before the first refresh.
+ */
+function quoteSwapWithFee(amount, leverage, sell, pairReserves = serviceInfo.pairReserves, position = {}) {
+  if (!pairReserves) return null;
+  const short = LeveragedAMMMath.isShort(position);
+  if (!sell && short) {
+    const [amountSold, fee] = LeveragedAMMMath.getAmountSoldWithFee(pairReserves, amount * BigInt(leverage));
+    return { sold: amountSold, fee: fee };
+  }
+  if (!sell) {
+    const [amountOut, fee] = LeveragedAMMMath.getAmountOutWithFee(pairReserves, amount * BigInt(leverage));
+    return { received: amountOut, fee: fee };
+  }
+  if (short) {
+    const [, fee] = LeveragedAMMMath.getAmountInWithFee(pairReserves, amount);
+    return { received: LeveragedAMMMath.getPositionReturn(pairReserves, position, amount), fee: fee };
+  }
+  const [returnedAmount, fee] = LeveragedAMMMath.getAmountReturnedWithFee(pairReserves, amount);
+  return { received: returnedAmount / BigInt(leverage), fee: fee };
+}
+
+function formatSwapFee(fee, pairReserves = serviceInfo.pairReserves) {
+  const feePercent = Number(pairReserves?.feeBps ?? 0n) / 100;
+  const feeAmount = removeDecimals(fee ?? 0n, serviceInfo.collateralDecimals, 6);
+  return `Fee: ${feeAmount} ${serviceInfo.collateral} (${feePercent}%)`;
+}
+
+function formatSwapQuote(quote, sell, pairReserves = serviceInfo.pairReserves) {
+  const { slippageBps } = getSwapSettings();
+  if (quote.sold !== undefined) {
+    const maxSold = LeveragedAMMMath.getMaxAmountIn(quote.sold, slippageBps);
+    return `Sell: ${removeDecimals(quote.sold, serviceInfo.targetDecimals, 6)} ${serviceInfo.target}`
+      + ` (max. ${removeDecimals(maxSold, serviceInfo.targetDecimals, 6)}) | ${formatSwapFee(quote.fee, pairReserves)}`;
+  }
+  const [symbol, decimals] = sell ? [serviceInfo.collateral, serviceInfo.collateralDecimals]
+    : [serviceInfo.target, serviceInfo.targetDecimals];
+  const minReceived = LeveragedAMMMath.getMinAmountOut(quote.received, slippageBps);
+  return `Receive: ${removeDecimals(quote.received, decimals, 6)} ${symbol}`
+    + ` (min. ${removeDecimals(minReceived, decimals, 6)}) | ${formatSwapFee(quote.fee, pairReserves)}`;
+}
+
+/**
+ * The side of the position to open, chosen in the swap form.
+ * @returns {number} The side (`LeveragedAMMMath.Side`).
+ */
+function getSwapSide() {
+  return LeveragedAMMMath.Side[document.querySelector("input[name='position-side']:checked").value];
+}
+
+/**
+ * The slippage tolerance (basis points) and the deadline (minutes) of the swap orders.
+ * @returns {{slippageBps: number, deadlineMinutes: number}} The swap settings.
+ */
+function getSwapSettings() {
+  const deadlineMinutes = Math.max(1, Math.floor(Number(swapDeadlineMinutes.value) || 20));
+  return { slippageBps: Number(slippageToleranceSelect.value), deadlineMinutes };
+}
+
+function loadSwapSettings() {
+  const settings = JSON.parse(localStorage.getItem("swapSettings") || "{}");
+  if (settings.slippageBps) slippageToleranceSelect.value = String(settings.slippageBps);
+  if (settings.deadlineMinutes) swapDeadlineMinutes.value = String(settings.deadlineMinutes);
+}
+
+function saveSwapSettings() {
+  const settings = getSwapSettings();
+  swapDeadlineMinutes.value = String(settings.deadlineMinutes);
+  localStorage.setItem("swapSettings", JSON.stringify(settings));
+}
+
+function renderCalculateResult(result, fee) {
+  calculateResult.innerHTML = ` => Result: ${result} <span class="small text-muted">(${formatSwapFee(fee)})</span>`;
+}
+
+/**
+ * Preview the post-fee amount and the swap fee of the swap form while typing.
+ * NOTE: an isolated close is previewed when requested, as it sells the whole position value, and a cross reduce
+ * is quoted on the cross position of the last refresh.
+ */
+function previewSwapOrder() {
+  const sell = serviceInfo.mode?.name == "CROSS" && reducePositionSwitch.checked;
+  const leverage = positionLeverageSelect.value;
+  const position = sell ? serviceInfo.positionCross : { side: getSwapSide() };
+  swapQuoteText.innerHTML = "";
+  if (!swapTokenAmount.value || !leverage || !position) return;
+  try {
+    const amount = ethers.parseUnits(
+      swapTokenAmount.value, sell ? serviceInfo.targetDecimals : serviceInfo.collateralDecimals
+    );
+    const quote = quoteSwapWithFee(amount, leverage, sell, serviceInfo.pairReserves, position);
+    if (quote) swapQuoteText.innerHTML = formatSwapQuote(quote, sell);
+  } catch (error) {
+    swapQuoteText.innerHTML = "";
+  }
+}
+
+async function requestTokenSwap() {
+  try {
+    if (!await checkWalletConnected()) return;
+    const collateralToken = collateralTokenSelect.value;
+    const targetToken = targetTokenSelect.value;
+    const positionMode = positionModeSelect.value;
+    const mode = serviceInfo.mode;
+
+    if (!collateralToken || !targetToken || !positionMode) {
+      alert("Please select tokens and position mode to swap.");
+      return;
+    }
+    if (positionMode != mode.positionMode) {
+      alert("please select the position mode");
+      return;
+    }
+
+    // Validate the mode-specific fields (amount, leverage, side, reduce/close)
+    const orderFields = await mode.buildSwapOrder({
+      tokenAmount: swapTokenAmount.value,
+      positionLeverage: positionLeverageSelect.value,
+      positionSide: getSwapSide()
+    });
+    if (!orderFields) return;
+
+    // A limit order is signed and executed later by the relayer, a market order is sent now
+    if (getOrderType() == "LIMIT") await submitLimitOrder(mode, orderFields);
+    else await submitSwapOrder(mode, orderFields);
+  } catch (error) {
+    alert("Request Failed. Please check whether the fields are correct.");
+    console.error(error);
+  }
+}
+
+/**
+ * Confirm the quote of a swap order and send it to the exchange of a mode, with the slippage bounds and the deadline
+ * of the swap settings.
+ * @param {object} mode The position mode strategy (see `exchangeModes`).
+ * @param {object} orderFields The order fields of the mode (`amount`, `leverage`, `side`, reduce/close).
+ * @returns {Promise<boolean>} Whether the order was sent (false if the quote was not confirmed).
+ */
+async function submitSwapOrder(mode, orderFields) {
+  // Show the post-fee amount and the swap fee before signing, quoted on the current reserves
+  const pairReserves = await loadPairReserves(mode);
+  const sell = Boolean(orderFields.reducePosition || orderFields.closePosition);
+  // NOTE: settling a short returns its share of the collateral worth value, less the cost of buying back
+  const position = sell ? await mode.loadPosition(orderFields.closePosId ?? 0n) : { side: orderFields.side };
+  const quote = quoteSwapWithFee(orderFields.amount, orderFields.leverage, sell, pairReserves, position);
+  if (!confirm(`${formatSwapQuote(quote, sell, pairReserves)}\n\nRequest the swap?`)) return false;
+
+  // NOTE: the swap reverts if the reserves move beyond the slippage tolerance, or once the deadline has passed
+  // (the deadline is set from the block time, which may differ from the wall clock on local networks)
+  const { slippageBps, deadlineMinutes } = getSwapSettings();
+  const latestBlock = await serviceInfo.provider.getBlock("latest");
+  const protection = {
+    // A short open receives the leveraged amount, and bounds the target tokens it sells instead
+    minAmountOut: quote.sold !== undefined ? 0n : LeveragedAMMMath.getMinAmountOut(quote.received, slippageBps),
+    maxAmountIn: quote.sold !== undefined ? LeveragedAMMMath.getMaxAmountIn(quote.sold, slippageBps)
+      : orderFields.amount,
+    deadline: BigInt(latestBlock.timestamp + deadlineMinutes * 60)
+  };
+
+  // Execute token swap
+  const tx = await contractInstances[mode.exchangeKey].swap(
+    {
+      tokenA: addressList[serviceInfo.collateral],
+      tokenB: addressList[serviceInfo.target],
+      positionMode: mode.positionMode,
+      reducePosition: false,
+      closePosition: false,
+      closePosId: 0,
+      side: LeveragedAMMMath.Side.LONG,
+      ...orderFields,
+      ...protection
+    },
+    txSettings
+  );
+  await tx.wait();
+
+  await refreshData();
+  return true;
+}
+
+
+// ======= Functions for loading data ======= //
+/**
+ * For DOM objects declaration, refer to the `components.js` file.
+ */
+
+/**
+ * The dashboard reads the contracts with `readContract`, batched through Multicall3 (see `sdk/multicall.js`): the
+ * reads made together (e.g. by the cards of a refresh, and by the rows of their positions) take one `eth_call`, so
+ * that the round trips of a refresh do not grow with the number of pairs and positions. A refresh also reads the
+ * identical calls of its cards once (e.g. the reserves of the selected pair), as does a dialog when it opens;
+ * outside of them (e.g. checking a swap order), only the identical reads in flight are shared, so that the reads are
+ * never older than the call.
+ * NOTE: the transactions and the checks before them (e.g. `checkDepositBalance`) read the contracts directly
+ */
+function readContract(contract, method, ...args) {
+  return (serviceInfo.refreshReads ?? serviceInfo.reads).call(contract, method, args);
+}
+
+/** The ETH balance of an account, read with the batch (from the provider without Multicall3). */
+function readEthBalance(address) {
+  if (!serviceInfo.multicall) return serviceInfo.provider.getBalance(address);
+  return readContract(serviceInfo.multicall, "getEthBalance", address);
+}
+
+/** The timestamp of the latest block, read with the batch (from the provider without Multicall3). */
+async function readBlockTimestamp() {
+  if (!serviceInfo.multicall) return BigInt((await serviceInfo.provider.getBlock("latest")).timestamp);
+  return readContract(serviceInfo.multicall, "getCurrentBlockTimestamp");
+}
+
+/**
+ * Run a refresh of the dashboard with its own batch of reads, kept until the refresh ends.
+ * @param {Function} refresh The refresh (async).
+ */
+async function withRefreshReads(refresh) {
+  const reads = new LeveragedAMMMulticall.MulticallBatcher(serviceInfo.multicall);
+  serviceInfo.refreshReads = reads;
+  try {
+    return await refresh();
+  } finally {
+    // A refresh started meanwhile has its own batch
+    if (serviceInfo.refreshReads == reads) serviceInfo.refreshReads = null;
+  }
+}
+
+async function refreshData() {
+  try {
+    if (!await checkWalletConnected()) return;
+    await withRefreshReads(async () => {
+      await Promise.all([
+        refreshWalletInfo(), refreshAccountInfo(), refreshPairInfo(),
+        loadLiquidity(), loadPortfolio(), loadLimitOrders()
+      ]);
+
+      // Positions of both modes are listed, so that the cross and isolated books can be compared
+      await Promise.all(Object.values(exchangeModes).map(mode => mode.loadPositions(serviceInfo.positionId)));
+    });
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+/**
+ * Wallet balances (ETH and collateral token) and the update time.
+ */
+async function refreshWalletInfo() {
+  const selectedAddress = serviceInfo.account;
+  const collateralSymbol = serviceInfo.collateral;
+  const collateralDecimals = serviceInfo.collateralDecimals;
+
+  const [nowDate, ethBalance, walletBalance] = await Promise.all([
+    new Date().toISOString().split("T"),
+    readEthBalance(selectedAddress),
+    readContract(contractInstances[collateralSymbol], "balanceOf", selectedAddress)
+  ]);
+  walletConnectButton.innerHTML = `${selectedAddress} (${removeDecimals(ethBalance, 18)} ETH)`;
+  walletBalanceText.innerHTML = `$${removeDecimals(walletBalance, collateralDecimals)}`;
+  walletTokenText.innerHTML = ` <i class="bi bi-coin me-1"></i> ${collateralSymbol} `;
+  updateTime.innerHTML = `Update: ${nowDate[0]} ${nowDate[1].split(".")[0]}`;
+}
+
+/**
+ * Deposit balance, remaining value and locked value of the account on the selected exchange, and its margin pool
+ * across the pairs in cross mode (see `exch-account.js`).
+ */
+async function refreshAccountInfo() {
+  const selectedAddress = serviceInfo.account;
+  const collateralSymbol = serviceInfo.collateral;
+  const collateralDecimals = serviceInfo.collateralDecimals;
+  const targetSymbol = serviceInfo.target;
+  const exchKey = serviceInfo.exchangeKey;
+
+  const [depositBalance, remainingValue, lockedValue, accountMargin] = await Promise.all([
+    readContract(contractInstances[exchKey], "balances", selectedAddress, addressList[collateralSymbol]),
+    readContract(contractInstances[exchKey], "getAccountRemainingValue",
+      selectedAddress, addressList[collateralSymbol], addressList[targetSymbol]),
+    readContract(contractInstances[exchKey], "getPositionWorthValue",
+      selectedAddress, addressList[collateralSymbol], addressList[targetSymbol]),
+    serviceInfo.mode.name == "CROSS" ? loadAccountMargin() : null
+  ]);
+  depositBalanceText.innerHTML = `$${removeDecimals(depositBalance, collateralDecimals)}`;
+  remainingValueText.innerHTML = `$${removeDecimals(remainingValue, collateralDecimals)}`;
+  remainingValueUnitText.innerHTML = ` <i class="bi bi-coin me-1"></i> ${collateralSymbol} `;
+  lockedValueText.innerHTML = `$${removeDecimals(lockedValue, collateralDecimals)}`;
+  renderCollateralOptions(accountMargin ? accountMargin.collaterals : []);
+  if (accountMargin) renderAccountMargin(accountMargin);
+}
+
+/**
+ * Reserves, swap fee, accrued fees, feed price and funding of the selected pair on the selected exchange
+ * (the reserves and the fee are also used by the off-chain quotes, and the LP shares by the liquidity form).
+ */
+async function refreshPairInfo() {
+  const collateralSymbol = serviceInfo.collateral;
+  const collateralDecimals = serviceInfo.collateralDecimals;
+  const targetSymbol = serviceInfo.target;
+  const targetDecimals = serviceInfo.targetDecimals;
+  const exchKey = serviceInfo.exchangeKey;
+
+  const tokens = [addressList[collateralSymbol], addressList[targetSymbol]];
+  const [pairCount, pairInfo, feeBps, accruedFees, positionId, totalShares, liquidity] = await Promise.all([
+    readContract(contractInstances[exchKey], "pairCount"),
+    readContract(contractInstances[exchKey], "pairs", ...tokens),
+    readContract(contractInstances[exchKey], "pairFees", ...tokens),
+    readContract(contractInstances[exchKey], "accruedFees", ...tokens),
+    readContract(contractInstances[exchKey], "getPositionId", ...tokens),
+    readContract(contractInstances[exchKey], "totalShares", ...tokens),
+    readContract(contractInstances[exchKey], "liquidity", ...tokens, serviceInfo.account)
+  ]);
+  const [pairSymbol, reserveA, reserveB] = pairInfo;
+  const [oracle, pairFunding] = await Promise.all([
+    loadPairOracle(serviceInfo.mode, { reserveA, reserveB }),
+    loadPairFunding(serviceInfo.mode)
+  ]);
+  serviceInfo.pairReserves = {
+    reserveA, reserveB, feeBps, oracle, oraclePrice: getOraclePrice(oracle),
+    cumulativeFundingIndex: pairFunding.cumulativeIndex
+  };
+  serviceInfo.totalShares = totalShares;
+  serviceInfo.accountShares = liquidity[0];
+  serviceInfo.positionId = positionId;
+  tradingPairText.innerHTML = ` <i class="bi bi-currency-exchange me-1"></i> ${pairSymbol} `;
+  tradingPairCountText.innerHTML = pairCount;
+  tradingPairReservesText.innerHTML
+    = `${removeDecimals(reserveB, collateralDecimals, 1)} / ${removeDecimals(reserveA, targetDecimals, 1)}`;
+  tradingPairFeeText.innerHTML = `${Number(feeBps) / 100}%`;
+  tradingPairAccruedFeesText.innerHTML = `${removeDecimals(accruedFees, collateralDecimals, 2)} ${collateralSymbol}`;
+  renderPairOracle(oracle, serviceInfo.pairReserves);
+  renderPairFunding(pairFunding);
+}
+
+
+// ======= Functions for live updates ======= //
+/**
+ * The dashboard follows the `Deposit`, `Withdraw`, `Swap`, `Liquidate`, `MarginAdded`, `MarginRemoved`,
+ * `AddLiquidity`, `RemoveLiquidity`, `LimitOrderExecuted`, `LimitOrderCancelled`, `TriggerUpdated`,
+ * `TriggerExecuted` and `FundingUpdated` events of both exchanges, the `CollateralUpdated` events of the cross
+ * exchange, the `AnswerUpdated` events of the price feeds of the selected pair and of the collaterals (see
+ * `exch-oracle.js`) and the new blocks, so that the swaps (and liquidations) of any account
+ * move the reserves on screen. Only the affected cards are refreshed (the events of the connected account are also
+ * added to the trade history, see `exch-history.js`):
+ *  - `wallet`: wallet balances (every new block, as token transfers are not exchange events)
+ *  - `account`: deposit balance, remaining value and locked value (margin pool in cross mode)
+ *  - `pair`: pair reserves, feed price and funding
+ *  - `liquidity`: liquidity table of the Liquidity page (while it is shown)
+ *  - `portfolio`: the Portfolio page (while it is shown), on the events of the account and the swaps of any pair
+ *  - `orders`: limit orders table (`LimitOrderExecuted` and `LimitOrderCancelled` events of the connected account)
+ *  - mode name (e.g. `CROSS`): positions table of the mode (with the triggers of the connected account)
+ * The cards refreshed together share a batch of reads (see `readContract`).
+ */
+const pendingRefresh = new Set();
+let refreshTimer = null;
+
+async function subscribeEvents() {
+  unsubscribeEvents();
+  for (const mode of Object.values(exchangeModes)) {
+    const exchange = contractInstances[mode.exchangeKey];
+    const onAccountEvent = (account, collateralToken, amount, event) => {
+      if (!isSelectedAccount(account)) return;
+      appendTradeHistory(mode, event.log);
+      scheduleRefresh("portfolio");
+      // Every listed collateral counts in the margin pool (cross mode)
+      if (isSelectedExchange(mode)) scheduleRefresh("account");
+      if (!isSelectedToken(collateralToken, serviceInfo.collateral)) return;
+      // The free deposit balance backs the cross position (margin health)
+      scheduleRefresh(mode.name);
+      if (isSelectedExchange(mode)) scheduleRefresh("wallet", "account");
+    };
+    await exchange.on("Deposit", onAccountEvent);
+    await exchange.on("Withdraw", onAccountEvent);
+    await exchange.on("Swap", (account, tokenA, tokenB, ...args) => {
+      const event = args.at(-1);
+      if (isSelectedAccount(account)) appendTradeHistory(mode, event.log);
+      // The reserves of any pair move the mark value of the account's positions on it
+      scheduleRefresh("portfolio");
+      // The positions of every pair draw on the margin pool (cross mode)
+      if (isSelectedAccount(account) && isSelectedExchange(mode)) scheduleRefresh("account");
+      // NOTE: selling (reduce / close) emits the pair tokens in reverse order
+      const collateral = serviceInfo.collateral;
+      const target = serviceInfo.target;
+      if (!(isSelectedToken(tokenA, collateral) && isSelectedToken(tokenB, target))
+        && !(isSelectedToken(tokenA, target) && isSelectedToken(tokenB, collateral))) return;
+      // The reserves move the worth value (and the mark value) of every position, and the value of the LP shares
+      if (isSelectedExchange(mode)) scheduleRefresh("pair", "account");
+      scheduleRefresh(mode.name, "liquidity");
+    });
+    await exchange.on("Liquidate", (liquidator, account, tokenA, tokenB, ...args) => {
+      const event = args.at(-1);
+      if (isSelectedAccount(account)) appendTradeHistory(mode, event.log);
+      scheduleRefresh("portfolio");
+      // The liquidator reward is credited to the deposit balance
+      if (isSelectedAccount(liquidator) && isSelectedExchange(mode)) scheduleRefresh("account");
+      if (!isSelectedToken(tokenA, serviceInfo.collateral) || !isSelectedToken(tokenB, serviceInfo.target)) return;
+      if (isSelectedExchange(mode)) scheduleRefresh("pair", "account");
+      scheduleRefresh(mode.name, "liquidity");
+    });
+    const onMarginEvent = (account, tokenA, tokenB, posId, amount, event) => {
+      if (!isSelectedAccount(account)) return;
+      appendTradeHistory(mode, event.log);
+      scheduleRefresh("portfolio");
+      // Moving margin changes the deposit balance and the health of the position
+      if (!isSelectedToken(tokenA, serviceInfo.collateral) || !isSelectedToken(tokenB, serviceInfo.target)) return;
+      scheduleRefresh(mode.name);
+      if (isSelectedExchange(mode)) scheduleRefresh("account");
+    };
+    await exchange.on("MarginAdded", onMarginEvent);
+    await exchange.on("MarginRemoved", onMarginEvent);
+    const onLiquidityEvent = (provider, tokenA, tokenB) => {
+      if (isSelectedAccount(provider)) scheduleRefresh("liquidity");
+      scheduleRefresh("portfolio");
+      if (!isSelectedToken(tokenA, serviceInfo.collateral) || !isSelectedToken(tokenB, serviceInfo.target)) return;
+      // Adding or removing liquidity moves the reserves (and the pool share of the account)
+      if (isSelectedExchange(mode)) scheduleRefresh("pair", "account");
+      scheduleRefresh(mode.name, "liquidity");
+    };
+    await exchange.on("AddLiquidity", onLiquidityEvent);
+    await exchange.on("RemoveLiquidity", onLiquidityEvent);
+    const onLimitOrderEvent = (account) => {
+      if (isSelectedAccount(account)) scheduleRefresh("orders");
+    };
+    await exchange.on("LimitOrderExecuted", onLimitOrderEvent);
+    await exchange.on("LimitOrderCancelled", onLimitOrderEvent);
+    // NOTE: an executed trigger closes the position with a `Swap` as well
+    const onTriggerEvent = (account, tokenA, tokenB) => {
+      if (!isSelectedAccount(account)) return;
+      if (!isSelectedToken(tokenA, serviceInfo.collateral) || !isSelectedToken(tokenB, serviceInfo.target)) return;
+      scheduleRefresh(mode.name);
+    };
+    await exchange.on("TriggerUpdated", onTriggerEvent);
+    await exchange.on("TriggerExecuted", onTriggerEvent);
+    await exchange.on("FundingUpdated", (tokenA, tokenB) => {
+      if (!isSelectedToken(tokenA, serviceInfo.collateral) || !isSelectedToken(tokenB, serviceInfo.target)) return;
+      // The cumulative funding index moves the accrued funding (and the health) of every position
+      // NOTE: `FundingSettled` comes along with a `Swap` or a `Liquidate`, which refresh the positions already
+      if (isSelectedExchange(mode)) scheduleRefresh("pair");
+      scheduleRefresh(mode.name);
+    });
+    if (mode.name == "CROSS") {
+      await exchange.on("CollateralUpdated", () => {
+        // A listed collateral (or its new feed and haircut) moves the margin pool of the account
+        serviceInfo.collaterals = null;
+        if (isSelectedExchange(mode)) scheduleRefresh("account");
+      });
+    }
+  }
+  await serviceInfo.provider.on("block", () => scheduleRefresh("wallet"));
+}
+
+function unsubscribeEvents() {
+  for (const mode of Object.values(exchangeModes)) {
+    contractInstances[mode.exchangeKey].removeAllListeners();
+  }
+  unsubscribeFeedEvents();
+  serviceInfo.provider.removeAllListeners("block");
+}
+
+/**
+ * Refresh the given cards once, after the events of the same burst (e.g. the same block) are received.
+ */
+function scheduleRefresh(...cards) {
+  cards.forEach(card => pendingRefresh.add(card));
+  if (refreshTimer) return;
+  refreshTimer = setTimeout(async () => {
+    const cards = [...pendingRefresh];
+    pendingRefresh.clear();
+    try {
+      await withRefreshReads(() => Promise.all(cards.map(card => {
+        if (card == "wallet") return refreshWalletInfo();
+        if (card == "pair") return refreshPairInfo();
+        if (card == "account") return refreshAccountInfo();
+        if (card == "liquidity") return loadLiquidity();
+        if (card == "portfolio") return loadPortfolio();
+        if (card == "orders") return loadLimitOrders();
+        if (exchangeModes[card]) return exchangeModes[card].loadPositions(serviceInfo.positionId);
+      })));
+    } catch (error) {
+      console.error(error);
+    } finally {
+      refreshTimer = null;
+      if (pendingRefresh.size > 0) scheduleRefresh();
+    }
+  }, liveUpdateSettings.debounceTime);
+}
+
+function isSelectedExchange(mode) {
+  return mode.exchangeKey == serviceInfo.exchangeKey;
+}
+
+function isSelectedAccount(address) {
+  return address.toLowerCase() == serviceInfo.account.toLowerCase();
+}
+
+function isSelectedToken(address, symbol) {
+  return address.toLowerCase() == addressList[symbol].toLowerCase();
+}
+
+// ======= Helper functions ======= //
+
+async function checkMetaMask() {
+  if (typeof window.ethereum == "undefined") {
+    alert("MetaMask is not installed. Please install it and try again.");
+    return false;
+  }
+  console.log(`MetaMask = ${ethereum.isMetaMask}`);
+  return true;
+}
+
+async function checkWalletConnected() {
+  if (ethereum.isMetaMask && serviceInfo.account) return true;
+  else {
+    alert("Please connect the wallet first.");
+    return false;
+  }
+}
+
+async function checkDepositBalance(tokenAmount) {
+  const selectedAddress = serviceInfo.account;
+  const collateralSymbol = serviceInfo.collateral;
+  const exchKey = serviceInfo.exchangeKey;
+  if (await contractInstances[exchKey].balances(selectedAddress, addressList[collateralSymbol]) < tokenAmount) {
+    alert("Insufficient balance to swap.");
+    return false;
+  }
+  return true;
+}
+
+function removeDecimals(amount, decimals, precision = 2) {
+  const multipier = (10 ** precision);
+  return Math.floor(Number(ethers.formatUnits(amount, decimals)) * multipier) / multipier;
+}
@@ -0,0 +1,84 @@
+"use strict";
+
+/**
+ * Funding of the pairs (`pokeFunding`, see `sdk/funding.js`): once per funding interval, the keeper accrues the
+ * premium of the AMM price over the feed (index) price to the cumulative funding index of the pair. The positions pay
+ * (long) or receive (short) it on their collateral worth value, which is settled when they are reduced, closed or
+ * liquidated. The Funding Rate card shows the rate of the last funding, the rate at the current prices and the
+ * countdown to the next funding, and the position rows their accrued funding.
+ */
+let fundingCountdownTimer = null;
+
+/**
+ * Load the funding state of the selected pair.
+ * @param {object} mode The position mode strategy (see `exchangeModes`).
+ * @returns {Promise<object>} `{ cumulativeIndex, rate, lastFundingTime, nextFundingTime, nextRate }` (as
+ *  `getFunding` of `sdk/client.js`).
+ */
+async function loadPairFunding(mode) {
+  const tokenA = addressList[serviceInfo.collateral];
+  const tokenB = addressList[serviceInfo.target];
+  const [[cumulativeIndex, rate, lastFundingTime], nextRate] = await Promise.all([
+    readContract(contractInstances[mode.exchangeKey], "pairFunding", tokenA, tokenB),
+    // NOTE: reverts while the feed price is invalid or stale
+    readContract(contractInstances[mode.exchangeKey], "getFundingRate", tokenA, tokenB).catch(() => null)
+  ]);
+  const state = { cumulativeIndex, rate, lastFundingTime };
+  return { ...state, nextFundingTime: LeveragedAMMFunding.getNextFundingTime(state), nextRate };
+}
+
+/**
+ * Get the funding accrued by a position since it was last settled.
+ * @param {{cumulativeFundingIndex?: bigint}} pairReserves The pair state (see `loadPairReserves`).
+ * @param {object} position The position (`collateralWorthValue`, `side`, `fundingIndex`).
+ * @returns {bigint} The funding the position pays (positive) or receives (negative), in token A.
+ */
+function getPositionFunding(pairReserves, position) {
+  if (position.positionValue == 0n) return 0n;
+  return LeveragedAMMFunding.getAccruedFunding(position, pairReserves.cumulativeFundingIndex ?? 0n);
+}
+
+function formatFundingRate(rate) {
+  if (rate === null) return "-";
+  const percent = removeDecimals((rate < 0n ? -rate : rate) * 100n, LeveragedAMMRisk.PRICE_DECIMALS, 4);
+  return `${rate > 0n ? "+" : rate < 0n ? "-" : ""}${percent}%`;
+}
+
+/**
+ * Format the funding accrued by a position: what it pays in red, what it receives in green.
+ * @param {bigint} funding The accrued funding (see `getPositionFunding`).
+ */
+function formatPositionFunding(funding) {
+  const decimals = serviceInfo.collateralDecimals;
+  if (funding == 0n) return "0";
+  if (funding > 0n) return `<span class="text-danger" title="Paid">-${removeDecimals(funding, decimals, 6)}</span>`;
+  return `<span class="text-success" title="Received">+${removeDecimals(-funding, decimals, 6)}</span>`;
+}
+
+/**
+ * Render the funding of the selected pair (on the Funding Rate card), and restart the countdown to its next funding.
+ * @param {object} pairFunding The funding state of the pair (see `loadPairFunding`).
+ */
+function renderPairFunding(pairFunding) {
+  fundingRateText.innerHTML = formatFundingRate(pairFunding.rate);
+  fundingNextRateText.innerHTML = formatFundingRate(pairFunding.nextRate);
+  fundingIntervalText.innerHTML = `${Number(LeveragedAMMFunding.FUNDING_INTERVAL) / 3600}h`;
+  if (fundingCountdownTimer) clearInterval(fundingCountdownTimer);
+  fundingCountdownTimer = null;
+  if (pairFunding.nextFundingTime === null) {
+    fundingCountdownText.innerHTML = "Not started";
+    return;
+  }
+  const renderCountdown = () => {
+    // NOTE: the local clock stands for the block time, the keeper pokes the funding on the first block after it
+    const seconds = Number(pairFunding.nextFundingTime) - Math.floor(Date.now() / 1000);
+    fundingCountdownText.innerHTML = seconds > 0 ? formatCountdown(seconds) : "Due";
+  };
+  renderCountdown();
+  fundingCountdownTimer = setInterval(renderCountdown, 1000);
+}
+
+function formatCountdown(seconds) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds % 3600 / 60))}:${pad(seconds % 60)}`;
+}
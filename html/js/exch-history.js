@@ -0,0 +1,176 @@
+"use strict";
+
+/**
+ * Trade history of the connected account on both exchanges (decoded by `sdk/history.js`), and the PnL derived from it.
+ * It is backfilled from the deployment block when the wallet is connected, then extended by the live events.
+ */
+const tradeHistory = { context: null, records: new Map(), ledger: null, page: 0, pageSize: 10 };
+
+/**
+ * Unrealized PnL of the listed positions (mode name => total), see `getPositionPnl`.
+ */
+const unrealizedPnl = {};
+
+const historyTypeBadges = {
+  DEPOSIT: "bg-primary", WITHDRAW: "bg-secondary", OPEN: "bg-success", REDUCE: "bg-danger", CLOSE: "bg-danger",
+  LIQUIDATE: "bg-dark", ADD_MARGIN: "bg-info", REMOVE_MARGIN: "bg-warning"
+};
+
+async function loadTradeHistory() {
+  try {
+    const tokenDecimals = await Promise.all(
+      deploymentInfo.tokens.map(symbol => readContract(contractInstances[symbol], "decimals"))
+    );
+    const tokens = {};
+    deploymentInfo.tokens.forEach((symbol, i) => {
+      tokens[addressList[symbol].toLowerCase()] = { symbol, decimals: Number(tokenDecimals[i]) };
+    });
+    // NOTE: the context is set before the backfill, so that the events received meanwhile are kept
+    tradeHistory.context = { tokens, pairs: deploymentInfo.tradingPairs };
+    tradeHistory.records.clear();
+    tradeHistory.page = 0;
+
+    const records = await Promise.all(Object.values(exchangeModes).map(mode => LeveragedAMMHistory.fetchHistory(
+      contractInstances[mode.exchangeKey], mode.name, serviceInfo.account, tradeHistory.context,
+      { fromBlock: deploymentInfo.deploymentBlock }
+    )));
+    records.flat().forEach(record => tradeHistory.records.set(record.id, record));
+    tradeHistory.ledger = LeveragedAMMPnl.buildPnlLedger(tradeHistory.records.values());
+    renderTradeHistory();
+    renderPnlSummary();
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+/**
+ * Add the event log of a live event to the history.
+ * @param {object} mode The mode strategy of the exchange which emitted the event.
+ * @param {ethers.EventLog} log The event log.
+ */
+function appendTradeHistory(mode, log) {
+  if (!tradeHistory.context) return;
+  const record = LeveragedAMMHistory.toHistoryRecord(log, mode.name, tradeHistory.context);
+  tradeHistory.records.set(record.id, record);
+  tradeHistory.ledger = LeveragedAMMPnl.buildPnlLedger(tradeHistory.records.values());
+  renderTradeHistory();
+  renderPnlSummary();
+}
+
+function getFilteredHistory() {
+  const records = LeveragedAMMHistory.sortHistory([...tradeHistory.records.values()]);
+  return LeveragedAMMHistory.filterHistory(records, {
+    type: historyTypeSelect.value,
+    mode: historyModeSelect.value,
+    pair: historyPairSwitch.checked ? serviceInfo.pair : ""
+  });
+}
+
+function renderTradeHistory() {
+  if (!tradeHistory.context) return;
+  const records = getFilteredHistory();
+  const decimals = {};
+  Object.values(tradeHistory.context.tokens).forEach(token => decimals[token.symbol] = token.decimals);
+
+  const pageCount = Math.max(1, Math.ceil(records.length / tradeHistory.pageSize));
+  tradeHistory.page = Math.min(Math.max(tradeHistory.page, 0), pageCount - 1);
+  const start = tradeHistory.page * tradeHistory.pageSize;
+
+  const rows = records.slice(start, start + tradeHistory.pageSize).map(record => {
+    const isSwap = record.target !== null;
+    const newRow = document.createElement("tr");
+    newRow.innerHTML = `
+      <th scope="row" title="${record.transactionHash}">${record.blockNumber}</th>
+      <td><span class="badge bg-outline-secondary text-dark">${record.mode}</span></td>
+      <td><h6><span class="badge ${historyTypeBadges[record.type]}">${record.type}</span></h6></td>
+      <td><h6>${record.side ? formatPositionSide(record.side) : "-"}</h6></td>
+      <td><span class="badge bg-primary">${record.pair || record.collateral}</span></td>
+      <td>${removeDecimals(record.collateralAmount, decimals[record.collateral], 6)}</td>
+      <td>${isSwap ? removeDecimals(record.targetAmount, decimals[record.target], 6) : "-"}</td>
+      <td>${isSwap ? `${record.leverage}x` : "-"}</td>
+      <td>${record.price > 0n ? removeDecimals(record.price, LeveragedAMMHistory.PRICE_DECIMALS, 6) : "-"}</td>
+      <td>${isSwap ? removeDecimals(record.fee, decimals[record.collateral], 6) : "-"}</td>
+    `;
+    return newRow;
+  });
+  if (rows.length == 0) {
+    const emptyRow = document.createElement("tr");
+    emptyRow.innerHTML = `<td colspan="10">No history</td>`;
+    rows.push(emptyRow);
+  }
+  historyTableBody.replaceChildren(...rows);
+  historyPageText.innerHTML = `${tradeHistory.page + 1} / ${pageCount}`;
+  historyPrevButton.disabled = tradeHistory.page == 0;
+  historyNextButton.disabled = tradeHistory.page >= pageCount - 1;
+}
+
+function changeTradeHistoryPage(step) {
+  tradeHistory.page += step;
+  renderTradeHistory();
+}
+
+/**
+ * Download the filtered history (all the pages) as a CSV file.
+ */
+function exportTradeHistory() {
+  if (!tradeHistory.context) {
+    alert("Please connect the wallet first.");
+    return;
+  }
+  const csv = LeveragedAMMHistory.toCsv(getFilteredHistory(), tradeHistory.context);
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([csv], { type: "text/csv" }));
+  link.download = `trade-history-${serviceInfo.account}.csv`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+
+// ======= PnL of the positions ======= //
+/**
+ * The mark value of a position is the collateral returned by selling it (or buying it back, for a short) now
+ * (`getPositionReturn`), and its cost basis / the realized PnL are reconstructed from the trade history (see
+ * `sdk/pnl.js`).
+ */
+
+/**
+ * Get the unrealized PnL of a position of the selected pair.
+ * @param {object} mode The mode strategy of the position.
+ * @param {object} position The position (`collateralAmount`, `positionValue`, `leverage`, `id`, `side`).
+ * @returns {Promise<object>} The mark value, and the unrealized PnL: `{ markValue, pnl, percent }`.
+ */
+async function getPositionPnl(mode, position) {
+  // NOTE: `getPositionReturn` reverts with `PositionNotFound` for the empty cross position
+  const markValue = position.positionValue == 0n ? 0n : await readContract(
+    contractInstances[mode.exchangeKey], "getPositionReturn",
+    serviceInfo.account,
+    addressList[serviceInfo.collateral],
+    addressList[serviceInfo.target],
+    mode.name == "CROSS" ? 0n : position.id,
+    position.positionValue
+  );
+  const ledger = tradeHistory.ledger || LeveragedAMMPnl.buildPnlLedger([]);
+  const costBasis = LeveragedAMMPnl.getCostBasis(ledger, mode.name, serviceInfo.pair, position);
+  return { markValue, ...LeveragedAMMPnl.getUnrealizedPnl(markValue, costBasis) };
+}
+
+function renderPnlSummary() {
+  const collateralSymbol = serviceInfo.collateral;
+  const collateralDecimals = serviceInfo.collateralDecimals;
+  const unrealized = Object.values(unrealizedPnl).reduce((total, pnl) => total + pnl, 0n);
+  const realized = tradeHistory.ledger?.realized[collateralSymbol] || 0n;
+  unrealizedPnlText.innerHTML = formatPnl(unrealized, collateralDecimals);
+  realizedPnlText.innerHTML = formatPnl(realized, collateralDecimals);
+  pnlUnitText.innerHTML = ` <i class="bi bi-coin me-1"></i> ${collateralSymbol} `;
+}
+
+/**
+ * Format a PnL amount (and percent), colored by its sign.
+ */
+function formatPnl(pnl, decimals, percent = null) {
+  const sign = pnl < 0n ? "-" : "+";
+  const color = pnl < 0n ? "text-danger" : "text-success";
+  const amount = removeDecimals(pnl < 0n ? -pnl : pnl, decimals, 6);
+  const percentText = percent === null ? "" : ` (${sign}${Math.abs(percent).toFixed(2)}%)`;
+  return `<span class="${color}">${sign}$${amount}${percentText}</span>`;
+}
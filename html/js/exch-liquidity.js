@@ -0,0 +1,210 @@
+"use strict";
+
+/**
+ * Liquidity provided by the connected account to the pairs of both exchanges: the LP shares minted by `createPair`
+ * and `addReserves`, and burnt by `removeReserves` for their share of the tokens the pair really holds.
+ * The Liquidity page lists every pair of the deployment, and its form acts on the selected pair and exchange.
+ */
+
+function isLiquidityPageShown() {
+  return !liquidityPage.classList.contains("d-none");
+}
+
+/**
+ * Get the liquidity provided by the account to a pair.
+ * @param {ethers.Contract} exchange The exchange contract.
+ * @param {string} tokenA The symbol of token A (collateral).
+ * @param {string} tokenB The symbol of token B (target).
+ * @returns {Promise<object>} `{ shares, totalShares, depositedA, depositedB, amountA, amountB, reserveA, reserveB }`.
+ */
+async function getProvidedLiquidity(exchange, tokenA, tokenB) {
+  const addressA = addressList[tokenA];
+  const addressB = addressList[tokenB];
+  const [liquidity, totalShares, withdrawable, pair] = await Promise.all([
+    readContract(exchange, "liquidity", addressA, addressB, serviceInfo.account),
+    readContract(exchange, "totalShares", addressA, addressB),
+    readContract(exchange, "getLiquidityValue", serviceInfo.account, addressA, addressB),
+    readContract(exchange, "pairs", addressA, addressB)
+  ]);
+  const [shares, depositedA, depositedB] = liquidity;
+  const [amountA, amountB] = withdrawable;
+  const [, reserveA, reserveB] = pair;
+  return { shares, totalShares, depositedA, depositedB, amountA, amountB, reserveA, reserveB };
+}
+
+/**
+ * Render the liquidity of the account on every pair (the pairs without shares are skipped).
+ */
+async function loadLiquidity() {
+  if (!isLiquidityPageShown()) return;
+  const decimals = {};
+  await Promise.all(deploymentInfo.tokens.map(async symbol => {
+    decimals[symbol] = Number(await readContract(contractInstances[symbol], "decimals"));
+  }));
+
+  const entries = await Promise.all(deploymentInfo.pairs.map(async pair => ({
+    pair,
+    mode: Object.values(exchangeModes).find(mode => mode.exchangeKey == pair.exchange),
+    liquidity: await getProvidedLiquidity(contractInstances[pair.exchange], pair.tokenA, pair.tokenB)
+  })));
+
+  const rows = entries.filter(({ liquidity }) => liquidity.shares > 0n).map(({ pair, mode, liquidity }) => {
+    const { tokenA, tokenB } = pair;
+    // NOTE: the shares are `sqrt(amountA * amountB)`, so they have the mean decimals of the pair tokens
+    const shareDecimals = Math.floor((decimals[tokenA] + decimals[tokenB]) / 2);
+    const poolShare = Number(liquidity.shares * 1000000n / liquidity.totalShares) / 10000;
+    const value = liquidity.amountA + liquidity.amountB * liquidity.reserveA / liquidity.reserveB;
+    const newRow = document.createElement("tr");
+    newRow.innerHTML = `
+      <td><span class="badge bg-outline-secondary text-dark">${mode.name}</span></td>
+      <td><span class="badge bg-primary">${tokenB}/${tokenA}</span></td>
+      <td>${poolShare}%</td>
+      <td>${removeDecimals(liquidity.shares, shareDecimals, 6)}</td>
+      <td>${removeDecimals(liquidity.depositedA, decimals[tokenA], 4)} ${tokenA}
+        <br>${removeDecimals(liquidity.depositedB, decimals[tokenB], 4)} ${tokenB}</td>
+      <td>${removeDecimals(liquidity.amountA, decimals[tokenA], 4)} ${tokenA}
+        <br>${removeDecimals(liquidity.amountB, decimals[tokenB], 4)} ${tokenB}</td>
+      <td>$${removeDecimals(value, decimals[tokenA], 2)}</td>
+    `;
+    return newRow;
+  });
+  if (rows.length == 0) {
+    const emptyRow = document.createElement("tr");
+    emptyRow.innerHTML = `<td colspan="7">No liquidity</td>`;
+    rows.push(emptyRow);
+  }
+  liquidityTableBody.replaceChildren(...rows);
+}
+
+function renderLiquidityForm() {
+  const pairSymbol = `${serviceInfo.target}/${serviceInfo.collateral}`;
+  liquidityPairText.innerHTML = ` <i class="bi bi-currency-exchange me-1"></i> ${pairSymbol} `;
+  liquidityTokenAText.innerHTML = serviceInfo.collateral;
+  liquidityTokenBText.innerHTML = serviceInfo.target;
+  liquidityAmountA.value = "";
+  liquidityAmountB.value = "";
+  liquidityQuoteText.innerHTML = "";
+}
+
+/**
+ * Fill the amount of the other token at the reserves ratio of the selected pair (as `addReserves` mints the shares
+ * of the smaller ratio, any excess is donated to the pair).
+ * @param {boolean} fromB Whether the amount of token B was entered.
+ */
+function quoteLiquidityAmounts(fromB) {
+  const reserves = serviceInfo.pairReserves;
+  const input = fromB ? liquidityAmountB : liquidityAmountA;
+  const output = fromB ? liquidityAmountA : liquidityAmountB;
+  liquidityQuoteText.innerHTML = "";
+  if (!reserves || reserves.reserveA == 0n || reserves.reserveB == 0n) return;
+  try {
+    const [inputDecimals, outputDecimals] = fromB
+      ? [serviceInfo.targetDecimals, serviceInfo.collateralDecimals]
+      : [serviceInfo.collateralDecimals, serviceInfo.targetDecimals];
+    const amount = ethers.parseUnits(input.value, inputDecimals);
+    const [inputReserve, outputReserve] = fromB
+      ? [reserves.reserveB, reserves.reserveA] : [reserves.reserveA, reserves.reserveB];
+    // NOTE: rounded up, so that the entered amount sets the minted shares
+    const outputAmount = (amount * outputReserve + inputReserve - 1n) / inputReserve;
+    output.value = ethers.formatUnits(outputAmount, outputDecimals);
+  } catch (error) {
+    output.value = "";
+    return;
+  }
+  const quote = quoteLiquidityShares();
+  if (quote) liquidityQuoteText.innerHTML = `Pool share after adding: ${quote.poolShare}%`;
+}
+
+/**
+ * Get the LP shares minted for the entered amounts (mirrors `addReserves`).
+ * @returns {{shares: bigint, poolShare: number}|null} The shares and the pool share after adding, or null.
+ */
+function quoteLiquidityShares() {
+  const reserves = serviceInfo.pairReserves;
+  if (!reserves || !serviceInfo.totalShares) return null;
+  const amountA = ethers.parseUnits(liquidityAmountA.value, serviceInfo.collateralDecimals);
+  const amountB = ethers.parseUnits(liquidityAmountB.value, serviceInfo.targetDecimals);
+  const sharesA = amountA * serviceInfo.totalShares / reserves.reserveA;
+  const sharesB = amountB * serviceInfo.totalShares / reserves.reserveB;
+  const shares = sharesA < sharesB ? sharesA : sharesB;
+  const totalShares = serviceInfo.totalShares + shares;
+  const poolShare = Number((serviceInfo.accountShares + shares) * 1000000n / totalShares) / 10000;
+  return { shares, poolShare };
+}
+
+async function addLiquidity() {
+  try {
+    if (!await checkWalletConnected()) return;
+    const exchKey = serviceInfo.exchangeKey;
+    const tokenA = serviceInfo.collateral;
+    const tokenB = serviceInfo.target;
+    if (!liquidityAmountA.value || !liquidityAmountB.value) {
+      alert("Please enter the amounts of both tokens to add.");
+      return;
+    }
+
+    const amountA = ethers.parseUnits(liquidityAmountA.value, serviceInfo.collateralDecimals);
+    const amountB = ethers.parseUnits(liquidityAmountB.value, serviceInfo.targetDecimals);
+    const quote = quoteLiquidityShares();
+    if (quote && quote.shares == 0n) {
+      alert("The amounts are too small to mint LP shares.");
+      return;
+    }
+    if (quote && !confirm(`Add ${liquidityAmountA.value} ${tokenA} and ${liquidityAmountB.value} ${tokenB}`
+      + ` for a pool share of ${quote.poolShare}%?`)) return;
+
+    for (const [symbol, amount] of [[tokenA, amountA], [tokenB, amountB]]) {
+      const tx = await contractInstances[symbol].approve(addressList[exchKey], amount, txSettings);
+      await tx.wait();
+    }
+    const tx = await contractInstances[exchKey].addReserves(
+      addressList[tokenA],
+      addressList[tokenB],
+      amountA,
+      amountB,
+      txSettings
+    );
+    await tx.wait();
+
+    renderLiquidityForm();
+    await refreshData();
+  } catch (error) {
+    alert("Request Failed. Please check whether the fields are correct.");
+    console.error(error);
+  }
+}
+
+async function removeLiquidity() {
+  try {
+    if (!await checkWalletConnected()) return;
+    const exchKey = serviceInfo.exchangeKey;
+    const tokenA = serviceInfo.collateral;
+    const tokenB = serviceInfo.target;
+    const liquidity = await getProvidedLiquidity(contractInstances[exchKey], tokenA, tokenB);
+    const shares = liquidity.shares * BigInt(removeLiquidityPercent.value) / 100n;
+    if (shares == 0n) {
+      alert("No liquidity to remove from this pair.");
+      return;
+    }
+
+    // NOTE: the shares are paid from the real tokens of the pair (`getLiquidityValue`), not from the reserves
+    const amountA = liquidity.amountA * shares / liquidity.shares;
+    const amountB = liquidity.amountB * shares / liquidity.shares;
+    if (!confirm(`Remove ${removeLiquidityPercent.value}% of the shares for`
+      + ` ${removeDecimals(amountA, serviceInfo.collateralDecimals, 4)} ${tokenA}`
+      + ` and ${removeDecimals(amountB, serviceInfo.targetDecimals, 4)} ${tokenB}?`)) return;
+
+    const tx = await contractInstances[exchKey].removeReserves(
+      addressList[tokenA],
+      addressList[tokenB],
+      shares,
+      txSettings
+    );
+    await tx.wait();
+
+    await refreshData();
+  } catch (error) {
+    alert("Request Failed. Please check whether the fields are correct.");
+    console.error(error);
+  }
+}
@@ -0,0 +1,188 @@
+"use strict";
+
+/**
+ * Adjust margin dialog of the positions: add margin from the deposit balance (up to the debt of the position), or
+ * remove the added margin back to it, as long as the margin ratio stays above the maintenance margin (see
+ * `LeveragedAMMRisk.getRemovableMargin`). The resulting leverage and health are shown before submission.
+ */
+const marginDialog = {
+  mode: null,
+  posId: 0n,
+  position: null,
+  pairReserves: null,
+  balance: 0n,
+  freeCollateral: 0n
+};
+
+/**
+ * Open the dialog for a position of the selected pair.
+ * @param {object} mode The position mode strategy (see `exchangeModes`).
+ * @param {bigint} posId The ID of the isolated position (0 for the cross position).
+ */
+async function openMarginDialog(mode, posId) {
+  try {
+    if (!await checkWalletConnected()) return;
+    const exchKey = mode.exchangeKey;
+    const tokenA = addressList[serviceInfo.collateral];
+    const cross = mode.name == "CROSS";
+    // NOTE: reverts with `PositionNotFound` for an unknown (or closed) isolated position ID
+    const [position, pairReserves, balance, freeCollateral] = await withRefreshReads(() => Promise.all([
+      mode.loadPosition(posId),
+      loadPairReserves(mode),
+      readContract(contractInstances[exchKey], "balances", serviceInfo.account, tokenA),
+      // NOTE: the margin pool of the account backs the cross position (see `getFreeCollateral`)
+      cross ? readContract(contractInstances[exchKey], "getFreeCollateral", serviceInfo.account, tokenA) : 0n
+    ]));
+    if (position.positionValue == 0n) {
+      alert("There is no open position to adjust.");
+      return;
+    }
+    Object.assign(marginDialog, {
+      mode: mode,
+      posId: posId,
+      position: position,
+      pairReserves: pairReserves,
+      balance: balance,
+      freeCollateral: freeCollateral
+    });
+
+    marginPositionText.innerHTML = `${mode.name == "CROSS" ? "CROSS" : `ISOLATED #${posId}`} `
+      + formatPositionSide(LeveragedAMMHistory.SIDES[position.side]);
+    marginTokenText.innerHTML = serviceInfo.collateral;
+    marginAmount.value = "";
+    renderMarginPreview();
+    bootstrap.Modal.getOrCreateInstance(marginModal).show();
+  } catch (error) {
+    alert("Failed to load the position.");
+    console.error(error);
+  }
+}
+
+function getMarginAction() {
+  return document.querySelector("input[name='margin-action']:checked").value;
+}
+
+/**
+ * Get the maximum amount of the chosen action: the deposit balance up to the borrowed amount of the position
+ * (`collateralWorthValue - collateralAmount`, on both sides) to add, or the removable margin to remove.
+ * @returns {bigint} The maximum amount (token A).
+ */
+function getMaxMarginAmount() {
+  const { mode, position, pairReserves, balance, freeCollateral } = marginDialog;
+  if (getMarginAction() == "ADD") {
+    const debt = position.collateralWorthValue - position.collateralAmount;
+    return balance < debt ? balance : debt;
+  }
+  const cross = mode.name == "CROSS";
+  return LeveragedAMMRisk.getRemovableMargin(pairReserves, position, {
+    freeCollateral: cross ? freeCollateral : 0n,
+    cross: cross,
+    oraclePrice: pairReserves.oraclePrice,
+    funding: getPositionFunding(pairReserves, position),
+    decimalsA: serviceInfo.collateralDecimals,
+    decimalsB: serviceInfo.targetDecimals
+  });
+}
+
+/**
+ * Get the position (and the free collateral) after the entered adjustment.
+ * @returns {object|null} The adjusted `position` and `freeCollateral`, the `amount` and its `maxAmount`, or null
+ *  if the amount is not a number.
+ */
+function getMarginAdjustment() {
+  const { position, freeCollateral } = marginDialog;
+  const maxAmount = getMaxMarginAmount();
+  let amount;
+  try {
+    amount = ethers.parseUnits(marginAmount.value || "0", serviceInfo.collateralDecimals);
+  } catch {
+    return null;
+  }
+  const delta = getMarginAction() == "ADD" ? amount : -amount;
+  return {
+    amount: amount,
+    maxAmount: maxAmount,
+    position: { ...position, collateralAmount: position.collateralAmount + delta },
+    freeCollateral: freeCollateral - delta
+  };
+}
+
+function renderMarginPreview() {
+  if (!marginDialog.position) return;
+  const collateralDecimals = serviceInfo.collateralDecimals;
+  const adjustment = getMarginAdjustment();
+  const maxAmount = getMaxMarginAmount();
+  marginMaxText.innerHTML = `Max: ${ethers.formatUnits(maxAmount, collateralDecimals)} ${serviceInfo.collateral}`;
+  const valid = adjustment != null && adjustment.amount > 0n && adjustment.amount <= maxAmount;
+  marginSubmitButton.disabled = !valid;
+  if (!adjustment || adjustment.amount > maxAmount) {
+    marginPreviewText.innerHTML = `<span class="text-danger">Please enter an amount up to the max.</span>`;
+    return;
+  }
+
+  // The free collateral backs the cross position (margin health)
+  const cross = marginDialog.mode.name == "CROSS";
+  const before = marginDialog.position;
+  const after = adjustment.position;
+  const riskBefore = getPositionRisk(marginDialog.pairReserves, before, cross ? marginDialog.freeCollateral : 0n);
+  const riskAfter = getPositionRisk(marginDialog.pairReserves, after, cross ? adjustment.freeCollateral : 0n);
+  marginPreviewText.innerHTML = `
+    <table class="table table-sm mb-0">
+      <tr><th></th><th>Current</th><th>After</th></tr>
+      <tr>
+        <td>Margin</td>
+        <td>${removeDecimals(before.collateralAmount, collateralDecimals, 6)}</td>
+        <td>${removeDecimals(after.collateralAmount, collateralDecimals, 6)}</td>
+      </tr>
+      <tr>
+        <td>Leverage</td>
+        <td>${LeveragedAMMRisk.getEffectiveLeverage(before)}x</td>
+        <td>${LeveragedAMMRisk.getEffectiveLeverage(after)}x</td>
+      </tr>
+      <tr><td>Health</td><td>${formatHealth(riskBefore)}</td><td>${formatHealth(riskAfter)}</td></tr>
+      <tr>
+        <td>Liq. Price</td>
+        <td>${formatLiquidationPrice(riskBefore)}</td>
+        <td>${formatLiquidationPrice(riskAfter)}</td>
+      </tr>
+    </table>
+  `;
+}
+
+function fillMaxMarginAmount() {
+  if (!marginDialog.position) return;
+  marginAmount.value = ethers.formatUnits(getMaxMarginAmount(), serviceInfo.collateralDecimals);
+  renderMarginPreview();
+}
+
+async function submitMarginAdjustment() {
+  try {
+    if (!await checkWalletConnected()) return;
+    const adjustment = getMarginAdjustment();
+    if (!adjustment || adjustment.amount == 0n || adjustment.amount > adjustment.maxAmount) {
+      alert("Please enter an amount up to the max.");
+      return;
+    }
+    const { mode, posId } = marginDialog;
+    const exchange = contractInstances[mode.exchangeKey];
+    const adjust = getMarginAction() == "ADD" ? exchange.addMargin : exchange.removeMargin;
+    marginSubmitButton.disabled = true;
+    // NOTE: removing reverts with `InsufficientMargin` if the price moved against the position meanwhile
+    const tx = await adjust(
+      addressList[serviceInfo.collateral],
+      addressList[serviceInfo.target],
+      posId,
+      adjustment.amount,
+      txSettings
+    );
+    await tx.wait();
+
+    bootstrap.Modal.getOrCreateInstance(marginModal).hide();
+    await refreshData();
+  } catch (error) {
+    alert("Request Failed. Please check whether the fields are correct.");
+    console.error(error);
+  } finally {
+    marginSubmitButton.disabled = false;
+  }
+}
@@ -0,0 +1,134 @@
+"use strict";
+
+/**
+ * Cross margin mode strategy (`EXCH_CROSS`).
+ * `OPEN`: buy (long) or sell (short) tokens with the max leverage, `REDUCE`: sell (or buy back) tokens (part of or
+ * all). The cross position of a pair has a single side.
+ */
+exchangeModes.CROSS = {
+  name: "CROSS",
+  exchangeKey: "EXCH_CROSS",
+  abiKey: "exchangeCross",
+  positionMode: "0",
+
+  async buildSwapOrder({ tokenAmount, positionSide }) {
+    const collateralDecimals = serviceInfo.collateralDecimals;
+    const targetDecimals = serviceInfo.targetDecimals;
+    const reducePosition = reducePositionSwitch.checked;
+
+    // Check if the input amount and leverage is valid
+    const positionLeverage = serviceInfo.maxLeverage;
+    if (!tokenAmount) {
+      alert("Please enter swap token amount.");
+      return null;
+    }
+    if (!reducePosition) {
+      // Check if the input amount is greater than the deposit balance
+      tokenAmount = ethers.parseUnits(tokenAmount, collateralDecimals);
+      if (!await checkDepositBalance(tokenAmount)) return null;
+      // NOTE: the swap reverts with `InvalidPositionSide` while the position is open on the other side
+      const { positionValue, side } = await this.loadPosition();
+      if (positionValue > 0n && side != positionSide) {
+        alert(`The cross position is ${LeveragedAMMHistory.SIDES[side]}. Please reduce it to zero first.`);
+        return null;
+      }
+    } else {
+      // Check if the input amount is greater than the position value
+      tokenAmount = ethers.parseUnits(tokenAmount, targetDecimals);
+      const { positionValue, side } = await this.loadPosition();
+      positionSide = side;
+      if (tokenAmount > positionValue) {
+        alert(
+          `
+        Input amount is greater than the position value.
+        (may be precision issue with manually pasting max amount)`
+        );
+        return null;
+      }
+      tokenAmount -= serviceInfo.decimalDiff;
+    }
+
+    return { amount: tokenAmount, leverage: positionLeverage, side: positionSide, reducePosition: reducePosition };
+  },
+
+  /**
+   * Load the cross position of the selected pair (empty if not open).
+   * @returns {Promise<object>} The position (see `toPositionObject`).
+   */
+  async loadPosition() {
+    const exchange = contractInstances[this.exchangeKey];
+    const positionId = await readContract(exchange, "getPositionId",
+      addressList[serviceInfo.collateral], addressList[serviceInfo.target]
+    );
+    return toPositionObject(await readContract(exchange, "positionCross", serviceInfo.account, positionId));
+  },
+
+  async loadPositions(positionId) {
+    await loadPositionCross(positionId);
+  },
+
+  resetSwapForm() {
+    reducePositionSwitch.disabled = false;
+    reducePositionSwitch.checked = false;
+    lockForCrossMode();
+  }
+};
+
+async function loadPositionCross(positionId) {
+  const selectedAddress = serviceInfo.account;
+  const collateralDecimals = serviceInfo.collateralDecimals;
+  const targetDecimals = serviceInfo.targetDecimals;
+  const exchKey = exchangeModes.CROSS.exchangeKey;
+  showTableSpinners(crossPositionsTableBody);
+
+  const [result, pairReserves, freeCollateral] = await Promise.all([
+    readContract(contractInstances[exchKey], "positionCross", selectedAddress, positionId),
+    loadPairReserves(exchangeModes.CROSS),
+    readContract(contractInstances[exchKey], "getFreeCollateral", selectedAddress, addressList[serviceInfo.collateral])
+  ]);
+  const [tradingPairSymbol] = result;
+  const position = toPositionObject(result);
+  const { collateralAmount, collateralWorthValue, positionValue, leverage, side } = position;
+  serviceInfo.positionCross = position;
+  const [{ markValue, pnl, percent }, positionTrigger] = await Promise.all([
+    getPositionPnl(exchangeModes.CROSS, position),
+    positionValue == 0n ? null : loadPositionTrigger(exchangeModes.CROSS, 0n, position, pairReserves)
+  ]);
+  const risk = getPositionRisk(pairReserves, position, freeCollateral);
+
+  const newRow = document.createElement("tr");
+  newRow.innerHTML = `
+    <th scope="row"><h6><span class="badge bg-secondary">0</span></h5></th>
+    <td><span class="badge bg-primary">${tradingPairSymbol}</span></td>
+    <td><h6>${positionValue == 0n ? "-" : formatPositionSide(LeveragedAMMHistory.SIDES[side])}</h6></td>
+    <td>${removeDecimals(collateralAmount, collateralDecimals, 15)}</td>
+    <td>${removeDecimals(collateralWorthValue, collateralDecimals, 15)}</td>
+    <td>${removeDecimals(positionValue, targetDecimals, 15)}</td>
+    <td>${removeDecimals(markValue, collateralDecimals, 15)}</td>
+    <td>${formatPnl(pnl, collateralDecimals, percent)}</td>
+    <td>${formatPositionFunding(getPositionFunding(pairReserves, position))}</td>
+    <td>${formatLiquidationPrice(risk)}</td>
+    <td><h6>${formatHealth(risk)}</h6></td>
+    <td><h6><span class="badge bg-danger">${leverage}x</span></h6></td>
+    <td><h6><span class="badge bg-success">Open</span></h6></td>
+    <td>
+      <button type="button" class="btn btn-sm btn-outline-primary adjust-margin-btn"
+        ${positionValue == 0n ? "disabled" : ""}>Adjust</button>
+    </td>
+    <td class="text-nowrap">
+      <h6 class="d-inline">${formatTriggerStatus(positionTrigger)}</h6>
+      <button type="button" class="btn btn-sm btn-outline-primary edit-trigger-btn"
+        ${positionValue == 0n ? "disabled" : ""}>Edit</button>
+    </td>
+  `;
+  newRow.querySelector(".adjust-margin-btn").addEventListener("click", async () => {
+    await openMarginDialog(exchangeModes.CROSS, 0n);
+  });
+  newRow.querySelector(".edit-trigger-btn").addEventListener("click", async () => {
+    await openTriggerDialog(exchangeModes.CROSS, 0n);
+  });
+  crossPositionsTableBody.replaceChildren(newRow);
+  unrealizedPnl.CROSS = pnl;
+  renderPnlSummary();
+  renderCrossHealth(risk);
+}
@@ -0,0 +1,197 @@
+"use strict";
+
+/**
+ * Isolated margin mode strategy (`EXCH_ISOLATED`).
+ * `OPEN`: buy (long) or sell (short) tokens with the chosen leverage, `CLOSE`: sell (or buy back) tokens in a specific
+ * single swap (part of or all).
+ */
+exchangeModes.ISOLATED = {
+  name: "ISOLATED",
+  exchangeKey: "EXCH_ISOLATED",
+  abiKey: "exchangeIsolated",
+  positionMode: "1",
+
+  async buildSwapOrder({ tokenAmount, positionLeverage, positionSide }) {
+    const collateralDecimals = serviceInfo.collateralDecimals;
+    const closePosition = closePositionSwitch.checked;
+    let closePositionId = closePositionIdText.value;
+
+    if (!closePosition) {
+      // Check if the input amount is greater than the deposit balance
+      closePositionId = 0; // NOTE: no pos ID
+      tokenAmount = ethers.parseUnits(tokenAmount, collateralDecimals);
+      if (!await checkDepositBalance(tokenAmount)) return null;
+    } else {
+      // Check if the input position ID is valid
+      if (!closePositionId || isNaN(closePositionId)) {
+        alert("Please enter close position ID.");
+        return null;
+      }
+      // Load position value, leverage and side, and close the entered amount of target tokens (all by default)
+      const position = await this.loadPosition(closePositionId).catch(() => null);
+      if (!position) {
+        alert(`There is no open position with ID ${closePositionId}.`);
+        return null;
+      }
+      const targetDecimals = serviceInfo.targetDecimals;
+      const { positionValue, leverage, side } = position;
+      positionLeverage = leverage;
+      positionSide = side;
+      tokenAmount = tokenAmount ? ethers.parseUnits(tokenAmount, targetDecimals) : positionValue;
+      if (tokenAmount == 0n || tokenAmount > positionValue) {
+        const maxAmount = ethers.formatUnits(positionValue, targetDecimals);
+        alert(`Please enter an amount up to the position value (${maxAmount}).`);
+        return null;
+      }
+    }
+
+    return {
+      amount: tokenAmount,
+      leverage: positionLeverage,
+      side: positionSide,
+      closePosition: closePosition,
+      closePosId: closePositionId
+    };
+  },
+
+  /**
+   * Load an isolated position of the selected pair.
+   * NOTE: reverts with `PositionNotFound` for an unknown (or closed) position ID
+   * @param {bigint|string} posId The ID of the position.
+   * @returns {Promise<object>} The position (see `toPositionObject`).
+   */
+  async loadPosition(posId) {
+    return toPositionObject(await readContract(contractInstances[this.exchangeKey], "getPositionIsolatedById",
+      serviceInfo.account, addressList[serviceInfo.collateral], addressList[serviceInfo.target], posId
+    ));
+  },
+
+  async loadPositions(positionId) {
+    await loadPositionsIsolated(positionId);
+  },
+
+  resetSwapForm() {
+    closePositionIdText.disabled = true;
+    closePositionSwitch.disabled = false;
+    closePositionSwitch.checked = false;
+    lockForIsolatedMode(false);
+  }
+};
+
+/**
+ * The percent of each isolated position (by ID) chosen on its close slider, kept across the live reloads.
+ */
+const closePercents = {};
+
+async function loadPositionsIsolated(positionId) {
+  const selectedAddress = serviceInfo.account;
+  const collateralSymbol = serviceInfo.collateral;
+  const collateralDecimals = serviceInfo.collateralDecimals;
+  const targetSymbol = serviceInfo.target;
+  const targetDecimals = serviceInfo.targetDecimals;
+  const exchKey = exchangeModes.ISOLATED.exchangeKey;
+
+  const [isolatedPositionsLength, pairReserves] = await Promise.all([
+    readContract(contractInstances[exchKey], "getPositionsIsolatedLength",
+      selectedAddress, addressList[collateralSymbol], addressList[targetSymbol]
+    ),
+    loadPairReserves(exchangeModes.ISOLATED)
+  ]);
+  showTableSpinners(isolatedPositionsTableBody);
+
+  // NOTE: the positions are read together, then their PnL and triggers, so that the reads of the table take two
+  //  batches whatever the number of positions (see `readContract`)
+  const results = await Promise.all(Array.from({ length: Number(isolatedPositionsLength) }, (_, i) => {
+    return readContract(contractInstances[exchKey], "positionsIsolated", selectedAddress, positionId, i);
+  }));
+  const rows = await Promise.all(results.map(async result => {
+    const [tradingPairSymbol, , , , , , openedAt] = result;
+    const position = toPositionObject(result);
+    const { collateralAmount, collateralWorthValue, positionValue, leverage, id, side } = position;
+    const [{ markValue, pnl, percent }, positionTrigger] = await Promise.all([
+      getPositionPnl(exchangeModes.ISOLATED, position),
+      loadPositionTrigger(exchangeModes.ISOLATED, id, position, pairReserves)
+    ]);
+    const risk = getPositionRisk(pairReserves, position);
+
+    const newRow = document.createElement("tr");
+    newRow.innerHTML = `
+      <th scope="row"><h6><span class="badge bg-secondary">${id}</span><h5></th>
+      <td><span class="badge bg-primary">${tradingPairSymbol}</span></td>
+      <td><h6>${formatPositionSide(LeveragedAMMHistory.SIDES[side])}</h6></td>
+      <td class="text-nowrap">${new Date(Number(openedAt) * 1000).toLocaleString()}</td>
+      <td>${removeDecimals(collateralAmount, collateralDecimals, 15)}</td>
+      <td>${removeDecimals(collateralWorthValue, collateralDecimals, 15)}</td>
+      <td>${removeDecimals(positionValue, targetDecimals, 15)}</td>
+      <td>${removeDecimals(markValue, collateralDecimals, 15)}</td>
+      <td>${formatPnl(pnl, collateralDecimals, percent)}</td>
+      <td>${formatPositionFunding(getPositionFunding(pairReserves, position))}</td>
+      <td>${formatLiquidationPrice(risk)}</td>
+      <td><h6>${formatHealth(risk)}</h6></td>
+      <td><h6><span class="badge bg-danger">${leverage}x</span></h6></td>
+      <td><h6><span class="badge bg-success">Open</span></h6></td>
+      <td>
+        <button type="button" class="btn btn-sm btn-outline-primary adjust-margin-btn">Adjust</button>
+      </td>
+      <td class="text-nowrap">
+        <h6 class="d-inline">${formatTriggerStatus(positionTrigger)}</h6>
+        <button type="button" class="btn btn-sm btn-outline-primary edit-trigger-btn">Edit</button>
+      </td>
+      <td class="text-nowrap">
+        <input type="range" class="form-range close-percent-range" min="25" max="100" step="25"
+          value="${closePercents[id] ?? 100}" style="width: 5rem">
+        <button type="button" class="btn btn-sm btn-outline-danger close-position-btn">
+          Close <span class="close-percent-text">${closePercents[id] ?? 100}</span>%
+        </button>
+      </td>
+    `;
+    const range = newRow.querySelector(".close-percent-range");
+    range.addEventListener("input", () => {
+      closePercents[id] = Number(range.value);
+      newRow.querySelector(".close-percent-text").innerHTML = range.value;
+    });
+    newRow.querySelector(".adjust-margin-btn").addEventListener("click", async () => {
+      await openMarginDialog(exchangeModes.ISOLATED, id);
+    });
+    newRow.querySelector(".edit-trigger-btn").addEventListener("click", async () => {
+      await openTriggerDialog(exchangeModes.ISOLATED, id);
+    });
+    newRow.querySelector(".close-position-btn").addEventListener("click", async () => {
+      await closePositionIsolated(id, closePercents[id] ?? 100);
+    });
+    return { row: newRow, pnl };
+  }));
+  // NOTE: the rows are replaced at once, so that the live updates do not flicker the table
+  isolatedPositionsTableBody.replaceChildren(...rows.map(({ row }) => row));
+  unrealizedPnl.ISOLATED = rows.reduce((total, { pnl }) => total + pnl, 0n);
+  renderPnlSummary();
+}
+
+/**
+ * Close a part of an isolated position from its row (the remaining position keeps its ID).
+ * @param {bigint} posId The ID of the position.
+ * @param {number} percent The percent of the position value to sell (25, 50, 75 or 100).
+ */
+async function closePositionIsolated(posId, percent) {
+  try {
+    if (!await checkWalletConnected()) return;
+    const { positionValue, leverage, side } = await exchangeModes.ISOLATED.loadPosition(posId);
+    // NOTE: 100% sells the exact position value, so that no dust is left open
+    const amount = percent >= 100 ? positionValue : positionValue * BigInt(percent) / 100n;
+    if (amount == 0n) {
+      alert("The position is too small to close a part of it.");
+      return;
+    }
+    const sent = await submitSwapOrder(exchangeModes.ISOLATED, {
+      amount: amount,
+      leverage: leverage,
+      side: side,
+      closePosition: true,
+      closePosId: posId
+    });
+    if (sent) delete closePercents[posId];
+  } catch (error) {
+    alert("Request Failed. Please check whether the fields are correct.");
+    console.error(error);
+  }
+}
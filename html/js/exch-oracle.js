@@ -0,0 +1,98 @@
+"use strict";
+
+/**
+ * Price feeds of the pairs (`setPairOracle`, see `sdk/oracle.js`): with a feed, the exchanges take the margin ratio
+ * of the positions at the feed price instead of the reserves, so that a single large swap does not make them look
+ * healthy or unhealthy. The Pair Reserves card compares the feed price with the AMM price.
+ * NOTE: while the feed price is invalid, stale or too far from the AMM price, the exchange rejects the liquidations
+ * and the margin removals, and the health of the positions is estimated at the reserves.
+ */
+const oracleBadges = { OK: "bg-success", STALE: "bg-warning", DEVIATED: "bg-danger", INVALID: "bg-dark" };
+const feedInstances = {};
+
+/**
+ * Get the feed contract at an address, following its new answers.
+ * @param {string} address The address of the feed (`IAggregatorV3`).
+ * @returns {ethers.Contract} The feed contract.
+ */
+function getFeedInstance(address) {
+  if (!feedInstances[address]) {
+    // NOTE: `AnswerUpdated` is an event of the Chainlink aggregators (not of `IAggregatorV3`), as of the mock feeds
+    feedInstances[address] = new ethers.Contract(address, LeveragedAMMABI.mockAggregator, serviceInfo.provider);
+    // A new answer moves the health of the positions of the pair, on both exchanges (and the margin pool of a
+    // collateral feed)
+    feedInstances[address].on("AnswerUpdated", () => scheduleRefresh("pair", "account", ...Object.keys(exchangeModes)));
+  }
+  return feedInstances[address];
+}
+
+function unsubscribeFeedEvents() {
+  for (const address of Object.keys(feedInstances)) {
+    feedInstances[address].removeAllListeners();
+    delete feedInstances[address];
+  }
+}
+
+/**
+ * Load the price feed of the selected pair, checked against the AMM price as the exchange checks it.
+ * @param {object} mode The position mode strategy (see `exchangeModes`).
+ * @param {{reserveA: bigint, reserveB: bigint}} pairReserves The pair reserves of the exchange.
+ * @returns {Promise<object|null>} `{ price, pairPrice, spreadBps, status, maxStaleness, maxDeviationBps, updatedAt }`
+ *  (see `LeveragedAMMOracle.checkOraclePrice`), or null without feed.
+ */
+async function loadPairOracle(mode, pairReserves) {
+  const tokens = [addressList[serviceInfo.collateral], addressList[serviceInfo.target]];
+  const [feedAddress, maxStaleness, maxDeviationBps] = await readContract(
+    contractInstances[mode.exchangeKey], "pairOracles", ...tokens
+  );
+  if (feedAddress == ethers.ZeroAddress) return null;
+  const feed = getFeedInstance(feedAddress);
+  const [[, answer, , updatedAt], decimals, timestamp] = await Promise.all([
+    readContract(feed, "latestRoundData"),
+    readContract(feed, "decimals"),
+    readBlockTimestamp()
+  ]);
+  const pairPrice = LeveragedAMMRisk.getPrice(
+    pairReserves.reserveA, pairReserves.reserveB, serviceInfo.collateralDecimals, serviceInfo.targetDecimals
+  );
+  const checked = LeveragedAMMOracle.checkOraclePrice(
+    { maxStaleness, maxDeviationBps }, { answer, decimals, updatedAt }, pairPrice, timestamp
+  );
+  return { ...checked, pairPrice, maxStaleness, maxDeviationBps, updatedAt };
+}
+
+/** The feed price the positions are marked at: 0 (at the reserves) without a valid feed price. */
+function getOraclePrice(oracle) {
+  return oracle && oracle.status == LeveragedAMMOracle.OracleStatus.OK ? oracle.price : 0n;
+}
+
+function formatOraclePrice(price) {
+  return removeDecimals(price, LeveragedAMMRisk.PRICE_DECIMALS, 4);
+}
+
+/**
+ * Render the feed price of the selected pair against its AMM price (on the Pair Reserves card).
+ * @param {object|null} oracle The feed of the pair (see `loadPairOracle`).
+ * @param {{reserveA: bigint, reserveB: bigint}} pairReserves The pair reserves.
+ */
+function renderPairOracle(oracle, pairReserves) {
+  const pairPrice = LeveragedAMMRisk.getPrice(
+    pairReserves.reserveA, pairReserves.reserveB, serviceInfo.collateralDecimals, serviceInfo.targetDecimals
+  );
+  tradingPairAmmPriceText.innerHTML = formatOraclePrice(pairPrice);
+  if (!oracle) {
+    tradingPairOraclePriceText.innerHTML = "-";
+    tradingPairOracleSpreadText.innerHTML = "-";
+    tradingPairOracleStatusText.innerHTML = `<span class="badge bg-secondary" title="Marked at the reserves">`
+      + `No feed</span>`;
+    return;
+  }
+  const spread = Number(oracle.spreadBps) / 100;
+  const maxDeviation = Number(oracle.maxDeviationBps) / 100;
+  const updatedAt = new Date(Number(oracle.updatedAt) * 1000).toLocaleString();
+  tradingPairOraclePriceText.innerHTML = oracle.status == LeveragedAMMOracle.OracleStatus.INVALID
+    ? "-" : formatOraclePrice(oracle.price);
+  tradingPairOracleSpreadText.innerHTML = `${spread > 0 ? "+" : ""}${spread.toFixed(2)}%`;
+  tradingPairOracleStatusText.innerHTML = `<span class="badge ${oracleBadges[oracle.status]}"`
+    + ` title="Updated at ${updatedAt}, max. deviation ${maxDeviation}%">${oracle.status}</span>`;
+}
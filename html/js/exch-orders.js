@@ -0,0 +1,201 @@
+"use strict";
+
+/**
+ * Limit orders of the connected account: signed in the wallet (EIP-712, see `sdk/limit-order.js`) and submitted to a
+ * relayer (`sdk/bin/relayer.js`), which executes them once the pair price reaches their limit price.
+ * Cancelling an order uses up its nonce on-chain, so that no relayer can execute it anymore.
+ */
+
+/**
+ * The order type chosen in the swap form.
+ * @returns {"MARKET"|"LIMIT"} The order type.
+ */
+function getOrderType() {
+  return document.querySelector("input[name='order-type']:checked").value;
+}
+
+/**
+ * Show the limit order fields (and the current pair price) for a limit order.
+ */
+async function renderOrderType() {
+  const limit = getOrderType() == "LIMIT";
+  document.querySelectorAll(".limit-order-only").forEach(el => el.classList.toggle("d-none", !limit));
+  requestSwapButton.innerHTML = limit ? "Place Limit Order" : "Request Swap";
+  if (limit) await refreshLimitPriceHint();
+}
+
+/**
+ * Show the current pair price, in the units of the limit price (token A per token B, no decimals).
+ */
+async function refreshLimitPriceHint() {
+  try {
+    if (!serviceInfo.account || getOrderType() != "LIMIT") return;
+    const price = LeveragedAMMMath.getPairPrice(
+      await loadPairReserves(serviceInfo.mode), serviceInfo.collateralDecimals, serviceInfo.targetDecimals
+    );
+    limitPriceHint.innerHTML = `Current price: ${price} ${serviceInfo.collateral} per ${serviceInfo.target}`;
+  } catch (error) {
+    limitPriceHint.innerHTML = "";
+    console.error(error);
+  }
+}
+
+/**
+ * The base URL of the relayer, as entered (the default one of `relayerSettings` otherwise).
+ * @returns {string} The URL, without trailing slash.
+ */
+function getRelayerUrl() {
+  return (relayerUrlText.value.trim() || relayerSettings.url).replace(/\/+$/, "");
+}
+
+function loadRelayerSettings() {
+  relayerUrlText.value = localStorage.getItem("relayerUrl") || relayerSettings.url;
+}
+
+function saveRelayerSettings() {
+  relayerUrlText.value = getRelayerUrl();
+  localStorage.setItem("relayerUrl", relayerUrlText.value);
+}
+
+/**
+ * Sign a limit order of the swap form, and submit it to the relayer.
+ * NOTE: the order has no slippage bounds, the limit price bounds the pair price before the swap instead
+ * @param {object} mode The position mode strategy (see `exchangeModes`).
+ * @param {object} orderFields The order fields of the mode (`amount`, `leverage`, `side`, reduce/close).
+ * @returns {Promise<boolean>} Whether the order was submitted.
+ */
+async function submitLimitOrder(mode, orderFields) {
+  if (!/^\d+$/.test(limitPriceText.value.trim()) || BigInt(limitPriceText.value.trim()) == 0n) {
+    alert("Please enter a limit price (a whole number).");
+    return false;
+  }
+  const expiryHours = Number(limitExpirySelect.value);
+  const latestBlock = await serviceInfo.provider.getBlock("latest");
+  const closePosition = Boolean(orderFields.closePosition);
+  const order = LeveragedAMMLimitOrder.buildLimitOrder({
+    account: serviceInfo.account,
+    tokenA: addressList[serviceInfo.collateral],
+    tokenB: addressList[serviceInfo.target],
+    amount: orderFields.amount,
+    leverage: orderFields.leverage,
+    side: orderFields.side,
+    reducePosition: Boolean(orderFields.reducePosition) || closePosition,
+    closePosId: closePosition ? orderFields.closePosId : 0n,
+    limitPrice: limitPriceText.value.trim(),
+    nonce: LeveragedAMMLimitOrder.randomNonce(),
+    // NOTE: the expiry is set from the block time, as the deadline of the swap orders
+    deadline: expiryHours > 0 ? BigInt(latestBlock.timestamp + expiryHours * 3600) : 0n
+  });
+  const buying = LeveragedAMMLimitOrder.isBuyingOrder(order);
+  const [symbol, decimals] = order.reducePosition ? [serviceInfo.target, serviceInfo.targetDecimals]
+    : [serviceInfo.collateral, serviceInfo.collateralDecimals];
+  const summary = `${formatLimitOrderType(order)} ${LeveragedAMMHistory.SIDES[order.side]}`
+    + ` ${removeDecimals(order.amount, decimals, 6)} ${symbol} when the price is`
+    + ` ${buying ? "at or below" : "at or above"} ${order.limitPrice} ${serviceInfo.collateral}`;
+  if (!confirm(`${summary}\n\nSign the limit order?`)) return false;
+
+  const domain = LeveragedAMMLimitOrder.getLimitOrderDomain(
+    serviceInfo.network.chainId, addressList[mode.exchangeKey]
+  );
+  const signature = await LeveragedAMMLimitOrder.signLimitOrder(serviceInfo.signer, domain, order);
+  const response = await fetch(`${getRelayerUrl()}/orders`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ mode: mode.name, order: LeveragedAMMLimitOrder.serializeLimitOrder(order), signature })
+  });
+  const body = await response.json();
+  if (!response.ok) {
+    alert(`The relayer rejected the limit order: ${body.error}`);
+    return false;
+  }
+  await loadLimitOrders();
+  return true;
+}
+
+/**
+ * Cancel a limit order on-chain (`cancelLimitOrder`), the relayer drops it on its next check.
+ * @param {object} mode The position mode strategy of the order.
+ * @param {bigint} nonce The nonce of the order.
+ */
+async function cancelLimitOrder(mode, nonce) {
+  try {
+    if (!await checkWalletConnected()) return;
+    if (!confirm(`Cancel the limit order #${nonce} (${mode.name})?`)) return;
+    const tx = await contractInstances[mode.exchangeKey].cancelLimitOrder(nonce, txSettings);
+    await tx.wait();
+    await loadLimitOrders();
+  } catch (error) {
+    alert("Failed to cancel the limit order.");
+    console.error(error);
+  }
+}
+
+/**
+ * Render the limit orders of the account on the selected pair, newest first, as kept by the relayer.
+ */
+async function loadLimitOrders() {
+  await refreshLimitPriceHint();
+  let entries;
+  try {
+    const response = await fetch(`${getRelayerUrl()}/orders?account=${serviceInfo.account}`);
+    if (!response.ok) throw new Error(`Relayer response: ${response.status}`);
+    entries = await response.json();
+  } catch (error) {
+    limitOrdersTableBody.innerHTML = `<tr><td colspan="10">The relayer is unavailable (${getRelayerUrl()}).</td></tr>`;
+    console.error(error);
+    return;
+  }
+  entries = entries
+    .map(entry => ({ ...entry, order: LeveragedAMMLimitOrder.buildLimitOrder(entry.order) }))
+    .filter(({ order }) => isSelectedToken(order.tokenA, serviceInfo.collateral)
+      && isSelectedToken(order.tokenB, serviceInfo.target));
+  // NOTE: the relayer updates the cancelled (and executed) orders on its next check, the nonce is used up before
+  await Promise.all(entries.filter(entry => entry.status == "OPEN").map(async entry => {
+    const exchange = contractInstances[exchangeModes[entry.mode].exchangeKey];
+    if (await readContract(exchange, "usedNonces", serviceInfo.account, entry.order.nonce)) entry.status = "PENDING";
+  }));
+  const rows = entries.map(renderLimitOrderRow);
+  limitOrdersTableBody.innerHTML = "";
+  if (rows.length == 0) limitOrdersTableBody.innerHTML = `<tr><td colspan="10">No limit orders</td></tr>`;
+  rows.forEach(row => limitOrdersTableBody.appendChild(row));
+}
+
+function renderLimitOrderRow(entry) {
+  const { order, mode: modeName, status } = entry;
+  const [symbol, decimals] = order.reducePosition ? [serviceInfo.target, serviceInfo.targetDecimals]
+    : [serviceInfo.collateral, serviceInfo.collateralDecimals];
+  const expiry = order.deadline == 0n ? "-" : new Date(Number(order.deadline) * 1000).toLocaleString();
+  const newRow = document.createElement("tr");
+  newRow.innerHTML = `
+    <td class="text-nowrap">${new Date(entry.submittedAt).toLocaleString()}</td>
+    <td><span class="badge bg-primary">${modeName}</span></td>
+    <td>${formatLimitOrderType(order)}</td>
+    <td><h6>${formatPositionSide(LeveragedAMMHistory.SIDES[order.side])}</h6></td>
+    <td>${removeDecimals(order.amount, decimals, 6)} ${symbol}</td>
+    <td>${LeveragedAMMLimitOrder.isBuyingOrder(order) ? "&le;" : "&ge;"} ${order.limitPrice}</td>
+    <td>${entry.price ?? "-"}</td>
+    <td class="text-nowrap">${expiry}</td>
+    <td><h6>${formatLimitOrderStatus(entry)}</h6></td>
+    <td>${status == "OPEN"
+      ? `<button type="button" class="btn btn-sm btn-outline-danger cancel-order-btn">Cancel</button>` : ""}</td>
+  `;
+  newRow.querySelector(".cancel-order-btn")?.addEventListener("click", async () => {
+    await cancelLimitOrder(exchangeModes[modeName], order.nonce);
+  });
+  return newRow;
+}
+
+function formatLimitOrderType(order) {
+  if (!order.reducePosition) return "Open";
+  return order.closePosId == 0n ? "Reduce" : `Close #${order.closePosId}`;
+}
+
+function formatLimitOrderStatus(entry) {
+  const colors = {
+    OPEN: "primary", PENDING: "warning", EXECUTED: "success", CANCELLED: "secondary", EXPIRED: "secondary",
+    FAILED: "danger"
+  };
+  // NOTE: the failed orders keep the revert reason (e.g. `InsufficientCollateral`)
+  const title = entry.error ? ` title="${entry.error.replaceAll("\"", "&quot;")}"` : "";
+  return `<span class="badge bg-${colors[entry.status] || "secondary"}"${title}>${entry.status}</span>`;
+}
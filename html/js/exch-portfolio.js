@@ -0,0 +1,185 @@
+"use strict";
+
+/**
+ * Portfolio of the connected account across every pair of both exchanges (see `sdk/portfolio.js`): the equity, the
+ * worth value and the leverage of the whole book, the exposure per asset and the positions by leverage.
+ * The book is read with the batch of the refresh (see `readContract`), in two batches whatever the number of pairs
+ * and positions: the pairs, deposit balances and position counts first, then the positions.
+ */
+const portfolioCharts = {};
+
+function isPortfolioPageShown() {
+  return !portfolioPage.classList.contains("d-none");
+}
+
+/**
+ * Load the book of the account: its deposit balances and its positions on every pair of the deployment.
+ * @returns {Promise<object>} `{ balances, pairs, decimals }`, the book of `LeveragedAMMPortfolio.summarizePortfolio`
+ *  with the decimals of the tokens (by symbol).
+ */
+async function loadPortfolioBook() {
+  const account = serviceInfo.account;
+  // NOTE: the deposit balances are per exchange and token, shared by the pairs of the same token A
+  const balanceKeys = [
+    ...new Map(deploymentInfo.pairs.map(pair => [`${pair.exchange}/${pair.tokenA}`, pair])).values()
+  ];
+
+  const [decimals, balances, pairs] = await Promise.all([
+    Promise.all(deploymentInfo.tokens.map(symbol => readContract(contractInstances[symbol], "decimals"))),
+    Promise.all(balanceKeys.map(({ exchange, tokenA }) => {
+      return readContract(contractInstances[exchange], "balances", account, addressList[tokenA]);
+    })),
+    Promise.all(deploymentInfo.pairs.map(async ({ exchange, tokenA, tokenB }) => {
+      const mode = Object.values(exchangeModes).find(mode => mode.exchangeKey == exchange);
+      const contract = contractInstances[exchange];
+      const tokens = [addressList[tokenA], addressList[tokenB]];
+      const [[, reserveA, reserveB], feeBps, worthValue, positionId, length] = await Promise.all([
+        readContract(contract, "pairs", ...tokens),
+        readContract(contract, "pairFees", ...tokens),
+        readContract(contract, "getPositionWorthValue", account, ...tokens),
+        readContract(contract, "getPositionId", ...tokens),
+        mode.name == "ISOLATED" ? readContract(contract, "getPositionsIsolatedLength", account, ...tokens) : 0n
+      ]);
+      const positions = await Promise.all(mode.name == "CROSS"
+        ? [readContract(contract, "positionCross", account, positionId)]
+        : Array.from({ length: Number(length) }, (_, index) => {
+          return readContract(contract, "positionsIsolated", account, positionId, index);
+        }));
+      return {
+        mode: mode.name, collateral: tokenA, target: tokenB, reserves: { reserveA, reserveB, feeBps }, worthValue,
+        positions: positions.map(toPositionObject)
+      };
+    }))
+  ]);
+
+  return {
+    decimals: Object.fromEntries(deploymentInfo.tokens.map((symbol, i) => [symbol, Number(decimals[i])])),
+    balances: balanceKeys.map(({ tokenA }, i) => ({ collateral: tokenA, balance: balances[i] })),
+    pairs
+  };
+}
+
+/**
+ * Render the portfolio of the account (while the Portfolio page is shown).
+ */
+async function loadPortfolio() {
+  if (!isPortfolioPageShown()) return;
+  const book = await loadPortfolioBook();
+  const portfolio = LeveragedAMMPortfolio.summarizePortfolio(book);
+  renderPortfolioTotals(portfolio, book.decimals);
+  renderPortfolioExposures(portfolio, book.decimals);
+  renderPortfolioPositions(portfolio, book.decimals);
+  renderPortfolioCharts(portfolio, book.decimals);
+}
+
+/**
+ * Render the totals of every collateral token (a line each) on the Equity, Worth Value and Positions cards.
+ */
+function renderPortfolioTotals({ collaterals, positions }, decimals) {
+  const totals = Object.entries(collaterals);
+  const formatTotals = (format) => totals.length == 0 ? "-" : totals.map(format).join("<br>");
+  portfolioEquityText.innerHTML = formatTotals(
+    ([symbol, { equity }]) => `$${removeDecimals(equity, decimals[symbol])}`
+  );
+  portfolioBalanceText.innerHTML = formatTotals(
+    ([symbol, { balance }]) => `$${removeDecimals(balance, decimals[symbol])} ${symbol}`
+  );
+  portfolioWorthValueText.innerHTML = formatTotals(
+    ([symbol, { worthValue }]) => `$${removeDecimals(worthValue, decimals[symbol])}`
+  );
+  portfolioLeverageText.innerHTML = formatTotals(([symbol, { leverage }]) => `${leverage}x ${symbol}`);
+  portfolioPositionCountText.innerHTML = positions.length;
+  const pairCount = new Set(positions.map(({ collateral, target }) => `${target}/${collateral}`)).size;
+  portfolioPairCountText.innerHTML = `${pairCount} pair${pairCount == 1 ? "" : "s"}`;
+}
+
+/**
+ * Render the exposure of the account to every asset: the long and short amounts, the net amount and their value.
+ */
+function renderPortfolioExposures({ exposures }, decimals) {
+  const rows = exposures.map(({ asset, collateral, long, short, net, value, netValue }) => {
+    const newRow = document.createElement("tr");
+    newRow.innerHTML = `
+      <td><span class="badge bg-primary">${asset}</span></td>
+      <td>${removeDecimals(long, decimals[asset], 6)}</td>
+      <td>${removeDecimals(short, decimals[asset], 6)}</td>
+      <td>${net < 0n ? "-" : ""}${removeDecimals(net < 0n ? -net : net, decimals[asset], 6)}</td>
+      <td>$${removeDecimals(value, decimals[collateral])} ${collateral}</td>
+      <td>${formatPnl(netValue, decimals[collateral])}</td>
+    `;
+    return newRow;
+  });
+  if (rows.length == 0) {
+    const emptyRow = document.createElement("tr");
+    emptyRow.innerHTML = `<td colspan="6">No exposure</td>`;
+    rows.push(emptyRow);
+  }
+  portfolioExposureTableBody.replaceChildren(...rows);
+}
+
+/**
+ * Render the open positions of the account on every pair of both exchanges.
+ */
+function renderPortfolioPositions({ positions }, decimals) {
+  const rows = positions.map(({ mode, collateral, target, position, equity }) => {
+    const newRow = document.createElement("tr");
+    newRow.innerHTML = `
+      <td><span class="badge bg-outline-secondary text-dark">${mode}</span></td>
+      <td><span class="badge bg-primary">${target}/${collateral}</span></td>
+      <td><span class="badge bg-secondary">${mode == "CROSS" ? 0 : position.id}</span></td>
+      <td><h6>${formatPositionSide(LeveragedAMMHistory.SIDES[position.side])}</h6></td>
+      <td>${removeDecimals(position.positionValue, decimals[target], 6)}</td>
+      <td>${removeDecimals(position.collateralWorthValue, decimals[collateral], 6)}</td>
+      <td>${removeDecimals(equity, decimals[collateral], 6)}</td>
+      <td><h6><span class="badge bg-danger">${position.leverage}x</span></h6></td>
+    `;
+    return newRow;
+  });
+  if (rows.length == 0) {
+    const emptyRow = document.createElement("tr");
+    emptyRow.innerHTML = `<td colspan="8">No open position</td>`;
+    rows.push(emptyRow);
+  }
+  portfolioPositionsTableBody.replaceChildren(...rows);
+}
+
+/**
+ * Render the value of the exposures (pie) and the worth value of the positions by leverage (bar) with ECharts.
+ * NOTE: the charts are created once the page is shown, as ECharts takes the size of its (visible) container
+ */
+function renderPortfolioCharts({ exposures, leverages }, decimals) {
+  portfolioCharts.exposure ??= echarts.init(portfolioExposureChart);
+  portfolioCharts.leverage ??= echarts.init(portfolioLeverageChart);
+  const toNumber = (amount, symbol) => Number(ethers.formatUnits(amount, decimals[symbol]));
+
+  portfolioCharts.exposure.setOption({
+    tooltip: { trigger: "item", valueFormatter: (value) => `$${value.toFixed(2)}` },
+    legend: { bottom: 0 },
+    series: [{
+      name: "Exposure",
+      type: "pie",
+      radius: ["40%", "70%"],
+      label: { formatter: "{b}: {d}%" },
+      data: exposures.map(({ asset, collateral, value }) => ({
+        name: `${asset}/${collateral}`, value: toNumber(value, collateral)
+      }))
+    }]
+  }, true);
+
+  portfolioCharts.leverage.setOption({
+    tooltip: { trigger: "axis", valueFormatter: (value) => `$${value.toFixed(2)}` },
+    xAxis: { type: "category", data: leverages.map(({ leverage, collateral }) => `${leverage}x ${collateral}`) },
+    yAxis: { type: "value", name: "Worth Value" },
+    series: [{
+      name: "Worth Value",
+      type: "bar",
+      data: leverages.map(({ collateral, worthValue }) => toNumber(worthValue, collateral)),
+      label: {
+        show: true,
+        position: "top",
+        formatter: ({ dataIndex }) => `${leverages[dataIndex].count} pos.`
+      }
+    }]
+  }, true);
+  Object.values(portfolioCharts).forEach(chart => chart.resize());
+}
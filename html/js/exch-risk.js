@@ -0,0 +1,74 @@
+"use strict";
+
+/**
+ * Margin risk of the positions (see `sdk/risk.js`): the margin ratio, the health badge and the estimated
+ * liquidation price on the constant-product curve of the pair. The free deposit balance backs the cross position.
+ */
+const healthBadges = { SAFE: "bg-success", WARNING: "bg-warning", DANGER: "bg-danger", LIQUIDATABLE: "bg-dark" };
+const sideBadges = { LONG: "bg-success", SHORT: "bg-danger" };
+
+async function loadPairReserves(mode) {
+  const tokenA = addressList[serviceInfo.collateral];
+  const tokenB = addressList[serviceInfo.target];
+  const [[, reserveA, reserveB], feeBps, [cumulativeFundingIndex]] = await Promise.all([
+    readContract(contractInstances[mode.exchangeKey], "pairs", tokenA, tokenB),
+    readContract(contractInstances[mode.exchangeKey], "pairFees", tokenA, tokenB),
+    readContract(contractInstances[mode.exchangeKey], "pairFunding", tokenA, tokenB)
+  ]);
+  // NOTE: the positions are marked at the feed price of the pair while it is valid (see `exch-oracle.js`), and with
+  //  their accrued funding (see `exch-funding.js`)
+  const oracle = await loadPairOracle(mode, { reserveA, reserveB });
+  return { reserveA, reserveB, feeBps, oracle, oraclePrice: getOraclePrice(oracle), cumulativeFundingIndex };
+}
+
+/**
+ * Read a position of the exchanges (`Position` struct) as the SDK takes it (see `sdk/risk.js`).
+ * @param {Array} result The position returned by the exchange.
+ * @returns {object} The position (`collateralAmount`, `collateralWorthValue`, `positionValue`, `leverage`, `id`,
+ *  `side`, `fundingIndex`).
+ */
+function toPositionObject(result) {
+  const [, collateralAmount, collateralWorthValue, positionValue, leverage, id, , , side, fundingIndex] = result;
+  return { collateralAmount, collateralWorthValue, positionValue, leverage, id, side: Number(side), fundingIndex };
+}
+
+/**
+ * Get the margin risk of a position of the selected pair.
+ * @param {{reserveA: bigint, reserveB: bigint, feeBps: bigint, oraclePrice?: bigint}} pairReserves The pair reserves,
+ *  swap fee, feed price and funding index (see `loadPairReserves`) of the position's exchange.
+ * @param {object} position The position (`collateralAmount`, `collateralWorthValue`, `positionValue`, `leverage`,
+ *  `side`).
+ * @param {bigint} freeCollateral The deposit balance backing the position (cross mode).
+ * @returns {object|null} The risk (see `LeveragedAMMRisk.getPositionRisk`), or null without position.
+ */
+function getPositionRisk(pairReserves, position, freeCollateral = 0n) {
+  return LeveragedAMMRisk.getPositionRisk(pairReserves, position, {
+    freeCollateral: freeCollateral,
+    decimalsA: serviceInfo.collateralDecimals,
+    decimalsB: serviceInfo.targetDecimals,
+    oraclePrice: pairReserves.oraclePrice ?? 0n,
+    funding: getPositionFunding(pairReserves, position)
+  });
+}
+
+function formatLiquidationPrice(risk) {
+  if (!risk) return "-";
+  if (risk.liquidationPrice == 0n) return "None";
+  return removeDecimals(risk.liquidationPrice, LeveragedAMMRisk.PRICE_DECIMALS, 6);
+}
+
+function formatPositionSide(sideName) {
+  return `<span class="badge ${sideBadges[sideName]}">${sideName}</span>`;
+}
+
+function formatHealth(risk) {
+  if (!risk) return `<span class="badge bg-secondary">N/A</span>`;
+  const healthFactor = (Number(risk.healthFactorBps) / 10000).toFixed(2);
+  const marginRatio = (Number(risk.marginRatioBps) / 100).toFixed(2);
+  return `<span class="badge ${healthBadges[risk.level]}" title="Margin ratio: ${marginRatio}%">`
+    + `${healthFactor} ${risk.level}</span>`;
+}
+
+function renderCrossHealth(risk) {
+  crossHealthText.innerHTML = formatHealth(risk);
+}
@@ -0,0 +1,229 @@
+"use strict";
+
+/**
+ * Stop-loss and take-profit triggers of the positions (`setTrigger`): a keeper (`sdk/bin/keeper.js`) closes the whole
+ * position once its mark price reaches one of them (see `LeveragedAMMRisk.getMarkPrice`). The prices are in token A
+ * per token B, like the liquidation price. A long is stopped below its mark price, a short above it.
+ */
+const triggerDialog = {
+  mode: null,
+  posId: 0n,
+  position: null,
+  trigger: null,
+  markPrice: 0n
+};
+
+/**
+ * Load the trigger of a position of the selected pair, at the current mark price.
+ * @param {object} mode The position mode strategy (see `exchangeModes`).
+ * @param {bigint} posId The ID of the isolated position (0 for the cross position).
+ * @param {object} position The position (see `toPositionObject`).
+ * @param {{reserveA: bigint, reserveB: bigint, feeBps: bigint}} pairReserves The pair reserves and swap fee.
+ * @returns {Promise<object>} `{ trigger, markPrice, reached }`, where `reached` is the reached `TriggerType` (the
+ *  keeper closes the position on its next scan), or null.
+ */
+async function loadPositionTrigger(mode, posId, position, pairReserves) {
+  const [stopLossPrice, takeProfitPrice] = await readContract(contractInstances[mode.exchangeKey], "getTrigger",
+    serviceInfo.account, addressList[serviceInfo.collateral], addressList[serviceInfo.target], posId
+  );
+  const trigger = { stopLossPrice, takeProfitPrice };
+  const markPrice = LeveragedAMMRisk.getMarkPrice(
+    pairReserves, position, serviceInfo.collateralDecimals, serviceInfo.targetDecimals
+  );
+  return { trigger, markPrice, reached: LeveragedAMMRisk.getReachedTrigger(position, trigger, markPrice) };
+}
+
+function isTriggerUnset(trigger) {
+  return trigger.stopLossPrice == 0n && trigger.takeProfitPrice == 0n;
+}
+
+function formatTriggerPrice(price) {
+  return removeDecimals(price, LeveragedAMMRisk.PRICE_DECIMALS, 6);
+}
+
+/**
+ * Render the trigger status of a position row.
+ * @param {object} [positionTrigger] The trigger of the position (see `loadPositionTrigger`), none without position.
+ * @returns {string} The badges of the stop-loss and take-profit prices.
+ */
+function formatTriggerStatus(positionTrigger) {
+  if (!positionTrigger) return "-";
+  const { trigger, reached } = positionTrigger;
+  if (isTriggerUnset(trigger)) return `<span class="badge bg-secondary">None</span>`;
+  const badges = [];
+  if (trigger.stopLossPrice != 0n) {
+    badges.push(`<span class="badge bg-danger">SL ${formatTriggerPrice(trigger.stopLossPrice)}</span>`);
+  }
+  if (trigger.takeProfitPrice != 0n) {
+    badges.push(`<span class="badge bg-success">TP ${formatTriggerPrice(trigger.takeProfitPrice)}</span>`);
+  }
+  if (reached !== null) {
+    badges.push(`<span class="badge bg-warning" title="The keeper closes the position">Reached</span>`);
+  }
+  return badges.join(" ");
+}
+
+/**
+ * Open the dialog for a position of the selected pair.
+ * @param {object} mode The position mode strategy (see `exchangeModes`).
+ * @param {bigint} posId The ID of the isolated position (0 for the cross position).
+ */
+async function openTriggerDialog(mode, posId) {
+  try {
+    if (!await checkWalletConnected()) return;
+    // NOTE: reverts with `PositionNotFound` for an unknown (or closed) isolated position ID
+    const [position, pairReserves] = await withRefreshReads(
+      () => Promise.all([mode.loadPosition(posId), loadPairReserves(mode)])
+    );
+    if (position.positionValue == 0n) {
+      alert("There is no open position to set triggers on.");
+      return;
+    }
+    const { trigger, markPrice } = await loadPositionTrigger(mode, posId, position, pairReserves);
+    Object.assign(triggerDialog, {
+      mode: mode,
+      posId: posId,
+      position: position,
+      trigger: trigger,
+      markPrice: markPrice
+    });
+
+    const sideName = LeveragedAMMHistory.SIDES[position.side];
+    triggerPositionText.innerHTML = `${mode.name == "CROSS" ? "CROSS" : `ISOLATED #${posId}`} `
+      + formatPositionSide(sideName);
+    triggerMarkPriceText.innerHTML = `Mark price: ${formatTriggerPrice(markPrice)} ${serviceInfo.collateral}`
+      + ` per ${serviceInfo.target}`;
+    triggerStopLossHint.innerHTML = sideName == "SHORT" ? "Above the mark price" : "Below the mark price";
+    triggerTakeProfitHint.innerHTML = sideName == "SHORT" ? "Below the mark price" : "Above the mark price";
+    triggerStopLossText.value = formatTriggerInput(trigger.stopLossPrice);
+    triggerTakeProfitText.value = formatTriggerInput(trigger.takeProfitPrice);
+    triggerRemoveButton.disabled = isTriggerUnset(trigger);
+    renderTriggerPreview();
+    bootstrap.Modal.getOrCreateInstance(triggerModal).show();
+  } catch (error) {
+    alert("Failed to load the position.");
+    console.error(error);
+  }
+}
+
+function formatTriggerInput(price) {
+  return price == 0n ? "" : ethers.formatUnits(price, LeveragedAMMRisk.PRICE_DECIMALS);
+}
+
+/**
+ * Get the entered trigger prices (0 when left empty).
+ * @returns {object|null} `{ stopLossPrice, takeProfitPrice }`, or null if a price is not a number.
+ */
+function getEnteredTrigger() {
+  try {
+    return {
+      stopLossPrice: ethers.parseUnits(triggerStopLossText.value.trim() || "0", LeveragedAMMRisk.PRICE_DECIMALS),
+      takeProfitPrice: ethers.parseUnits(triggerTakeProfitText.value.trim() || "0", LeveragedAMMRisk.PRICE_DECIMALS)
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the PnL of the position closed at a mark price, over its initial margin (as `getPositionReturn` settles it:
+ * `R / leverage` for a long, `(2 * collateralWorthValue - C) / leverage` for a short).
+ * @param {object} position The position.
+ * @param {bigint} markPrice The mark price.
+ * @returns {{pnl: bigint, percent: number}} The PnL (token A) and its percent of the initial margin.
+ */
+function getTriggerPnl(position, markPrice) {
+  const { collateralWorthValue, positionValue, side } = position;
+  const leverage = BigInt(position.leverage);
+  const settledAmount = markPrice * positionValue * 10n ** BigInt(serviceInfo.collateralDecimals)
+    / 10n ** (BigInt(LeveragedAMMRisk.PRICE_DECIMALS) + BigInt(serviceInfo.targetDecimals));
+  let returned;
+  if (LeveragedAMMHistory.SIDES[side] == "SHORT") {
+    returned = 2n * collateralWorthValue > settledAmount ? (2n * collateralWorthValue - settledAmount) / leverage : 0n;
+  } else {
+    returned = settledAmount / leverage;
+  }
+  const initialMargin = collateralWorthValue / leverage;
+  const pnl = returned - initialMargin;
+  return { pnl: pnl, percent: initialMargin == 0n ? 0 : Number(pnl * 10000n / initialMargin) / 100 };
+}
+
+/**
+ * Preview the PnL of the position closed at each entered price, and reject the prices already reached at the mark
+ * price (`setTrigger` reverts with `InvalidTriggerPrice`, as they would close the position right away).
+ */
+function renderTriggerPreview() {
+  const { position, markPrice } = triggerDialog;
+  if (!position) return;
+  const trigger = getEnteredTrigger();
+  if (!trigger) {
+    triggerSubmitButton.disabled = true;
+    triggerPreviewText.innerHTML = `<span class="text-danger">Please enter the prices as numbers.</span>`;
+    return;
+  }
+  const unset = isTriggerUnset(trigger);
+  const reached = LeveragedAMMRisk.getReachedTrigger(position, trigger, markPrice);
+  triggerSubmitButton.disabled = unset || reached !== null;
+  if (unset) {
+    triggerPreviewText.innerHTML = `<span class="text-muted">Enter a stop-loss or take-profit price.</span>`;
+    return;
+  }
+  if (reached !== null) {
+    const name = reached == LeveragedAMMRisk.TriggerType.STOP_LOSS ? "stop-loss" : "take-profit";
+    triggerPreviewText.innerHTML = `<span class="text-danger">The ${name} price is already reached at the mark price.`
+      + `</span>`;
+    return;
+  }
+  const collateralDecimals = serviceInfo.collateralDecimals;
+  const rows = [["Stop-loss", trigger.stopLossPrice], ["Take-profit", trigger.takeProfitPrice]]
+    .filter(([, price]) => price != 0n)
+    .map(([name, price]) => {
+      const { pnl, percent } = getTriggerPnl(position, price);
+      return `<tr><td>${name}</td><td>${formatTriggerPrice(price)}</td>`
+        + `<td>${formatPnl(pnl, collateralDecimals, percent)}</td></tr>`;
+    });
+  triggerPreviewText.innerHTML = `
+    <table class="table table-sm mb-0">
+      <tr><th></th><th>Mark Price</th><th>Est. PnL</th></tr>
+      ${rows.join("")}
+    </table>
+    <span class="small text-muted">The whole position is closed, the price may move past the trigger before.</span>
+  `;
+}
+
+/**
+ * Set the entered prices, or remove the trigger of the position.
+ * @param {boolean} remove Whether to remove the trigger (both prices set to 0).
+ */
+async function submitTrigger(remove = false) {
+  try {
+    if (!await checkWalletConnected()) return;
+    const trigger = remove ? { stopLossPrice: 0n, takeProfitPrice: 0n } : getEnteredTrigger();
+    if (!trigger) {
+      alert("Please enter the prices as numbers.");
+      return;
+    }
+    const { mode, posId } = triggerDialog;
+    triggerSubmitButton.disabled = true;
+    triggerRemoveButton.disabled = true;
+    // NOTE: reverts with `InvalidTriggerPrice` if the mark price reached a price meanwhile
+    const tx = await contractInstances[mode.exchangeKey].setTrigger(
+      addressList[serviceInfo.collateral],
+      addressList[serviceInfo.target],
+      posId,
+      trigger.stopLossPrice,
+      trigger.takeProfitPrice,
+      txSettings
+    );
+    await tx.wait();
+
+    bootstrap.Modal.getOrCreateInstance(triggerModal).hide();
+    await refreshData();
+  } catch (error) {
+    alert("Request Failed. Please check whether the prices are on the right side of the mark price.");
+    console.error(error);
+  } finally {
+    renderTriggerPreview();
+    triggerRemoveButton.disabled = isTriggerUnset(triggerDialog.trigger);
+  }
+}
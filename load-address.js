@@ -1,14 +1,141 @@
-const { readFileSync, writeFileSync } = require("fs");
+const { readFileSync, writeFileSync, existsSync, readdirSync } = require("fs");
+const path = require("path");
 
-const deployedInfo = JSON.parse(readFileSync("./broadcast/LeveragedAMMExchange.s.sol/31337/run-latest.json", "utf8"))["returns"];
+const broadcastDir = "./broadcast/LeveragedAMMExchange.s.sol";
+const manifestPath = "./html/contract-address.json";
 
-let addressList = {};
-Object.entries(deployedInfo).forEach(([_, value], index) => {
-  const tokens = ["DAI", "WETH", "BNB", "PERP", "EXCH_CROSS", "EXCH_ISOLATED"];
-  if (index < tokens.length) {
-    addressList[tokens[index]] = value["value"];
+// Contract name => manifest key of the exchange deployments (the tokens are keyed by their symbol)
+const exchangeKeys = {
+  LeveragedAMMExchangeCrossMode: "EXCH_CROSS",
+  LeveragedAMMExchangeIsolatedMode: "EXCH_ISOLATED",
+};
+// The external libraries linked to the exchanges, which forge deploys ahead of the script
+const libraryNames = [
+  "LeveragedAMMLiquidity",
+  "LeveragedAMMMarginPool",
+  "LeveragedAMMOracle",
+  "LeveragedAMMLimitOrders",
+];
+
+// NOTE: forge may annotate the uint arguments, e.g. "10000000000000000000000 [1e22]"
+function parseUint(value) {
+  return BigInt(String(value).split(" ")[0]);
+}
+
+/**
+ * Build the manifest entry of a chain from the transactions of the broadcast log, so that the contracts are
+ * labelled by what they are (and not by their position in the return tuple of the deploy script).
+ */
+function buildDeployment(broadcast) {
+  const blockNumbers = {};
+  for (const receipt of broadcast["receipts"]) {
+    blockNumbers[receipt["transactionHash"]] = Number(receipt["blockNumber"]);
+  }
+
+  const contracts = {};
+  const feeds = {};
+  let multicall = null;
+  const libraries = {};
+  const keysByAddress = {};
+  const pairs = [];
+  for (const tx of broadcast["transactions"]) {
+    const deployment = { txHash: tx["hash"], blockNumber: blockNumbers[tx["hash"]] ?? null };
+
+    if (tx["transactionType"] == "CREATE" || tx["transactionType"] == "CREATE2") {
+      const args = tx["arguments"] || [];
+      let key;
+      let contract;
+      if (exchangeKeys[tx["contractName"]]) {
+        key = exchangeKeys[tx["contractName"]];
+        contract = { contractName: tx["contractName"], address: tx["contractAddress"], ...deployment };
+      } else if (tx["contractName"] == "MyToken") {
+        const [name, symbol, decimals] = args;
+        key = symbol;
+        contract = {
+          contractName: tx["contractName"], address: tx["contractAddress"], ...deployment,
+          name, symbol, decimals: Number(parseUint(decimals))
+        };
+      } else if (tx["contractName"] == "MockAggregator") {
+        // NOTE: the price feeds are keyed by their description (e.g. "WETH / DAI"), apart from the tokens
+        const [decimals, description] = args;
+        feeds[description] = {
+          contractName: tx["contractName"], address: tx["contractAddress"], ...deployment,
+          description, decimals: Number(parseUint(decimals))
+        };
+        keysByAddress[tx["contractAddress"].toLowerCase()] = description;
+        continue;
+      } else if (libraryNames.includes(tx["contractName"])) {
+        libraries[tx["contractName"]] = {
+          contractName: tx["contractName"], address: tx["contractAddress"], ...deployment
+        };
+        continue;
+      } else if (tx["contractName"] == "Multicall3") {
+        multicall = { contractName: tx["contractName"], address: tx["contractAddress"], ...deployment };
+        continue;
+      } else {
+        throw new Error(`Unknown contract deployed: ${tx["contractName"]} (${tx["contractAddress"]})`);
+      }
+      if (contracts[key]) throw new Error(`Duplicated contract key: ${key}`);
+      contracts[key] = contract;
+      keysByAddress[tx["contractAddress"].toLowerCase()] = key;
+    } else if (tx["transactionType"] == "CALL" && tx["function"]?.startsWith("createPair(")) {
+      const [tokenA, tokenB, reserveA, reserveB] = tx["arguments"];
+      const labels = [tx["contractAddress"] || tx["transaction"]["to"], tokenA, tokenB].map(address => {
+        const key = keysByAddress[address.toLowerCase()];
+        if (!key) throw new Error(`Unknown contract address in createPair: ${address}`);
+        return key;
+      });
+      pairs.push({
+        exchange: labels[0], tokenA: labels[1], tokenB: labels[2],
+        reserveA: parseUint(reserveA).toString(), reserveB: parseUint(reserveB).toString(), ...deployment
+      });
+    } else if (tx["transactionType"] == "CALL" && tx["function"]?.startsWith("setPairOracle(")) {
+      const [tokenA, tokenB, feed, maxStaleness, maxDeviationBps] = tx["arguments"];
+      const exchangeAddress = tx["contractAddress"] || tx["transaction"]["to"];
+      const [exchange, labelA, labelB, feedLabel] = [exchangeAddress, tokenA, tokenB, feed]
+        .map(address => keysByAddress[address.toLowerCase()] ?? null);
+      const pair = pairs.find(pair => pair.exchange == exchange && pair.tokenA == labelA && pair.tokenB == labelB);
+      if (!pair) throw new Error(`Unknown pair in setPairOracle: ${tokenA}/${tokenB}`);
+      pair.oracle = {
+        feed: feedLabel,
+        maxStaleness: Number(parseUint(maxStaleness)),
+        maxDeviationBps: Number(parseUint(maxDeviationBps)),
+      };
+    }
   }
-});
 
-console.log("Deployed contract addresses =", JSON.stringify(addressList, null, 2));
-writeFileSync("./html/contract-address.json", JSON.stringify(addressList, null, 2));
+  for (const key of Object.values(exchangeKeys)) {
+    if (!contracts[key]) throw new Error(`Exchange not found in the broadcast log: ${key}`);
+  }
+  const blocks = Object.values(contracts).map(contract => contract.blockNumber).filter(block => block !== null);
+  return {
+    chainId: Number(broadcast["chain"]),
+    deploymentBlock: blocks.length > 0 ? Math.min(...blocks) : 0,
+    timestamp: broadcast["timestamp"],
+    contracts,
+    feeds,
+    pairs,
+    ...(multicall ? { multicall } : {}),
+    ...(Object.keys(libraries).length > 0 ? { libraries } : {}),
+  };
+}
+
+// Keep the entries of the chains which are not redeployed (the former flat address list is replaced)
+let manifest = {};
+if (existsSync(manifestPath)) {
+  const current = JSON.parse(readFileSync(manifestPath, "utf8"));
+  if (!Object.values(current).every(value => typeof value == "string")) manifest = current;
+}
+
+const chainIds = readdirSync(broadcastDir).filter(dir => /^\d+$/.test(dir));
+for (const chainId of chainIds) {
+  const broadcastPath = path.join(broadcastDir, chainId, "run-latest.json");
+  if (!existsSync(broadcastPath)) continue;
+  manifest[chainId] = buildDeployment(JSON.parse(readFileSync(broadcastPath, "utf8")));
+  const addressList = Object.fromEntries(
+    Object.entries(manifest[chainId].contracts).map(([key, contract]) => [key, contract.address])
+  );
+  console.log(`Deployed contract addresses (chain ${chainId}) =`, JSON.stringify(addressList, null, 2));
+}
+
+writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
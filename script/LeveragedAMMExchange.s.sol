@@ -1,34 +1,83 @@
-// SPDX-License-Identifier: MIT
-pragma solidity ^0.8.19;
-
-import "forge-std/Script.sol";
-import {MyToken} from "../src/tests/MyToken.sol";
-import {LeveragedAMMExchangeCrossMode} from "../src/LeveragedAMMExchangeCrossMode.sol";
-import {LeveragedAMMExchangeIsolatedMode} from "../src/LeveragedAMMExchangeIsolatedMode.sol";
-
-contract LeveragedAMMExchangeDeployment is Script {
-    function run()
-        external
-        returns (MyToken, MyToken, MyToken, MyToken, LeveragedAMMExchangeCrossMode, LeveragedAMMExchangeIsolatedMode)
-    {
-        vm.startBroadcast();
-        uint8 decimals = 18;
-        uint256 MUL = 10 ** decimals;
-        MyToken daiToken = new MyToken("Dai Stablecoin", "DAI", decimals, 1000000 * MUL);
-        MyToken wethToken = new MyToken("Wrapped ETH", "WETH", decimals, 1000000 * MUL);
-        MyToken bnbToken = new MyToken("Binance Coin", "BNB", decimals, 1000000 * MUL);
-        MyToken perpToken = new MyToken("Perpetual", "PERP", decimals, 1000000 * MUL);
-        LeveragedAMMExchangeCrossMode leveragedAMMExchangeCrossMode = new LeveragedAMMExchangeCrossMode();
-        LeveragedAMMExchangeIsolatedMode leveragedAMMExchangeIsolatedMode = new LeveragedAMMExchangeIsolatedMode();
-        leveragedAMMExchangeCrossMode.createPair(address(daiToken), address(wethToken), 10000 * MUL, 1000 * MUL);
-        leveragedAMMExchangeCrossMode.createPair(address(daiToken), address(bnbToken), 20000 * MUL, 4000 * MUL);
-        leveragedAMMExchangeCrossMode.createPair(address(daiToken), address(perpToken), 30000 * MUL, 6000 * MUL);
-        leveragedAMMExchangeIsolatedMode.createPair(address(daiToken), address(wethToken), 10000 * MUL, 1000 * MUL);
-        leveragedAMMExchangeIsolatedMode.createPair(address(daiToken), address(bnbToken), 20000 * MUL, 4000 * MUL);
-        leveragedAMMExchangeIsolatedMode.createPair(address(daiToken), address(perpToken), 30000 * MUL, 6000 * MUL);
-        vm.stopBroadcast();
-
-        return
-            (daiToken, wethToken, bnbToken, perpToken, leveragedAMMExchangeCrossMode, leveragedAMMExchangeIsolatedMode);
-    }
-}
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "forge-std/Script.sol";
+import {MyToken} from "../src/tests/MyToken.sol";
+import {MockAggregator} from "../src/tests/MockAggregator.sol";
+import {Multicall3} from "../src/tests/Multicall3.sol";
+import {LeveragedAMMExchangeCrossMode} from "../src/LeveragedAMMExchangeCrossMode.sol";
+import {LeveragedAMMExchangeIsolatedMode} from "../src/LeveragedAMMExchangeIsolatedMode.sol";
+
+contract LeveragedAMMExchangeDeployment is Script {
+    function run()
+        external
+        returns (MyToken, MyToken, MyToken, MyToken, LeveragedAMMExchangeCrossMode, LeveragedAMMExchangeIsolatedMode)
+    {
+        vm.startBroadcast();
+        uint8 decimals = 18;
+        uint256 MUL = 10 ** decimals;
+        MyToken daiToken = new MyToken("Dai Stablecoin", "DAI", decimals, 1000000 * MUL);
+        MyToken wethToken = new MyToken("Wrapped ETH", "WETH", decimals, 1000000 * MUL);
+        MyToken bnbToken = new MyToken("Binance Coin", "BNB", decimals, 1000000 * MUL);
+        MyToken perpToken = new MyToken("Perpetual", "PERP", decimals, 1000000 * MUL);
+        LeveragedAMMExchangeCrossMode leveragedAMMExchangeCrossMode = new LeveragedAMMExchangeCrossMode();
+        LeveragedAMMExchangeIsolatedMode leveragedAMMExchangeIsolatedMode = new LeveragedAMMExchangeIsolatedMode();
+        // The deployer provides the initial reserves (60000 DAI and 1000 WETH/4000 BNB/6000 PERP per exchange)
+        daiToken.approve(address(leveragedAMMExchangeCrossMode), 60000 * MUL);
+        wethToken.approve(address(leveragedAMMExchangeCrossMode), 1000 * MUL);
+        bnbToken.approve(address(leveragedAMMExchangeCrossMode), 4000 * MUL);
+        perpToken.approve(address(leveragedAMMExchangeCrossMode), 6000 * MUL);
+        daiToken.approve(address(leveragedAMMExchangeIsolatedMode), 60000 * MUL);
+        wethToken.approve(address(leveragedAMMExchangeIsolatedMode), 1000 * MUL);
+        bnbToken.approve(address(leveragedAMMExchangeIsolatedMode), 4000 * MUL);
+        perpToken.approve(address(leveragedAMMExchangeIsolatedMode), 6000 * MUL);
+        leveragedAMMExchangeCrossMode.createPair(address(daiToken), address(wethToken), 10000 * MUL, 1000 * MUL);
+        leveragedAMMExchangeCrossMode.createPair(address(daiToken), address(bnbToken), 20000 * MUL, 4000 * MUL);
+        leveragedAMMExchangeCrossMode.createPair(address(daiToken), address(perpToken), 30000 * MUL, 6000 * MUL);
+        leveragedAMMExchangeIsolatedMode.createPair(address(daiToken), address(wethToken), 10000 * MUL, 1000 * MUL);
+        leveragedAMMExchangeIsolatedMode.createPair(address(daiToken), address(bnbToken), 20000 * MUL, 4000 * MUL);
+        leveragedAMMExchangeIsolatedMode.createPair(address(daiToken), address(perpToken), 30000 * MUL, 6000 * MUL);
+        // Swap fee of 0.3% on every pair
+        uint256 feeBps = 30;
+        leveragedAMMExchangeCrossMode.setPairFee(address(daiToken), address(wethToken), feeBps);
+        leveragedAMMExchangeCrossMode.setPairFee(address(daiToken), address(bnbToken), feeBps);
+        leveragedAMMExchangeCrossMode.setPairFee(address(daiToken), address(perpToken), feeBps);
+        leveragedAMMExchangeIsolatedMode.setPairFee(address(daiToken), address(wethToken), feeBps);
+        leveragedAMMExchangeIsolatedMode.setPairFee(address(daiToken), address(bnbToken), feeBps);
+        leveragedAMMExchangeIsolatedMode.setPairFee(address(daiToken), address(perpToken), feeBps);
+        // Mock price feeds (8 decimals) at the initial pair prices, shared by both exchanges: a feed answer older than
+        // a day or 20% away from the pair price blocks the liquidations (push prices with `sdk/bin/oracle-feeder.js`)
+        MockAggregator wethFeed = new MockAggregator(8, "WETH / DAI", 10 * 1e8);
+        MockAggregator bnbFeed = new MockAggregator(8, "BNB / DAI", 5 * 1e8);
+        MockAggregator perpFeed = new MockAggregator(8, "PERP / DAI", 5 * 1e8);
+        uint256 maxStaleness = 1 days;
+        uint256 maxDeviationBps = 2000;
+        leveragedAMMExchangeCrossMode.setPairOracle(
+            address(daiToken), address(wethToken), address(wethFeed), maxStaleness, maxDeviationBps
+        );
+        leveragedAMMExchangeCrossMode.setPairOracle(
+            address(daiToken), address(bnbToken), address(bnbFeed), maxStaleness, maxDeviationBps
+        );
+        leveragedAMMExchangeCrossMode.setPairOracle(
+            address(daiToken), address(perpToken), address(perpFeed), maxStaleness, maxDeviationBps
+        );
+        leveragedAMMExchangeIsolatedMode.setPairOracle(
+            address(daiToken), address(wethToken), address(wethFeed), maxStaleness, maxDeviationBps
+        );
+        leveragedAMMExchangeIsolatedMode.setPairOracle(
+            address(daiToken), address(bnbToken), address(bnbFeed), maxStaleness, maxDeviationBps
+        );
+        leveragedAMMExchangeIsolatedMode.setPairOracle(
+            address(daiToken), address(perpToken), address(perpFeed), maxStaleness, maxDeviationBps
+        );
+        // Margin pool of the cross accounts: DAI at par, and WETH at its feed price less a haircut of 20%
+        leveragedAMMExchangeCrossMode.setCollateral(address(daiToken), address(0), 0, 0);
+        leveragedAMMExchangeCrossMode.setCollateral(address(wethToken), address(wethFeed), maxStaleness, 2000);
+        // Multicall3, which batches the reads of the Web GUI (see `src/tests/Multicall3.sol`)
+        new Multicall3();
+        vm.stopBroadcast();
+
+        return
+            (daiToken, wethToken, bnbToken, perpToken, leveragedAMMExchangeCrossMode, leveragedAMMExchangeIsolatedMode);
+    }
+}
@@ -0,0 +1,249 @@
+"use strict";
+
+/**
+ * Off-chain AMM math of the Leveraged AMM Exchange, mirroring the Solidity quote functions bit for bit.
+ * All the inputs and outputs are `bigint` raw token units. The integer divisions truncate like the EVM,
+ * and an operation which would revert on-chain (checked arithmetic over/underflow) throws a `RangeError`.
+ *
+ * A pair is `{ reserveA, reserveB, feeBps }`, as returned by `pairs(tokenA, tokenB)` and `pairFees(tokenA, tokenB)`
+ * (`feeBps` defaults to no fee).
+ * A position is `{ collateralAmount, collateralWorthValue, positionValue, leverage, side }`, as `Position`
+ * (`side` is `Side.LONG` by default).
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.LeveragedAMMMath = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  /** `LeveragedAMMExchange.MAX_LEVERAGE`. */
+  const MAX_LEVERAGE = 10n;
+  /** `LeveragedAMMExchange.MAX_FEE_BPS`. */
+  const MAX_FEE_BPS = 1000n;
+  const BPS = 10000n;
+  const MAX_UINT256 = (1n << 256n) - 1n;
+  /** The direction of a position (`ILeveragedAMMExchange.Side`). */
+  const Side = Object.freeze({ LONG: 0, SHORT: 1 });
+
+  /** Checked uint256 arithmetic, reverting (throwing) like Solidity 0.8. */
+  function checked(value) {
+    if (value < 0n || value > MAX_UINT256) throw new RangeError("Arithmetic over/underflow");
+    return value;
+  }
+
+  /**
+   * `LeveragedAMMExchange.getPairPrice`.
+   * @param {{reserveA: bigint, reserveB: bigint}} pair The pair reserves.
+   * @param {number|bigint} decimalsA The decimals of token A.
+   * @param {number|bigint} decimalsB The decimals of token B.
+   * @returns {bigint} The price of token B in token A (no decimals).
+   */
+  function getPairPrice(pair, decimalsA, decimalsB) {
+    const normalizedReserveA = checked(pair.reserveA * 10n ** checked(18n - BigInt(decimalsA)));
+    const normalizedReserveB = checked(pair.reserveB * 10n ** checked(18n - BigInt(decimalsB)));
+    if (normalizedReserveA === 0n || normalizedReserveB === 0n) return 0n; // NOTE: avoid division by zero
+    return normalizedReserveA / normalizedReserveB;
+  }
+
+  /** The swap fee of a pair in basis points. */
+  function getFeeBps(pair) {
+    return BigInt(pair.feeBps ?? 0n);
+  }
+
+  /** Whether a position (or an order) is short. */
+  function isShort(position) {
+    return Number(position.side ?? Side.LONG) === Side.SHORT;
+  }
+
+  /**
+   * `LeveragedAMMExchange._getAmountOutWithFee`: the swap fee is deducted from the input.
+   * @param {{reserveA: bigint, reserveB: bigint, feeBps?: bigint}} pair The pair reserves and fee.
+   * @param {bigint} totalInput The (leveraged) amount of token A to swap.
+   * @returns {[bigint, bigint]} The amount of token B to receive and the swap fee (token A).
+   */
+  function getAmountOutWithFee(pair, totalInput) {
+    const fee = checked(totalInput * getFeeBps(pair)) / BPS;
+    const newReserveA = checked(checked(pair.reserveA + totalInput) - fee);
+    if (newReserveA === 0n) return [0n, fee]; // NOTE: avoid exception
+    const newReserveB = checked(pair.reserveA * pair.reserveB) / newReserveA;
+    return [checked(pair.reserveB - newReserveB), fee];
+  }
+
+  /**
+   * `LeveragedAMMExchange._getAmountReturnedWithFee`: the swap fee is deducted from the output.
+   * @param {{reserveA: bigint, reserveB: bigint, feeBps?: bigint}} pair The pair reserves and fee.
+   * @param {bigint} amount The amount of token B to sell.
+   * @returns {[bigint, bigint]} The (leveraged) amount of token A returned and the swap fee (token A).
+   */
+  function getAmountReturnedWithFee(pair, amount) {
+    const newReserveB = checked(pair.reserveB + amount);
+    if (newReserveB === 0n) return [0n, 0n]; // NOTE: avoid exception
+    const newReserveA = checked(pair.reserveA * pair.reserveB) / newReserveB;
+    if (pair.reserveA <= newReserveA) return [0n, 0n]; // NOTE: avoid exception
+    const grossAmount = pair.reserveA - newReserveA;
+    const fee = checked(grossAmount * getFeeBps(pair)) / BPS;
+    return [grossAmount - fee, fee];
+  }
+
+  /**
+   * `LeveragedAMMExchange._getAmountInWithFee`: the swap fee is added to the input.
+   * @param {{reserveA: bigint, reserveB: bigint, feeBps?: bigint}} pair The pair reserves and fee.
+   * @param {bigint} amountOut The amount of token B to buy.
+   * @returns {[bigint, bigint]} The (leveraged) amount of token A to pay, including the fee, and the swap fee
+   *  (0 if the pair has too little).
+   */
+  function getAmountInWithFee(pair, amountOut) {
+    if (pair.reserveB <= amountOut) return [0n, 0n]; // NOTE: avoid exception
+    const newReserveB = pair.reserveB - amountOut;
+    const newReserveA = checked(pair.reserveA * pair.reserveB) / newReserveB;
+    const netInput = checked(newReserveA - pair.reserveA);
+    const totalInput = checked(netInput * BPS) / checked(BPS - getFeeBps(pair));
+    return [totalInput, totalInput - netInput];
+  }
+
+  /**
+   * `LeveragedAMMExchange._getAmountSoldWithFee`: the swap fee is deducted from the output.
+   * @param {{reserveA: bigint, reserveB: bigint, feeBps?: bigint}} pair The pair reserves and fee.
+   * @param {bigint} returnedAmount The (leveraged) amount of token A to receive, after the fee.
+   * @returns {[bigint, bigint]} The amount of token B to sell and the swap fee (0 if the pair has too little).
+   */
+  function getAmountSoldWithFee(pair, returnedAmount) {
+    const grossAmount = checked(returnedAmount * BPS) / checked(BPS - getFeeBps(pair));
+    if (pair.reserveA <= grossAmount) return [0n, 0n]; // NOTE: avoid exception
+    const newReserveA = pair.reserveA - grossAmount;
+    const amount = checked(checked(pair.reserveA * pair.reserveB) / newReserveA - pair.reserveB);
+    return [amount, grossAmount - returnedAmount];
+  }
+
+  /**
+   * `LeveragedAMMExchange.getAmountOutFromIn`.
+   * @param {{reserveA: bigint, reserveB: bigint, feeBps?: bigint}} pair The pair reserves and fee.
+   * @param {bigint} amountIn The amount of token A to swap.
+   * @param {number|bigint} leverage The leverage to use.
+   * @returns {bigint} The amount of token B to receive.
+   */
+  function getAmountOutFromIn(pair, amountIn, leverage) {
+    return getAmountOutWithFee(pair, checked(amountIn * BigInt(leverage)))[0];
+  }
+
+  /**
+   * `LeveragedAMMExchange.getAmountInForOut`.
+   * @param {{reserveA: bigint, reserveB: bigint, feeBps?: bigint}} pair The pair reserves and fee.
+   * @param {bigint} amountOut The amount of token B to receive.
+   * @param {number|bigint} leverage The leverage to use.
+   * @returns {bigint} The amount of token A to swap.
+   */
+  function getAmountInForOut(pair, amountOut, leverage) {
+    leverage = BigInt(leverage);
+    if (leverage === 0n) return 0n; // NOTE: avoid exception
+    return getAmountInWithFee(pair, amountOut)[0] / leverage;
+  }
+
+  /**
+   * `LeveragedAMMExchange.getAmountShortFromIn`.
+   * @param {{reserveA: bigint, reserveB: bigint, feeBps?: bigint}} pair The pair reserves and fee.
+   * @param {bigint} amountIn The amount of token A (collateral).
+   * @param {number|bigint} leverage The leverage to use.
+   * @returns {bigint} The amount of token B to borrow and sell.
+   */
+  function getAmountShortFromIn(pair, amountIn, leverage) {
+    return getAmountSoldWithFee(pair, checked(amountIn * BigInt(leverage)))[0];
+  }
+
+  /**
+   * `LeveragedAMMExchange.getAmountCollateralReturn`.
+   * @param {{reserveA: bigint, reserveB: bigint, feeBps?: bigint}} pair The pair reserves and fee.
+   * @param {bigint} amount The amount of token B to repay.
+   * @param {number|bigint} leverage The leverage used.
+   * @returns {[bigint, bigint]} The returned leveraged amount and collateral amount.
+   */
+  function getAmountCollateralReturn(pair, amount, leverage) {
+    leverage = BigInt(leverage);
+    if (leverage === 0n) return [0n, 0n]; // NOTE: avoid exception
+    const [returnedAmount] = getAmountReturnedWithFee(pair, amount);
+    return [returnedAmount, returnedAmount / leverage];
+  }
+
+  /**
+   * `LeveragedAMMExchange.getPositionReturn`: the collateral returned by selling (long) or buying back (short) an
+   * amount of a position, before its added margin.
+   * A short returns `(2 * worthValue - cost) / leverage`, where `worthValue` is its share of the collateral worth
+   * value and `cost` the amount of token A buying back its token B.
+   * @param {{reserveA: bigint, reserveB: bigint, feeBps?: bigint}} pair The pair reserves and fee.
+   * @param {object} position The position.
+   * @param {bigint} amount The amount of token B to sell (or buy back).
+   * @returns {bigint} The returned collateral amount.
+   */
+  function getPositionReturn(pair, position, amount) {
+    if (amount > position.positionValue) return 0n; // NOTE: avoid exception
+    if (!isShort(position)) return getAmountCollateralReturn(pair, amount, position.leverage)[1];
+    const [cost] = getAmountInWithFee(pair, amount);
+    const worthValue = checked(position.collateralWorthValue * amount) / position.positionValue;
+    return 2n * worthValue > cost ? (2n * worthValue - cost) / BigInt(position.leverage) : 0n;
+  }
+
+  /**
+   * `getAccountRemainingValue` of the isolated exchange, and of the cross exchange for a token A which is not a listed
+   * collateral. With a listed token A, the cross exchange reads the margin pool of the account instead, with the
+   * haircuts and the unrealized PnL of its positions (see `getAccountSummary`), which this does not mirror.
+   * @param {bigint} balance The deposited balance of token A (`balances(account, tokenA)`).
+   * @param {Array<object>} positions The open positions of the pair (the single cross position in cross mode).
+   * @param {"CROSS"|"ISOLATED"} mode The margin mode of the exchange.
+   * @returns {bigint} The remaining value of the account.
+   */
+  function getAccountRemainingValue(balance, positions, mode) {
+    let depositedAmount = balance;
+    let collateralWorthPositionValue = 0n;
+    for (const position of positions) {
+      // NOTE: the cross mode only counts the collateral of a non-empty position
+      if (mode === "ISOLATED" || position.positionValue > 0n) {
+        depositedAmount = checked(depositedAmount + position.collateralAmount);
+      }
+      collateralWorthPositionValue = checked(collateralWorthPositionValue + position.collateralWorthValue);
+    }
+    return checked(checked(depositedAmount * MAX_LEVERAGE) - collateralWorthPositionValue);
+  }
+
+  /**
+   * The `minAmountOut` bound of an order from a quote (not a contract function).
+   * @param {bigint} amountOut The quoted amount received.
+   * @param {number|bigint} slippageBps The slippage tolerance in basis points.
+   * @returns {bigint} The minimum amount received, rounded down.
+   */
+  function getMinAmountOut(amountOut, slippageBps) {
+    slippageBps = BigInt(slippageBps);
+    if (slippageBps < 0n || slippageBps > BPS) throw new RangeError(`Invalid slippage tolerance: ${slippageBps}`);
+    return amountOut * (BPS - slippageBps) / BPS;
+  }
+
+  /**
+   * The `maxAmountIn` bound of an order from a quote (not a contract function), e.g. the token B sold by a short.
+   * @param {bigint} amountIn The quoted amount paid.
+   * @param {number|bigint} slippageBps The slippage tolerance in basis points.
+   * @returns {bigint} The maximum amount paid, rounded up.
+   */
+  function getMaxAmountIn(amountIn, slippageBps) {
+    slippageBps = BigInt(slippageBps);
+    if (slippageBps < 0n || slippageBps > BPS) throw new RangeError(`Invalid slippage tolerance: ${slippageBps}`);
+    return (amountIn * (BPS + slippageBps) + BPS - 1n) / BPS;
+  }
+
+  return {
+    MAX_LEVERAGE,
+    MAX_FEE_BPS,
+    MAX_UINT256,
+    Side,
+    isShort,
+    getPairPrice,
+    getAmountOutWithFee,
+    getAmountReturnedWithFee,
+    getAmountInWithFee,
+    getAmountSoldWithFee,
+    getAmountOutFromIn,
+    getAmountInForOut,
+    getAmountShortFromIn,
+    getAmountCollateralReturn,
+    getPositionReturn,
+    getAccountRemainingValue,
+    getMinAmountOut,
+    getMaxAmountIn,
+  };
+});
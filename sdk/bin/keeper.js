@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Liquidation and trigger keeper process (see `keeper.js`).
+ *
+ *   $ RPC_URL=http://127.0.0.1:8545 PRIVATE_KEY=0x... node bin/keeper.js [options]
+ *
+ * Options:
+ *   --dry-run            Only report the positions which would be liquidated (or closed by their trigger).
+ *   --no-triggers        Only liquidate, without closing the positions whose stop-loss or take-profit is reached.
+ *   --no-funding         Do not poke the funding of the pairs with a feed (once per funding interval).
+ *   --once               Scan once and exit (instead of following the events).
+ *   --report <file>      Write the report as JSON on exit.
+ *   --manifest <file>    The deployment manifest (`html/contract-address.json` by default).
+ *
+ * Without `PRIVATE_KEY`, the first unlocked account of the node (e.g. anvil) sends the transactions.
+ */
+const { writeFileSync } = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { LiquidationKeeper, formatReport } = require("../keeper");
+
+function parseArgs(argv) {
+  const options = {
+    dryRun: false, triggers: true, funding: true, once: false, report: null,
+    manifest: path.join(__dirname, "../../html/contract-address.json")
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--dry-run") options.dryRun = true;
+    else if (argv[i] === "--no-triggers") options.triggers = false;
+    else if (argv[i] === "--no-funding") options.funding = false;
+    else if (argv[i] === "--once") options.once = true;
+    else if (argv[i] === "--report") options.report = argv[++i];
+    else if (argv[i] === "--manifest") options.manifest = argv[++i];
+    else throw new Error(`Unknown option: ${argv[i]}`);
+  }
+  return options;
+}
+
+function writeReport(file, report) {
+  const json = JSON.stringify(report, (key, value) => typeof value === "bigint" ? value.toString() : value, 2);
+  writeFileSync(file, json + "\n");
+  console.log(`Report written to ${file}`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || "http://127.0.0.1:8545");
+  let runner = provider;
+  if (process.env.PRIVATE_KEY) runner = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+  else if (!options.dryRun) runner = await provider.getSigner();
+
+  const keeper = await LiquidationKeeper.fromManifest(runner, require(path.resolve(options.manifest)), {
+    dryRun: options.dryRun, triggers: options.triggers, funding: options.funding
+  });
+  const finish = () => {
+    keeper.stop();
+    console.log(formatReport(keeper.report));
+    if (options.report) writeReport(options.report, keeper.report);
+    provider.destroy();
+  };
+  console.log(`Keeper ${runner === provider ? "(read-only)" : await runner.getAddress()}`
+    + `${options.dryRun ? " in dry-run mode" : ""}${options.triggers ? "" : " without triggers"}`
+    + `${options.funding ? "" : " without funding"} on chain ${keeper.deployment.chainId}`);
+
+  if (options.once) {
+    await keeper.discoverAccounts();
+    await keeper.scan();
+    finish();
+    return;
+  }
+  await keeper.start();
+  process.once("SIGINT", finish);
+  process.once("SIGTERM", finish);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Mock price feeder (see `oracle.js`): pushes the prices of a CSV file to the `MockAggregator` feeds of the pairs,
+ * for local networks and tests only.
+ *
+ *   $ RPC_URL=http://127.0.0.1:8545 PRIVATE_KEY=0x... node bin/oracle-feeder.js --csv prices.csv [options]
+ *
+ * Options:
+ *   --csv <file>         The prices: a column per trading pair (e.g. `WETH/DAI`), an optional `delay` column.
+ *   --interval <seconds> The delay between the rows without `delay` (5 by default).
+ *   --loop               Start over from the first row after the last one (until interrupted).
+ *   --manifest <file>    The deployment manifest (`html/contract-address.json` by default).
+ *
+ * The feed of a pair is the one set on its exchanges (`pairOracles`), once for a feed shared by both exchanges.
+ * Without `PRIVATE_KEY`, the first unlocked account of the node (e.g. anvil) sends the prices.
+ */
+const { readFileSync } = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const abi = require("../abi");
+const { EXCHANGE_KEYS, LeveragedAMMClient } = require("../client");
+const { getDeployment } = require("../manifest");
+const { parsePriceCsv, toAnswer } = require("../oracle");
+
+function parseArgs(argv) {
+  const options = {
+    csv: null, interval: 5, loop: false, manifest: path.join(__dirname, "../../html/contract-address.json")
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--csv") options.csv = argv[++i];
+    else if (argv[i] === "--interval") options.interval = Number(argv[++i]);
+    else if (argv[i] === "--loop") options.loop = true;
+    else if (argv[i] === "--manifest") options.manifest = argv[++i];
+    else throw new Error(`Unknown option: ${argv[i]}`);
+  }
+  if (!options.csv) throw new Error("The --csv option is required");
+  return options;
+}
+
+/**
+ * Resolve the feeds of the trading pairs from the exchanges.
+ * @returns {Promise<Map<string, Array<ethers.Contract>>>} The feeds by trading pair symbol (e.g. `WETH/DAI`).
+ */
+async function loadFeeds(signer, deployment) {
+  const amm = new LeveragedAMMClient(signer, deployment.addresses);
+  const feeds = new Map();
+  for (const { exchange: key, tokenA, tokenB } of deployment.pairs) {
+    const exchange = amm.exchange(Object.keys(EXCHANGE_KEYS).find(mode => EXCHANGE_KEYS[mode] === key));
+    const [address] = await exchange.contract.pairOracles(
+      exchange.resolveToken(tokenA), exchange.resolveToken(tokenB)
+    );
+    if (address === ethers.ZeroAddress) continue;
+    const symbol = `${tokenB}/${tokenA}`;
+    const pairFeeds = feeds.get(symbol) || [];
+    if (!pairFeeds.some(feed => feed.target === address)) {
+      pairFeeds.push(new ethers.Contract(address, abi.mockAggregator, signer));
+    }
+    feeds.set(symbol, pairFeeds);
+  }
+  return feeds;
+}
+
+function sleep(seconds) {
+  return new Promise(resolve => setTimeout(resolve, seconds * 1000));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const ticks = parsePriceCsv(readFileSync(options.csv, "utf8"));
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || "http://127.0.0.1:8545");
+  const signer = process.env.PRIVATE_KEY
+    ? new ethers.Wallet(process.env.PRIVATE_KEY, provider) : await provider.getSigner();
+  const { chainId } = await provider.getNetwork();
+  const deployment = getDeployment(require(path.resolve(options.manifest)), chainId);
+  if (!deployment) throw new Error(`No deployment found for chain ${chainId}`);
+
+  const feeds = await loadFeeds(signer, deployment);
+  for (const symbol of new Set(ticks.flatMap(tick => Object.keys(tick.prices)))) {
+    if (!feeds.has(symbol)) throw new Error(`No price feed set for the pair ${symbol}`);
+  }
+  let stopped = false;
+  const finish = () => { stopped = true; };
+  process.once("SIGINT", finish);
+  process.once("SIGTERM", finish);
+  console.log(`Feeder ${await signer.getAddress()} on chain ${chainId}: ${ticks.length} row(s) of ${options.csv}`);
+
+  let first = true;
+  do {
+    for (const { delay, prices } of ticks) {
+      // NOTE: the first row is pushed right away, unless it has a delay
+      if (!first || delay !== null) await sleep(delay ?? options.interval);
+      first = false;
+      if (stopped) break;
+      for (const [symbol, price] of Object.entries(prices)) {
+        for (const feed of feeds.get(symbol) || []) {
+          const answer = toAnswer(price, await feed.decimals());
+          const receipt = await (await feed.setPrice(answer)).wait();
+          console.log(`[feeder] ${symbol} = ${price} (${feed.target}, block ${receipt.blockNumber})`);
+        }
+      }
+    }
+  } while (options.loop && !stopped);
+  provider.destroy();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
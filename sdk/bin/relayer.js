@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Limit order relayer process (see `relayer.js`), serving its orders over HTTP.
+ *
+ *   $ RPC_URL=http://127.0.0.1:8545 PRIVATE_KEY=0x... node bin/relayer.js [options]
+ *
+ * Options:
+ *   --port <port>        The HTTP port (8580 by default).
+ *   --store <file>       Keep the orders in a JSON file (in memory only by default).
+ *   --manifest <file>    The deployment manifest (`html/contract-address.json` by default).
+ *
+ * HTTP API (JSON, with the `bigint` fields as decimal strings):
+ *   POST /orders                   Submit `{ mode, order, signature }`: 201 with the entry, or 400 with `{ error }`.
+ *   GET  /orders?account=&status=  The entries, newest first.
+ *   GET  /orders/<hash>            The entry of an order, or 404.
+ *
+ * Without `PRIVATE_KEY`, the first unlocked account of the node (e.g. anvil) sends the executions.
+ */
+const { existsSync, readFileSync, writeFileSync } = require("fs");
+const http = require("http");
+const path = require("path");
+const { ethers } = require("ethers");
+const { LimitOrderRelayer, serializeEntry } = require("../relayer");
+
+/** The largest request body accepted (a limit order and its signature are well below it). */
+const MAX_BODY_SIZE = 64 * 1024;
+
+function parseArgs(argv) {
+  const options = { port: 8580, store: null, manifest: path.join(__dirname, "../../html/contract-address.json") };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--port") options.port = Number(argv[++i]);
+    else if (argv[i] === "--store") options.store = argv[++i];
+    else if (argv[i] === "--manifest") options.manifest = argv[++i];
+    else throw new Error(`Unknown option: ${argv[i]}`);
+  }
+  return options;
+}
+
+/** The storage of the orders in a JSON file. */
+function jsonFileStorage(file) {
+  return {
+    load: () => existsSync(file) ? JSON.parse(readFileSync(file, "utf8")) : [],
+    save: (entries) => writeFileSync(file, JSON.stringify(entries, null, 2) + "\n"),
+  };
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) reject(new Error("Request body too large"));
+    });
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+}
+
+function send(response, statusCode, body) {
+  // NOTE: the GUI is served from another origin
+  response.writeHead(statusCode, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  response.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function createServer(relayer) {
+  return http.createServer(async (request, response) => {
+    const url = new URL(request.url, "http://localhost");
+    try {
+      if (request.method === "OPTIONS") return send(response, 204);
+      if (url.pathname === "/orders" && request.method === "POST") {
+        const entry = await relayer.submit(JSON.parse(await readBody(request)));
+        relayer.requestCheck();
+        return send(response, 201, serializeEntry(entry));
+      }
+      if (url.pathname === "/orders" && request.method === "GET") {
+        const filter = { account: url.searchParams.get("account"), status: url.searchParams.get("status") };
+        return send(response, 200, relayer.list(filter).map(serializeEntry));
+      }
+      const match = url.pathname.match(/^\/orders\/(0x[0-9a-fA-F]{64})$/);
+      if (match && request.method === "GET") {
+        const entry = relayer.get(match[1].toLowerCase());
+        return entry ? send(response, 200, serializeEntry(entry)) : send(response, 404, { error: "Order not found" });
+      }
+      send(response, 404, { error: "Not found" });
+    } catch (error) {
+      send(response, 400, { error: error.message });
+    }
+  });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || "http://127.0.0.1:8545");
+  const signer = process.env.PRIVATE_KEY
+    ? new ethers.Wallet(process.env.PRIVATE_KEY, provider) : await provider.getSigner();
+
+  const relayer = await LimitOrderRelayer.fromManifest(signer, require(path.resolve(options.manifest)), {
+    storage: options.store ? jsonFileStorage(options.store) : null
+  });
+  const server = createServer(relayer);
+  const finish = () => {
+    relayer.stop();
+    server.close();
+    provider.destroy();
+  };
+  console.log(`Relayer ${await signer.getAddress()} on chain ${relayer.deployment.chainId}`);
+  await relayer.start();
+  server.listen(options.port, () => console.log(`Listening on port ${options.port}`));
+  process.once("SIGINT", finish);
+  process.once("SIGTERM", finish);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,85 @@
+"use strict";
+
+/**
+ * Funding of the Leveraged AMM Exchange pairs (`pokeFunding`), computed as the contracts compute it.
+ *
+ * Once per `FUNDING_INTERVAL`, anyone (the keeper, see `keeper.js`) can poke the funding of a pair: the funding rate
+ * is the premium of the pair price over the feed price of the pair (its index price, see `oracle.js`), bounded by
+ * `MAX_FUNDING_RATE_BPS`, and it accrues to the cumulative funding index of the pair for the interval that just ended:
+ *   rate = (pairPrice - indexPrice) / indexPrice
+ *   cumulativeIndex += rate
+ * The intervals missed before it accrue nothing. A pair without a feed has a zero rate. The first poke only starts
+ * the funding of the pair.
+ *
+ * A position records the cumulative index when it is opened, grown or reduced (`fundingIndex`, less the funding it
+ * could not settle, which stays accrued on it), and accrues
+ *   funding = collateralWorthValue * (cumulativeIndex - fundingIndex)
+ * which a long pays and a short receives (the other way around with a negative rate), so that the funding pulls the
+ * pair price back to the index price. The accrued funding is marked with the position for the margin checks (see the
+ * `funding` option of `risk.getPositionRisk`), and settled with the funding pool of the pair (`fundingPools`) when the
+ * position is reduced, closed or liquidated: the funding paid is added to it, the funding received is paid from it
+ * (at most all of it).
+ *
+ * Rates and indexes are `bigint` with `PRICE_DECIMALS` decimals (1e18 = 100%), times are `bigint` seconds.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./amm-math"), require("./risk"));
+  else root.LeveragedAMMFunding = factory(root.LeveragedAMMMath, root.LeveragedAMMRisk);
+})(typeof self !== "undefined" ? self : this, function (math, { PRICE_DECIMALS }) {
+  const BPS = 10000n;
+  const ONE = 10n ** BigInt(PRICE_DECIMALS);
+  /** The interval between two fundings of a pair (`FUNDING_INTERVAL` of the contracts, 1 hour). */
+  const FUNDING_INTERVAL = 3600n;
+  /** The maximum funding rate of an interval (`MAX_FUNDING_RATE_BPS` of the contracts, 1%). */
+  const MAX_FUNDING_RATE_BPS = 100n;
+
+  /**
+   * `LeveragedAMMExchange.getFundingRate`: the funding rate of the next interval of a pair.
+   * @param {bigint} pairPrice The pair price (see `risk.getPrice`).
+   * @param {bigint} indexPrice The feed price of the pair (0 without a feed).
+   * @returns {bigint} The rate (positive: the longs pay the shorts).
+   */
+  function getFundingRate(pairPrice, indexPrice) {
+    if (indexPrice === 0n) return 0n;
+    const rate = (pairPrice - indexPrice) * ONE / indexPrice;
+    const maxRate = ONE * MAX_FUNDING_RATE_BPS / BPS;
+    if (rate > maxRate) return maxRate;
+    return rate < -maxRate ? -maxRate : rate;
+  }
+
+  /**
+   * `LeveragedAMMExchange.getPositionFunding`: the funding accrued by a position since it was last settled.
+   * @param {object} position The position (`collateralWorthValue`, `side`, `fundingIndex`).
+   * @param {bigint} cumulativeIndex The cumulative funding index of the pair (`pairFunding`).
+   * @returns {bigint} The funding the position pays (positive) or receives (negative), in token A.
+   */
+  function getAccruedFunding(position, cumulativeIndex) {
+    const funding = position.collateralWorthValue * (cumulativeIndex - (position.fundingIndex ?? 0n)) / ONE;
+    return math.isShort(position) ? -funding : funding;
+  }
+
+  /**
+   * The time of the next funding of a pair.
+   * @param {{lastFundingTime: bigint}} pairFunding The funding state of the pair (`pairFunding`).
+   * @returns {bigint|null} The timestamp from which `pokeFunding` accrues, or null before the first poke.
+   */
+  function getNextFundingTime(pairFunding) {
+    if (pairFunding.lastFundingTime === 0n) return null;
+    return pairFunding.lastFundingTime + FUNDING_INTERVAL;
+  }
+
+  /**
+   * The intervals elapsed since the last funding (`pokeFunding` accrues the last one only).
+   * @param {{lastFundingTime: bigint}} pairFunding The funding state of the pair (`pairFunding`).
+   * @param {bigint} now The timestamp of the latest block.
+   * @returns {bigint} The elapsed intervals (0 before the first poke, or when the funding is not due).
+   */
+  function getDueIntervals(pairFunding, now) {
+    if (pairFunding.lastFundingTime === 0n || now < pairFunding.lastFundingTime) return 0n;
+    return (now - pairFunding.lastFundingTime) / FUNDING_INTERVAL;
+  }
+
+  return {
+    FUNDING_INTERVAL, MAX_FUNDING_RATE_BPS, getFundingRate, getAccruedFunding, getNextFundingTime, getDueIntervals
+  };
+});
@@ -0,0 +1,230 @@
+"use strict";
+
+/**
+ * Trade history of the Leveraged AMM Exchange, decoded from the `Deposit`, `Withdraw`, `Swap`, `Liquidate`,
+ * `MarginAdded` and `MarginRemoved` event logs.
+ *
+ * A record is:
+ *   { id, type: "DEPOSIT"|"WITHDRAW"|"OPEN"|"REDUCE"|"CLOSE"|"LIQUIDATE"|"ADD_MARGIN"|"REMOVE_MARGIN",
+ *     mode: "CROSS"|"ISOLATED", side: "LONG"|"SHORT"|null, account,
+ *     pair, collateral, target, collateralAmount, targetAmount, leverage, price, fee, blockNumber, transactionHash,
+ *     logIndex }
+ * The direction of a swap is inferred from the token order of the event: the contracts emit `(tokenA, tokenB)`
+ * when opening and `(tokenB, tokenA)` when selling (`REDUCE` in cross mode, `CLOSE` in isolated mode).
+ * The `collateralAmount` of a liquidation is what the position settled to the account after repaying its debt
+ * and the liquidator reward: negative when the free balance absorbed the shortfall of a cross position.
+ * The `fee` is the swap fee paid to the pair (collateral units, leveraged), so the executed `price` includes it.
+ * The `side` of a swap or a liquidation is the direction of its position (`LONG` for the logs before shorts). The
+ * executed price of a short sell is not in its event (the collateral it returns depends on the position), so it is 0;
+ * a short liquidation is executed at its buyback cost (`debt`).
+ * The margin records move collateral between the deposit balance and a position (no `target`): selling a position
+ * also gives back its added margin as a `REMOVE_MARGIN`, next to the swap.
+ *
+ * The decoding context is `{ tokens, pairs }`:
+ *  - `tokens`: lower-cased token address => `{ symbol, decimals }`
+ *  - `pairs`: the trading pairs of the deployment (`tradingPairs` of `getDeployment`)
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.LeveragedAMMHistory = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  /** The decimals of the executed `price`. */
+  const PRICE_DECIMALS = 18;
+
+  /** The swap direction by mode, when the event tokens are in reverse order. */
+  const SELL_TYPES = Object.freeze({ CROSS: "REDUCE", ISOLATED: "CLOSE" });
+
+  /** The position sides by `ILeveragedAMMExchange.Side`. */
+  const SIDES = Object.freeze(["LONG", "SHORT"]);
+
+  /** The margin record types by event name. */
+  const MARGIN_TYPES = Object.freeze({ MarginAdded: "ADD_MARGIN", MarginRemoved: "REMOVE_MARGIN" });
+
+  /** The columns of the CSV export. */
+  const CSV_COLUMNS = [
+    "blockNumber", "transactionHash", "logIndex", "mode", "type", "side", "account", "pair",
+    "collateralAmount", "targetAmount", "leverage", "price", "fee"
+  ];
+
+  function tokenOf(context, address) {
+    const token = context.tokens[address.toLowerCase()];
+    if (!token) throw new Error(`Unknown token in the event log: ${address}`);
+    return token;
+  }
+
+  /**
+   * The executed price: leveraged collateral paid (or returned) per target token.
+   * @returns {bigint} The price, with `PRICE_DECIMALS` decimals (0 if nothing was swapped).
+   */
+  function getExecutedPrice(collateralAmount, targetAmount, leverage, collateralDecimals, targetDecimals) {
+    if (targetAmount === 0n) return 0n;
+    const leveragedAmount = collateralAmount * BigInt(leverage);
+    return leveragedAmount * 10n ** BigInt(PRICE_DECIMALS + Number(targetDecimals))
+      / (targetAmount * 10n ** BigInt(collateralDecimals));
+  }
+
+  /**
+   * Decode an event log of an exchange.
+   * @param {ethers.EventLog} log The `Deposit`, `Withdraw`, `Swap`, `Liquidate` or margin event log.
+   * @param {"CROSS"|"ISOLATED"} mode The margin mode of the exchange which emitted the log.
+   * @param {object} context The decoding context (see above).
+   * @returns {object} The history record.
+   */
+  function toHistoryRecord(log, mode, context) {
+    const eventName = log.eventName || log.fragment?.name;
+    const base = {
+      id: `${log.transactionHash}:${log.index}`,
+      mode,
+      account: eventName === "Liquidate" ? log.args[1] : log.args[0],
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+    };
+
+    if (eventName === "Deposit" || eventName === "Withdraw") {
+      const [, collateralToken, amount] = log.args;
+      return {
+        ...base, type: eventName.toUpperCase(), side: null, pair: null,
+        collateral: tokenOf(context, collateralToken).symbol, target: null, collateralAmount: amount, targetAmount: 0n,
+        leverage: 0, price: 0n, fee: 0n
+      };
+    }
+    if (eventName in MARGIN_TYPES) {
+      const [, tokenA, tokenB, , amount] = log.args;
+      const collateral = tokenOf(context, tokenA);
+      return {
+        ...base, type: MARGIN_TYPES[eventName], side: null,
+        pair: `${collateral.symbol}/${tokenOf(context, tokenB).symbol}`, collateral: collateral.symbol, target: null,
+        collateralAmount: amount, targetAmount: 0n, leverage: 0, price: 0n, fee: 0n
+      };
+    }
+    if (eventName === "Liquidate") {
+      const [, , tokenA, tokenB, positionValue, returnedAmount, debt, reward, leverage, , fee = 0n, side = 0n] =
+        log.args;
+      const collateral = tokenOf(context, tokenA);
+      const target = tokenOf(context, tokenB);
+      const equity = returnedAmount - debt;
+      const settledAmount = SIDES[side] === "SHORT" ? debt : returnedAmount;
+      return {
+        ...base,
+        type: "LIQUIDATE",
+        side: SIDES[side],
+        pair: `${collateral.symbol}/${target.symbol}`,
+        collateral: collateral.symbol,
+        target: target.symbol,
+        collateralAmount: (mode === "ISOLATED" && equity < 0n ? 0n : equity) - reward,
+        targetAmount: positionValue,
+        leverage: Number(leverage),
+        price: getExecutedPrice(settledAmount, positionValue, 1, collateral.decimals, target.decimals),
+        fee,
+      };
+    }
+    if (eventName !== "Swap") throw new Error(`Not a history event: ${eventName}`);
+
+    const [, tokenIn, tokenOut, amountIn, amountOut, leverage, , fee = 0n, side = 0n] = log.args;
+    const symbolIn = tokenOf(context, tokenIn).symbol;
+    const symbolOut = tokenOf(context, tokenOut).symbol;
+    const opening = context.pairs.some(pair => pair.collateral === symbolIn && pair.target === symbolOut);
+    const [collateral, target] = opening ? [tokenOf(context, tokenIn), tokenOf(context, tokenOut)]
+      : [tokenOf(context, tokenOut), tokenOf(context, tokenIn)];
+    const [collateralAmount, targetAmount] = opening ? [amountIn, amountOut] : [amountOut, amountIn];
+    const priced = opening || SIDES[side] === "LONG";
+    return {
+      ...base,
+      type: opening ? "OPEN" : SELL_TYPES[mode],
+      side: SIDES[side],
+      pair: `${collateral.symbol}/${target.symbol}`,
+      collateral: collateral.symbol,
+      target: target.symbol,
+      collateralAmount,
+      targetAmount,
+      leverage: Number(leverage),
+      price: priced ? getExecutedPrice(collateralAmount, targetAmount, leverage, collateral.decimals, target.decimals)
+        : 0n,
+      fee,
+    };
+  }
+
+  /** Sort the records from the newest to the oldest. */
+  function sortHistory(records) {
+    return records.sort((a, b) => (b.blockNumber - a.blockNumber) || (b.logIndex - a.logIndex));
+  }
+
+  /**
+   * Backfill the history of an account from the event logs of an exchange.
+   * @param {ethers.Contract} exchange The exchange contract (connected to a provider).
+   * @param {"CROSS"|"ISOLATED"} mode The margin mode of the exchange.
+   * @param {string} account The account address.
+   * @param {object} context The decoding context (see above).
+   * @param {object} [options]
+   * @param {number} [options.fromBlock] The first block to query (e.g. the deployment block).
+   * @param {number|string} [options.toBlock] The last block to query.
+   * @returns {Promise<Array<object>>} The history records, from the newest to the oldest.
+   */
+  async function fetchHistory(exchange, mode, account, context, { fromBlock = 0, toBlock = "latest" } = {}) {
+    const logs = await Promise.all([
+      exchange.queryFilter(exchange.filters.Deposit(account), fromBlock, toBlock),
+      exchange.queryFilter(exchange.filters.Withdraw(account), fromBlock, toBlock),
+      exchange.queryFilter(exchange.filters.Swap(account), fromBlock, toBlock),
+      exchange.queryFilter(exchange.filters.Liquidate(null, account), fromBlock, toBlock),
+      exchange.queryFilter(exchange.filters.MarginAdded(account), fromBlock, toBlock),
+      exchange.queryFilter(exchange.filters.MarginRemoved(account), fromBlock, toBlock),
+    ]);
+    return sortHistory(logs.flat().map(log => toHistoryRecord(log, mode, context)));
+  }
+
+  /**
+   * Filter the records.
+   * @param {Array<object>} records The history records.
+   * @param {object} [filters] The filters to apply (all of them are optional).
+   * @param {string} [filters.type] The record type (`OPEN`, ...), `SELL` for both `REDUCE` and `CLOSE`, or `MARGIN`
+   *  for both margin types.
+   * @param {string} [filters.mode] The margin mode.
+   * @param {string} [filters.pair] The trading pair key (e.g. `DAI/WETH`), which also keeps its collateral transfers.
+   * @returns {Array<object>} The matching records.
+   */
+  function filterHistory(records, { type, mode, pair } = {}) {
+    const collateral = pair ? pair.split("/")[0] : null;
+    return records.filter(record =>
+      (!type || record.type === type || (type === "SELL" && Object.values(SELL_TYPES).includes(record.type))
+        || (type === "MARGIN" && Object.values(MARGIN_TYPES).includes(record.type)))
+      && (!mode || record.mode === mode)
+      && (!pair || record.pair === pair || (record.pair === null && record.collateral === collateral))
+    );
+  }
+
+  /** Format raw token units as a decimal string (like `ethers.formatUnits`, without the trailing `.0`). */
+  function formatUnits(value, decimals) {
+    const negative = value < 0n;
+    const digits = (negative ? -value : value).toString().padStart(Number(decimals) + 1, "0");
+    const whole = digits.slice(0, digits.length - Number(decimals));
+    const fraction = digits.slice(digits.length - Number(decimals)).replace(/0+$/, "");
+    return `${negative ? "-" : ""}${whole}${fraction ? `.${fraction}` : ""}`;
+  }
+
+  /**
+   * Export the records as CSV (amounts in human units).
+   * @param {Array<object>} records The history records.
+   * @param {object} context The decoding context, for the token decimals.
+   * @returns {string} The CSV text, with a header line.
+   */
+  function toCsv(records, context) {
+    const decimals = {};
+    for (const token of Object.values(context.tokens)) decimals[token.symbol] = token.decimals;
+    const lines = records.map(record => CSV_COLUMNS.map(column => {
+      const value = record[column];
+      if (column === "collateralAmount") return formatUnits(value, decimals[record.collateral]);
+      if (column === "targetAmount") return record.target ? formatUnits(value, decimals[record.target]) : "";
+      if (column === "price") return record.target ? formatUnits(value, PRICE_DECIMALS) : "";
+      if (column === "fee") return record.target ? formatUnits(value, decimals[record.collateral]) : "";
+      if (value === null) return "";
+      return /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+    }).join(","));
+    return [CSV_COLUMNS.join(","), ...lines].join("\n") + "\n";
+  }
+
+  return {
+    PRICE_DECIMALS, SIDES, CSV_COLUMNS, toHistoryRecord, getExecutedPrice, sortHistory, fetchHistory, filterHistory,
+    toCsv
+  };
+});
@@ -0,0 +1,19 @@
+"use strict";
+
+const abi = require("./abi");
+const client = require("./client");
+const funding = require("./funding");
+const history = require("./history");
+const keeper = require("./keeper");
+const limitOrder = require("./limit-order");
+const manifest = require("./manifest");
+const multicall = require("./multicall");
+const oracle = require("./oracle");
+const pnl = require("./pnl");
+const portfolio = require("./portfolio");
+const relayer = require("./relayer");
+const risk = require("./risk");
+
+module.exports = {
+  ...client, ...manifest, funding, history, keeper, limitOrder, multicall, oracle, pnl, portfolio, relayer, risk, abi
+};
@@ -0,0 +1,447 @@
+"use strict";
+
+/**
+ * Liquidation and trigger keeper of the Leveraged AMM Exchange.
+ *
+ * The keeper learns the accounts from the `Swap` logs (backfilled from the deployment block, then live),
+ * and scans every open position of both exchanges whenever a `Swap` is received or the reserves of a pair move
+ * (liquidity changes and liquidations move them as well, so the reserves are compared on each new block).
+ * A position is liquidated when its margin ratio falls to the maintenance margin of the contract
+ * (see `risk.js`, and `getPositionMarginRatio` on-chain), and the liquidator earns a share of the amount settled with
+ * the pair (the returned amount of a long, the buyback cost of a short).
+ * The other positions are closed (`executeTrigger`) once their mark price reached the stop-loss or take-profit price
+ * set by their owner (see `getMarkPrice` and `getReachedTrigger` in `risk.js`), for no reward.
+ * On a pair with a price feed (`setPairOracle`), the margin ratio is taken at the feed price, as `liquidate` does,
+ * while the returned amount, the debt and the reward are still settled at the reserves. While the feed price is
+ * invalid, stale or too far from the pair price, `liquidate` reverts: the liquidations of the pair wait (logged once),
+ * and its triggers are still executed.
+ * The keeper also pokes the funding of the pairs with a feed (`pokeFunding`, see `funding.js`) once per funding
+ * interval, checked on each new block, and the margin ratio of the positions includes their accrued funding.
+ *
+ * In dry-run mode, nothing is sent: the report lists what would have been liquidated or closed.
+ * A report entry is:
+ *   { status: "DRY_RUN"|"LIQUIDATED"|"TRIGGERED"|"FAILED", action: "LIQUIDATE"|"STOP_LOSS"|"TAKE_PROFIT",
+ *     blockNumber, mode, account, pair, posId, positionValue, returnedAmount, debt, equity, marginRatioBps, reward,
+ *     markPrice, oraclePrice, transactionHash, error }
+ * where `markPrice` is the mark price a trigger was reached at (null for a liquidation), and `oraclePrice` the feed
+ * price the margin ratio was taken at (null without feed).
+ *
+ * @example
+ * const keeper = await LiquidationKeeper.fromManifest(signer, manifest, { dryRun: true });
+ * await keeper.start();
+ * // ...
+ * keeper.stop();
+ * console.log(formatReport(keeper.report));
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(
+      require("./client"), require("./manifest"), require("./risk"), require("./oracle"), require("./funding")
+    );
+  } else {
+    root.LeveragedAMMKeeper = factory(
+      root.LeveragedAMMSDK, root.LeveragedAMMManifest, root.LeveragedAMMRisk, root.LeveragedAMMOracle,
+      root.LeveragedAMMFunding
+    );
+  }
+})(typeof self !== "undefined" ? self : this, function (client, { getDeployment }, risk, { OracleStatus }, funding) {
+  const { EXCHANGE_KEYS, LeveragedAMMClient } = client;
+  const BPS = 10000n;
+  /** The default liquidator reward (1%, `LIQUIDATION_REWARD_BPS` of the contracts). */
+  const LIQUIDATION_REWARD_BPS = 100n;
+  /** The report actions of the trigger types (indexed by `TriggerType`). */
+  const TRIGGER_ACTIONS = Object.freeze(Object.keys(risk.TriggerType));
+
+  /**
+   * Evaluate a position like `liquidate` does on-chain.
+   * @param {{reserveA: bigint, reserveB: bigint, feeBps?: bigint}} pair The pair reserves and swap fee.
+   * @param {object} position The position (`collateralAmount`, `collateralWorthValue`, `positionValue`, `leverage`,
+   *  `side`).
+   * @param {object} [options]
+   * @param {bigint} [options.freeCollateral] The free collateral backing the position (cross mode).
+   * @param {bigint} [options.maintenanceMarginBps] The maintenance margin.
+   * @param {bigint} [options.rewardBps] The liquidator reward.
+   * @param {bigint} [options.oraclePrice] The feed price of the pair to take the margin ratio at (0: at the reserves).
+   * @param {bigint} [options.funding] The funding accrued by the position, marked with it for the margin ratio.
+   * @param {number|bigint} [options.decimalsA] The decimals of token A (with the feed price).
+   * @param {number|bigint} [options.decimalsB] The decimals of token B (with the feed price).
+   * @returns {object} `{ returnedAmount, debt, equity, marginRatioBps, liquidatable, reward }`, where the equity is
+   *  floored at 0 (bad debt) and the reward is paid from it.
+   */
+  function evaluatePosition(pair, position, {
+    freeCollateral = 0n, maintenanceMarginBps = risk.MAINTENANCE_MARGIN_BPS, rewardBps = LIQUIDATION_REWARD_BPS,
+    oraclePrice = 0n, funding = 0n, decimalsA = 18, decimalsB = 18
+  } = {}) {
+    const { returnedAmount, debt, notional, equity } = risk.getPositionRisk(
+      pair, position, { freeCollateral, maintenanceMarginBps }
+    );
+    const settledEquity = equity > 0n ? equity : 0n;
+    const marked = oraclePrice > 0n || funding !== 0n ? risk.getPositionRisk(
+      pair, position, { freeCollateral, maintenanceMarginBps, oraclePrice, funding, decimalsA, decimalsB }
+    ) : { notional, equity };
+    const markedEquity = marked.equity > 0n ? marked.equity : 0n;
+    const marginRatioBps = marked.notional === 0n ? 0n : markedEquity * BPS / marked.notional;
+    const reward = notional * rewardBps / BPS;
+    return {
+      returnedAmount,
+      debt,
+      equity: settledEquity,
+      marginRatioBps,
+      liquidatable: marginRatioBps <= maintenanceMarginBps,
+      reward: reward > settledEquity ? settledEquity : reward,
+    };
+  }
+
+  /**
+   * The state of a pair which its positions are evaluated at: its reserves, swap fee, funding index and feed answer.
+   */
+  function pairStateKey(reserveA, reserveB, feeBps, cumulativeIndex, oracle) {
+    return [
+      reserveA, reserveB, feeBps, cumulativeIndex, ...(oracle ? [oracle.answer, oracle.updatedAt, oracle.status] : [])
+    ].join(":");
+  }
+
+  /** Format raw token units with at most 6 decimals. */
+  function formatAmount(value, decimals) {
+    const negative = value < 0n;
+    const digits = (negative ? -value : value).toString().padStart(Number(decimals) + 1, "0");
+    const whole = digits.slice(0, digits.length - Number(decimals));
+    const fraction = digits.slice(digits.length - Number(decimals)).slice(0, 6).replace(/0+$/, "");
+    return `${negative ? "-" : ""}${whole}${fraction ? `.${fraction}` : ""}`;
+  }
+
+  /**
+   * Format the report entries as a text table (amounts in collateral units).
+   * @param {Array<object>} entries The report entries.
+   * @returns {string} The table, with a summary line.
+   */
+  function formatReport(entries) {
+    const header = [
+      "status", "block", "mode", "account", "pair", "#", "action", "margin", "returned", "debt", "reward", "tx"
+    ];
+    const rows = entries.map(entry => [
+      entry.status, String(entry.blockNumber), entry.mode, entry.account, entry.pair, String(entry.posId), entry.action,
+      `${(Number(entry.marginRatioBps) / 100).toFixed(2)}%`, formatAmount(entry.returnedAmount, entry.decimals),
+      formatAmount(entry.debt, entry.decimals), formatAmount(entry.reward, entry.decimals),
+      entry.transactionHash || entry.error || "-",
+    ]);
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+    const lines = [header, ...rows].map(row => row.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd());
+    const liquidated = entries.filter(entry => entry.status !== "FAILED");
+    const rewards = {};
+    for (const entry of liquidated) rewards[entry.collateral] = (rewards[entry.collateral] || 0n) + entry.reward;
+    const rewardText = Object.entries(rewards).map(([symbol, reward]) => {
+      const { decimals } = liquidated.find(entry => entry.collateral === symbol);
+      return `${formatAmount(reward, decimals)} ${symbol}`;
+    }).join(", ");
+    lines.push(`${liquidated.length} position(s), ${entries.length - liquidated.length} failed`
+      + (rewardText ? `, rewards: ${rewardText}` : ""));
+    return lines.join("\n");
+  }
+
+  /**
+   * Keeper of both exchange deployments.
+   */
+  class LiquidationKeeper {
+    /**
+     * @param {ethers.ContractRunner} runner The signer (or a provider, in dry-run mode).
+     * @param {object} deployment The deployment of the chain (see `getDeployment`).
+     * @param {object} [options]
+     * @param {boolean} [options.dryRun] Only report the liquidatable positions (and the reached triggers).
+     * @param {boolean} [options.triggers] Whether to execute the reached triggers as well.
+     * @param {boolean} [options.funding] Whether to poke the funding of the pairs with a feed.
+     * @param {object} [options.logger] The logger (`console` by default).
+     * @param {object} [options.overrides] The transaction overrides (e.g. `{ gasLimit }`).
+     */
+    constructor(runner, deployment, {
+      dryRun = false, triggers = true, funding = true, logger = console, overrides = {}
+    } = {}) {
+      this.runner = runner;
+      this.provider = runner.provider || runner;
+      this.deployment = deployment;
+      this.dryRun = dryRun;
+      this.triggers = triggers;
+      this.funding = funding;
+      this.logger = logger;
+      this.client = new LeveragedAMMClient(runner, deployment.addresses, { overrides });
+      this.accounts = { CROSS: new Set(), ISOLATED: new Set() };
+      this.report = [];
+      this._reported = new Set();
+      this._reserves = new Map();
+      this._oracleWarnings = new Set();
+      this._fundingNotices = new Set();
+      this._settings = null;
+      this._scanning = null;
+      this._rescan = false;
+    }
+
+    /**
+     * Create a keeper for the deployment of the runner's chain.
+     * @param {ethers.ContractRunner} runner The signer or provider (connected to a network).
+     * @param {object} manifest The deployment manifest (`html/contract-address.json`).
+     * @param {object} [options] See the constructor.
+     */
+    static async fromManifest(runner, manifest, options) {
+      const { chainId } = await (runner.provider || runner).getNetwork();
+      const deployment = getDeployment(manifest, chainId);
+      if (!deployment) throw new Error(`No deployment found for chain ${chainId}`);
+      return new LiquidationKeeper(runner, deployment, options);
+    }
+
+    /** The pairs created on the exchange of a mode: `[{ tokenA, tokenB }]` (token symbols). */
+    pairsOf(mode) {
+      return this.deployment.pairs.filter(pair => pair.exchange === EXCHANGE_KEYS[mode]);
+    }
+
+    /**
+     * Learn the accounts from the `Swap` logs of both exchanges.
+     * @param {object} [options]
+     * @param {number} [options.fromBlock] The first block to query (the deployment block by default).
+     * @param {number|string} [options.toBlock] The last block to query.
+     */
+    async discoverAccounts({ fromBlock = this.deployment.deploymentBlock || 0, toBlock = "latest" } = {}) {
+      for (const mode of Object.keys(this.accounts)) {
+        const { contract } = this.client.exchange(mode);
+        const logs = await contract.queryFilter(contract.filters.Swap(), fromBlock, toBlock);
+        logs.forEach(log => this.accounts[mode].add(log.args[0]));
+      }
+    }
+
+    /**
+     * Poke the funding of the pairs with a feed once it is due (or report it, in dry-run mode), then evaluate every
+     * open position, and liquidate (or report) the ones below maintenance, then close the ones whose trigger is
+     * reached. The new entries are added to `report`.
+     * @returns {Promise<Array<object>>} The entries of this scan.
+     */
+    async scan() {
+      const settings = await this._loadSettings();
+      const { number: blockNumber, timestamp } = await this.provider.getBlock("latest");
+      const entries = [];
+      for (const mode of Object.keys(this.accounts)) {
+        const exchangeClient = this.client.exchange(mode);
+        for (const { tokenA, tokenB } of this.pairsOf(mode)) {
+          const { reserveA, reserveB, feeBps } = await exchangeClient.getPair(tokenA, tokenB);
+          const oracle = await exchangeClient.getOracle(tokenA, tokenB);
+          let pairFunding = await exchangeClient.getFunding(tokenA, tokenB);
+          if (this._isFundingDue(pairFunding, oracle, BigInt(timestamp))) {
+            await this._pokeFunding(exchangeClient, mode, tokenA, tokenB, pairFunding);
+            pairFunding = await exchangeClient.getFunding(tokenA, tokenB);
+          }
+          this._reserves.set(
+            `${mode}:${tokenA}/${tokenB}`, pairStateKey(reserveA, reserveB, feeBps, pairFunding.cumulativeIndex, oracle)
+          );
+          const decimals = await exchangeClient.decimals(tokenA);
+          const decimalsB = await exchangeClient.decimals(tokenB);
+          const oraclePrice = oracle && oracle.status === OracleStatus.OK ? oracle.price : 0n;
+          const liquidations = this._checkOracle(mode, `${tokenA}/${tokenB}`, oracle);
+          for (const account of this.accounts[mode]) {
+            const positions = await exchangeClient.getPositions(account, tokenA, tokenB);
+            if (positions.length === 0) continue;
+            const freeCollateral = mode === "CROSS" ? await exchangeClient.getFreeCollateral(account, tokenA) : 0n;
+            for (const position of positions) {
+              const { liquidatable, ...values } = evaluatePosition({ reserveA, reserveB, feeBps }, position, {
+                freeCollateral, ...settings, oraclePrice, decimalsA: decimals, decimalsB,
+                funding: funding.getAccruedFunding(position, pairFunding.cumulativeIndex)
+              });
+              let action = "LIQUIDATE";
+              let markPrice = null;
+              if (!liquidatable || !liquidations) {
+                if (!this.triggers) continue;
+                const trigger = await exchangeClient.getTrigger(account, tokenA, tokenB, position.id);
+                markPrice = risk.getMarkPrice({ reserveA, reserveB, feeBps }, position, decimals, decimalsB);
+                const triggerType = risk.getReachedTrigger(position, trigger, markPrice);
+                if (triggerType === null) continue;
+                action = TRIGGER_ACTIONS[triggerType];
+                values.reward = 0n;
+              }
+              const entry = {
+                status: "DRY_RUN", action, blockNumber, mode, account, pair: `${tokenA}/${tokenB}`, collateral: tokenA,
+                decimals, posId: position.id, positionValue: position.positionValue, ...values, markPrice,
+                oraclePrice: oraclePrice > 0n ? oraclePrice : null, transactionHash: null, error: null,
+              };
+              if (!this.dryRun && action === "LIQUIDATE") await this._liquidate(exchangeClient, entry, tokenA, tokenB);
+              else if (!this.dryRun) await this._executeTrigger(exchangeClient, entry, tokenA, tokenB);
+              entries.push(entry);
+              // NOTE: a position which stays liquidatable or triggered (dry run, failure) is reported once
+              const key = [entry.status, action, mode, account, entry.pair, entry.posId, entry.positionValue].join(":");
+              if (this._reported.has(key)) continue;
+              this._reported.add(key);
+              this.report.push(entry);
+              this.logger.info(`[keeper] ${entry.status} ${mode} ${account} ${entry.pair} #${entry.posId}`
+                + (action === "LIQUIDATE" ? ` (margin ${(Number(entry.marginRatioBps) / 100).toFixed(2)}%)`
+                  : ` (${action} at ${formatAmount(entry.markPrice, risk.PRICE_DECIMALS)})`));
+            }
+          }
+        }
+      }
+      return entries;
+    }
+
+    /**
+     * Scan now, and follow the `Swap` events and the reserves until `stop`.
+     */
+    async start() {
+      await this.discoverAccounts();
+      await this.requestScan();
+      for (const mode of Object.keys(this.accounts)) {
+        await this.client.exchange(mode).contract.on("Swap", (account) => {
+          this.accounts[mode].add(account);
+          this.requestScan();
+        });
+      }
+      await this.provider.on("block", async () => {
+        try {
+          if (await this._reservesChanged()) await this.requestScan();
+        } catch (error) {
+          this.logger.error(error);
+        }
+      });
+    }
+
+    stop() {
+      for (const mode of Object.keys(this.accounts)) this.client.exchange(mode).contract.removeAllListeners();
+      this.provider.removeAllListeners("block");
+    }
+
+    /**
+     * Scan once at a time: the requests received meanwhile are merged into a single rescan.
+     * @returns {Promise<void>} Resolved when the scans are done.
+     */
+    async requestScan() {
+      if (this._scanning) {
+        this._rescan = true;
+        return this._scanning;
+      }
+      this._scanning = (async () => {
+        do {
+          this._rescan = false;
+          try {
+            await this.scan();
+          } catch (error) {
+            this.logger.error(error);
+          }
+        } while (this._rescan);
+        this._scanning = null;
+      })();
+      return this._scanning;
+    }
+
+    /* ================== Internal ================== */
+
+    async _loadSettings() {
+      if (!this._settings) {
+        const { contract } = this.client.cross;
+        const [maintenanceMarginBps, rewardBps] = await Promise.all([
+          contract.MAINTENANCE_MARGIN_BPS(), contract.LIQUIDATION_REWARD_BPS()
+        ]);
+        this._settings = { maintenanceMarginBps, rewardBps };
+      }
+      return this._settings;
+    }
+
+    /**
+     * Whether the positions of a pair can be liquidated at its feed price (always without feed), warning once per
+     * status of the feed when they cannot.
+     */
+    _checkOracle(mode, pair, oracle) {
+      const key = `${mode}:${pair}`;
+      if (!oracle || oracle.status === OracleStatus.OK) {
+        for (const status of Object.keys(OracleStatus)) this._oracleWarnings.delete(`${key}:${status}`);
+        return true;
+      }
+      if (!this._oracleWarnings.has(`${key}:${oracle.status}`)) {
+        this._oracleWarnings.add(`${key}:${oracle.status}`);
+        this.logger.info(`[keeper] ${mode} ${pair}: ${oracle.status} feed price, the liquidations wait`);
+      }
+      return false;
+    }
+
+    /**
+     * Whether the funding of a pair can be poked: it has a feed with a valid and fresh price (deviated is fine, that
+     * is what the funding pulls back), and the funding was never poked or its interval is over.
+     */
+    _isFundingDue(pairFunding, oracle, now) {
+      if (!this.funding || !oracle || oracle.status === OracleStatus.INVALID || oracle.status === OracleStatus.STALE) {
+        return false;
+      }
+      return pairFunding.lastFundingTime === 0n || funding.getDueIntervals(pairFunding, now) > 0n;
+    }
+
+    async _pokeFunding(exchangeClient, mode, tokenA, tokenB, pairFunding) {
+      const pair = `${tokenA}/${tokenB}`;
+      if (this.dryRun) {
+        // NOTE: a funding which stays due is logged once
+        const key = `${mode}:${pair}:${pairFunding.lastFundingTime}`;
+        if (this._fundingNotices.has(key)) return;
+        this._fundingNotices.add(key);
+        this.logger.info(`[keeper] DRY_RUN ${mode} ${pair}: funding due`);
+        return;
+      }
+      try {
+        const receipt = await exchangeClient.pokeFunding(tokenA, tokenB);
+        const event = receipt.logs.map(log => exchangeClient.contract.interface.parseLog(log))
+          .find(log => log && log.name === "FundingUpdated");
+        const rate = event ? `${formatAmount(event.args.rate * 100n, risk.PRICE_DECIMALS)}%` : "?";
+        this.logger.info(`[keeper] FUNDED ${mode} ${pair}: rate ${rate}`
+          + (event ? ` after ${event.args.intervals} interval(s)` : "") + ` (block ${receipt.blockNumber})`);
+      } catch (error) {
+        this.logger.error(`[keeper] ${mode} ${pair}: funding failed: ${error.shortMessage || error.message}`);
+      }
+    }
+
+    async _liquidate(exchangeClient, entry, tokenA, tokenB) {
+      try {
+        const receipt = await exchangeClient.liquidate(entry.account, tokenA, tokenB, entry.posId);
+        const event = receipt.logs.map(log => exchangeClient.contract.interface.parseLog(log))
+          .find(log => log && log.name === "Liquidate");
+        entry.status = "LIQUIDATED";
+        entry.transactionHash = receipt.hash;
+        entry.blockNumber = receipt.blockNumber;
+        if (event) entry.reward = event.args.reward;
+      } catch (error) {
+        entry.status = "FAILED";
+        entry.error = error.shortMessage || error.message;
+      }
+    }
+
+    async _executeTrigger(exchangeClient, entry, tokenA, tokenB) {
+      try {
+        const receipt = await exchangeClient.executeTrigger(entry.account, tokenA, tokenB, entry.posId);
+        const event = receipt.logs.map(log => exchangeClient.contract.interface.parseLog(log))
+          .find(log => log && log.name === "TriggerExecuted");
+        entry.status = "TRIGGERED";
+        entry.transactionHash = receipt.hash;
+        entry.blockNumber = receipt.blockNumber;
+        if (event) entry.markPrice = event.args.markPrice;
+      } catch (error) {
+        entry.status = "FAILED";
+        entry.error = error.shortMessage || error.message;
+      }
+    }
+
+    /** Whether the state of a pair moved since the last scan, or its funding is due. */
+    async _reservesChanged() {
+      const { timestamp } = await this.provider.getBlock("latest");
+      let changed = false;
+      for (const mode of Object.keys(this.accounts)) {
+        const exchangeClient = this.client.exchange(mode);
+        for (const { tokenA, tokenB } of this.pairsOf(mode)) {
+          const { reserveA, reserveB, feeBps } = await exchangeClient.getPair(tokenA, tokenB);
+          const oracle = await exchangeClient.getOracle(tokenA, tokenB);
+          const pairFunding = await exchangeClient.getFunding(tokenA, tokenB);
+          const state = pairStateKey(reserveA, reserveB, feeBps, pairFunding.cumulativeIndex, oracle);
+          const key = `${mode}:${tokenA}/${tokenB}`;
+          // NOTE: in dry-run mode, a due funding is only reported by the scans of the other changes
+          const fundingDue = !this.dryRun && this._isFundingDue(pairFunding, oracle, BigInt(timestamp));
+          if (this._reserves.get(key) !== state || fundingDue) {
+            changed = true;
+          }
+          this._reserves.set(key, state);
+        }
+      }
+      return changed;
+    }
+  }
+
+  return { LIQUIDATION_REWARD_BPS, TRIGGER_ACTIONS, evaluatePosition, formatReport, LiquidationKeeper };
+});
@@ -0,0 +1,158 @@
+"use strict";
+
+/**
+ * Limit orders of the Leveraged AMM Exchange, signed off-chain (EIP-712) and executed by a relayer.
+ *
+ * A limit order is an `ILeveragedAMMExchange.LimitOrder`:
+ *   { account, tokenA, tokenB, amount, leverage, side, reducePosition, closePosId, limitPrice, minAmountOut,
+ *     maxAmountIn, nonce, deadline }
+ * It opens a position (spending `amount` of token A), or reduces one when `reducePosition` is set (selling, or buying
+ * back for a short, `amount` of token B: the cross position, or the isolated position `closePosId`).
+ * The `limitPrice` is in the units of `getPairPrice` (token A per token B, no decimals). An order which buys token B
+ * (opening a long, reducing a short) executes at or below it, an order which sells token B at or above it.
+ *
+ * The signature is bound to the exchange (the EIP-712 domain), and the nonce is used up once the order is executed
+ * or cancelled (`cancelLimitOrder`), so that an order executes at most once.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("ethers"), require("./amm-math"));
+  else root.LeveragedAMMLimitOrder = factory(root.ethers, root.LeveragedAMMMath);
+})(typeof self !== "undefined" ? self : this, function (ethers, { Side }) {
+  /** The EIP-712 domain name and version of the exchanges. */
+  const DOMAIN_NAME = "LeveragedAMMExchange";
+  const DOMAIN_VERSION = "1";
+
+  /** The EIP-712 types of `LIMIT_ORDER_TYPEHASH` (`side` is encoded as its `uint8` value). */
+  const LIMIT_ORDER_TYPES = Object.freeze({
+    LimitOrder: [
+      { name: "account", type: "address" },
+      { name: "tokenA", type: "address" },
+      { name: "tokenB", type: "address" },
+      { name: "amount", type: "uint256" },
+      { name: "leverage", type: "uint8" },
+      { name: "side", type: "uint8" },
+      { name: "reducePosition", type: "bool" },
+      { name: "closePosId", type: "uint256" },
+      { name: "limitPrice", type: "uint256" },
+      { name: "minAmountOut", type: "uint256" },
+      { name: "maxAmountIn", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ]
+  });
+
+  /** The statuses of the orders kept by a relayer. */
+  const ORDER_STATUSES = Object.freeze(["OPEN", "EXECUTED", "CANCELLED", "EXPIRED", "FAILED"]);
+
+  /**
+   * The EIP-712 domain of an exchange.
+   * @param {number|bigint} chainId The chain ID.
+   * @param {string} exchangeAddress The address of the exchange contract.
+   */
+  function getLimitOrderDomain(chainId, exchangeAddress) {
+    return { name: DOMAIN_NAME, version: DOMAIN_VERSION, chainId: BigInt(chainId), verifyingContract: exchangeAddress };
+  }
+
+  /**
+   * Build a complete limit order with the unused fields zeroed (no slippage bound, no expiry).
+   * @param {object} fields The order fields to set (the numeric fields may be strings, as in JSON).
+   * @returns {object} The limit order.
+   */
+  function buildLimitOrder(fields) {
+    const order = {
+      account: ethers.ZeroAddress,
+      tokenA: ethers.ZeroAddress,
+      tokenB: ethers.ZeroAddress,
+      amount: 0n,
+      leverage: 0,
+      side: Side.LONG,
+      reducePosition: false,
+      closePosId: 0n,
+      limitPrice: 0n,
+      minAmountOut: 0n,
+      maxAmountIn: 0n,
+      nonce: 0n,
+      deadline: 0n,
+      ...fields
+    };
+    for (const name of ["amount", "closePosId", "limitPrice", "minAmountOut", "maxAmountIn", "nonce", "deadline"]) {
+      order[name] = BigInt(order[name]);
+    }
+    order.leverage = Number(order.leverage);
+    order.side = Number(order.side);
+    order.reducePosition = order.reducePosition === true || order.reducePosition === "true";
+    return order;
+  }
+
+  /** The limit order with its `bigint` fields as decimal strings (JSON). */
+  function serializeLimitOrder(order) {
+    return Object.fromEntries(Object.entries(buildLimitOrder(order)).map(
+      ([name, value]) => [name, typeof value === "bigint" ? value.toString() : value]
+    ));
+  }
+
+  /** A random nonce (64 bits), so that the open orders of an account do not collide. */
+  function randomNonce() {
+    return ethers.toBigInt(ethers.randomBytes(8));
+  }
+
+  /** `LeveragedAMMExchange.hashLimitOrder`: the EIP-712 hash of the order, as signed by its account. */
+  function hashLimitOrder(domain, order) {
+    return ethers.TypedDataEncoder.hash(domain, LIMIT_ORDER_TYPES, buildLimitOrder(order));
+  }
+
+  /**
+   * Sign a limit order with the signer of its account.
+   * @param {ethers.Signer} signer The signer (`signTypedData`).
+   * @param {object} domain The EIP-712 domain of the exchange (see `getLimitOrderDomain`).
+   * @param {object} order The limit order.
+   * @returns {Promise<string>} The signature.
+   */
+  async function signLimitOrder(signer, domain, order) {
+    return signer.signTypedData(domain, LIMIT_ORDER_TYPES, buildLimitOrder(order));
+  }
+
+  /** The address which signed the order (to compare with its `account`). */
+  function recoverLimitOrderSigner(domain, order, signature) {
+    return ethers.verifyTypedData(domain, LIMIT_ORDER_TYPES, buildLimitOrder(order), signature);
+  }
+
+  /** Whether an order buys token B (opening a long, reducing a short). */
+  function isBuyingOrder(order) {
+    return (Number(order.side) === Side.LONG) !== (order.reducePosition === true);
+  }
+
+  /**
+   * Whether the pair price reached the limit price of an order (as `executeLimitOrder` requires).
+   * @param {object} order The limit order.
+   * @param {bigint} price The pair price (`getPairPrice`).
+   * @returns {boolean} Whether the order can execute at this price.
+   */
+  function isLimitPriceReached(order, price) {
+    const limitPrice = BigInt(order.limitPrice);
+    return isBuyingOrder(order) ? price <= limitPrice : price >= limitPrice;
+  }
+
+  /** Whether an order expired at `timestamp` (unix seconds), as `verifyLimitOrder` checks it. */
+  function isLimitOrderExpired(order, timestamp) {
+    const deadline = BigInt(order.deadline);
+    return deadline !== 0n && BigInt(timestamp) > deadline;
+  }
+
+  return {
+    DOMAIN_NAME,
+    DOMAIN_VERSION,
+    LIMIT_ORDER_TYPES,
+    ORDER_STATUSES,
+    getLimitOrderDomain,
+    buildLimitOrder,
+    serializeLimitOrder,
+    randomNonce,
+    hashLimitOrder,
+    signLimitOrder,
+    recoverLimitOrderSigner,
+    isBuyingOrder,
+    isLimitPriceReached,
+    isLimitOrderExpired,
+  };
+});
@@ -0,0 +1,74 @@
+"use strict";
+
+/**
+ * Reader of the deployment manifest (`html/contract-address.json`, written by `load-address.js`).
+ *
+ * The manifest is keyed by chain ID:
+ *   { "31337": { chainId, deploymentBlock, contracts: { DAI: { address, symbol, decimals, ... }, EXCH_CROSS: {...} },
+ *                feeds: { "WETH / DAI": { address, description, decimals, ... } },
+ *                pairs: [{ exchange: "EXCH_CROSS", tokenA: "DAI", tokenB: "WETH", reserveA, reserveB,
+ *                          oracle: { feed: "WETH / DAI", maxStaleness, maxDeviationBps }, ... }],
+ *                multicall: { address, ... } } }
+ * (the `feeds` of the mock price feeds, the `oracle` of the pairs and the `multicall` (Multicall3) are only there when
+ * the deploy script deploys or sets them).
+ * The former flat `{ symbol: address }` list is still accepted (for any chain).
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.LeveragedAMMManifest = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  /** The keys of the exchange deployments. */
+  const EXCHANGE_PREFIX = "EXCH_";
+
+  function isLegacyManifest(manifest) {
+    return Object.values(manifest).every(value => typeof value === "string");
+  }
+
+  /**
+   * The trading pairs (unique token A / token B) created on any exchange.
+   * @param {Array<object>} pairs The pairs of the manifest entry.
+   * @returns {Array<object>} The trading pairs: `{ key, symbol, collateral, target }`.
+   */
+  function toTradingPairs(pairs) {
+    const tradingPairs = new Map();
+    for (const { tokenA, tokenB } of pairs) {
+      const key = `${tokenA}/${tokenB}`;
+      if (!tradingPairs.has(key)) tradingPairs.set(key, { key, symbol: `${tokenB}/${tokenA}`, collateral: tokenA, target: tokenB });
+    }
+    return [...tradingPairs.values()];
+  }
+
+  /**
+   * Every token of a flat address list is paired with the collateral token,
+   * which is the first token of the list, as the deploy script does.
+   */
+  function inferPairs(addresses) {
+    const exchanges = Object.keys(addresses).filter(key => key.startsWith(EXCHANGE_PREFIX));
+    const [collateral, ...targets] = Object.keys(addresses).filter(key => !key.startsWith(EXCHANGE_PREFIX));
+    return exchanges.flatMap(exchange => targets.map(target => ({ exchange, tokenA: collateral, tokenB: target })));
+  }
+
+  /**
+   * Get the deployment of a chain from the manifest.
+   * @param {object} manifest The deployment manifest.
+   * @param {number|bigint|string} chainId The chain ID.
+   * @returns {object|null} The deployment: `{ chainId, deploymentBlock, addresses, contracts, tokens, pairs, tradingPairs }`,
+   *  or null if nothing is deployed on the chain.
+   */
+  function getDeployment(manifest, chainId) {
+    let entry;
+    if (isLegacyManifest(manifest)) {
+      const contracts = Object.fromEntries(Object.entries(manifest).map(([key, address]) => [key, { address }]));
+      entry = { chainId: Number(chainId), deploymentBlock: 0, contracts, pairs: inferPairs(manifest) };
+    } else {
+      entry = manifest[String(chainId)];
+      if (!entry) return null;
+    }
+
+    const addresses = Object.fromEntries(Object.entries(entry.contracts).map(([key, contract]) => [key, contract.address]));
+    const tokens = Object.keys(entry.contracts).filter(key => !key.startsWith(EXCHANGE_PREFIX));
+    return { ...entry, addresses, tokens, tradingPairs: toTradingPairs(entry.pairs) };
+  }
+
+  return { getDeployment, isLegacyManifest };
+});
@@ -0,0 +1,136 @@
+"use strict";
+
+/**
+ * Batching of contract reads through Multicall3 (`aggregate3`, see `src/tests/Multicall3.sol`), so that the reads of
+ * many pairs and positions take a single `eth_call` (and see the same block).
+ *
+ * A call is `{ contract, method, args, allowFailure }`, where `contract` is an `ethers.Contract` of the read contract.
+ * Its result is decoded like the contract method returns it (the value itself for a single output), and a failed call
+ * which allows failure results in null. Without a Multicall3 contract (e.g. the former flat manifest), the calls are
+ * sent one by one, with the same results.
+ *
+ * `MulticallBatcher` batches the reads made independently (e.g. by the cards of a dashboard refresh): the calls made
+ * in the same tick are read in one `aggregate3`, and the identical calls are read once.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.LeveragedAMMMulticall = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  /** The most calls in one `aggregate3`, so that a batch stays within the gas cap of `eth_call`. */
+  const MAX_BATCH_SIZE = 500;
+
+  function toCall3({ contract, method, args = [], allowFailure = false }) {
+    return { target: contract.target, allowFailure, callData: contract.interface.encodeFunctionData(method, args) };
+  }
+
+  function decodeResult({ contract, method }, returnData) {
+    const result = contract.interface.decodeFunctionResult(method, returnData);
+    return result.length === 1 ? result[0] : result;
+  }
+
+  function decodeError({ contract }, { target, callData }, returnData) {
+    return contract.interface.makeError(returnData, { to: target, data: callData });
+  }
+
+  /**
+   * Read several contract calls at once, settled like `Promise.allSettled`: a failed call is rejected with the error
+   * of its contract method (decoded from its revert data in a batch).
+   * NOTE: the batch itself reverts if a call which does not allow failure fails
+   */
+  async function settle(multicall, calls) {
+    if (!multicall) {
+      return Promise.allSettled(calls.map(({ contract, method, args = [] }) => contract[method](...args)));
+    }
+    const batches = [];
+    for (let i = 0; i < calls.length; i += MAX_BATCH_SIZE) batches.push(calls.slice(i, i + MAX_BATCH_SIZE));
+    // NOTE: `aggregate3` is payable (as in the canonical Multicall3), so it is read with `staticCall`
+    const results = await Promise.all(batches.map(async batch => {
+      const call3s = batch.map(toCall3);
+      const returned = await multicall.aggregate3.staticCall(call3s);
+      return returned.map(([success, returnData], i) => success
+        ? { status: "fulfilled", value: decodeResult(batch[i], returnData) }
+        : { status: "rejected", reason: decodeError(batch[i], call3s[i], returnData) });
+    }));
+    return results.flat();
+  }
+
+  /**
+   * Read several contract calls at once.
+   * @param {ethers.Contract|null} multicall The Multicall3 contract (null to send the calls one by one).
+   * @param {Array<object>} calls The calls: `{ contract, method, args = [], allowFailure = false }`.
+   * @returns {Promise<Array>} The results of the calls, in order (null for a failed call which allows failure).
+   *  Rejects if a call which does not allow failure fails.
+   */
+  async function aggregate(multicall, calls) {
+    const results = await settle(multicall, calls);
+    return results.map(({ status, value, reason }, i) => {
+      if (status === "fulfilled") return value;
+      if (calls[i].allowFailure) return null;
+      throw reason;
+    });
+  }
+
+  /**
+   * Batcher of independent contract reads: the calls made in the same tick (before the timers run) are read together,
+   * in one `aggregate3`, and the identical calls (same contract, method and arguments) share one read.
+   * A failed call only rejects its own read, with the error of its contract method.
+   */
+  class MulticallBatcher {
+    /**
+     * @param {ethers.Contract|null} multicall The Multicall3 contract (null to send the calls one by one).
+     * @param {object} [options]
+     * @param {boolean} [options.cache=true] Whether the results are kept for the identical calls made later on, for
+     *  the lifetime of the batcher (e.g. one refresh). Otherwise only the identical calls in flight share a read.
+     */
+    constructor(multicall, { cache = true } = {}) {
+      this.multicall = multicall;
+      this.cache = cache;
+      this.reads = new Map();
+      this.queue = [];
+      this.timer = null;
+    }
+
+    /**
+     * Read a contract call with the next batch.
+     * @param {ethers.Contract} contract The read contract.
+     * @param {string} method The contract method.
+     * @param {Array} [args] The arguments of the method.
+     * @returns {Promise<*>} The result, decoded like the contract method returns it.
+     */
+    call(contract, method, args = []) {
+      const key = `${String(contract.target).toLowerCase()}:${contract.interface.encodeFunctionData(method, args)}`;
+      if (!this.reads.has(key)) {
+        const read = new Promise((resolve, reject) => {
+          this.queue.push({ call: { contract, method, args, allowFailure: true }, resolve, reject });
+        });
+        this.reads.set(key, read);
+        if (!this.cache) {
+          const forget = () => this.reads.delete(key);
+          read.then(forget, forget);
+        }
+        this.timer ??= setTimeout(() => this.flush());
+      }
+      return this.reads.get(key);
+    }
+
+    /** Read the queued calls now. */
+    async flush() {
+      const queue = this.queue;
+      this.queue = [];
+      clearTimeout(this.timer);
+      this.timer = null;
+      if (queue.length === 0) return;
+      try {
+        const results = await settle(this.multicall, queue.map(({ call }) => call));
+        results.forEach(({ status, value, reason }, i) => {
+          if (status === "fulfilled") queue[i].resolve(value);
+          else queue[i].reject(reason);
+        });
+      } catch (error) {
+        queue.forEach(({ reject }) => reject(error));
+      }
+    }
+  }
+
+  return { MAX_BATCH_SIZE, aggregate, MulticallBatcher };
+});
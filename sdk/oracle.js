@@ -0,0 +1,113 @@
+"use strict";
+
+/**
+ * Price feeds of the Leveraged AMM Exchange pairs (`setPairOracle`), checked as the contracts check them.
+ *
+ * A pair with a feed (a Chainlink-style `IAggregatorV3`) marks its positions at the feed price for the margin and
+ * liquidation checks (see the `oraclePrice` option of `risk.getPositionRisk`), while they still settle at the pair
+ * reserves. `getOraclePrice` (and so `liquidate`, `removeMargin` and `getPositionMarginRatio`) reverts when:
+ *  - the answer is not positive (`INVALID`)
+ *  - it is older than `maxStaleness` seconds (`STALE`)
+ *  - the spread with the pair price is above `maxDeviationBps` of the feed price (`DEVIATED`)
+ *
+ * The mock feeds of the local deployment (`MockAggregator`) are pushed from a CSV file by `bin/oracle-feeder.js`:
+ * a column per trading pair (its symbol, e.g. `WETH/DAI`) and a row per tick, with an optional `delay` column (the
+ * seconds to wait before the row). An empty cell leaves the price of the pair unchanged.
+ *   delay,WETH/DAI,BNB/DAI
+ *   0,10,5
+ *   5,9.5,
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("ethers"), require("./risk"));
+  else root.LeveragedAMMOracle = factory(root.ethers, root.LeveragedAMMRisk);
+})(typeof self !== "undefined" ? self : this, function (ethers, { PRICE_DECIMALS }) {
+  const BPS = 10000n;
+
+  /** The status of the feed price of a pair. */
+  const OracleStatus = Object.freeze({
+    NONE: "NONE", OK: "OK", INVALID: "INVALID", STALE: "STALE", DEVIATED: "DEVIATED"
+  });
+
+  /**
+   * Convert a feed answer to a price with `PRICE_DECIMALS` decimals.
+   * @param {bigint} answer The answer of the feed.
+   * @param {number|bigint} decimals The decimals of the feed.
+   * @returns {bigint} The price.
+   */
+  function toOraclePrice(answer, decimals) {
+    return answer * 10n ** BigInt(PRICE_DECIMALS) / 10n ** BigInt(decimals);
+  }
+
+  /**
+   * Convert a price to a feed answer.
+   * @param {bigint|string|number} price The price (`bigint` is taken as the raw answer).
+   * @param {number|bigint} decimals The decimals of the feed.
+   * @returns {bigint} The answer.
+   */
+  function toAnswer(price, decimals) {
+    if (typeof price === "bigint") return price;
+    return ethers.parseUnits(String(price), Number(decimals));
+  }
+
+  /**
+   * The spread of the pair price over the feed price.
+   * @param {bigint} oraclePrice The feed price.
+   * @param {bigint} pairPrice The pair price (see `risk.getPrice`).
+   * @returns {bigint} The spread in basis points of the feed price (negative when the pair price is below it).
+   */
+  function getSpreadBps(oraclePrice, pairPrice) {
+    if (oraclePrice === 0n) return 0n;
+    return (pairPrice - oraclePrice) * BPS / oraclePrice;
+  }
+
+  /**
+   * Check the latest answer of the feed of a pair against its guards, as `getOraclePrice` does.
+   * @param {{maxStaleness: bigint, maxDeviationBps: bigint}} oracle The guards of the pair (`pairOracles`).
+   * @param {{answer: bigint, decimals: number|bigint, updatedAt: bigint}} round The latest round of the feed.
+   * @param {bigint} pairPrice The pair price (see `risk.getPrice`).
+   * @param {bigint} now The timestamp of the latest block.
+   * @returns {{price: bigint, spreadBps: bigint, status: string}} The feed price (0 if `INVALID`), its spread and
+   *  its status.
+   */
+  function checkOraclePrice(oracle, round, pairPrice, now) {
+    if (round.answer <= 0n) return { price: 0n, spreadBps: 0n, status: OracleStatus.INVALID };
+    const price = toOraclePrice(round.answer, round.decimals);
+    const spread = price > pairPrice ? price - pairPrice : pairPrice - price;
+    let status = OracleStatus.OK;
+    if (oracle.maxStaleness !== 0n && now > round.updatedAt + oracle.maxStaleness) status = OracleStatus.STALE;
+    else if (oracle.maxDeviationBps !== 0n && spread * BPS > oracle.maxDeviationBps * price) {
+      status = OracleStatus.DEVIATED;
+    }
+    return { price, spreadBps: getSpreadBps(price, pairPrice), status };
+  }
+
+  /**
+   * Parse a CSV file of feed prices (see the header).
+   * @param {string} text The CSV text (blank lines and `#` comments are skipped).
+   * @returns {Array<object>} The ticks: `{ delay, prices }`, where `delay` is the seconds to wait (null: the default
+   *  interval) and `prices` the price (decimal string) by trading pair symbol.
+   */
+  function parsePriceCsv(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith("#"));
+    if (lines.length === 0) throw new Error("Empty price CSV");
+    const header = lines[0].split(",").map(cell => cell.trim());
+    if (header.some(column => column !== "delay" && !/^\w+\/\w+$/.test(column))) {
+      throw new Error(`Invalid price CSV header: ${lines[0]} (expected "delay" and pair symbols like "WETH/DAI")`);
+    }
+    return lines.slice(1).map((line, i) => {
+      const cells = line.split(",").map(cell => cell.trim());
+      if (cells.length > header.length) throw new Error(`Too many cells on line ${i + 2}: ${line}`);
+      const tick = { delay: null, prices: {} };
+      header.forEach((column, j) => {
+        const cell = cells[j] ?? "";
+        if (cell === "") return;
+        if (!/^\d+(\.\d+)?$/.test(cell)) throw new Error(`Invalid number on line ${i + 2}: ${cell}`);
+        if (column === "delay") tick.delay = Number(cell);
+        else tick.prices[column] = cell;
+      });
+      return tick;
+    });
+  }
+
+  return { OracleStatus, toOraclePrice, toAnswer, getSpreadBps, checkOraclePrice, parsePriceCsv };
+});
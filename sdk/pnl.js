@@ -0,0 +1,135 @@
+"use strict";
+
+/**
+ * Profit and loss of the Leveraged AMM Exchange positions, in collateral (token A) units.
+ *
+ * - The mark value of a position is the collateral returned when selling (or buying back, for a short) its whole
+ *   `positionValue` now (`getPositionReturn`), and the unrealized PnL is the mark value minus the cost basis.
+ * - The realized PnL is reconstructed from the swap history (see `history.js`), oldest first:
+ *   - cross mode: the average cost basis of the position is reduced by the share of the position sold
+ *     (the contract subtracts the returned collateral instead, so `collateralAmount` is not the cost basis)
+ *   - isolated mode: a close is matched with the open of the same position value, leverage and side, or else a
+ *     partial close with an open of the same leverage and side and a greater position value (whose cost basis is
+ *     reduced pro rata, like the `collateralAmount` of the contract)
+ *   - a liquidation closes the whole position like a sell, for what it settled to the account
+ *   - the margin records are transfers of the account, neither cost nor profit (the added margin given back by a
+ *     sell is not part of its swap)
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./amm-math"));
+  else root.LeveragedAMMPnl = factory(root.LeveragedAMMMath);
+})(typeof self !== "undefined" ? self : this, function (math) {
+  /**
+   * The mark value of a position.
+   * @param {{reserveA: bigint, reserveB: bigint, feeBps?: bigint}} pair The pair reserves and swap fee.
+   * @param {object} position The position (`collateralWorthValue`, `positionValue`, `leverage`, `side`).
+   * @returns {bigint} The collateral returned by settling the whole position (after the swap fee).
+   */
+  function getMarkValue(pair, position) {
+    return math.getPositionReturn(pair, position, position.positionValue);
+  }
+
+  /**
+   * The unrealized PnL of a position.
+   * @param {bigint} markValue The mark value of the position.
+   * @param {bigint} costBasis The collateral paid for the position.
+   * @returns {{pnl: bigint, percent: number}} The PnL in collateral units, and as a percent of the cost basis
+   *  (2 decimals, 0 without cost basis).
+   */
+  function getUnrealizedPnl(markValue, costBasis) {
+    const pnl = markValue - costBasis;
+    const percent = costBasis === 0n ? 0 : Number(pnl * 10000n / costBasis) / 100;
+    return { pnl, percent };
+  }
+
+  /**
+   * Replay the swap history of an account.
+   * @param {Array<object>} records The history records (any order, see `history.js`).
+   * @returns {object} The ledger:
+   *  - `realized`: collateral symbol => realized PnL of the account
+   *  - `realizedByPosition`: `${mode}:${pair}` => realized PnL
+   *  - `cross`: pair => `{ targetAmount, costBasis }` of the open cross position
+   *  - `isolated`: pair => open isolated positions `[{ targetAmount, leverage, side, costBasis }]`
+   *  - `unmatched`: the number of sells without a known open (e.g. history before the backfill)
+   */
+  function buildPnlLedger(records) {
+    const ledger = { realized: {}, realizedByPosition: {}, cross: {}, isolated: {}, unmatched: 0 };
+    const sorted = [...records].sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+
+    const realize = (record, pnl) => {
+      const key = `${record.mode}:${record.pair}`;
+      ledger.realized[record.collateral] = (ledger.realized[record.collateral] || 0n) + pnl;
+      ledger.realizedByPosition[key] = (ledger.realizedByPosition[key] || 0n) + pnl;
+    };
+
+    for (const record of sorted) {
+      if (record.type === "OPEN" && record.mode === "CROSS") {
+        const position = ledger.cross[record.pair] || { targetAmount: 0n, costBasis: 0n };
+        position.targetAmount += record.targetAmount;
+        position.costBasis += record.collateralAmount;
+        ledger.cross[record.pair] = position;
+      } else if (record.type === "REDUCE" || (record.type === "LIQUIDATE" && record.mode === "CROSS")) {
+        const position = ledger.cross[record.pair];
+        if (!position || position.targetAmount < record.targetAmount) {
+          ledger.unmatched++;
+          continue;
+        }
+        const cost = position.costBasis * record.targetAmount / position.targetAmount;
+        realize(record, record.collateralAmount - cost);
+        position.targetAmount -= record.targetAmount;
+        position.costBasis -= cost;
+        if (position.targetAmount === 0n) delete ledger.cross[record.pair];
+      } else if (record.type === "OPEN") {
+        ledger.isolated[record.pair] = ledger.isolated[record.pair] || [];
+        ledger.isolated[record.pair].push({
+          targetAmount: record.targetAmount, leverage: record.leverage, side: record.side,
+          costBasis: record.collateralAmount
+        });
+      } else if (record.type === "CLOSE" || record.type === "LIQUIDATE") {
+        const positions = ledger.isolated[record.pair] || [];
+        const sameKind = position => position.leverage === record.leverage && position.side === record.side;
+        const index = positions.findIndex(position =>
+          position.targetAmount === record.targetAmount && sameKind(position)
+        );
+        const partialIndex = record.type === "CLOSE" && index < 0
+          ? positions.findIndex(position => position.targetAmount > record.targetAmount && sameKind(position))
+          : -1;
+        if (index >= 0) {
+          realize(record, record.collateralAmount - positions[index].costBasis);
+          positions.splice(index, 1);
+        } else if (partialIndex >= 0) {
+          const position = positions[partialIndex];
+          const cost = position.costBasis * record.targetAmount / position.targetAmount;
+          realize(record, record.collateralAmount - cost);
+          position.targetAmount -= record.targetAmount;
+          position.costBasis -= cost;
+        } else {
+          ledger.unmatched++;
+        }
+      }
+    }
+    return ledger;
+  }
+
+  /**
+   * The cost basis of an open position.
+   * Falls back to the initial margin of the position (`collateralWorthValue / leverage`, without the added margin)
+   * when the history does not cover the position.
+   * @param {object} ledger The ledger (see `buildPnlLedger`).
+   * @param {"CROSS"|"ISOLATED"} mode The margin mode.
+   * @param {string} pair The trading pair key (e.g. `DAI/WETH`).
+   * @param {object} position The on-chain position.
+   * @returns {bigint} The collateral paid for the position.
+   */
+  function getCostBasis(ledger, mode, pair, position) {
+    if (mode === "CROSS") {
+      const open = ledger.cross[pair];
+      if (open && open.targetAmount === position.positionValue) return open.costBasis;
+    }
+    // NOTE: an empty position (e.g. the cross position of a pair which was never opened) has no leverage
+    if (BigInt(position.leverage) === 0n) return position.collateralAmount;
+    return position.collateralWorthValue / BigInt(position.leverage);
+  }
+
+  return { getMarkValue, getUnrealizedPnl, buildPnlLedger, getCostBasis };
+});
@@ -0,0 +1,106 @@
+"use strict";
+
+/**
+ * Portfolio of an account across the pairs of both exchanges, in collateral (token A) units.
+ *
+ * - The equity of a position is its mark value (see `pnl.getMarkValue`) plus its added margin (above the initial
+ *   margin `collateralWorthValue / leverage`), before its accrued funding. The equity of the account is its deposit
+ *   balances plus the equity of its positions.
+ * - The exposure to an asset (token B) is the token B bought by the long positions and owed by the short positions,
+ *   valued at the pair price of the reserves.
+ * - The leverage of the account is the worth value of its positions (`getPositionWorthValue`) over its equity.
+ *
+ * The amounts of different collateral tokens are not added up: the totals are kept per collateral symbol.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./amm-math"), require("./pnl"));
+  else root.LeveragedAMMPortfolio = factory(root.LeveragedAMMMath, root.LeveragedAMMPnl);
+})(typeof self !== "undefined" ? self : this, function (math, pnl) {
+  /**
+   * The equity of a position.
+   * @param {{reserveA: bigint, reserveB: bigint, feeBps?: bigint}} pair The pair reserves and swap fee.
+   * @param {object} position The position (`collateralAmount`, `collateralWorthValue`, `positionValue`, `leverage`,
+   *  `side`).
+   * @returns {bigint} The mark value of the position plus its added margin (0 for an empty position).
+   */
+  function getPositionEquity(pair, position) {
+    if (position.positionValue === 0n) return 0n;
+    const initialMargin = position.collateralWorthValue / BigInt(position.leverage);
+    const addedMargin = position.collateralAmount > initialMargin ? position.collateralAmount - initialMargin : 0n;
+    return pnl.getMarkValue(pair, position) + addedMargin;
+  }
+
+  /**
+   * Sum up the deposit balances and the positions of an account.
+   * @param {object} book The book of the account on both exchanges:
+   *  - `balances`: the deposit balances `[{ collateral, balance }]` (one per exchange and collateral token)
+   *  - `pairs`: the pairs `[{ mode, collateral, target, reserves, worthValue, positions }]`, with the pair reserves
+   *    and swap fee, the worth value of the account (`getPositionWorthValue`) and its positions (the cross position
+   *    may be empty)
+   * @returns {object} The portfolio:
+   *  - `collaterals`: collateral symbol => `{ balance, positionEquity, equity, worthValue, leverage }` (the leverage is
+   *    a number with 2 decimals, 0 without equity)
+   *  - `exposures`: `[{ asset, collateral, long, short, net, value, netValue }]`, the token B amounts and their value
+   *    in token A (`value` of both sides, `netValue` of the net amount), by asset
+   *  - `leverages`: `[{ leverage, collateral, count, worthValue }]`, the open positions by leverage (ascending)
+   *  - `positions`: `[{ mode, collateral, target, position, equity }]`, the open positions
+   */
+  function summarizePortfolio({ balances, pairs }) {
+    const collaterals = {};
+    const exposures = new Map();
+    const leverages = new Map();
+    const positions = [];
+    const getCollateral = (symbol) => {
+      if (!collaterals[symbol]) {
+        collaterals[symbol] = { balance: 0n, positionEquity: 0n, equity: 0n, worthValue: 0n, leverage: 0 };
+      }
+      return collaterals[symbol];
+    };
+
+    for (const { collateral, balance } of balances) getCollateral(collateral).balance += balance;
+    for (const { mode, collateral, target, reserves, worthValue, positions: pairPositions } of pairs) {
+      const totals = getCollateral(collateral);
+      totals.worthValue += worthValue;
+      for (const position of pairPositions.filter(position => position.positionValue > 0n)) {
+        const equity = getPositionEquity(reserves, position);
+        totals.positionEquity += equity;
+        positions.push({ mode, collateral, target, position, equity });
+
+        const assetKey = `${target}/${collateral}`;
+        const exposure = exposures.get(assetKey)
+          || { asset: target, collateral, long: 0n, short: 0n, net: 0n, value: 0n, netValue: 0n };
+        // NOTE: a short owes its token B, so that it is exposed to the price the other way around
+        if (math.isShort(position)) exposure.short += position.positionValue;
+        else exposure.long += position.positionValue;
+        exposure.value += position.positionValue * reserves.reserveA / reserves.reserveB;
+        exposures.set(assetKey, exposure);
+
+        const leverageKey = `${position.leverage}/${collateral}`;
+        const bucket = leverages.get(leverageKey)
+          || { leverage: Number(position.leverage), collateral, count: 0, worthValue: 0n };
+        bucket.count++;
+        bucket.worthValue += position.collateralWorthValue;
+        leverages.set(leverageKey, bucket);
+      }
+    }
+
+    for (const totals of Object.values(collaterals)) {
+      totals.equity = totals.balance + totals.positionEquity;
+      totals.leverage = totals.equity > 0n ? Number(totals.worthValue * 100n / totals.equity) / 100 : 0;
+    }
+    // The net amount is valued at the average price of both sides
+    for (const exposure of exposures.values()) {
+      exposure.net = exposure.long - exposure.short;
+      const amount = exposure.long + exposure.short;
+      exposure.netValue = amount === 0n ? 0n : exposure.value * exposure.net / amount;
+    }
+    return {
+      collaterals,
+      exposures: [...exposures.values()],
+      leverages: [...leverages.values()].sort((a, b) => a.leverage - b.leverage),
+      positions
+    };
+  }
+
+  return { getPositionEquity, summarizePortfolio };
+});
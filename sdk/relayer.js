@@ -0,0 +1,248 @@
+"use strict";
+
+/**
+ * Limit order relayer of the Leveraged AMM Exchange.
+ *
+ * The relayer keeps the signed limit orders submitted to it (see `limit-order.js`), verified on-chain first
+ * (`verifyLimitOrder`), and checks the open ones on each new block: an order is executed (`executeLimitOrder`) once
+ * the pair price reached its limit price, and dropped once it expired or its nonce was used up (cancelled).
+ * The relayer pays the gas of the executions, and the orders are persisted by an optional `storage`
+ * (`{ load(): Array<object>, save(entries: Array<object>) }`, with the entries serialized as JSON).
+ *
+ * An entry is:
+ *   { hash, mode: "CROSS"|"ISOLATED", order, signature, status: "OPEN"|"EXECUTED"|"CANCELLED"|"EXPIRED"|"FAILED",
+ *     submittedAt, blockNumber, price, transactionHash, error }
+ * where `price` is the pair price the order was executed at.
+ *
+ * @example
+ * const relayer = await LimitOrderRelayer.fromManifest(signer, manifest);
+ * await relayer.start();
+ * await relayer.submit({ mode: "CROSS", order, signature }); // e.g. from `ExchangeClient.signLimitOrder`
+ * relayer.list({ account, status: "OPEN" });
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./client"), require("./manifest"), require("./limit-order"));
+  } else {
+    root.LeveragedAMMRelayer = factory(root.LeveragedAMMSDK, root.LeveragedAMMManifest, root.LeveragedAMMLimitOrder);
+  }
+})(typeof self !== "undefined" ? self : this, function (client, { getDeployment }, limitOrder) {
+  const { EXCHANGE_KEYS, LeveragedAMMClient } = client;
+  const { buildLimitOrder, serializeLimitOrder, isLimitPriceReached, isLimitOrderExpired } = limitOrder;
+
+  /** The entry with its order serialized (JSON). */
+  function serializeEntry(entry) {
+    return { ...entry, order: serializeLimitOrder(entry.order), price: entry.price?.toString() ?? null };
+  }
+
+  /** The entry of a serialized one. */
+  function parseEntry(json) {
+    return { ...json, order: buildLimitOrder(json.order), price: json.price == null ? null : BigInt(json.price) };
+  }
+
+  /**
+   * The name of the custom error of a reverted call or transaction (e.g. `LimitPriceNotReached`), if known.
+   * @param {Error} error The error of ethers.
+   * @param {ethers.Interface} contractInterface The interface of the exchange, which declares the errors.
+   */
+  function getRevertName(error, contractInterface) {
+    // NOTE: ethers only decodes the errors of the calls, a reverted transaction (`estimateGas`) keeps the raw data
+    if (error.revert) return error.revert.name;
+    try {
+      return (error.data && contractInterface.parseError(error.data)?.name) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Relayer of both exchange deployments.
+   */
+  class LimitOrderRelayer {
+    /**
+     * @param {ethers.ContractRunner} runner The signer sending the executions.
+     * @param {object} deployment The deployment of the chain (see `getDeployment`).
+     * @param {object} [options]
+     * @param {object} [options.storage] The persistence of the orders (kept in memory only by default).
+     * @param {object} [options.logger] The logger (`console` by default).
+     * @param {object} [options.overrides] The transaction overrides (e.g. `{ gasLimit }`).
+     */
+    constructor(runner, deployment, { storage = null, logger = console, overrides = {} } = {}) {
+      this.runner = runner;
+      this.provider = runner.provider || runner;
+      this.deployment = deployment;
+      this.storage = storage;
+      this.logger = logger;
+      this.client = new LeveragedAMMClient(runner, deployment.addresses, { overrides });
+      this.orders = new Map((storage ? storage.load() : []).map(parseEntry).map(entry => [entry.hash, entry]));
+      this._checking = null;
+      this._recheck = false;
+    }
+
+    /**
+     * Create a relayer for the deployment of the runner's chain.
+     * @param {ethers.ContractRunner} runner The signer (connected to a network).
+     * @param {object} manifest The deployment manifest (`html/contract-address.json`).
+     * @param {object} [options] See the constructor.
+     */
+    static async fromManifest(runner, manifest, options) {
+      const { chainId } = await (runner.provider || runner).getNetwork();
+      const deployment = getDeployment(manifest, chainId);
+      if (!deployment) throw new Error(`No deployment found for chain ${chainId}`);
+      return new LimitOrderRelayer(runner, deployment, options);
+    }
+
+    /**
+     * Keep a signed limit order, once its signature, nonce and expiry are verified on-chain.
+     * @param {object} submission
+     * @param {"CROSS"|"ISOLATED"} submission.mode The exchange of the order.
+     * @param {object} submission.order The limit order (its numeric fields may be strings).
+     * @param {string} submission.signature The EIP-712 signature of the order by its account.
+     * @returns {Promise<object>} The entry (the existing one if the order was already submitted).
+     */
+    async submit({ mode, order, signature }) {
+      if (!(mode in EXCHANGE_KEYS)) throw new Error(`Unknown exchange mode: ${mode}`);
+      const signedOrder = buildLimitOrder(order);
+      let hash;
+      const exchangeClient = this.client.exchange(mode);
+      try {
+        hash = await exchangeClient.verifyLimitOrder(signedOrder, signature);
+      } catch (error) {
+        const reason = getRevertName(error, exchangeClient.contract.interface) || error.shortMessage || error.message;
+        throw new Error(`Invalid limit order: ${reason}`);
+      }
+      if (this.orders.has(hash)) return this.orders.get(hash);
+      const entry = {
+        hash, mode, order: signedOrder, signature, status: "OPEN", submittedAt: Date.now(), blockNumber: null,
+        price: null, transactionHash: null, error: null
+      };
+      this.orders.set(hash, entry);
+      this._save();
+      this.logger.info(`[relayer] OPEN ${mode} ${signedOrder.account} #${signedOrder.nonce} (${hash})`);
+      return entry;
+    }
+
+    /**
+     * The entries, newest first.
+     * @param {object} [filter]
+     * @param {string} [filter.account] The account of the orders.
+     * @param {string} [filter.status] The status of the orders.
+     */
+    list({ account, status } = {}) {
+      return [...this.orders.values()]
+        .filter(entry => !account || entry.order.account.toLowerCase() === account.toLowerCase())
+        .filter(entry => !status || entry.status === status)
+        .sort((a, b) => b.submittedAt - a.submittedAt);
+    }
+
+    get(hash) {
+      return this.orders.get(hash) || null;
+    }
+
+    /**
+     * Check the open orders: drop the expired and cancelled ones, and execute the ones whose limit price is reached.
+     * @returns {Promise<Array<object>>} The entries whose status changed.
+     */
+    async check() {
+      const { timestamp } = await this.provider.getBlock("latest");
+      const prices = new Map();
+      const changed = [];
+      // NOTE: in the order of submission
+      const entries = [...this.orders.values()].filter(entry => entry.status === "OPEN");
+      for (const entry of entries) {
+        const { order } = entry;
+        const exchangeClient = this.client.exchange(entry.mode);
+        if (isLimitOrderExpired(order, timestamp)) {
+          this._setStatus(entry, "EXPIRED", changed);
+          continue;
+        }
+        if (await exchangeClient.isNonceUsed(order.account, order.nonce)) {
+          this._setStatus(entry, "CANCELLED", changed);
+          continue;
+        }
+        const pairKey = `${entry.mode}:${order.tokenA}/${order.tokenB}`;
+        if (!prices.has(pairKey)) prices.set(pairKey, await exchangeClient.getPairPrice(order.tokenA, order.tokenB));
+        if (!isLimitPriceReached(order, prices.get(pairKey))) continue;
+        if (await this._execute(exchangeClient, entry)) {
+          // NOTE: the execution moved the price of the pair
+          prices.delete(pairKey);
+          this._setStatus(entry, entry.status, changed);
+        }
+      }
+      if (changed.length > 0) this._save();
+      return changed;
+    }
+
+    /**
+     * Check now, and on each new block until `stop`.
+     */
+    async start() {
+      await this.requestCheck();
+      await this.provider.on("block", () => this.requestCheck());
+    }
+
+    stop() {
+      this.provider.removeAllListeners("block");
+    }
+
+    /**
+     * Check once at a time: the requests received meanwhile are merged into a single recheck.
+     * @returns {Promise<void>} Resolved when the checks are done.
+     */
+    async requestCheck() {
+      if (this._checking) {
+        this._recheck = true;
+        return this._checking;
+      }
+      this._checking = (async () => {
+        do {
+          this._recheck = false;
+          try {
+            await this.check();
+          } catch (error) {
+            this.logger.error(error);
+          }
+        } while (this._recheck);
+        this._checking = null;
+      })();
+      return this._checking;
+    }
+
+    /* ================== Internal ================== */
+
+    /**
+     * Execute an order, which stays open if the price moved back meanwhile.
+     * @returns {Promise<boolean>} Whether the status of the entry changed.
+     */
+    async _execute(exchangeClient, entry) {
+      try {
+        const receipt = await exchangeClient.executeLimitOrder(entry.order, entry.signature);
+        const event = receipt.logs.map(log => exchangeClient.contract.interface.parseLog(log))
+          .find(log => log && log.name === "LimitOrderExecuted");
+        entry.status = "EXECUTED";
+        entry.transactionHash = receipt.hash;
+        entry.blockNumber = receipt.blockNumber;
+        if (event) entry.price = event.args.price;
+      } catch (error) {
+        const reason = getRevertName(error, exchangeClient.contract.interface);
+        if (reason === "LimitPriceNotReached") return false;
+        entry.status = "FAILED";
+        entry.error = reason || error.shortMessage || error.message;
+      }
+      return true;
+    }
+
+    _setStatus(entry, status, changed) {
+      entry.status = status;
+      changed.push(entry);
+      this.logger.info(`[relayer] ${status} ${entry.mode} ${entry.order.account} #${entry.order.nonce}`
+        + `${entry.transactionHash ? ` ${entry.transactionHash}` : ""}${entry.error ? ` (${entry.error})` : ""}`);
+    }
+
+    _save() {
+      if (this.storage) this.storage.save([...this.orders.values()].map(serializeEntry));
+    }
+  }
+
+  return { serializeEntry, parseEntry, LimitOrderRelayer };
+});
@@ -0,0 +1,300 @@
+"use strict";
+
+/**
+ * Margin risk of the Leveraged AMM Exchange positions, on the constant-product curve of the pair.
+ *
+ * A long position sells its whole `positionValue` for the leveraged amount `R` (`getAmountCollateralReturn`),
+ * while it borrowed `debt = collateralWorthValue - collateralAmount`. Then:
+ *  - `equity = R + freeCollateral - debt` (the free collateral backs the position in cross mode only)
+ *  - `marginRatio = equity / R`, and the position is liquidatable when it falls to the maintenance margin
+ *  - the liquidation price is the pair price at which `R = (debt - freeCollateral) / (1 - maintenanceMargin)`,
+ *    moving along `reserveA * reserveB = k`:
+ *      R(x) = x - k / (k / x + Q) = Q x^2 / (k + Q x)  =>  Q x^2 - R Q x - R k = 0
+ *    where `R` is grossed up by the swap fee of the pair (`feeBps`), which is deducted from the returned amount.
+ *
+ * A short position holds its collateral and the proceeds of the sold token B (`collateralWorthValue +
+ * collateralAmount`), and owes the cost `C` of buying back its `positionValue` (`getAmountInWithFee`). Then:
+ *  - `equity = collateralWorthValue + collateralAmount + freeCollateral - C`
+ *  - `marginRatio = equity / C`
+ *  - the liquidation price is the pair price at which `C = (assets + freeCollateral) / (1 + maintenanceMargin)`:
+ *      C(x) = k / (k / x - Q) - x = Q x^2 / (k - Q x)  =>  Q x^2 + C Q x - C k = 0
+ *    where `C` is net of the swap fee of the pair, which is added to the input.
+ *
+ * The amount the margin ratio is taken over (`R` for a long, `C` for a short) is the `notional` of the position.
+ *
+ * When the pair has a price feed (`setPairOracle`, see `oracle.js`), the contracts mark the positions at the feed
+ * price for the margin checks: `R` (or `C`) is the value of the `positionValue` at that price, without fee
+ * (`getOracleValue`), so that the liquidation price is linear. The positions still settle at the reserves.
+ *
+ * The funding accrued by a position (see `funding.js`) is marked with it for the margin checks: the funding it pays
+ * is added to its `debt`, the funding it receives to its `returnedAmount`, while the `notional` does not change.
+ *
+ * Ratios are `bigint` basis points, and prices are `bigint` with `PRICE_DECIMALS` decimals (token A per token B).
+ *
+ * The margin added to a position (`addMargin`) lowers its debt. Only the margin above the initial margin
+ * (`collateralWorthValue / leverage`) can be removed, while the margin ratio stays above the maintenance margin.
+ *
+ * The stop-loss and take-profit triggers of a position (`setTrigger`) are mark prices: the average price at which
+ * the whole position settles with the pair (`R / positionValue` for a long, `C / positionValue` for a short).
+ * A long is stopped at or below its stop-loss price and takes profit at or above its take-profit price, a short the
+ * other way around.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./amm-math"));
+  else root.LeveragedAMMRisk = factory(root.LeveragedAMMMath);
+})(typeof self !== "undefined" ? self : this, function (math) {
+  const BPS = 10000n;
+  const PRICE_DECIMALS = 18;
+  /** The default maintenance margin (5%). */
+  const MAINTENANCE_MARGIN_BPS = 500n;
+
+  /** The type of a reached trigger (`ILeveragedAMMExchange.TriggerType`). */
+  const TriggerType = Object.freeze({ STOP_LOSS: 0, TAKE_PROFIT: 1 });
+
+  /** The health levels by minimum health factor (margin ratio / maintenance margin, in basis points). */
+  const HEALTH_LEVELS = Object.freeze([
+    ["SAFE", 15000n],
+    ["WARNING", 11000n],
+    ["DANGER", 10001n],
+    ["LIQUIDATABLE", 0n],
+  ]);
+
+  /** Integer square root (floor). */
+  function sqrt(value) {
+    if (value < 0n) throw new RangeError("Square root of a negative number");
+    if (value < 2n) return value;
+    let x = value;
+    let y = (x + 1n) / 2n;
+    while (y < x) {
+      x = y;
+      y = (x + value / x) / 2n;
+    }
+    return x;
+  }
+
+  /**
+   * The price of token B in token A for the given reserves.
+   * @returns {bigint} The price, with `PRICE_DECIMALS` decimals (0 for an empty pair).
+   */
+  function getPrice(reserveA, reserveB, decimalsA, decimalsB) {
+    if (reserveB === 0n) return 0n;
+    return reserveA * 10n ** BigInt(PRICE_DECIMALS + Number(decimalsB)) / (reserveB * 10n ** BigInt(decimalsA));
+  }
+
+  /**
+   * The amount of token A worth an amount of token B at a feed price (`_getOracleValue` of `LeveragedAMMOracle`).
+   * @param {bigint} amount The amount of token B.
+   * @param {bigint} price The price of token B in token A, with `PRICE_DECIMALS` decimals.
+   * @param {number|bigint} decimalsA The decimals of token A.
+   * @param {number|bigint} decimalsB The decimals of token B.
+   * @returns {bigint} The amount of token A.
+   */
+  function getOracleValue(amount, price, decimalsA, decimalsB) {
+    return amount * price * 10n ** BigInt(decimalsA) / 10n ** BigInt(PRICE_DECIMALS + Number(decimalsB));
+  }
+
+  /**
+   * The pair price at which selling `positionValue` returns `returnedAmount` (along the current `k`).
+   * @param {{reserveA: bigint, reserveB: bigint, feeBps?: bigint}} pair The pair reserves and swap fee.
+   * @param {bigint} positionValue The amount of token B to sell.
+   * @param {bigint} returnedAmount The (leveraged) amount of token A to receive, after the swap fee.
+   * @param {number|bigint} decimalsA The decimals of token A.
+   * @param {number|bigint} decimalsB The decimals of token B.
+   * @returns {bigint} The price (0 if any price is enough).
+   */
+  function getPriceForReturn(pair, positionValue, returnedAmount, decimalsA, decimalsB) {
+    if (returnedAmount <= 0n || positionValue === 0n) return 0n;
+    const k = pair.reserveA * pair.reserveB;
+    const grossAmount = returnedAmount * BPS / (BPS - BigInt(pair.feeBps ?? 0n));
+    const b = grossAmount * positionValue;
+    const reserveA = (b + sqrt(b * b + 4n * positionValue * grossAmount * k)) / (2n * positionValue);
+    return getPrice(reserveA, k / reserveA, decimalsA, decimalsB);
+  }
+
+  /**
+   * The pair price at which buying back `positionValue` costs `cost` (along the current `k`).
+   * @param {{reserveA: bigint, reserveB: bigint, feeBps?: bigint}} pair The pair reserves and swap fee.
+   * @param {bigint} positionValue The amount of token B to buy.
+   * @param {bigint} cost The (leveraged) amount of token A to pay, including the swap fee.
+   * @param {number|bigint} decimalsA The decimals of token A.
+   * @param {number|bigint} decimalsB The decimals of token B.
+   * @returns {bigint} The price (0 without position).
+   */
+  function getPriceForCost(pair, positionValue, cost, decimalsA, decimalsB) {
+    if (cost <= 0n || positionValue === 0n) return 0n;
+    const k = pair.reserveA * pair.reserveB;
+    const netAmount = cost * (BPS - BigInt(pair.feeBps ?? 0n)) / BPS;
+    const b = netAmount * positionValue;
+    const reserveA = (sqrt(b * b + 4n * positionValue * netAmount * k) - b) / (2n * positionValue);
+    if (reserveA === 0n) return 0n;
+    return getPrice(reserveA, k / reserveA, decimalsA, decimalsB);
+  }
+
+  /** The health level of a health factor (see `HEALTH_LEVELS`). */
+  function getHealthLevel(healthFactorBps) {
+    const level = HEALTH_LEVELS.find(([, minimum]) => healthFactorBps >= minimum);
+    return level ? level[0] : "LIQUIDATABLE";
+  }
+
+  /**
+   * The margin risk of a position.
+   * @param {{reserveA: bigint, reserveB: bigint, feeBps?: bigint}} pair The pair reserves and swap fee.
+   * @param {object} position The position (`collateralAmount`, `collateralWorthValue`, `positionValue`, `leverage`,
+   *  `side`).
+   * @param {object} [options]
+   * @param {bigint} [options.freeCollateral] The free collateral backing the position (cross mode, see
+   *  `getFreeCollateral` of the exchange).
+   * @param {bigint} [options.maintenanceMarginBps] The maintenance margin.
+   * @param {number|bigint} [options.decimalsA] The decimals of token A (collateral).
+   * @param {number|bigint} [options.decimalsB] The decimals of token B (target).
+   * @param {bigint} [options.oraclePrice] The feed price of the pair to mark the position at (0: at the reserves).
+   * @param {bigint} [options.funding] The funding accrued by the position: paid (positive) or received (negative).
+   * @returns {object|null} `{ returnedAmount, debt, notional, equity, marginRatioBps, healthFactorBps, level, price,
+   *  liquidationPrice }`, or null without position. The `returnedAmount` of a short is what it holds, and its
+   *  `debt` the cost of buying back its token B (its liquidation price is above the price). The `price` is the feed
+   *  price when marked at it, and so is the liquidation price.
+   */
+  function getPositionRisk(pair, position, {
+    freeCollateral = 0n, maintenanceMarginBps = MAINTENANCE_MARGIN_BPS, decimalsA = 18, decimalsB = 18,
+    oraclePrice = 0n, funding = 0n
+  } = {}) {
+    if (position.positionValue === 0n) return null;
+    const short = math.isShort(position);
+    const { positionValue } = position;
+    const markedValue = oraclePrice > 0n ? getOracleValue(positionValue, oraclePrice, decimalsA, decimalsB) : null;
+    let returnedAmount, debt, liquidationPrice;
+    if (short) {
+      returnedAmount = position.collateralWorthValue + position.collateralAmount;
+      [debt] = markedValue === null ? math.getAmountInWithFee(pair, positionValue) : [markedValue];
+      const liquidationCost = (returnedAmount - funding + freeCollateral) * BPS / (BPS + maintenanceMarginBps);
+      liquidationPrice = markedValue === null
+        ? getPriceForCost(pair, positionValue, liquidationCost, decimalsA, decimalsB)
+        : getPrice(liquidationCost, positionValue, decimalsA, decimalsB);
+    } else {
+      [returnedAmount] = markedValue === null
+        ? math.getAmountCollateralReturn(pair, positionValue, position.leverage) : [markedValue];
+      debt = position.collateralWorthValue - position.collateralAmount;
+      const liquidationReturn = (debt + funding - freeCollateral) * BPS / (BPS - maintenanceMarginBps);
+      if (markedValue === null) {
+        liquidationPrice = getPriceForReturn(pair, positionValue, liquidationReturn, decimalsA, decimalsB);
+      } else if (liquidationReturn > 0n) {
+        liquidationPrice = getPrice(liquidationReturn, positionValue, decimalsA, decimalsB);
+      } else {
+        liquidationPrice = 0n;
+      }
+    }
+    const notional = short ? debt : returnedAmount;
+    if (funding > 0n) debt += funding;
+    else returnedAmount -= funding;
+    const equity = returnedAmount + freeCollateral - debt;
+    const marginRatioBps = notional === 0n ? 0n : equity * BPS / notional;
+    const healthFactorBps = maintenanceMarginBps === 0n ? BPS : marginRatioBps * BPS / maintenanceMarginBps;
+    return {
+      returnedAmount,
+      debt,
+      notional,
+      equity,
+      marginRatioBps,
+      healthFactorBps,
+      level: getHealthLevel(healthFactorBps),
+      price: markedValue === null ? getPrice(pair.reserveA, pair.reserveB, decimalsA, decimalsB) : oraclePrice,
+      liquidationPrice,
+    };
+  }
+
+  /**
+   * The margin added to a position above its initial margin, which is given back when the position is sold.
+   * @param {object} position The position (`collateralAmount`, `collateralWorthValue`, `leverage`).
+   * @returns {bigint} The added margin (token A).
+   */
+  function getAddedMargin(position) {
+    const initialMargin = position.collateralWorthValue / BigInt(position.leverage);
+    return position.collateralAmount > initialMargin ? position.collateralAmount - initialMargin : 0n;
+  }
+
+  /**
+   * The effective leverage of a position (`collateralWorthValue / collateralAmount`), lowered by the added margin.
+   * @param {object} position The position (`collateralAmount`, `collateralWorthValue`).
+   * @returns {number} The leverage (2 decimals, 0 without collateral).
+   */
+  function getEffectiveLeverage(position) {
+    if (position.collateralAmount === 0n) return 0;
+    return Number(position.collateralWorthValue * 100n / position.collateralAmount) / 100;
+  }
+
+  /**
+   * The margin that `removeMargin` accepts: the added margin, as long as the margin ratio stays above the
+   * maintenance margin.
+   * @param {{reserveA: bigint, reserveB: bigint, feeBps?: bigint}} pair The pair reserves and swap fee.
+   * @param {object} position The position (`collateralAmount`, `collateralWorthValue`, `positionValue`, `leverage`).
+   * @param {object} [options]
+   * @param {bigint} [options.freeCollateral] The free collateral backing the position (cross mode, see
+   *  `getFreeCollateral` of the exchange).
+   * @param {boolean} [options.cross] Whether the removed margin still backs the position (cross mode).
+   * @param {bigint} [options.maintenanceMarginBps] The maintenance margin.
+   * @param {bigint} [options.oraclePrice] The feed price of the pair (see `getPositionRisk`).
+   * @param {bigint} [options.funding] The funding accrued by the position (see `getPositionRisk`).
+   * @param {number|bigint} [options.decimalsA] The decimals of token A (with the feed price).
+   * @param {number|bigint} [options.decimalsB] The decimals of token B (with the feed price).
+   * @returns {bigint} The removable margin (token A).
+   */
+  function getRemovableMargin(pair, position, {
+    freeCollateral = 0n, cross = false, maintenanceMarginBps = MAINTENANCE_MARGIN_BPS, oraclePrice = 0n,
+    funding = 0n, decimalsA = 18, decimalsB = 18
+  } = {}) {
+    const addedMargin = getAddedMargin(position);
+    const result = getPositionRisk(
+      pair, position, { freeCollateral, maintenanceMarginBps, oraclePrice, funding, decimalsA, decimalsB }
+    );
+    if (addedMargin === 0n || result === null) return 0n;
+    // NOTE: the contract rounds the margin ratio down, and requires it to stay above the maintenance margin
+    const minEquity = ((maintenanceMarginBps + 1n) * result.notional + BPS - 1n) / BPS;
+    if (result.equity < minEquity) return 0n;
+    // The margin moved to the deposit balance still backs a cross position, so that its equity does not change
+    if (cross) return addedMargin;
+    const slack = result.equity - minEquity;
+    return slack < addedMargin ? slack : addedMargin;
+  }
+
+  /**
+   * `LeveragedAMMExchange.getMarkPrice`: the average price at which the whole position settles with the pair.
+   * @param {{reserveA: bigint, reserveB: bigint, feeBps?: bigint}} pair The pair reserves and swap fee.
+   * @param {object} position The position (`positionValue`, `leverage`, `side`).
+   * @param {number|bigint} [decimalsA] The decimals of token A (collateral).
+   * @param {number|bigint} [decimalsB] The decimals of token B (target).
+   * @returns {bigint} The mark price, with `PRICE_DECIMALS` decimals (0 without position).
+   */
+  function getMarkPrice(pair, position, decimalsA = 18, decimalsB = 18) {
+    if (position.positionValue === 0n) return 0n;
+    const [settledAmount] = math.isShort(position)
+      ? math.getAmountInWithFee(pair, position.positionValue)
+      : math.getAmountCollateralReturn(pair, position.positionValue, position.leverage);
+    return settledAmount * 10n ** BigInt(PRICE_DECIMALS + Number(decimalsB))
+      / (position.positionValue * 10n ** BigInt(decimalsA));
+  }
+
+  /**
+   * The trigger of a position reached at a mark price, as `executeTrigger` checks it (the stop-loss first).
+   * @param {object} position The position (`side`).
+   * @param {{stopLossPrice: bigint, takeProfitPrice: bigint}} trigger The trigger prices (0: not set).
+   * @param {bigint} markPrice The mark price (see `getMarkPrice`).
+   * @returns {number|null} The reached `TriggerType`, or null.
+   */
+  function getReachedTrigger(position, trigger, markPrice) {
+    const short = math.isShort(position);
+    const { stopLossPrice, takeProfitPrice } = trigger;
+    if (stopLossPrice !== 0n && (short ? markPrice >= stopLossPrice : markPrice <= stopLossPrice)) {
+      return TriggerType.STOP_LOSS;
+    }
+    if (takeProfitPrice !== 0n && (short ? markPrice <= takeProfitPrice : markPrice >= takeProfitPrice)) {
+      return TriggerType.TAKE_PROFIT;
+    }
+    return null;
+  }
+
+  return {
+    PRICE_DECIMALS, MAINTENANCE_MARGIN_BPS, HEALTH_LEVELS, TriggerType, sqrt, getPrice, getOracleValue,
+    getPriceForReturn, getPriceForCost, getHealthLevel, getPositionRisk, getAddedMargin, getEffectiveLeverage,
+    getRemovableMargin, getMarkPrice, getReachedTrigger
+  };
+});
@@ -0,0 +1,126 @@
+"use strict";
+
+/**
+ * Differential test of `amm-math.js` against the contracts deployed on a local anvil node.
+ * Deploy the contracts and write `html/contract-address.json` first (see README), then:
+ *   $ RPC_URL=http://127.0.0.1:8545 npm test
+ */
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const math = require("../amm-math");
+const abi = require("../abi");
+const { getDeployment } = require("../manifest");
+
+const RPC_URL = process.env.RPC_URL;
+const SAMPLES = Number(process.env.SAMPLES || 64);
+
+/** Deterministic pseudo-random `bigint` in [0, max) (xorshift), so that a failure can be replayed. */
+function randomGenerator(seed) {
+  let state = BigInt(seed) || 1n;
+  return (max) => {
+    state ^= (state << 13n) & math.MAX_UINT256;
+    state ^= state >> 7n;
+    state ^= (state << 17n) & math.MAX_UINT256;
+    return max > 0n ? state % max : 0n;
+  };
+}
+
+describe("amm-math vs. deployed contracts", { skip: !RPC_URL && "RPC_URL is not set" }, () => {
+  const manifest = require("../../html/contract-address.json");
+  const exchanges = { CROSS: "EXCH_CROSS", ISOLATED: "EXCH_ISOLATED" };
+  let provider;
+  let accounts;
+  let deployment;
+
+  before(async () => {
+    provider = new ethers.JsonRpcProvider(RPC_URL);
+    accounts = (await provider.listAccounts()).map(signer => signer.address);
+    deployment = getDeployment(manifest, (await provider.getNetwork()).chainId);
+    assert.ok(deployment, "No deployment found for the chain of RPC_URL");
+  });
+
+  for (const [mode, exchangeKey] of Object.entries(exchanges)) {
+    it(`${mode} exchange`, async () => {
+      const addresses = deployment.addresses;
+      const exchange = new ethers.Contract(
+        addresses[exchangeKey], mode === "CROSS" ? abi.exchangeCross : abi.exchangeIsolated, provider
+      );
+      const deployedPairs = deployment.pairs.filter(pair => pair.exchange === exchangeKey);
+      assert.ok(deployedPairs.length > 0, `No pair created on ${exchangeKey}`);
+      // NOTE: the remaining value of a listed token A goes through the margin pool, which amm-math does not mirror
+      const listed = new Set();
+      if (mode === "CROSS") {
+        const logs = await exchange.queryFilter(exchange.filters.CollateralUpdated());
+        for (const log of logs) listed.add(ethers.getAddress(log.args.token));
+      }
+
+      for (const deployedPair of deployedPairs) {
+        const tokenA = addresses[deployedPair.tokenA];
+        const tokenB = addresses[deployedPair.tokenB];
+        const [, reserveA, reserveB] = await exchange.pairs(tokenA, tokenB);
+        const pair = { reserveA, reserveB, feeBps: await exchange.pairFees(tokenA, tokenB) };
+        const [decimalsA, decimalsB] = await Promise.all(
+          [tokenA, tokenB].map(token => new ethers.Contract(token, abi.erc20, provider).decimals())
+        );
+        assert.equal(math.getPairPrice(pair, decimalsA, decimalsB), await exchange.getPairPrice(tokenA, tokenB));
+
+        const random = randomGenerator(reserveA ^ reserveB);
+        for (let i = 0; i < SAMPLES; i++) {
+          const leverage = Number(random(10n)) + 1;
+          const amountIn = random(reserveA);
+          const amountOut = random(reserveB + 1n);
+          const amount = random(reserveB * 2n);
+          assert.equal(
+            math.getAmountOutFromIn(pair, amountIn, leverage),
+            await exchange.getAmountOutFromIn(tokenA, tokenB, amountIn, leverage),
+            `getAmountOutFromIn(${amountIn}, ${leverage})`
+          );
+          assert.equal(
+            math.getAmountInForOut(pair, amountOut, leverage),
+            await exchange.getAmountInForOut(tokenA, tokenB, amountOut, leverage),
+            `getAmountInForOut(${amountOut}, ${leverage})`
+          );
+          assert.equal(
+            math.getAmountShortFromIn(pair, amountIn, leverage),
+            await exchange.getAmountShortFromIn(tokenA, tokenB, amountIn, leverage),
+            `getAmountShortFromIn(${amountIn}, ${leverage})`
+          );
+          assert.deepEqual(
+            math.getAmountCollateralReturn(pair, amount, leverage),
+            [...await exchange.getAmountCollateralReturn(tokenA, tokenB, amount, leverage)],
+            `getAmountCollateralReturn(${amount}, ${leverage})`
+          );
+        }
+
+        for (const account of accounts) {
+          const balance = await exchange.balances(account, tokenA);
+          let positions;
+          if (mode === "CROSS") {
+            positions = [await exchange.getPositionCross(account, tokenA, tokenB)];
+          } else {
+            const length = await exchange.getPositionsIsolatedLength(account, tokenA, tokenB);
+            positions = await Promise.all(
+              Array.from({ length: Number(length) }, (_, i) => exchange.getPositionIsolated(account, tokenA, tokenB, i))
+            );
+          }
+          if (!listed.has(tokenA)) {
+            assert.equal(
+              math.getAccountRemainingValue(balance, positions, mode),
+              await exchange.getAccountRemainingValue(account, tokenA, tokenB),
+              `getAccountRemainingValue(${account})`
+            );
+          }
+          for (const position of positions.filter(position => position.positionValue > 0n)) {
+            const posId = mode === "CROSS" ? 0n : position.id;
+            assert.equal(
+              math.getPositionReturn(pair, position, position.positionValue),
+              await exchange.getPositionReturn(account, tokenA, tokenB, posId, position.positionValue),
+              `getPositionReturn(${account}, ${posId})`
+            );
+          }
+        }
+      }
+    });
+  }
+});
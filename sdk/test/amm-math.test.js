@@ -0,0 +1,124 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  MAX_UINT256, getPairPrice, getAmountOutFromIn, getAmountInForOut, getAmountCollateralReturn, getAccountRemainingValue,
+  getAmountOutWithFee, getAmountReturnedWithFee, getMinAmountOut, getAmountInWithFee, getAmountSoldWithFee,
+  getAmountShortFromIn, getPositionReturn, getMaxAmountIn, Side,
+} = require("../amm-math");
+
+// NOTE: the expected values are the ones of the Foundry unit tests in `test/`
+describe("amm-math", () => {
+  const emptyPair = { reserveA: 0n, reserveB: 0n };
+
+  it("getPairPrice", () => {
+    assert.equal(getPairPrice(emptyPair, 6, 18), 0n);
+    assert.equal(getPairPrice({ reserveA: 1000000n, reserveB: 1000000000000000n }, 6, 18), 1000n);
+    assert.throws(() => getPairPrice({ reserveA: 1n, reserveB: 1n }, 19, 18), RangeError);
+  });
+
+  it("getAmountOutFromIn", () => {
+    assert.equal(getAmountOutFromIn(emptyPair, 0n, 0), 0n);
+    assert.equal(getAmountOutFromIn(emptyPair, 1000n, 0), 0n);
+    assert.equal(getAmountOutFromIn(emptyPair, 0n, 6), 0n);
+    assert.equal(getAmountOutFromIn({ reserveA: 10000n, reserveB: 1000n }, 1000n, 6), 375n);
+    assert.throws(() => getAmountOutFromIn({ reserveA: 10000n, reserveB: 1000n }, MAX_UINT256, 2), RangeError);
+  });
+
+  it("getAmountInForOut", () => {
+    assert.equal(getAmountInForOut(emptyPair, 0n, 0), 0n);
+    assert.equal(getAmountInForOut(emptyPair, 1000n, 0), 0n);
+    assert.equal(getAmountInForOut(emptyPair, 0n, 6), 0n);
+    assert.equal(getAmountInForOut({ reserveA: 10000n, reserveB: 1000n }, 375n, 6), 1000n);
+    assert.equal(getAmountInForOut({ reserveA: 10000n, reserveB: 1000n }, 375n, 0), 0n);
+    assert.equal(getAmountInForOut({ reserveA: 10000n, reserveB: 1000n }, 1000n, 6), 0n);
+  });
+
+  it("getAmountCollateralReturn", () => {
+    assert.deepEqual(getAmountCollateralReturn(emptyPair, 1000n, 0), [0n, 0n]);
+    assert.deepEqual(getAmountCollateralReturn(emptyPair, 0n, 6), [0n, 0n]);
+    assert.deepEqual(getAmountCollateralReturn(emptyPair, 0n, 0), [0n, 0n]);
+    assert.deepEqual(getAmountCollateralReturn({ reserveA: 16000n, reserveB: 625n }, 375n, 6), [6000n, 1000n]);
+    assert.deepEqual(getAmountCollateralReturn({ reserveA: 16000n, reserveB: 625n }, 375n, 0), [0n, 0n]);
+  });
+
+  it("applies the swap fee of the pair", () => {
+    const pair = { reserveA: 100000n, reserveB: 10000n, feeBps: 30n };
+    assert.equal(getAmountOutFromIn(pair, 10000n, 10), 4993n);
+    assert.equal(getAmountInForOut(pair, 5000n, 10), 10030n);
+    assert.deepEqual(getAmountCollateralReturn(pair, 1000n, 6), [9064n, 1510n]);
+    // The fee is deducted from the input when opening, and from the output when selling
+    assert.deepEqual(getAmountOutWithFee(pair, 100000n), [4993n, 300n]);
+    const opened = { reserveA: 199700n, reserveB: 5007n, feeBps: 30n };
+    assert.deepEqual(getAmountReturnedWithFee(opened, 4993n), [99412n, 299n]);
+    assert.deepEqual(getAmountReturnedWithFee({ ...opened, feeBps: 0n }, 4993n), [99711n, 0n]);
+  });
+
+  it("quotes the short positions", () => {
+    const pair = { reserveA: 10000n, reserveB: 1000n };
+    assert.equal(getAmountShortFromIn(emptyPair, 100n, 10), 0n);
+    assert.equal(getAmountShortFromIn(pair, 100n, 10), 111n);
+    assert.deepEqual(getAmountSoldWithFee(pair, 10000n), [0n, 0n]);
+    assert.deepEqual(getAmountSoldWithFee({ ...pair, feeBps: 30n }, 1000n), [111n, 3n]);
+    assert.deepEqual(getAmountInWithFee({ reserveA: 9000n, reserveB: 1111n }, 111n), [999n, 0n]);
+    assert.deepEqual(getAmountInWithFee({ reserveA: 9000n, reserveB: 1111n, feeBps: 30n }, 111n), [1002n, 3n]);
+    assert.deepEqual(getAmountInWithFee(pair, 1000n), [0n, 0n]);
+
+    // (2 * 1000 worth - 999 cost) / 10x, and (2 * 250 worth - 219 cost) / 5x after the price drop
+    const short = {
+      collateralAmount: 100n, collateralWorthValue: 1000n, positionValue: 111n, leverage: 10, side: Side.SHORT
+    };
+    assert.equal(getPositionReturn({ reserveA: 9000n, reserveB: 1111n }, short, 111n), 100n);
+    assert.equal(getPositionReturn({ reserveA: 9000n, reserveB: 1111n }, short, 112n), 0n);
+    const isolated = { collateralAmount: 100n, collateralWorthValue: 500n, positionValue: 52n, leverage: 5, side: 1n };
+    assert.equal(getPositionReturn({ reserveA: 9501n, reserveB: 1152n }, isolated, 26n), 56n);
+    // The cost of more than twice the worth value returns nothing
+    assert.equal(getPositionReturn({ reserveA: 30000n, reserveB: 333n }, short, 111n), 0n);
+    // A long returns `getAmountCollateralReturn`
+    const long = { ...short, side: Side.LONG, positionValue: 375n, leverage: 6 };
+    assert.equal(getPositionReturn({ reserveA: 16000n, reserveB: 625n }, long, 375n), 1000n);
+  });
+
+  it("getAccountRemainingValue", () => {
+    assert.equal(getAccountRemainingValue(2000n, [], "CROSS"), 20000n);
+    assert.equal(getAccountRemainingValue(2000n, [], "ISOLATED"), 20000n);
+
+    const position = { collateralAmount: 500n, collateralWorthValue: 5000n, positionValue: 333n, leverage: 10 };
+    assert.equal(getAccountRemainingValue(1500n, [position], "CROSS"), 15000n);
+    // NOTE: a fully reduced cross position keeps its collateral out of the remaining value
+    const reduced = { ...position, positionValue: 0n, collateralWorthValue: 0n };
+    assert.equal(getAccountRemainingValue(1500n, [reduced], "CROSS"), 15000n);
+    assert.equal(getAccountRemainingValue(1500n, [reduced], "ISOLATED"), 20000n);
+
+    const positions = [position, { collateralAmount: 500n, collateralWorthValue: 1000n, positionValue: 90n, leverage: 2 }];
+    assert.equal(getAccountRemainingValue(1000n, positions, "ISOLATED"), 14000n);
+    const overdrawn = { ...position, collateralWorthValue: 6000n };
+    assert.throws(() => getAccountRemainingValue(0n, [overdrawn], "ISOLATED"), RangeError);
+  });
+
+  it("getMinAmountOut", () => {
+    assert.equal(getMinAmountOut(4993n, 0), 4993n);
+    assert.equal(getMinAmountOut(4993n, 50), 4968n);
+    assert.equal(getMinAmountOut(4993n, 10000n), 0n);
+    assert.throws(() => getMinAmountOut(4993n, 10001), RangeError);
+  });
+
+  it("getMaxAmountIn", () => {
+    assert.equal(getMaxAmountIn(111n, 0), 111n);
+    assert.equal(getMaxAmountIn(111n, 50), 112n);
+    assert.equal(getMaxAmountIn(4993n, 10000n), 9986n);
+    assert.throws(() => getMaxAmountIn(111n, -1), RangeError);
+  });
+
+  it("round-trips quotes within the integer division error", () => {
+    const abs = (x) => (x < 0n ? -x : x);
+    const pair = { reserveA: 10000n * 10n ** 18n, reserveB: 1000n * 10n ** 18n };
+    for (const leverage of [1, 3, 10]) {
+      const amountIn = 123n * 10n ** 18n;
+      const amountOut = getAmountOutFromIn(pair, amountIn, leverage);
+      const quotedIn = getAmountInForOut(pair, amountOut, leverage);
+      assert.ok(abs(amountIn - quotedIn) * 10n ** 12n <= amountIn);
+    }
+  });
+});
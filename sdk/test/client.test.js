@@ -0,0 +1,434 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const {
+  LeveragedAMMClient, ExchangeClient, Mode, Side, buildOrder, toUnits, toPosition, limitOrder
+} = require("..");
+
+const addresses = {
+  DAI: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+  WETH: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512",
+  EXCH_CROSS: "0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9",
+  EXCH_ISOLATED: "0x5FC8d32690cc91D4c39d9d3abcBD16989F875707",
+};
+
+// Stub the exchange contract and the token decimals, recording the submitted swap orders.
+function stubExchange(exchange, methods = {}) {
+  const orders = [];
+  exchange._decimals = { [addresses.DAI]: 18, [addresses.WETH]: 6 };
+  exchange._maxLeverage = 10;
+  exchange.contract = {
+    swap: async (order) => {
+      orders.push(order);
+      return { wait: async () => ({ status: 1 }) };
+    },
+    ...methods,
+  };
+  return orders;
+}
+
+describe("helpers", () => {
+  it("buildOrder zeroes the unused fields", () => {
+    const order = buildOrder({ amount: 5n, leverage: 2 });
+    assert.equal(order.tokenA, ethers.ZeroAddress);
+    assert.equal(order.amount, 5n);
+    assert.equal(order.leverage, 2);
+    assert.equal(order.positionMode, Mode.CROSS);
+    assert.equal(order.reducePosition, false);
+    assert.equal(order.closePosition, false);
+    assert.equal(order.closePosId, 0n);
+    assert.equal(order.minAmountOut, 0n);
+    assert.equal(order.maxAmountIn, 0n);
+    assert.equal(order.deadline, 0n);
+    assert.equal(order.side, Side.LONG);
+  });
+
+  it("toPosition reads the side and the funding index of the position", () => {
+    const tuple = ["WETH/DAI", 100n, 1000n, 111n, 10n, 0n, 1700000000n, 12n];
+    assert.equal(toPosition([...tuple, 1n]).side, Side.SHORT);
+    assert.equal(toPosition(tuple).side, Side.LONG);
+    assert.equal(toPosition([...tuple, 0n, 2n * 10n ** 16n]).fundingIndex, 2n * 10n ** 16n);
+    assert.equal(toPosition(tuple).fundingIndex, 0n);
+  });
+
+  it("toUnits keeps raw bigint amounts and parses decimal amounts", () => {
+    assert.equal(toUnits(123n, 18), 123n);
+    assert.equal(toUnits("1.5", 6), 1500000n);
+    assert.equal(toUnits(2, 18), 2n * 10n ** 18n);
+  });
+});
+
+describe("ExchangeClient", () => {
+  const amm = new LeveragedAMMClient(null, addresses);
+
+  it("binds each exchange deployment to its mode", () => {
+    assert.equal(amm.cross.address, addresses.EXCH_CROSS);
+    assert.equal(amm.isolated.address, addresses.EXCH_ISOLATED);
+    assert.equal(amm.exchange("ISOLATED"), amm.isolated);
+    assert.throws(() => amm.exchange("SPOT"), /Unknown exchange mode/);
+    assert.throws(() => new ExchangeClient(null, addresses.EXCH_CROSS, "SPOT"), /Unknown exchange mode/);
+  });
+
+  it("resolves token symbols and addresses", () => {
+    assert.equal(amm.cross.resolveToken("DAI"), addresses.DAI);
+    assert.equal(amm.cross.resolveToken(addresses.WETH.toLowerCase()), addresses.WETH);
+    assert.throws(() => amm.cross.resolveToken("BTC"), /Unknown token/);
+  });
+
+  it("builds cross open and reduce orders with the max leverage", async () => {
+    const cross = new ExchangeClient({ getAddress: async () => addresses.DAI }, addresses.EXCH_CROSS, "CROSS", {
+      addresses,
+    });
+    const orders = stubExchange(cross, {
+      getPositionCross: async () => ["WETH/DAI", 100n, 1000n, 99n, 10n, 0n, 1700000000n, 12n],
+    });
+    await cross.openCross("DAI", "WETH", "10");
+    await cross.reduceCross("DAI", "WETH", "0.5");
+    assert.deepEqual(orders[0], buildOrder({
+      tokenA: addresses.DAI, tokenB: addresses.WETH, amount: 10n * 10n ** 18n, leverage: 10, positionMode: Mode.CROSS,
+    }));
+    assert.deepEqual(orders[1], buildOrder({
+      tokenA: addresses.DAI, tokenB: addresses.WETH, amount: 500000n, leverage: 10, positionMode: Mode.CROSS,
+      reducePosition: true,
+    }));
+  });
+
+  it("builds isolated open, close and partial close orders", async () => {
+    const isolated = new ExchangeClient({ getAddress: async () => addresses.DAI }, addresses.EXCH_ISOLATED, "ISOLATED", {
+      addresses,
+    });
+    const orders = stubExchange(isolated, {
+      getPositionIsolatedById: async (account, tokenA, tokenB, posId) => (
+        ["WETH/DAI", 100n, 300n, 42n, 3n, posId, 1700000000n, 12n]
+      ),
+    });
+    await isolated.openIsolated("DAI", "WETH", 100n, 3);
+    await isolated.closeIsolated("DAI", "WETH", 7);
+    await isolated.reduceIsolated("DAI", "WETH", 7, 10n);
+    await assert.rejects(isolated.reduceIsolated("DAI", "WETH", 7, 43n), RangeError);
+    assert.deepEqual(orders[0], buildOrder({
+      tokenA: addresses.DAI, tokenB: addresses.WETH, amount: 100n, leverage: 3, positionMode: Mode.ISOLATED,
+    }));
+    assert.deepEqual(orders[1], buildOrder({
+      tokenA: addresses.DAI, tokenB: addresses.WETH, amount: 42n, leverage: 3, positionMode: Mode.ISOLATED,
+      closePosition: true, closePosId: 7n,
+    }));
+    assert.deepEqual(orders[2], { ...orders[1], amount: 10n });
+    assert.equal(orders.length, 3);
+  });
+
+  it("sets the slippage bounds from the quote and the deadline", async () => {
+    const cross = new ExchangeClient({ getAddress: async () => addresses.DAI }, addresses.EXCH_CROSS, "CROSS", {
+      addresses,
+    });
+    const orders = stubExchange(cross, {
+      getPositionCross: async () => ["WETH/DAI", 1000n, 10000n, 4993n, 10n, 0n, 1700000000n, 12n],
+      getAmountOutFromIn: async () => 4993n,
+      getAmountCollateralReturn: async () => [99410n, 9941n],
+    });
+    await cross.openCross("DAI", "WETH", 1000n, { slippageBps: 50, deadline: 1700000000 });
+    await cross.reduceCross("DAI", "WETH", 4993n, { slippageBps: 100 });
+    await cross.openCross("DAI", "WETH", 1000n, { minAmountOut: 4990n });
+    assert.equal(orders[0].minAmountOut, 4968n);
+    assert.equal(orders[0].maxAmountIn, 1000n);
+    assert.equal(orders[0].deadline, 1700000000n);
+    assert.equal(orders[1].minAmountOut, 9841n);
+    assert.equal(orders[1].maxAmountIn, 4993n);
+    assert.equal(orders[1].deadline, 0n);
+    assert.deepEqual([orders[2].minAmountOut, orders[2].maxAmountIn], [4990n, 0n]);
+  });
+
+  it("builds short orders, bounding the token B they sell", async () => {
+    const isolated = new ExchangeClient({ getAddress: async () => addresses.DAI }, addresses.EXCH_ISOLATED, "ISOLATED", {
+      addresses,
+    });
+    const calls = [];
+    const orders = stubExchange(isolated, {
+      getAmountShortFromIn: async (...args) => { calls.push(["getAmountShortFromIn", ...args]); return 111n; },
+      getPositionReturn: async (...args) => { calls.push(["getPositionReturn", ...args]); return 100n; },
+      getPositionIsolatedById: async (account, tokenA, tokenB, posId) => (
+        ["WETH/DAI", 100n, 1000n, 111n, 10n, posId, 1700000000n, 12n, 1n]
+      ),
+    });
+    await isolated.openIsolated("DAI", "WETH", 100n, 10, { side: "SHORT", slippageBps: 50 });
+    await isolated.closeIsolated("DAI", "WETH", 7, { slippageBps: 100 });
+    await assert.rejects(isolated.openIsolated("DAI", "WETH", 100n, 10, { side: "UP" }), /Unknown position side/);
+    assert.deepEqual(orders[0], buildOrder({
+      tokenA: addresses.DAI, tokenB: addresses.WETH, amount: 100n, leverage: 10, positionMode: Mode.ISOLATED,
+      side: Side.SHORT, maxAmountIn: 112n,
+    }));
+    assert.deepEqual([orders[1].side, orders[1].minAmountOut, orders[1].maxAmountIn], [Side.SHORT, 99n, 111n]);
+    assert.deepEqual(calls, [
+      ["getAmountShortFromIn", addresses.DAI, addresses.WETH, 100n, 10],
+      ["getPositionReturn", addresses.DAI, addresses.DAI, addresses.WETH, 7n, 111n],
+    ]);
+  });
+
+  it("protects cross short opens and reduces, following the side of the position", async () => {
+    const cross = new ExchangeClient({ getAddress: async () => addresses.DAI }, addresses.EXCH_CROSS, "CROSS", {
+      addresses,
+    });
+    const calls = [];
+    const orders = stubExchange(cross, {
+      getAmountShortFromIn: async (...args) => { calls.push(["getAmountShortFromIn", ...args]); return 111n; },
+      getPositionReturn: async (...args) => { calls.push(["getPositionReturn", ...args]); return 100n; },
+      getPositionCross: async () => ["WETH/DAI", 100n, 1000n, 111n, 10n, 0n, 1700000000n, 12n, BigInt(Side.SHORT)],
+    });
+    // Opening a short bounds the token B it sells, as it receives the leveraged amount
+    await cross.openCross("DAI", "WETH", 100n, { side: "SHORT", slippageBps: 50 });
+    await assert.rejects(
+      cross.openCross("DAI", "WETH", 100n, { side: "SHORT", minAmountOut: 900n }), /bound the token B it sells/
+    );
+    // Reducing the short quotes its returned collateral, whichever side the order was asked for
+    await cross.reduceCross("DAI", "WETH", 50n, { slippageBps: 100 });
+    assert.deepEqual(orders[0], buildOrder({
+      tokenA: addresses.DAI, tokenB: addresses.WETH, amount: 100n, leverage: 10, positionMode: Mode.CROSS,
+      side: Side.SHORT, maxAmountIn: 112n,
+    }));
+    assert.deepEqual(orders[1], buildOrder({
+      tokenA: addresses.DAI, tokenB: addresses.WETH, amount: 50n, leverage: 10, positionMode: Mode.CROSS,
+      reducePosition: true, side: Side.SHORT, minAmountOut: 99n, maxAmountIn: 50n,
+    }));
+    assert.deepEqual(calls, [
+      ["getAmountShortFromIn", addresses.DAI, addresses.WETH, 100n, 10],
+      ["getPositionReturn", addresses.DAI, addresses.DAI, addresses.WETH, 0n, 50n],
+    ]);
+    assert.equal(orders.length, 2);
+  });
+
+  it("rejects orders sent to the exchange of the other mode", async () => {
+    await assert.rejects(amm.isolated.openCross("DAI", "WETH", "1"), /requires the CROSS exchange/);
+    await assert.rejects(amm.cross.closeIsolated("DAI", "WETH", 0), /requires the ISOLATED exchange/);
+  });
+
+  it("lists the open positions of each mode", async () => {
+    const cross = new ExchangeClient(null, addresses.EXCH_CROSS, "CROSS", { addresses });
+    stubExchange(cross, { getPositionCross: async () => ["", 0n, 0n, 0n, 0n, 0n, 0n, 0n] });
+    assert.deepEqual(await cross.getPositions(addresses.DAI, "DAI", "WETH"), []);
+
+    const isolated = new ExchangeClient(null, addresses.EXCH_ISOLATED, "ISOLATED", { addresses });
+    stubExchange(isolated, {
+      getPositionsIsolatedLength: async () => 2n,
+      getPositionIsolated: async (account, tokenA, tokenB, i) => (
+        ["WETH/DAI", 10n, 20n, BigInt(i + 1), 2n, BigInt(5 - i), 1700000000n + BigInt(i), 12n]
+      ),
+    });
+    const positions = await isolated.getPositions(addresses.DAI, "DAI", "WETH");
+    assert.deepEqual(positions.map(position => [position.index, position.id, position.positionValue]), [
+      [0, 5n, 1n], [1, 4n, 2n]
+    ]);
+    assert.deepEqual([positions[1].openedAt, positions[1].openedBlock], [1700000001, 12]);
+  });
+
+  it("adds and removes the margin of a position", async () => {
+    const exchange = new ExchangeClient(null, addresses.EXCH_ISOLATED, "ISOLATED", { addresses });
+    const calls = [];
+    const send = (...args) => { calls.push(args); return { wait: async () => ({ status: 1 }) }; };
+    stubExchange(exchange, {
+      addMargin: (...args) => send("addMargin", ...args.slice(0, 4)),
+      removeMargin: (...args) => send("removeMargin", ...args.slice(0, 4)),
+    });
+    await exchange.addMargin("DAI", "WETH", 7, "1.5");
+    await exchange.removeMargin("DAI", "WETH", 7n, 10n);
+    assert.deepEqual(calls, [
+      ["addMargin", addresses.DAI, addresses.WETH, 7n, ethers.parseEther("1.5")],
+      ["removeMargin", addresses.DAI, addresses.WETH, 7n, 10n],
+    ]);
+  });
+
+  it("sets, removes and executes the triggers of a position", async () => {
+    const exchange = new ExchangeClient(null, addresses.EXCH_CROSS, "CROSS", { addresses });
+    const calls = [];
+    const send = (...args) => { calls.push(args); return { wait: async () => ({ status: 1 }) }; };
+    const account = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    stubExchange(exchange, {
+      setTrigger: (...args) => send("setTrigger", ...args.slice(0, 5)),
+      executeTrigger: (...args) => send("executeTrigger", ...args.slice(0, 4)),
+      getTrigger: async () => [9n, 0n],
+    });
+    // The prices have 18 decimals, whatever the token decimals
+    await exchange.setTrigger("DAI", "WETH", 0, { stopLossPrice: "9.5", takeProfitPrice: 12n });
+    await exchange.setTrigger("DAI", "WETH", 0, { takeProfitPrice: 12 });
+    await exchange.removeTrigger("DAI", "WETH", 0);
+    await exchange.executeTrigger(account, "DAI", "WETH");
+    assert.deepEqual(calls, [
+      ["setTrigger", addresses.DAI, addresses.WETH, 0n, ethers.parseEther("9.5"), 12n],
+      ["setTrigger", addresses.DAI, addresses.WETH, 0n, 0n, ethers.parseEther("12")],
+      ["setTrigger", addresses.DAI, addresses.WETH, 0n, 0n, 0n],
+      ["executeTrigger", account, addresses.DAI, addresses.WETH, 0n],
+    ]);
+    assert.deepEqual(await exchange.getTrigger(account, "DAI", "WETH"), { stopLossPrice: 9n, takeProfitPrice: 0n });
+  });
+
+  it("adds and removes liquidity, approving the exchange if needed", async () => {
+    const owner = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    const cross = new ExchangeClient({ getAddress: async () => owner }, addresses.EXCH_CROSS, "CROSS", { addresses });
+    const calls = [];
+    const send = (...args) => { calls.push(args); return { wait: async () => ({ status: 1 }) }; };
+    stubExchange(cross, {
+      addReserves: (...args) => send("addReserves", ...args.slice(0, 4)),
+      removeReserves: (...args) => send("removeReserves", ...args.slice(0, 3)),
+    });
+    const allowances = { [addresses.DAI]: 0n, [addresses.WETH]: 10n ** 18n };
+    cross.token = address => ({
+      allowance: async () => allowances[address],
+      approve: (spender, amount) => send("approve", address, spender, amount),
+    });
+    await cross.addLiquidity("DAI", "WETH", "100", "0.5");
+    await cross.removeLiquidity("DAI", "WETH", 42);
+    assert.deepEqual(calls, [
+      ["approve", addresses.DAI, addresses.EXCH_CROSS, 100n * 10n ** 18n],
+      ["addReserves", addresses.DAI, addresses.WETH, 100n * 10n ** 18n, 500000n],
+      ["removeReserves", addresses.DAI, addresses.WETH, 42n],
+    ]);
+  });
+
+  it("reads the liquidity and the pool share of a provider", async () => {
+    const cross = new ExchangeClient(null, addresses.EXCH_CROSS, "CROSS", { addresses });
+    stubExchange(cross, {
+      liquidity: async () => [2162n, 10000n, 1000n],
+      totalShares: async () => 3162n,
+      getLiquidityValue: async () => [6837n, 683n],
+    });
+    assert.deepEqual(await cross.getLiquidity(addresses.DAI, "DAI", "WETH"), {
+      shares: 2162n, totalShares: 3162n, shareBps: 6837n, depositedA: 10000n, depositedB: 1000n,
+      amountA: 6837n, amountB: 683n,
+    });
+  });
+
+  it("sets the price feed of a pair and checks its latest answer", async () => {
+    const feedAddress = "0x0165878A594ca255338adfa4d48449f69242Eb8F";
+    const provider = { getBlock: async () => ({ timestamp: 4600 }) };
+    const cross = new ExchangeClient(provider, addresses.EXCH_CROSS, "CROSS", { addresses });
+    const calls = [];
+    const send = (...args) => { calls.push(args); return { wait: async () => ({ status: 1 }) }; };
+    let oracle = [ethers.ZeroAddress, 0n, 0n];
+    stubExchange(cross, {
+      setPairOracle: (...args) => send("setPairOracle", ...args.slice(0, 5)),
+      pairOracles: async () => oracle,
+      // 1100 DAI for 100 WETH (6 decimals): 11 DAI per WETH
+      pairs: async () => ["WETH/DAI", 1100n * 10n ** 18n, 100n * 10n ** 6n],
+      getOraclePrice: async () => 10n * 10n ** 18n,
+    });
+    cross.feed = address => ({
+      latestRoundData: async () => [3n, address === feedAddress ? 10n * 10n ** 8n : 0n, 1000n, 1000n, 3n],
+      decimals: async () => 8n,
+    });
+    await cross.setPairOracle("DAI", "WETH", feedAddress, { maxStaleness: 3600, maxDeviationBps: 1000 });
+    assert.deepEqual(calls, [["setPairOracle", addresses.DAI, addresses.WETH, feedAddress, 3600n, 1000n]]);
+    assert.equal(await cross.getOracle("DAI", "WETH"), null);
+
+    oracle = [feedAddress, 3600n, 1000n];
+    assert.deepEqual(await cross.getOracle("DAI", "WETH"), {
+      feed: feedAddress, maxStaleness: 3600n, maxDeviationBps: 1000n, answer: 10n * 10n ** 8n, decimals: 8n,
+      updatedAt: 1000n, pairPrice: 11n * 10n ** 18n, price: 10n * 10n ** 18n, spreadBps: 1000n, status: "OK",
+    });
+    provider.getBlock = async () => ({ timestamp: 4601 });
+    assert.equal((await cross.getOracle("DAI", "WETH")).status, "STALE");
+    assert.equal(await cross.getOraclePrice("DAI", "WETH"), 10n * 10n ** 18n);
+  });
+
+  it("pokes the funding of a pair and reads its state", async () => {
+    const account = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    const cross = new ExchangeClient({}, addresses.EXCH_CROSS, "CROSS", { addresses });
+    const calls = [];
+    let fundingRate = async () => 10n ** 16n;
+    stubExchange(cross, {
+      pokeFunding: (...args) => {
+        calls.push(["pokeFunding", ...args.slice(0, 2)]);
+        return { wait: async () => ({ status: 1 }) };
+      },
+      pairFunding: async () => [2n * 10n ** 16n, -(10n ** 16n), 1700000000n],
+      getFundingRate: () => fundingRate(),
+      getPositionFunding: async (...args) => { calls.push(["getPositionFunding", ...args]); return -10n; },
+    });
+    await cross.pokeFunding("DAI", "WETH");
+    assert.deepEqual(await cross.getFunding("DAI", "WETH"), {
+      cumulativeIndex: 2n * 10n ** 16n, rate: -(10n ** 16n), lastFundingTime: 1700000000n,
+      nextFundingTime: 1700003600n, nextRate: 10n ** 16n,
+    });
+    assert.equal(await cross.getPositionFunding(account, "DAI", "WETH"), -10n);
+    assert.deepEqual(calls, [
+      ["pokeFunding", addresses.DAI, addresses.WETH], ["getPositionFunding", account, addresses.DAI, addresses.WETH, 0n]
+    ]);
+    // The rate reverts with a stale feed price
+    fundingRate = async () => { throw new Error("StaleOraclePrice"); };
+    assert.equal((await cross.getFunding("DAI", "WETH")).nextRate, null);
+  });
+
+  it("lists the collaterals of the margin pool and reads the account summary", async () => {
+    const account = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    const feedAddress = "0x0165878A594ca255338adfa4d48449f69242Eb8F";
+    const cross = new ExchangeClient({}, addresses.EXCH_CROSS, "CROSS", { addresses });
+    const calls = [];
+    stubExchange(cross, {
+      setCollateral: (...args) => {
+        calls.push(["setCollateral", ...args.slice(0, 4)]);
+        return { wait: async () => ({ status: 1 }) };
+      },
+      filters: { CollateralUpdated: () => "CollateralUpdated" },
+      // WETH is listed, then updated: it is listed once
+      queryFilter: async (filter, fromBlock) => {
+        calls.push(["queryFilter", filter, fromBlock]);
+        return [addresses.DAI, addresses.WETH, addresses.WETH.toLowerCase()].map(token => ({ args: { token } }));
+      },
+      collaterals: async token => (
+        token === addresses.DAI ? [ethers.ZeroAddress, 0n, 0n] : [feedAddress, 3600n, 2000n]
+      ),
+      getAccountSummary: async () => [
+        800n * 10n ** 18n, 900n * 10n ** 18n, -100n * 10n ** 18n, 10000n * 10n ** 18n, 6000n * 10n ** 18n, 2n
+      ],
+      getFreeCollateral: async (account, token) => token === addresses.DAI ? 1600n * 10n ** 18n : 0n,
+    });
+    await cross.setCollateral("WETH", feedAddress, { maxStaleness: 3600, haircutBps: 2000 });
+    assert.deepEqual(await cross.getCollaterals({ fromBlock: 12 }), [
+      { token: addresses.DAI, feed: ethers.ZeroAddress, maxStaleness: 0n, haircutBps: 0n },
+      { token: addresses.WETH, feed: feedAddress, maxStaleness: 3600n, haircutBps: 2000n },
+    ]);
+    assert.deepEqual(calls, [
+      ["setCollateral", addresses.WETH, feedAddress, 3600n, 2000n], ["queryFilter", "CollateralUpdated", 12]
+    ]);
+    assert.deepEqual(await cross.getAccountSummary(account), {
+      collateralValue: 800n * 10n ** 18n, marginValue: 900n * 10n ** 18n, pnlValue: -100n * 10n ** 18n,
+      worthValue: 10000n * 10n ** 18n, remainingValue: 6000n * 10n ** 18n, positionCount: 2,
+    });
+    assert.equal(await cross.getFreeCollateral(account, "DAI"), 1600n * 10n ** 18n);
+    // The margin pool is a cross mode feature
+    const isolated = new ExchangeClient({}, addresses.EXCH_ISOLATED, "ISOLATED", { addresses });
+    await assert.rejects(isolated.getAccountSummary(account), /requires the CROSS exchange/);
+    await assert.rejects(isolated.getFreeCollateral(account, "DAI"), /requires the CROSS exchange/);
+  });
+
+  it("signs limit orders, following the reduced position", async () => {
+    const wallet = new ethers.Wallet("0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80");
+    const signer = {
+      getAddress: async () => wallet.address,
+      getNetwork: async () => ({ chainId: 31337n }),
+      signTypedData: (...args) => wallet.signTypedData(...args),
+    };
+    const isolated = new ExchangeClient(signer, addresses.EXCH_ISOLATED, "ISOLATED", { addresses });
+    stubExchange(isolated, {
+      getPositionIsolatedById: async (account, tokenA, tokenB, posId) => (
+        ["WETH/DAI", 100n, 300n, 42n, 3n, posId, 1700000000n, 12n, BigInt(Side.SHORT)]
+      ),
+    });
+    const open = await isolated.signLimitOrder("DAI", "WETH", "10", 9n, { leverage: 5, nonce: 1n });
+    assert.deepEqual(open.order, limitOrder.buildLimitOrder({
+      account: wallet.address, tokenA: addresses.DAI, tokenB: addresses.WETH, amount: 10n * 10n ** 18n, leverage: 5,
+      limitPrice: 9n, nonce: 1n,
+    }));
+    const domain = await isolated.getLimitOrderDomain();
+    assert.equal(domain.verifyingContract, addresses.EXCH_ISOLATED);
+    assert.equal(limitOrder.recoverLimitOrderSigner(domain, open.order, open.signature), wallet.address);
+    assert.equal(open.hash, limitOrder.hashLimitOrder(domain, open.order));
+
+    const close = await isolated.signLimitOrder("DAI", "WETH", 42n, 8n, { reducePosition: true, closePosId: 7 });
+    assert.deepEqual(
+      [close.order.amount, close.order.leverage, close.order.side, close.order.closePosId, close.order.reducePosition],
+      [42n, 3, Side.SHORT, 7n, true]
+    );
+    assert.notEqual(close.order.nonce, open.order.nonce);
+  });
+});
@@ -0,0 +1,53 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { funding, risk } = require("..");
+
+const { FUNDING_INTERVAL, getAccruedFunding, getDueIntervals, getFundingRate, getNextFundingTime } = funding;
+const ONE = 10n ** 18n;
+
+describe("funding", () => {
+  it("takes the rate from the premium of the pair price, bounded like getFundingRate", () => {
+    // 0.5% premium: the longs pay
+    assert.equal(getFundingRate(1005n * ONE / 100n, 10n * ONE), 5n * 10n ** 15n);
+    assert.equal(getFundingRate(995n * ONE / 100n, 10n * ONE), -5n * 10n ** 15n);
+    // Bounded at 1% per interval
+    assert.equal(getFundingRate(11n * ONE, 10n * ONE), ONE / 100n);
+    assert.equal(getFundingRate(9n * ONE, 10n * ONE), -ONE / 100n);
+    // No feed
+    assert.equal(getFundingRate(11n * ONE, 0n), 0n);
+  });
+
+  it("accrues the funding of the positions since their funding index", () => {
+    // The positions of the contract tests: 100 DAI at 5x, after 2 accrued intervals at 1%
+    const long = { collateralWorthValue: 500n * ONE, fundingIndex: 0n };
+    assert.equal(getAccruedFunding(long, 2n * ONE / 100n), 10n * ONE);
+    assert.equal(getAccruedFunding({ ...long, side: 1 }, 2n * ONE / 100n), -10n * ONE);
+    assert.equal(getAccruedFunding({ ...long, fundingIndex: 2n * ONE / 100n }, 2n * ONE / 100n), 0n);
+    // A negative index: the shorts pay
+    assert.equal(getAccruedFunding({ ...long, side: 1 }, -ONE / 100n), 5n * ONE);
+    // Without funding index (older positions)
+    assert.equal(getAccruedFunding({ collateralWorthValue: 500n }, ONE / 100n), 5n);
+  });
+
+  it("schedules the fundings every interval", () => {
+    const state = { lastFundingTime: 1000n };
+    assert.equal(getNextFundingTime(state), 1000n + FUNDING_INTERVAL);
+    assert.equal(getNextFundingTime({ lastFundingTime: 0n }), null);
+    assert.equal(getDueIntervals(state, 1000n + FUNDING_INTERVAL - 1n), 0n);
+    assert.equal(getDueIntervals(state, 1000n + 2n * FUNDING_INTERVAL + 5n), 2n);
+    assert.equal(getDueIntervals({ lastFundingTime: 0n }, 10n ** 9n), 0n);
+  });
+
+  it("marks the positions with their accrued funding", () => {
+    const pair = { reserveA: 11001n, reserveB: 969n };
+    const position = { collateralAmount: 100n, collateralWorthValue: 1000n, positionValue: 91n, leverage: 10 };
+    const marked = risk.getPositionRisk(pair, position, { funding: 20n });
+    assert.deepEqual([marked.debt, marked.notional, marked.equity], [920n, 945n, 25n]);
+    const received = risk.getPositionRisk(pair, position, { funding: -20n });
+    assert.deepEqual([received.returnedAmount, received.notional, received.equity], [965n, 945n, 65n]);
+    // The paid funding moves the liquidation price up
+    assert.ok(marked.liquidationPrice > risk.getPositionRisk(pair, position).liquidationPrice);
+  });
+});
@@ -0,0 +1,163 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const { history } = require("..");
+
+const DAI = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const WETH = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+const ACCOUNT = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+const context = {
+  tokens: { [DAI.toLowerCase()]: { symbol: "DAI", decimals: 18 }, [WETH.toLowerCase()]: { symbol: "WETH", decimals: 6 } },
+  pairs: [{ key: "DAI/WETH", symbol: "WETH/DAI", collateral: "DAI", target: "WETH" }],
+};
+
+// The fields of `ethers.EventLog` read by the history.
+function eventLog(eventName, args, blockNumber, index = 0) {
+  return { eventName, args, blockNumber, index, transactionHash: `0x${String(blockNumber).padStart(64, "0")}` };
+}
+
+describe("history", () => {
+  it("infers the swap direction from the token order", () => {
+    const open = history.toHistoryRecord(
+      eventLog("Swap", [ACCOUNT, DAI, WETH, ethers.parseEther("100"), 980_000_000n, 10n, 0n], 5), "CROSS", context
+    );
+    assert.equal(open.type, "OPEN");
+    assert.equal(open.pair, "DAI/WETH");
+    assert.equal(open.collateralAmount, ethers.parseEther("100"));
+    assert.equal(open.targetAmount, 980_000_000n);
+    assert.equal(open.fee, 0n); // NOTE: the logs of the contracts without swap fee
+    // 1000 DAI (leveraged) for 980 WETH
+    assert.equal(open.price, ethers.parseEther("1000") * 10n ** 18n / ethers.parseEther("980"));
+
+    const reduce = history.toHistoryRecord(
+      eventLog("Swap", [ACCOUNT, WETH, DAI, 490_000_000n, ethers.parseEther("49"), 10n, 0n, ethers.parseEther("1.5")],
+        6), "CROSS", context
+    );
+    assert.equal(reduce.type, "REDUCE");
+    assert.equal(reduce.fee, ethers.parseEther("1.5"));
+    assert.equal(reduce.pair, "DAI/WETH");
+    assert.equal(reduce.collateralAmount, ethers.parseEther("49"));
+    assert.equal(reduce.targetAmount, 490_000_000n);
+
+    const close = history.toHistoryRecord(
+      eventLog("Swap", [ACCOUNT, WETH, DAI, 490_000_000n, ethers.parseEther("49"), 5n, 1n], 7), "ISOLATED", context
+    );
+    assert.equal(close.type, "CLOSE");
+    assert.equal(close.leverage, 5);
+    assert.equal(close.side, "LONG"); // NOTE: the logs of the contracts without short positions
+  });
+
+  it("decodes the side of the short swaps", () => {
+    const open = history.toHistoryRecord(
+      eventLog("Swap", [ACCOUNT, DAI, WETH, ethers.parseEther("100"), 1_111_000_000n, 10n, 0n, 0n, 1n], 5), "CROSS",
+      context
+    );
+    assert.deepEqual([open.type, open.side], ["OPEN", "SHORT"]);
+    // 1000 DAI (leveraged) for the 1111 WETH sold
+    assert.equal(open.price, ethers.parseEther("1000") * 10n ** 18n / ethers.parseEther("1111"));
+
+    // The buyback cost of a short sell is not in its event
+    const reduce = history.toHistoryRecord(
+      eventLog("Swap", [ACCOUNT, WETH, DAI, 1_111_000_000n, ethers.parseEther("100"), 10n, 0n, 0n, 1n], 6), "CROSS",
+      context
+    );
+    assert.deepEqual([reduce.type, reduce.side, reduce.price], ["REDUCE", "SHORT", 0n]);
+  });
+
+  it("decodes the collateral transfers", () => {
+    const deposit = history.toHistoryRecord(eventLog("Deposit", [ACCOUNT, DAI, 10n], 1), "ISOLATED", context);
+    assert.deepEqual(
+      [deposit.type, deposit.mode, deposit.collateral, deposit.collateralAmount, deposit.pair],
+      ["DEPOSIT", "ISOLATED", "DAI", 10n, null]
+    );
+    assert.equal(deposit.side, null);
+    assert.throws(() => history.toHistoryRecord(eventLog("Deposit", [ACCOUNT, ACCOUNT, 10n], 1), "CROSS", context));
+
+    const added = history.toHistoryRecord(
+      eventLog("MarginAdded", [ACCOUNT, DAI, WETH, 3n, 10n], 2), "ISOLATED", context
+    );
+    assert.deepEqual(
+      [added.type, added.pair, added.collateral, added.target, added.collateralAmount],
+      ["ADD_MARGIN", "DAI/WETH", "DAI", null, 10n]
+    );
+    const removed = history.toHistoryRecord(
+      eventLog("MarginRemoved", [ACCOUNT, DAI, WETH, 0n, 4n], 3), "CROSS", context
+    );
+    assert.deepEqual([removed.type, removed.collateralAmount], ["REMOVE_MARGIN", 4n]);
+  });
+
+  it("decodes the liquidations of the account", () => {
+    const LIQUIDATOR = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    // 945 DAI returned for 91 WETH, 900 DAI of debt and 9 DAI of reward
+    const args = [LIQUIDATOR, ACCOUNT, DAI, WETH, 91_000_000n, ethers.parseEther("945"), ethers.parseEther("900"),
+      ethers.parseEther("9"), 10n, 0n];
+    const liquidation = history.toHistoryRecord(eventLog("Liquidate", args, 8), "CROSS", context);
+    assert.deepEqual(
+      [liquidation.type, liquidation.account, liquidation.pair, liquidation.collateralAmount, liquidation.leverage],
+      ["LIQUIDATE", ACCOUNT, "DAI/WETH", ethers.parseEther("36"), 10]
+    );
+    assert.equal(liquidation.price, ethers.parseEther("945") * 10n ** 18n / ethers.parseEther("91"));
+
+    // Bad debt: the cross position draws on the free balance, the isolated one settles nothing
+    args[5] = ethers.parseEther("850");
+    args[7] = 0n;
+    assert.equal(history.toHistoryRecord(eventLog("Liquidate", args, 9), "CROSS", context).collateralAmount,
+      -ethers.parseEther("50"));
+    assert.equal(history.toHistoryRecord(eventLog("Liquidate", args, 9), "ISOLATED", context).collateralAmount, 0n);
+
+    // A short holds 1100 DAI and bought back its 111 WETH for 1064 DAI
+    const shortArgs = [LIQUIDATOR, ACCOUNT, DAI, WETH, 111_000_000n, ethers.parseEther("1100"),
+      ethers.parseEther("1064"), ethers.parseEther("10"), 10n, 0n, 0n, 1n];
+    const short = history.toHistoryRecord(eventLog("Liquidate", shortArgs, 10), "CROSS", context);
+    assert.deepEqual([short.side, short.collateralAmount], ["SHORT", ethers.parseEther("26")]);
+    assert.equal(short.price, ethers.parseEther("1064") * 10n ** 18n / ethers.parseEther("111"));
+  });
+
+  it("backfills, sorts and filters the records", async () => {
+    const logs = {
+      Deposit: [eventLog("Deposit", [ACCOUNT, DAI, 10n], 1)],
+      Withdraw: [eventLog("Withdraw", [ACCOUNT, DAI, 5n], 4)],
+      Swap: [
+        eventLog("Swap", [ACCOUNT, DAI, WETH, 1n, 1n, 10n, 0n], 2),
+        eventLog("Swap", [ACCOUNT, WETH, DAI, 1n, 1n, 10n, 0n], 2, 1),
+      ],
+      Liquidate: [],
+      MarginAdded: [eventLog("MarginAdded", [ACCOUNT, DAI, WETH, 0n, 2n], 3)],
+      MarginRemoved: [],
+    };
+    const queries = [];
+    const exchange = {
+      filters: Object.fromEntries(Object.keys(logs).map(name => [name, (...topics) => ({ name, account: topics.at(-1) })])),
+      queryFilter: async (filter, fromBlock, toBlock) => {
+        queries.push([filter.name, filter.account, fromBlock, toBlock]);
+        return logs[filter.name];
+      },
+    };
+    const records = await history.fetchHistory(exchange, "CROSS", ACCOUNT, context, { fromBlock: 1 });
+    assert.deepEqual(queries[0], ["Deposit", ACCOUNT, 1, "latest"]);
+    assert.deepEqual(queries[3], ["Liquidate", ACCOUNT, 1, "latest"]);
+    assert.deepEqual(queries[4], ["MarginAdded", ACCOUNT, 1, "latest"]);
+    assert.deepEqual(records.map(record => record.type), ["WITHDRAW", "ADD_MARGIN", "REDUCE", "OPEN", "DEPOSIT"]);
+
+    assert.deepEqual(history.filterHistory(records, { type: "SELL" }).map(record => record.type), ["REDUCE"]);
+    assert.deepEqual(history.filterHistory(records, { type: "MARGIN" }).map(record => record.type), ["ADD_MARGIN"]);
+    assert.equal(history.filterHistory(records, { pair: "DAI/WETH" }).length, 5);
+    assert.equal(history.filterHistory(records, { pair: "BNB/WETH" }).length, 0);
+    assert.equal(history.filterHistory(records, { mode: "ISOLATED" }).length, 0);
+  });
+
+  it("exports CSV in human units", () => {
+    const records = [
+      history.toHistoryRecord(eventLog(
+        "Swap", [ACCOUNT, DAI, WETH, ethers.parseEther("1.5"), 1_000_000n, 10n, 0n, ethers.parseEther("0.045")], 3
+      ), "CROSS", context),
+      history.toHistoryRecord(eventLog("Deposit", [ACCOUNT, DAI, ethers.parseEther("20")], 2), "CROSS", context),
+    ];
+    const [header, swap, deposit] = history.toCsv(records, context).trim().split("\n");
+    assert.equal(header, history.CSV_COLUMNS.join(","));
+    assert.equal(swap.split(",").slice(3).join(","), `CROSS,OPEN,LONG,${ACCOUNT},DAI/WETH,1.5,1,10,15,0.045`);
+    assert.equal(deposit.split(",").slice(3).join(","), `CROSS,DEPOSIT,,${ACCOUNT},,20,,0,,`);
+  });
+});
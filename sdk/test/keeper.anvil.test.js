@@ -0,0 +1,131 @@
+"use strict";
+
+/**
+ * End-to-end test of the liquidation and trigger keeper on a local anvil node (it sends transactions).
+ * Deploy the contracts and write `html/contract-address.json` first (see README), then:
+ *   $ RPC_URL=http://127.0.0.1:8545 npm test
+ */
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const abi = require("../abi");
+const { LeveragedAMMClient } = require("../client");
+const { LiquidationKeeper } = require("../keeper");
+const { getDeployment } = require("../manifest");
+const { PRICE_DECIMALS } = require("../risk");
+
+const RPC_URL = process.env.RPC_URL;
+const quiet = { info() {}, error() {} };
+
+describe("keeper on deployed contracts", { skip: !RPC_URL && "RPC_URL is not set" }, () => {
+  const manifest = require("../../html/contract-address.json");
+  let provider;
+  let deployment;
+  let signers;
+
+  before(async () => {
+    provider = new ethers.JsonRpcProvider(RPC_URL);
+    deployment = getDeployment(manifest, (await provider.getNetwork()).chainId);
+    assert.ok(deployment, "No deployment found for the chain of RPC_URL");
+    // NOTE: the deployer owns the tokens, the traders and the keepers are other anvil accounts than the relayer test's
+    signers = await Promise.all([0, 1, 2, 3, 6].map(index => provider.getSigner(index)));
+  });
+
+  it("liquidates an isolated position after the price drop", async () => {
+    const [deployer, trader, keeperSigner] = signers;
+    const { tokenA, tokenB } = deployment.pairs.find(pair => pair.exchange === "EXCH_ISOLATED");
+    const amm = new LeveragedAMMClient(trader, deployment.addresses);
+    const token = new ethers.Contract(deployment.addresses[tokenA], abi.erc20, deployer);
+    const amount = 10n ** BigInt(await amm.isolated.decimals(tokenA));
+    await (await token.transfer(trader.address, amount)).wait();
+    await amm.isolated.deposit(tokenA, amount);
+    await amm.isolated.openIsolated(tokenA, tokenB, amount, 10);
+    const [{ id }] = (await amm.isolated.getPositions(trader.address, tokenA, tokenB)).slice(-1);
+    const isTraderEntry = entry => entry.account === trader.address && entry.posId === id;
+
+    const dryRun = new LiquidationKeeper(provider, deployment, { dryRun: true, logger: quiet });
+    await dryRun.discoverAccounts();
+    assert.ok(dryRun.accounts.ISOLATED.has(trader.address));
+    assert.equal((await dryRun.scan()).filter(isTraderEntry).length, 0);
+
+    // Move the price down by ~10% (the excess token B of a skewed addReserves is donated to the pair)
+    const exchange = amm.isolated.contract.connect(deployer);
+    const [, , reserveB] = await exchange.pairs(amm.isolated.resolveToken(tokenA), amm.isolated.resolveToken(tokenB));
+    await (await token.approve(exchange.target, 1n)).wait();
+    await (await new ethers.Contract(deployment.addresses[tokenB], abi.erc20, deployer)
+      .approve(exchange.target, reserveB / 10n)).wait();
+    await (await exchange.addReserves(
+      amm.isolated.resolveToken(tokenA), amm.isolated.resolveToken(tokenB), 1n, reserveB / 10n
+    )).wait();
+    // NOTE: with a price feed, the margin ratio is taken at the feed price: move it to the pair price as well
+    const oracle = await amm.isolated.getOracle(tokenA, tokenB);
+    if (oracle) {
+      const feed = new ethers.Contract(oracle.feed, abi.mockAggregator, deployer);
+      const answer = oracle.pairPrice * 10n ** oracle.decimals / 10n ** BigInt(PRICE_DECIMALS);
+      await (await feed.setPrice(answer)).wait();
+    }
+    const [reported] = (await dryRun.scan()).filter(isTraderEntry);
+    assert.equal(reported.status, "DRY_RUN");
+    assert.ok(reported.marginRatioBps <= 500n);
+    assert.equal(
+      reported.marginRatioBps,
+      await amm.isolated.getMarginRatio(trader.address, tokenA, tokenB, id)
+    );
+
+    const keeper = new LiquidationKeeper(keeperSigner, deployment, { logger: quiet });
+    const balance = await keeper.client.isolated.contract.balances(keeperSigner.address, token.target);
+    await keeper.discoverAccounts();
+    const [liquidated] = (await keeper.scan()).filter(isTraderEntry);
+    assert.equal(liquidated.status, "LIQUIDATED", liquidated.error);
+    const rewards = keeper.report
+      .filter(entry => entry.status === "LIQUIDATED" && entry.mode === "ISOLATED" && entry.collateral === tokenA)
+      .reduce((sum, entry) => sum + entry.reward, 0n);
+    assert.equal(await keeper.client.isolated.contract.balances(keeperSigner.address, token.target), balance + rewards);
+    // Nothing is left to liquidate
+    assert.equal((await dryRun.scan()).filter(entry => entry.account === trader.address).length, 0);
+  });
+
+  it("closes a position at its stop-loss after the price drop", async () => {
+    const [deployer, , , trader, keeperSigner] = signers;
+    const { tokenA, tokenB } = deployment.pairs.find(pair => pair.exchange === "EXCH_ISOLATED");
+    const amm = new LeveragedAMMClient(trader, deployment.addresses);
+    const token = new ethers.Contract(deployment.addresses[tokenA], abi.erc20, deployer);
+    const amount = 10n ** BigInt(await amm.isolated.decimals(tokenA));
+    await (await token.transfer(trader.address, amount)).wait();
+    await amm.isolated.deposit(tokenA, amount);
+    await amm.isolated.openIsolated(tokenA, tokenB, amount, 2);
+    const [{ id }] = (await amm.isolated.getPositions(trader.address, tokenA, tokenB)).slice(-1);
+    const markPrice = await amm.isolated.getMarkPrice(trader.address, tokenA, tokenB, id);
+    // NOTE: ethers only decodes the errors of the calls
+    await assert.rejects(
+      amm.isolated.contract.setTrigger.staticCall(token.target, deployment.addresses[tokenB], id, markPrice, 0n),
+      /InvalidTriggerPrice/
+    );
+    await amm.isolated.setTrigger(tokenA, tokenB, id, { stopLossPrice: markPrice * 95n / 100n });
+    const keeper = new LiquidationKeeper(keeperSigner, deployment, { logger: quiet });
+    await keeper.discoverAccounts();
+    const isTraderEntry = entry => entry.account === trader.address && entry.posId === id;
+    assert.equal((await keeper.scan()).filter(isTraderEntry).length, 0);
+
+    // Move the price down by ~10%: the 2x position is not liquidatable, but stopped
+    const exchange = amm.isolated.contract.connect(deployer);
+    const [, , reserveB] = await exchange.pairs(token.target, deployment.addresses[tokenB]);
+    await (await token.approve(exchange.target, 1n)).wait();
+    await (await new ethers.Contract(deployment.addresses[tokenB], abi.erc20, deployer)
+      .approve(exchange.target, reserveB / 10n)).wait();
+    await (await exchange.addReserves(token.target, deployment.addresses[tokenB], 1n, reserveB / 10n)).wait();
+    const balance = await amm.isolated.contract.balances(trader.address, token.target);
+    const returned = await amm.isolated.quotePositionReturn(
+      trader.address, tokenA, tokenB, id, (await amm.isolated.getPositions(trader.address, tokenA, tokenB))
+        .find(position => position.id === id).positionValue
+    );
+    const [stopped] = (await keeper.scan()).filter(isTraderEntry);
+    assert.deepEqual([stopped.status, stopped.action], ["TRIGGERED", "STOP_LOSS"], stopped.error);
+    assert.ok(stopped.markPrice <= markPrice * 95n / 100n);
+    assert.equal(await amm.isolated.contract.balances(trader.address, token.target), balance + returned);
+    assert.deepEqual(
+      await amm.isolated.getTrigger(trader.address, tokenA, tokenB, id), { stopLossPrice: 0n, takeProfitPrice: 0n }
+    );
+    assert.equal((await keeper.scan()).filter(isTraderEntry).length, 0);
+  });
+});
@@ -0,0 +1,256 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getDeployment, risk, keeper: { LiquidationKeeper, evaluatePosition, formatReport } } = require("..");
+
+const addresses = {
+  DAI: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+  WETH: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512",
+  EXCH_CROSS: "0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9",
+  EXCH_ISOLATED: "0x5FC8d32690cc91D4c39d9d3abcBD16989F875707",
+};
+const ACCOUNT = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+// The 10x position of the contract tests: 100 DAI for 91 WETH on the 10000 / 1000 pair, then 60 WETH added.
+const pair = { reserveA: 11001n, reserveB: 969n };
+const position = { collateralAmount: 100n, collateralWorthValue: 1000n, positionValue: 91n, leverage: 10 };
+const quiet = { info() {}, error() {} };
+const ONE = 10n ** 18n;
+
+// Stub the contracts of both exchanges, recording the liquidations, the trigger executions and the funding pokes.
+function stubKeeper(positions, {
+  dryRun = false, liquidate, triggers = {}, oracle = null, logger = quiet, pairFunding = [0n, 0n, 1700000000n]
+} = {}) {
+  const provider = { getBlock: async () => ({ number: 7, timestamp: 1700000000 }) };
+  const keeper = new LiquidationKeeper(provider, getDeployment(addresses, 31337), { dryRun, logger });
+  const liquidations = [];
+  for (const mode of ["CROSS", "ISOLATED"]) {
+    const exchange = keeper.client.exchange(mode);
+    exchange._decimals = { [addresses.DAI]: 18, [addresses.WETH]: 18 };
+    // NOTE: the feed of the pair (see `oracle.checkOraclePrice`), none by default
+    exchange.getOracle = async () => oracle;
+    exchange.contract = {
+      MAINTENANCE_MARGIN_BPS: async () => 500n,
+      LIQUIDATION_REWARD_BPS: async () => 100n,
+      pairs: async () => ["WETH/DAI", pair.reserveA, pair.reserveB],
+      pairFees: async () => 0n,
+      accruedFees: async () => 0n,
+      getFreeCollateral: async () => 0n,
+      // NOTE: the funding state of the pair: `[cumulativeIndex, rate, lastFundingTime]`, not due by default
+      pairFunding: async () => pairFunding,
+      getFundingRate: async () => 0n,
+      pokeFunding: async (...args) => {
+        liquidations.push([mode, "pokeFunding", ...args.slice(0, 2)]);
+        return { wait: async () => ({ hash: "0x03", blockNumber: 8, logs: [] }) };
+      },
+      getPositionCross: async () => ["WETH/DAI", 0n, 0n, 0n, 0, 0n, 0n, 0n],
+      getPositionsIsolatedLength: async () => 0n,
+      liquidate: async (...args) => {
+        liquidations.push([mode, ...args.slice(0, 4)]);
+        if (liquidate) await liquidate();
+        return { wait: async () => ({ hash: "0x01", blockNumber: 8, logs: [] }) };
+      },
+      // NOTE: the triggers are keyed by position ID
+      getTrigger: async (account, tokenA, tokenB, posId) => triggers[posId] || [0n, 0n],
+      executeTrigger: async (...args) => {
+        liquidations.push([mode, "executeTrigger", ...args.slice(0, 4)]);
+        return { wait: async () => ({ hash: "0x02", blockNumber: 9, logs: [] }) };
+      },
+      interface: { parseLog: () => null },
+    };
+    if (mode === "CROSS" && positions.CROSS) {
+      exchange.contract.getPositionCross = async () => ["WETH/DAI", ...Object.values(positions.CROSS), 0n, 0n, 0n];
+    }
+    // NOTE: the isolated positions have the IDs 11, 12, ...
+    if (mode === "ISOLATED" && positions.ISOLATED) {
+      exchange.contract.getPositionsIsolatedLength = async () => BigInt(positions.ISOLATED.length);
+      exchange.contract.getPositionIsolated = async (account, tokenA, tokenB, i) =>
+        ["WETH/DAI", ...Object.values(positions.ISOLATED[i]), BigInt(11 + i), 0n, 0n];
+    }
+    keeper.accounts[mode].add(ACCOUNT);
+  }
+  return { keeper, liquidations };
+}
+
+describe("keeper", () => {
+  it("evaluates the positions like the contracts", () => {
+    const result = evaluatePosition(pair, position);
+    assert.deepEqual(result, {
+      returnedAmount: 945n, debt: 900n, equity: 45n, marginRatioBps: 476n, liquidatable: true, reward: 9n
+    });
+    // The free deposit balance backs the cross position
+    assert.equal(evaluatePosition(pair, position, { freeCollateral: 900n }).liquidatable, false);
+    // Bad debt: no equity, no reward
+    const bad = evaluatePosition({ reserveA: 11001n, reserveB: 1109n }, position);
+    assert.deepEqual([bad.equity, bad.marginRatioBps, bad.reward], [0n, 0n, 0n]);
+  });
+
+  it("takes the margin ratio at the feed price, and settles at the reserves", () => {
+    // 91 WETH worth 1001 DAI at 11 DAI: safe at the feed price, while the reserves settle 945 DAI
+    assert.deepEqual(evaluatePosition(pair, position, { oraclePrice: 11n * ONE }), {
+      returnedAmount: 945n, debt: 900n, equity: 45n, marginRatioBps: 1008n, liquidatable: false, reward: 9n
+    });
+    // 910 DAI at 10 DAI
+    const result = evaluatePosition(pair, position, { oraclePrice: 10n * ONE });
+    assert.deepEqual([result.marginRatioBps, result.liquidatable, result.reward], [109n, true, 9n]);
+  });
+
+  it("evaluates the short positions over their buyback cost", () => {
+    // The short of the contract tests: 100 DAI for 111 WETH sold, then 600 DAI added to the pair
+    const short = { ...position, positionValue: 111n, side: 1 };
+    assert.deepEqual(evaluatePosition({ reserveA: 9600n, reserveB: 1112n }, short), {
+      returnedAmount: 1100n, debt: 1064n, equity: 36n, marginRatioBps: 338n, liquidatable: true, reward: 10n
+    });
+    assert.equal(evaluatePosition({ reserveA: 9000n, reserveB: 1111n }, short).liquidatable, false);
+  });
+
+  it("reports the liquidatable positions once in dry-run mode", async () => {
+    const safe = { ...position, collateralWorthValue: 200n, leverage: 2 };
+    const { keeper, liquidations } = stubKeeper({ CROSS: position, ISOLATED: [position, safe, position] }, {
+      dryRun: true
+    });
+    const entries = await keeper.scan();
+    assert.equal(liquidations.length, 0);
+    assert.deepEqual(entries.map(entry => [entry.status, entry.mode, entry.posId]), [
+      ["DRY_RUN", "CROSS", 0n], ["DRY_RUN", "ISOLATED", 11n], ["DRY_RUN", "ISOLATED", 13n]
+    ]);
+    assert.deepEqual(
+      [entries[0].account, entries[0].pair, entries[0].blockNumber, entries[0].reward], [ACCOUNT, "DAI/WETH", 7, 9n]
+    );
+    await keeper.scan();
+    assert.equal(keeper.report.length, 3);
+  });
+
+  it("liquidates the positions below maintenance", async () => {
+    const { keeper, liquidations } = stubKeeper({ ISOLATED: [position] });
+    const [entry] = await keeper.scan();
+    assert.deepEqual(liquidations, [["ISOLATED", ACCOUNT, addresses.DAI, addresses.WETH, 11n]]);
+    assert.deepEqual([entry.status, entry.transactionHash, entry.blockNumber], ["LIQUIDATED", "0x01", 8]);
+
+    const failing = stubKeeper({ CROSS: position }, {
+      liquidate: async () => { throw new Error("PositionNotLiquidatable"); }
+    });
+    const [failed] = await failing.keeper.scan();
+    assert.deepEqual([failed.status, failed.error], ["FAILED", "PositionNotLiquidatable"]);
+    assert.match(formatReport(failing.keeper.report), /FAILED .* PositionNotLiquidatable\n0 position\(s\), 1 failed$/);
+  });
+
+  it("closes the positions whose trigger is reached", async () => {
+    // The 2x positions are safe, with a mark price of ~10.38 DAI
+    const safe = { ...position, collateralWorthValue: 200n, leverage: 2 };
+    const triggers = { 11: [11n * 10n ** 18n, 0n], 12: [0n, 11n * 10n ** 18n], 13: [0n, 10n * 10n ** 18n] };
+    const { keeper, liquidations } = stubKeeper({ ISOLATED: [safe, safe, safe, position] }, { triggers });
+    const entries = await keeper.scan();
+    assert.deepEqual(entries.map(entry => [entry.status, entry.action, entry.posId]), [
+      ["TRIGGERED", "STOP_LOSS", 11n], ["TRIGGERED", "TAKE_PROFIT", 13n], ["LIQUIDATED", "LIQUIDATE", 14n]
+    ]);
+    assert.deepEqual(liquidations, [
+      ["ISOLATED", "executeTrigger", ACCOUNT, addresses.DAI, addresses.WETH, 11n],
+      ["ISOLATED", "executeTrigger", ACCOUNT, addresses.DAI, addresses.WETH, 13n],
+      ["ISOLATED", ACCOUNT, addresses.DAI, addresses.WETH, 14n],
+    ]);
+    const [stopped] = entries;
+    assert.deepEqual([stopped.transactionHash, stopped.blockNumber, stopped.reward], ["0x02", 9, 0n]);
+    assert.equal(stopped.markPrice, risk.getMarkPrice(pair, safe));
+    assert.ok(stopped.markPrice > 10n * 10n ** 18n && stopped.markPrice < 11n * 10n ** 18n, `${stopped.markPrice}`);
+
+    // Only the liquidations without the triggers
+    const liquidating = stubKeeper({ ISOLATED: [safe, position] }, { triggers });
+    liquidating.keeper.triggers = false;
+    assert.deepEqual((await liquidating.keeper.scan()).map(entry => entry.action), ["LIQUIDATE"]);
+  });
+
+  it("liquidates at the feed price, and waits while it is not valid", async () => {
+    const feed = { answer: 11n * 10n ** 8n, updatedAt: 1000n, price: 11n * ONE, spreadBps: 0n, status: "OK" };
+    const safe = stubKeeper({ ISOLATED: [position] }, { oracle: feed });
+    assert.deepEqual(await safe.keeper.scan(), []);
+
+    const { keeper, liquidations } = stubKeeper({ ISOLATED: [position] }, { oracle: { ...feed, price: 10n * ONE } });
+    const [entry] = await keeper.scan();
+    assert.deepEqual(liquidations, [["ISOLATED", ACCOUNT, addresses.DAI, addresses.WETH, 11n]]);
+    assert.deepEqual([entry.status, entry.marginRatioBps, entry.returnedAmount, entry.oraclePrice],
+      ["LIQUIDATED", 109n, 945n, 10n * ONE]);
+
+    // Stale: the liquidations wait (logged once per exchange pair), the triggers are still executed
+    const logs = [];
+    const logger = { info: message => logs.push(message), error() {} };
+    const safePosition = { ...position, collateralWorthValue: 200n, leverage: 2 };
+    const stale = stubKeeper({ ISOLATED: [position, safePosition] }, {
+      oracle: { ...feed, price: 10n * ONE, status: "STALE" }, logger, triggers: { 12: [11n * ONE, 0n] }
+    });
+    const entries = await stale.keeper.scan();
+    await stale.keeper.scan();
+    assert.deepEqual(entries.map(({ action, posId, oraclePrice }) => [action, posId, oraclePrice]),
+      [["STOP_LOSS", 12n, null]]);
+    assert.deepEqual(stale.liquidations, [
+      ["ISOLATED", "executeTrigger", ACCOUNT, addresses.DAI, addresses.WETH, 12n],
+      ["ISOLATED", "executeTrigger", ACCOUNT, addresses.DAI, addresses.WETH, 12n],
+    ]);
+    assert.deepEqual(logs.filter(message => message.includes("STALE")), [
+      "[keeper] CROSS DAI/WETH: STALE feed price, the liquidations wait",
+      "[keeper] ISOLATED DAI/WETH: STALE feed price, the liquidations wait",
+    ]);
+  });
+
+  it("pokes the funding of the pairs with a feed once due, and marks the positions with it", async () => {
+    const feed = { answer: 11n * 10n ** 8n, updatedAt: 1000n, price: 11n * ONE, spreadBps: 0n, status: "OK" };
+    // No feed: never poked
+    const unfed = stubKeeper({}, { pairFunding: [0n, 0n, 1600000000n] });
+    await unfed.keeper.scan();
+    assert.deepEqual(unfed.liquidations, []);
+    // Not started yet, then due (deviated feed prices are what the funding pulls back), then not due
+    const started = stubKeeper({}, { oracle: { ...feed, status: "DEVIATED" }, pairFunding: [0n, 0n, 0n] });
+    await started.keeper.scan();
+    assert.deepEqual(started.liquidations, [
+      ["CROSS", "pokeFunding", addresses.DAI, addresses.WETH],
+      ["ISOLATED", "pokeFunding", addresses.DAI, addresses.WETH],
+    ]);
+    const due = stubKeeper({}, { oracle: feed, pairFunding: [0n, 0n, 1700000000n - 3600n] });
+    await due.keeper.scan();
+    assert.equal(due.liquidations.length, 2);
+    const notDue = stubKeeper({}, { oracle: feed, pairFunding: [0n, 0n, 1700000000n - 3599n] });
+    await notDue.keeper.scan();
+    assert.deepEqual(notDue.liquidations, []);
+    // Stale feed price: the poke would revert
+    const stale = stubKeeper({}, { oracle: { ...feed, status: "STALE" }, pairFunding: [0n, 0n, 1n] });
+    await stale.keeper.scan();
+    assert.deepEqual(stale.liquidations, []);
+    // Dry run: reported once
+    const logs = [];
+    const dry = stubKeeper({}, {
+      dryRun: true, oracle: feed, pairFunding: [0n, 0n, 0n], logger: { info: message => logs.push(message), error() {} }
+    });
+    await dry.keeper.scan();
+    await dry.keeper.scan();
+    assert.deepEqual(dry.liquidations, []);
+    assert.deepEqual(logs, [
+      "[keeper] DRY_RUN CROSS DAI/WETH: funding due", "[keeper] DRY_RUN ISOLATED DAI/WETH: funding due"
+    ]);
+
+    // The 10x position is safe at the feed price after paying 1% of its value (10 DAI), not after 6% (60 DAI)
+    const fundedAt = index => stubKeeper(
+      { ISOLATED: [position] }, { oracle: feed, pairFunding: [index, 0n, 1700000000n] }
+    );
+    assert.deepEqual(await fundedAt(ONE / 100n).keeper.scan(), []);
+    const paying = fundedAt(6n * ONE / 100n);
+    const [entry] = await paying.keeper.scan();
+    // NOTE: the equity is settled at the reserves, without the funding
+    assert.deepEqual([entry.action, entry.posId, entry.marginRatioBps, entry.equity], ["LIQUIDATE", 11n, 409n, 45n]);
+    // A short receives the funding of a positive index
+    const short = { ...position, positionValue: 111n, side: 1 };
+    assert.equal(evaluatePosition({ reserveA: 9600n, reserveB: 1112n }, short, { funding: -60n }).liquidatable, false);
+  });
+
+  it("formats the report", () => {
+    const entry = {
+      status: "DRY_RUN", action: "LIQUIDATE", blockNumber: 7, mode: "CROSS", account: ACCOUNT, pair: "DAI/WETH", posId: 0n,
+      collateral: "DAI", decimals: 18, marginRatioBps: 476n, returnedAmount: 945n * 10n ** 18n,
+      debt: 900n * 10n ** 18n, reward: 9450000000000000000n, transactionHash: null, error: null,
+    };
+    const lines = formatReport([entry, { ...entry, posId: 1n }]).split("\n");
+    assert.match(lines[0], /^status\s+block\s+mode\s+account/);
+    assert.match(lines[1], /DRY_RUN\s+7\s+CROSS\s+0x7099.*DAI\/WETH\s+0\s+LIQUIDATE\s+4\.76%\s+945\s+900\s+9\.45\s+-$/);
+    assert.equal(lines[3], "2 position(s), 0 failed, rewards: 18.9 DAI");
+  });
+});
@@ -0,0 +1,85 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const { limitOrder, Side } = require("..");
+
+const EXCHANGE = "0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9";
+// The first anvil account
+const wallet = new ethers.Wallet("0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80");
+
+const order = limitOrder.buildLimitOrder({
+  account: wallet.address,
+  tokenA: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+  tokenB: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512",
+  amount: 10n ** 18n,
+  leverage: 10,
+  limitPrice: 9n,
+  nonce: 1n,
+});
+
+describe("limit orders", () => {
+  it("encodes the type of LIMIT_ORDER_TYPEHASH", () => {
+    assert.equal(
+      ethers.TypedDataEncoder.from(limitOrder.LIMIT_ORDER_TYPES).encodeType("LimitOrder"),
+      "LimitOrder(address account,address tokenA,address tokenB,uint256 amount,uint8 leverage,uint8 side,"
+        + "bool reducePosition,uint256 closePosId,uint256 limitPrice,uint256 minAmountOut,uint256 maxAmountIn,"
+        + "uint256 nonce,uint256 deadline)"
+    );
+  });
+
+  it("builds complete orders from their JSON", () => {
+    const json = limitOrder.serializeLimitOrder(order);
+    assert.equal(json.amount, "1000000000000000000");
+    assert.equal(json.reducePosition, false);
+    assert.deepEqual(limitOrder.buildLimitOrder(JSON.parse(JSON.stringify(json))), order);
+    assert.deepEqual(
+      limitOrder.buildLimitOrder({ side: "1", leverage: "5", reducePosition: "true", deadline: "0" }),
+      { ...limitOrder.buildLimitOrder({}), side: Side.SHORT, leverage: 5, reducePosition: true }
+    );
+  });
+
+  it("hashes the orders like hashLimitOrder, and recovers their signer", async () => {
+    const domain = limitOrder.getLimitOrderDomain(31337, EXCHANGE);
+    // `_hashTypedDataV4`: keccak256("\x19\x01" || domainSeparator || keccak256(typeHash || encoded fields))
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const domainSeparator = ethers.keccak256(coder.encode(
+      ["bytes32", "bytes32", "bytes32", "uint256", "address"],
+      [
+        ethers.id("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+        ethers.id("LeveragedAMMExchange"), ethers.id("1"), 31337, EXCHANGE
+      ]
+    ));
+    const fields = limitOrder.LIMIT_ORDER_TYPES.LimitOrder;
+    const typeHash = ethers.id(ethers.TypedDataEncoder.from(limitOrder.LIMIT_ORDER_TYPES).encodeType("LimitOrder"));
+    const structHash = ethers.keccak256(coder.encode(
+      ["bytes32", ...fields.map(field => field.type)], [typeHash, ...fields.map(field => order[field.name])]
+    ));
+    const hash = limitOrder.hashLimitOrder(domain, order);
+    assert.equal(hash, ethers.keccak256(ethers.concat(["0x1901", domainSeparator, structHash])));
+
+    const signature = await limitOrder.signLimitOrder(wallet, domain, order);
+    assert.equal(limitOrder.recoverLimitOrderSigner(domain, order, signature), wallet.address);
+    // Bound to the exchange and to every field
+    const other = limitOrder.getLimitOrderDomain(31337, "0x5FC8d32690cc91D4c39d9d3abcBD16989F875707");
+    assert.notEqual(limitOrder.recoverLimitOrderSigner(other, order, signature), wallet.address);
+    const changed = { ...order, limitPrice: 10n };
+    assert.notEqual(limitOrder.recoverLimitOrderSigner(domain, changed, signature), wallet.address);
+  });
+
+  it("reaches the limit price below it when buying token B, above it when selling", () => {
+    const cases = [
+      [{ side: Side.LONG }, 9n, true], [{ side: Side.LONG }, 10n, false],
+      [{ side: Side.SHORT }, 9n, true], [{ side: Side.SHORT }, 8n, false],
+      [{ side: Side.LONG, reducePosition: true }, 9n, true], [{ side: Side.LONG, reducePosition: true }, 8n, false],
+      [{ side: Side.SHORT, reducePosition: true }, 8n, true], [{ side: Side.SHORT, reducePosition: true }, 10n, false],
+    ];
+    for (const [fields, price, reached] of cases) {
+      assert.equal(limitOrder.isLimitPriceReached({ ...order, ...fields }, price), reached, JSON.stringify(fields));
+    }
+    assert.equal(limitOrder.isLimitOrderExpired(order, 1700000000), false);
+    assert.equal(limitOrder.isLimitOrderExpired({ ...order, deadline: 1700000000n }, 1700000000), false);
+    assert.equal(limitOrder.isLimitOrderExpired({ ...order, deadline: 1700000000n }, 1700000001), true);
+  });
+});
@@ -0,0 +1,45 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getDeployment } = require("../manifest");
+
+describe("manifest", () => {
+  const contracts = {
+    DAI: { address: "0x5FbDB2315678afecb367f032d93F642f64180aa3", symbol: "DAI", decimals: 18 },
+    WETH: { address: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512", symbol: "WETH", decimals: 18 },
+    EXCH_CROSS: { address: "0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9" },
+    EXCH_ISOLATED: { address: "0x5FC8d32690cc91D4c39d9d3abcBD16989F875707" },
+  };
+  const manifest = {
+    31337: {
+      chainId: 31337,
+      deploymentBlock: 1,
+      contracts,
+      pairs: [
+        { exchange: "EXCH_CROSS", tokenA: "DAI", tokenB: "WETH", reserveA: "10000", reserveB: "1000" },
+        { exchange: "EXCH_ISOLATED", tokenA: "DAI", tokenB: "WETH", reserveA: "10000", reserveB: "1000" },
+      ],
+      multicall: { contractName: "Multicall3", address: "0x0165878A594ca255338adfa4d48449f69242Eb8F" },
+    },
+  };
+
+  it("selects the deployment of the chain", () => {
+    const deployment = getDeployment(manifest, 31337n);
+    assert.equal(deployment.deploymentBlock, 1);
+    assert.equal(deployment.addresses.EXCH_CROSS, contracts.EXCH_CROSS.address);
+    assert.deepEqual(deployment.tokens, ["DAI", "WETH"]);
+    assert.equal(deployment.multicall.address, "0x0165878A594ca255338adfa4d48449f69242Eb8F");
+    assert.deepEqual(deployment.tradingPairs, [{ key: "DAI/WETH", symbol: "WETH/DAI", collateral: "DAI", target: "WETH" }]);
+    assert.equal(getDeployment(manifest, 1), null);
+  });
+
+  it("accepts the former flat address list for any chain", () => {
+    const addresses = Object.fromEntries(Object.entries(contracts).map(([key, contract]) => [key, contract.address]));
+    const deployment = getDeployment({ ...addresses, PERP: "0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9" }, 1);
+    assert.equal(deployment.chainId, 1);
+    assert.equal(deployment.deploymentBlock, 0);
+    assert.deepEqual(deployment.tradingPairs.map(pair => pair.symbol), ["WETH/DAI", "PERP/DAI"]);
+    assert.equal(deployment.pairs.length, 4);
+  });
+});
@@ -0,0 +1,158 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const { abi, multicall } = require("..");
+
+const EXCHANGE = "0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9";
+const DAI = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const WETH = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+
+const iface = new ethers.Interface(abi.exchangeCross);
+
+// Multicall3 stub which answers the `aggregate3` calls of the exchange with `answer(name, args)`
+// (a thrown error fails the call, with the revert data of its `data` if any)
+function stubMulticall(answer) {
+  const batches = [];
+  const aggregate3 = async (calls) => {
+    batches.push(calls);
+    return calls.map(({ target, allowFailure, callData }) => {
+      assert.equal(target, EXCHANGE);
+      const { name, args, fragment } = iface.parseTransaction({ data: callData });
+      try {
+        return [true, iface.encodeFunctionResult(fragment, answer(name, [...args]))];
+      } catch (error) {
+        if (!allowFailure) throw new Error("CallFailed");
+        return [false, error.data ?? "0x"];
+      }
+    });
+  };
+  return { batches, contract: { aggregate3: { staticCall: aggregate3 } } };
+}
+
+describe("multicall", () => {
+  const exchange = new ethers.Contract(EXCHANGE, abi.exchangeCross);
+
+  it("reads the calls in a single aggregate3, decoded like the contract methods", async () => {
+    const { batches, contract } = stubMulticall((name, args) => {
+      if (name === "balances") return [args[1] === DAI ? 100n : 5n];
+      if (name === "pairs") return ["WETH/DAI", 10000n, 1000n];
+      throw new Error("unknown");
+    });
+    const [balanceA, balanceB, pair] = await multicall.aggregate(contract, [
+      { contract: exchange, method: "balances", args: [EXCHANGE, DAI] },
+      { contract: exchange, method: "balances", args: [EXCHANGE, WETH] },
+      { contract: exchange, method: "pairs", args: [DAI, WETH] },
+    ]);
+    assert.equal(batches.length, 1);
+    assert.equal(balanceA, 100n);
+    assert.equal(balanceB, 5n);
+    assert.deepEqual([...pair], ["WETH/DAI", 10000n, 1000n]);
+  });
+
+  it("results in null for a failed call which allows failure", async () => {
+    const { contract } = stubMulticall((name) => {
+      if (name === "getFundingRate") throw new Error("StaleOraclePrice");
+      return [10n];
+    });
+    const calls = [
+      { contract: exchange, method: "getFundingRate", args: [DAI, WETH], allowFailure: true },
+      { contract: exchange, method: "pairFees", args: [DAI, WETH] },
+    ];
+    assert.deepEqual(await multicall.aggregate(contract, calls), [null, 10n]);
+    await assert.rejects(multicall.aggregate(contract, [{ ...calls[0], allowFailure: false }]), /CallFailed/);
+  });
+
+  it("splits the calls into batches of MAX_BATCH_SIZE", async () => {
+    const { batches, contract } = stubMulticall((name, args) => [args[0] === DAI ? 1n : 2n]);
+    const calls = Array.from({ length: multicall.MAX_BATCH_SIZE + 1 }, (_, i) => ({
+      contract: exchange, method: "pairFees", args: i < multicall.MAX_BATCH_SIZE ? [DAI, WETH] : [WETH, DAI]
+    }));
+    const results = await multicall.aggregate(contract, calls);
+    assert.deepEqual(batches.map(batch => batch.length), [multicall.MAX_BATCH_SIZE, 1]);
+    assert.equal(results.length, calls.length);
+    assert.equal(results.at(-1), 2n);
+  });
+
+  it("sends the calls one by one without Multicall3", async () => {
+    const stub = {
+      balances: async (account, token) => token === DAI ? 100n : 5n,
+      getFundingRate: async () => { throw new Error("StaleOraclePrice"); },
+    };
+    const results = await multicall.aggregate(null, [
+      { contract: stub, method: "balances", args: [EXCHANGE, DAI] },
+      { contract: stub, method: "getFundingRate", args: [DAI, WETH], allowFailure: true },
+    ]);
+    assert.deepEqual(results, [100n, null]);
+    await assert.rejects(multicall.aggregate(null, [{ contract: stub, method: "getFundingRate" }]), /StaleOraclePrice/);
+  });
+
+  describe("MulticallBatcher", () => {
+    const answer = (name, args) => {
+      if (name === "balances") return [args[1] === DAI ? 100n : 5n];
+      if (name === "getFundingRate") throw { data: iface.encodeErrorResult("StaleOraclePrice", [42n]) };
+      return [10n];
+    };
+
+    it("reads the calls of the same tick in one aggregate3, once per identical call", async () => {
+      const { batches, contract } = stubMulticall(answer);
+      const batcher = new multicall.MulticallBatcher(contract);
+      const [balanceA, balanceB, again, fees] = await Promise.all([
+        batcher.call(exchange, "balances", [EXCHANGE, DAI]),
+        batcher.call(exchange, "balances", [EXCHANGE, WETH]),
+        batcher.call(exchange, "balances", [EXCHANGE, DAI]),
+        // Made after a microtask, still in the same tick
+        Promise.resolve().then(() => batcher.call(exchange, "pairFees", [DAI, WETH])),
+      ]);
+      assert.deepEqual([balanceA, balanceB, again, fees], [100n, 5n, 100n, 10n]);
+      assert.deepEqual(batches.map(batch => batch.length), [3]);
+
+      // The results are kept for the lifetime of the batcher
+      assert.equal(await batcher.call(exchange, "balances", [EXCHANGE, WETH]), 5n);
+      assert.equal(batches.length, 1);
+    });
+
+    it("rejects a failed call alone, with the error of the contract method", async () => {
+      const { batches, contract } = stubMulticall(answer);
+      const batcher = new multicall.MulticallBatcher(contract);
+      const [rate, fees] = await Promise.allSettled([
+        batcher.call(exchange, "getFundingRate", [DAI, WETH]),
+        batcher.call(exchange, "pairFees", [DAI, WETH]),
+      ]);
+      assert.equal(rate.status, "rejected");
+      assert.equal(rate.reason.revert.name, "StaleOraclePrice");
+      assert.deepEqual([...rate.reason.revert.args], [42n]);
+      assert.deepEqual(fees, { status: "fulfilled", value: 10n });
+      assert.equal(batches.length, 1);
+    });
+
+    it("reads the calls again once settled without cache", async () => {
+      const { batches, contract } = stubMulticall(answer);
+      const batcher = new multicall.MulticallBatcher(contract, { cache: false });
+      await batcher.call(exchange, "pairFees", [DAI, WETH]);
+      await batcher.call(exchange, "pairFees", [DAI, WETH]);
+      assert.equal(batches.length, 2);
+    });
+
+    it("sends the calls one by one without Multicall3, once per identical call", async () => {
+      let count = 0;
+      const stub = {
+        target: EXCHANGE,
+        interface: iface,
+        balances: async (account, token) => {
+          count++;
+          return token === DAI ? 100n : 5n;
+        },
+      };
+      const batcher = new multicall.MulticallBatcher(null);
+      const results = await Promise.all([
+        batcher.call(stub, "balances", [EXCHANGE, DAI]),
+        batcher.call(stub, "balances", [EXCHANGE, DAI]),
+        batcher.call(stub, "balances", [EXCHANGE, WETH]),
+      ]);
+      assert.deepEqual(results, [100n, 100n, 5n]);
+      assert.equal(count, 2);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { oracle, risk } = require("..");
+
+const { OracleStatus, checkOraclePrice, getSpreadBps, parsePriceCsv, toAnswer, toOraclePrice } = oracle;
+const ONE = 10n ** 18n;
+
+describe("oracle", () => {
+  it("converts the feed answers to prices and back", () => {
+    assert.equal(toOraclePrice(10n * 10n ** 8n, 8), 10n * ONE);
+    assert.equal(toOraclePrice(1234567n, 6n), 1234567n * 10n ** 12n);
+    assert.equal(toAnswer("9.5", 8), 950000000n);
+    assert.equal(toAnswer(10, 8), 10n ** 9n);
+    assert.equal(toAnswer(42n, 8), 42n);
+  });
+
+  it("signs the spread of the pair price over the feed price", () => {
+    assert.equal(getSpreadBps(10n * ONE, 11n * ONE), 1000n);
+    assert.equal(getSpreadBps(10n * ONE, 9n * ONE), -1000n);
+    assert.equal(getSpreadBps(0n, 9n * ONE), 0n);
+  });
+
+  it("checks the feed price like getOraclePrice", () => {
+    const guards = { maxStaleness: 3600n, maxDeviationBps: 1000n };
+    const round = { answer: 10n * 10n ** 8n, decimals: 8, updatedAt: 1000n };
+    assert.deepEqual(checkOraclePrice(guards, round, 11n * ONE, 4600n), {
+      price: 10n * ONE, spreadBps: 1000n, status: OracleStatus.OK
+    });
+    // The spread is taken over the feed price
+    assert.equal(checkOraclePrice(guards, round, 11n * ONE + 1n, 4600n).status, OracleStatus.DEVIATED);
+    assert.equal(checkOraclePrice(guards, round, 9n * ONE - 1n, 4600n).status, OracleStatus.DEVIATED);
+    assert.equal(checkOraclePrice(guards, round, 10n * ONE, 4601n).status, OracleStatus.STALE);
+    // The staleness is checked before the deviation
+    assert.equal(checkOraclePrice(guards, round, 20n * ONE, 4601n).status, OracleStatus.STALE);
+    assert.deepEqual(checkOraclePrice(guards, { ...round, answer: -1n }, 10n * ONE, 1000n), {
+      price: 0n, spreadBps: 0n, status: OracleStatus.INVALID
+    });
+    // No guard
+    const unguarded = { maxStaleness: 0n, maxDeviationBps: 0n };
+    assert.equal(checkOraclePrice(unguarded, round, 20n * ONE, 10n ** 9n).status, OracleStatus.OK);
+  });
+
+  it("checks the feed price against the pair price of the reserves", () => {
+    // A pair at ~9.27 DAI per WETH (6 decimals) and a 12 DAI feed price: a 22% spread
+    const pairPrice = risk.getPrice(1011000n * ONE, 109119n * 10n ** 6n, 18, 6);
+    const round = { answer: 12n * 10n ** 8n, decimals: 8, updatedAt: 1000n };
+    const result = checkOraclePrice({ maxStaleness: 0n, maxDeviationBps: 2000n }, round, pairPrice, 1000n);
+    assert.deepEqual([result.price, result.status], [12n * ONE, OracleStatus.DEVIATED]);
+    assert.equal(result.spreadBps, -2279n);
+  });
+
+  it("parses the price CSV files", () => {
+    const ticks = parsePriceCsv("# DAI prices\ndelay,WETH/DAI,BNB/DAI\n0,10,5\n\n,9.5,\n3,,5.25\n");
+    assert.deepEqual(ticks, [
+      { delay: 0, prices: { "WETH/DAI": "10", "BNB/DAI": "5" } },
+      { delay: null, prices: { "WETH/DAI": "9.5" } },
+      { delay: 3, prices: { "BNB/DAI": "5.25" } },
+    ]);
+    assert.deepEqual(parsePriceCsv("WETH/DAI\r\n10\r\n"), [{ delay: null, prices: { "WETH/DAI": "10" } }]);
+    assert.throws(() => parsePriceCsv(""), /Empty price CSV/);
+    assert.throws(() => parsePriceCsv("time,WETH/DAI\n0,10"), /Invalid price CSV header/);
+    assert.throws(() => parsePriceCsv("WETH/DAI\n-1"), /Invalid number on line 2/);
+    assert.throws(() => parsePriceCsv("WETH/DAI\n10,5"), /Too many cells on line 2/);
+  });
+});
@@ -0,0 +1,124 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { pnl } = require("..");
+const math = require("../amm-math");
+
+const MUL = 10n ** 18n;
+
+// History records (see `history.js`) of the DAI/WETH pair, oldest first.
+function swap(blockNumber, mode, type, collateralAmount, targetAmount, leverage = 10, side = "LONG") {
+  return {
+    mode, type, side, pair: "DAI/WETH", collateral: "DAI", target: "WETH", collateralAmount, targetAmount, leverage,
+    blockNumber, logIndex: 0
+  };
+}
+
+describe("pnl", () => {
+  it("marks a position at the collateral returned by selling it", () => {
+    const pair = { reserveA: 10000n * MUL, reserveB: 1000n * MUL };
+    const amountOut = math.getAmountOutFromIn(pair, 100n * MUL, 10);
+    const position = { positionValue: amountOut, leverage: 10 };
+    const moved = { reserveA: pair.reserveA + 1000n * MUL, reserveB: pair.reserveB - amountOut };
+    // Selling right away returns the collateral (minus rounding)
+    const markValue = pnl.getMarkValue(moved, position);
+    assert.ok(100n * MUL - markValue < 10n);
+
+    const { pnl: unrealized, percent } = pnl.getUnrealizedPnl(110n * MUL, 100n * MUL);
+    assert.equal(unrealized, 10n * MUL);
+    assert.equal(percent, 10);
+    assert.deepEqual(pnl.getUnrealizedPnl(90n * MUL, 100n * MUL), { pnl: -10n * MUL, percent: -10 });
+    assert.deepEqual(pnl.getUnrealizedPnl(0n, 0n), { pnl: 0n, percent: 0 });
+  });
+
+  it("marks a short position at the collateral returned by buying it back", () => {
+    const position = {
+      collateralAmount: 100n, collateralWorthValue: 1000n, positionValue: 111n, leverage: 10, side: math.Side.SHORT
+    };
+    assert.equal(pnl.getMarkValue({ reserveA: 9000n, reserveB: 1111n }, position), 100n);
+    // The price drop is a gain, the price rise a loss
+    assert.ok(pnl.getMarkValue({ reserveA: 8000n, reserveB: 1250n }, position) > 100n);
+    assert.ok(pnl.getMarkValue({ reserveA: 9600n, reserveB: 1112n }, position) < 100n);
+  });
+
+  it("realizes the cross position at the average cost basis", () => {
+    const ledger = pnl.buildPnlLedger([
+      swap(3, "CROSS", "REDUCE", 60n * MUL, 5n * MUL),
+      swap(1, "CROSS", "OPEN", 100n * MUL, 10n * MUL),
+      swap(2, "CROSS", "OPEN", 100n * MUL, 10n * MUL),
+    ]);
+    // 5 / 20 of the 200 DAI cost basis is sold for 60 DAI
+    assert.equal(ledger.realized.DAI, 10n * MUL);
+    assert.equal(ledger.realizedByPosition["CROSS:DAI/WETH"], 10n * MUL);
+    assert.deepEqual(ledger.cross["DAI/WETH"], { targetAmount: 15n * MUL, costBasis: 150n * MUL });
+    // The contract subtracts the returned collateral (200 - 60) from `collateralAmount`
+    const position = {
+      collateralAmount: 140n * MUL, collateralWorthValue: 1400n * MUL, positionValue: 15n * MUL, leverage: 10
+    };
+    assert.equal(pnl.getCostBasis(ledger, "CROSS", "DAI/WETH", position), 150n * MUL);
+    assert.equal(pnl.getCostBasis(ledger, "CROSS", "DAI/WETH", { ...position, positionValue: 1n }), 140n * MUL);
+    // The margin added to the position is not part of the cost basis
+    const added = { ...position, positionValue: 1n, collateralAmount: 190n * MUL };
+    assert.equal(pnl.getCostBasis(ledger, "CROSS", "DAI/WETH", added), 140n * MUL);
+    const empty = { collateralAmount: 0n, collateralWorthValue: 0n, positionValue: 0n, leverage: 0 };
+    assert.equal(pnl.getCostBasis(ledger, "ISOLATED", "DAI/WETH", empty), 0n);
+  });
+
+  it("matches the isolated closes with their opens", () => {
+    const ledger = pnl.buildPnlLedger([
+      swap(1, "ISOLATED", "OPEN", 100n * MUL, 10n * MUL, 5),
+      swap(2, "ISOLATED", "OPEN", 50n * MUL, 4n * MUL, 2),
+      swap(3, "ISOLATED", "CLOSE", 45n * MUL, 4n * MUL, 2),
+      swap(4, "ISOLATED", "CLOSE", 1n * MUL, 7n * MUL, 3),
+    ]);
+    assert.equal(ledger.realized.DAI, -5n * MUL);
+    assert.equal(ledger.isolated["DAI/WETH"].length, 1);
+    assert.equal(ledger.unmatched, 1);
+  });
+
+  it("matches the isolated closes with the opens of the same side", () => {
+    const ledger = pnl.buildPnlLedger([
+      swap(1, "ISOLATED", "OPEN", 100n * MUL, 10n * MUL, 5),
+      swap(2, "ISOLATED", "OPEN", 90n * MUL, 10n * MUL, 5, "SHORT"),
+      swap(3, "ISOLATED", "CLOSE", 120n * MUL, 10n * MUL, 5, "SHORT"),
+    ]);
+    assert.equal(ledger.realized.DAI, 30n * MUL);
+    assert.deepEqual(ledger.isolated["DAI/WETH"].map(position => position.side), ["LONG"]);
+  });
+
+  it("realizes the partial isolated closes at the pro rata cost basis", () => {
+    const ledger = pnl.buildPnlLedger([
+      swap(1, "ISOLATED", "OPEN", 100n * MUL, 10n * MUL, 5),
+      swap(2, "ISOLATED", "CLOSE", 30n * MUL, 2n * MUL, 5),
+      swap(3, "ISOLATED", "CLOSE", 70n * MUL, 8n * MUL, 5),
+    ]);
+    // 2 / 10 of the 100 DAI cost basis is sold for 30 DAI (+10), then the rest for 70 DAI (-10)
+    assert.equal(ledger.realized.DAI, 0n);
+    assert.equal(ledger.isolated["DAI/WETH"].length, 0);
+    assert.equal(ledger.unmatched, 0);
+
+    const partial = pnl.buildPnlLedger([
+      swap(1, "ISOLATED", "OPEN", 100n * MUL, 10n * MUL, 5),
+      swap(2, "ISOLATED", "CLOSE", 30n * MUL, 2n * MUL, 5),
+    ]);
+    assert.equal(partial.realized.DAI, 10n * MUL);
+    assert.deepEqual(partial.isolated["DAI/WETH"], [
+      { targetAmount: 8n * MUL, leverage: 5, side: "LONG", costBasis: 80n * MUL }
+    ]);
+  });
+
+  it("realizes the liquidations as whole sells", () => {
+    const ledger = pnl.buildPnlLedger([
+      swap(1, "CROSS", "OPEN", 100n * MUL, 10n * MUL),
+      // The free balance paid 2 DAI of the shortfall
+      swap(2, "CROSS", "LIQUIDATE", -2n * MUL, 10n * MUL),
+      swap(3, "ISOLATED", "OPEN", 50n * MUL, 4n * MUL, 5),
+      swap(4, "ISOLATED", "LIQUIDATE", 1n * MUL, 4n * MUL, 5),
+    ]);
+    assert.equal(ledger.realizedByPosition["CROSS:DAI/WETH"], -102n * MUL);
+    assert.equal(ledger.realizedByPosition["ISOLATED:DAI/WETH"], -49n * MUL);
+    assert.equal(ledger.cross["DAI/WETH"], undefined);
+    assert.equal(ledger.isolated["DAI/WETH"].length, 0);
+  });
+});
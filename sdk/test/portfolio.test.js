@@ -0,0 +1,77 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { pnl, portfolio } = require("..");
+const math = require("../amm-math");
+
+const MUL = 10n ** 18n;
+
+function position(collateralAmount, collateralWorthValue, positionValue, leverage, side = math.Side.LONG) {
+  return { collateralAmount, collateralWorthValue, positionValue, leverage: BigInt(leverage), side };
+}
+
+describe("portfolio", () => {
+  const weth = { reserveA: 10000n * MUL, reserveB: 1000n * MUL };
+  const bnb = { reserveA: 20000n * MUL, reserveB: 4000n * MUL };
+
+  it("adds the added margin to the mark value of a position", () => {
+    const long = position(100n * MUL, 1000n * MUL, 90n * MUL, 10);
+    assert.equal(portfolio.getPositionEquity(weth, long), pnl.getMarkValue(weth, long));
+    // 50 above the initial margin of 100
+    const margined = { ...long, collateralAmount: 150n * MUL };
+    assert.equal(portfolio.getPositionEquity(weth, margined), pnl.getMarkValue(weth, long) + 50n * MUL);
+    assert.equal(portfolio.getPositionEquity(weth, { ...long, positionValue: 0n }), 0n);
+  });
+
+  it("sums up the equity, the exposures and the leverages across the pairs and exchanges", () => {
+    const crossLong = position(100n * MUL, 1000n * MUL, 90n * MUL, 10);
+    const isolatedLong = position(100n * MUL, 500n * MUL, 40n * MUL, 5);
+    const isolatedShort = position(100n * MUL, 500n * MUL, 110n * MUL, 5, math.Side.SHORT);
+    const book = {
+      balances: [{ collateral: "DAI", balance: 1000n * MUL }, { collateral: "DAI", balance: 500n * MUL }],
+      pairs: [
+        { mode: "CROSS", collateral: "DAI", target: "WETH", reserves: weth, worthValue: 1000n * MUL,
+          positions: [crossLong] },
+        // The empty cross position is skipped
+        { mode: "CROSS", collateral: "DAI", target: "BNB", reserves: bnb, worthValue: 0n,
+          positions: [position(0n, 0n, 0n, 10)] },
+        { mode: "ISOLATED", collateral: "DAI", target: "WETH", reserves: weth, worthValue: 500n * MUL,
+          positions: [isolatedLong] },
+        { mode: "ISOLATED", collateral: "DAI", target: "BNB", reserves: bnb, worthValue: 500n * MUL,
+          positions: [isolatedShort] },
+      ],
+    };
+    const { collaterals, exposures, leverages, positions } = portfolio.summarizePortfolio(book);
+
+    const positionEquity = portfolio.getPositionEquity(weth, crossLong)
+      + portfolio.getPositionEquity(weth, isolatedLong) + portfolio.getPositionEquity(bnb, isolatedShort);
+    const equity = 1500n * MUL + positionEquity;
+    assert.deepEqual(collaterals.DAI, {
+      balance: 1500n * MUL, positionEquity, equity, worthValue: 2000n * MUL,
+      leverage: Number(2000n * MUL * 100n / equity) / 100
+    });
+
+    // 130 WETH long at 10 DAI, 110 BNB short at 5 DAI
+    assert.deepEqual(exposures, [
+      { asset: "WETH", collateral: "DAI", long: 130n * MUL, short: 0n, net: 130n * MUL, value: 1300n * MUL,
+        netValue: 1300n * MUL },
+      { asset: "BNB", collateral: "DAI", long: 0n, short: 110n * MUL, net: -110n * MUL, value: 550n * MUL,
+        netValue: -550n * MUL },
+    ]);
+    assert.deepEqual(leverages, [
+      { leverage: 5, collateral: "DAI", count: 2, worthValue: 1000n * MUL },
+      { leverage: 10, collateral: "DAI", count: 1, worthValue: 1000n * MUL },
+    ]);
+    assert.deepEqual(
+      positions.map(({ mode, target }) => `${mode}:${target}`), ["CROSS:WETH", "ISOLATED:WETH", "ISOLATED:BNB"]
+    );
+  });
+
+  it("has no leverage without equity", () => {
+    const book = { balances: [{ collateral: "DAI", balance: 0n }], pairs: [] };
+    const { collaterals, exposures } = portfolio.summarizePortfolio(book);
+    assert.deepEqual(collaterals.DAI, { balance: 0n, positionEquity: 0n, equity: 0n, worthValue: 0n, leverage: 0 });
+    assert.deepEqual(exposures, []);
+  });
+});
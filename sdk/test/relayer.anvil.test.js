@@ -0,0 +1,78 @@
+"use strict";
+
+/**
+ * End-to-end test of the limit order relayer on a local anvil node (it sends transactions).
+ * Deploy the contracts and write `html/contract-address.json` first (see README), then:
+ *   $ RPC_URL=http://127.0.0.1:8545 npm test
+ */
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const abi = require("../abi");
+const { LeveragedAMMClient } = require("../client");
+const { LimitOrderRelayer } = require("../relayer");
+const { getDeployment } = require("../manifest");
+
+const RPC_URL = process.env.RPC_URL;
+const quiet = { info() {}, error() {} };
+
+describe("relayer on deployed contracts", { skip: !RPC_URL && "RPC_URL is not set" }, () => {
+  const manifest = require("../../html/contract-address.json");
+  let provider;
+  let deployment;
+  let signers;
+
+  before(async () => {
+    provider = new ethers.JsonRpcProvider(RPC_URL);
+    deployment = getDeployment(manifest, (await provider.getNetwork()).chainId);
+    assert.ok(deployment, "No deployment found for the chain of RPC_URL");
+    // NOTE: the deployer owns the tokens, the trader and the relayer are other anvil accounts than the keeper test's
+    signers = await Promise.all([0, 4, 5].map(index => provider.getSigner(index)));
+  });
+
+  it("executes a cross limit order once the price fell to its limit", async () => {
+    const [deployer, trader, relayerSigner] = signers;
+    const { tokenA, tokenB } = deployment.pairs.find(pair => pair.exchange === "EXCH_CROSS");
+    const amm = new LeveragedAMMClient(trader, deployment.addresses);
+    const token = new ethers.Contract(deployment.addresses[tokenA], abi.erc20, deployer);
+    const amount = 10n ** BigInt(await amm.cross.decimals(tokenA));
+    await (await token.transfer(trader.address, amount)).wait();
+    await amm.cross.deposit(tokenA, amount);
+    const balance = await amm.cross.contract.balances(trader.address, token.target);
+
+    const relayer = new LimitOrderRelayer(relayerSigner, deployment, { logger: quiet });
+    const price = await amm.cross.getPairPrice(tokenA, tokenB);
+    const { order, signature, hash } = await amm.cross.signLimitOrder(tokenA, tokenB, amount, price - 1n);
+    await assert.rejects(
+      relayer.submit({ mode: "CROSS", order: { ...order, amount: amount * 2n }, signature }), /InvalidSignature/
+    );
+    const entry = await relayer.submit({ mode: "CROSS", order, signature });
+    assert.equal(entry.hash, hash);
+    assert.deepEqual(await relayer.check(), []);
+
+    // A cancelled order is dropped
+    const cancelled = await amm.cross.signLimitOrder(tokenA, tokenB, amount, price);
+    await relayer.submit({ mode: "CROSS", order: cancelled.order, signature: cancelled.signature });
+    await amm.cross.cancelLimitOrder(cancelled.order.nonce);
+
+    // Move the price down by ~20% (the excess token B of a skewed addReserves is donated to the pair)
+    const exchange = amm.cross.contract.connect(deployer);
+    const [, , reserveB] = await exchange.pairs(token.target, deployment.addresses[tokenB]);
+    await (await token.approve(exchange.target, 1n)).wait();
+    await (await new ethers.Contract(deployment.addresses[tokenB], abi.erc20, deployer)
+      .approve(exchange.target, reserveB / 5n)).wait();
+    await (await exchange.addReserves(token.target, deployment.addresses[tokenB], 1n, reserveB / 5n)).wait();
+
+    const changed = await relayer.check();
+    assert.deepEqual(changed.map(({ status }) => status).sort(), ["CANCELLED", "EXECUTED"]);
+    const executed = relayer.get(hash);
+    assert.equal(executed.status, "EXECUTED", executed.error);
+    assert.ok(executed.price <= price - 1n);
+    assert.equal(await amm.cross.isNonceUsed(trader.address, order.nonce), true);
+    assert.equal(await amm.cross.contract.balances(trader.address, token.target), balance - amount);
+    const [position] = await amm.cross.getPositions(trader.address, tokenA, tokenB);
+    assert.ok(position.positionValue > 0n);
+    // Executed once
+    await assert.rejects(amm.cross.verifyLimitOrder(order, signature), /NonceAlreadyUsed/);
+  });
+});
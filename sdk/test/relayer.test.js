@@ -0,0 +1,113 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getDeployment, limitOrder, relayer: { LimitOrderRelayer, serializeEntry } } = require("..");
+
+const addresses = {
+  DAI: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+  WETH: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512",
+  EXCH_CROSS: "0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9",
+  EXCH_ISOLATED: "0x5FC8d32690cc91D4c39d9d3abcBD16989F875707",
+};
+const ACCOUNT = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const quiet = { info() {}, error() {} };
+
+// A cross order buying WETH at or below 9 DAI.
+function buildOrder(fields = {}) {
+  return limitOrder.buildLimitOrder({
+    account: ACCOUNT, tokenA: addresses.DAI, tokenB: addresses.WETH, amount: 100n, leverage: 10, limitPrice: 9n,
+    nonce: 1n, ...fields
+  });
+}
+
+// A contract error decoded by ethers.
+function revert(name) {
+  return Object.assign(new Error(`execution reverted: ${name}`), { revert: { name } });
+}
+
+// Stub the cross exchange (price, nonces, executions) and the chain.
+function stubRelayer({ price = 10n, usedNonces = [], execute, storage } = {}) {
+  const state = { price, executions: [] };
+  const provider = { getBlock: async () => ({ timestamp: 1700000000 }) };
+  const relayer = new LimitOrderRelayer(provider, getDeployment(addresses, 31337), { logger: quiet, storage });
+  relayer.client.cross.contract = {
+    verifyLimitOrder: async (order, signature) => {
+      if (signature !== "0x01") throw revert("InvalidSignature");
+      return `0x${order.nonce.toString(16).padStart(64, "0")}`;
+    },
+    usedNonces: async (account, nonce) => usedNonces.includes(nonce),
+    getPairPrice: async () => state.price,
+    executeLimitOrder: async (order) => {
+      if (execute) await execute(order);
+      state.executions.push(order.nonce);
+      return { wait: async () => ({ hash: "0x02", blockNumber: 8, logs: [] }) };
+    },
+    interface: { parseLog: () => null },
+  };
+  return { relayer, state };
+}
+
+describe("relayer", () => {
+  it("keeps the orders verified on-chain", async () => {
+    const { relayer } = stubRelayer();
+    const entry = await relayer.submit({
+      mode: "CROSS", order: limitOrder.serializeLimitOrder(buildOrder()), signature: "0x01"
+    });
+    assert.equal(entry.status, "OPEN");
+    assert.deepEqual(entry.order, buildOrder());
+    assert.equal(await relayer.submit({ mode: "CROSS", order: buildOrder(), signature: "0x01" }), entry);
+    await assert.rejects(
+      relayer.submit({ mode: "CROSS", order: buildOrder({ nonce: 2n }), signature: "0x02" }),
+      /Invalid limit order: InvalidSignature/
+    );
+    await assert.rejects(relayer.submit({ mode: "OTHER", order: buildOrder(), signature: "0x01" }), /Unknown/);
+    assert.deepEqual(relayer.list({ account: ACCOUNT.toLowerCase() }), [entry]);
+    assert.deepEqual(relayer.list({ status: "EXECUTED" }), []);
+    assert.equal(relayer.get(entry.hash), entry);
+  });
+
+  it("executes the orders once their limit price is reached", async () => {
+    const { relayer, state } = stubRelayer();
+    await relayer.submit({ mode: "CROSS", order: buildOrder(), signature: "0x01" });
+    await relayer.submit({ mode: "CROSS", order: buildOrder({ nonce: 2n, limitPrice: 8n }), signature: "0x01" });
+    assert.deepEqual(await relayer.check(), []);
+    state.price = 9n;
+    const [executed] = await relayer.check();
+    assert.deepEqual(state.executions, [1n]);
+    assert.deepEqual([executed.status, executed.transactionHash, executed.blockNumber], ["EXECUTED", "0x02", 8]);
+    assert.equal(relayer.list({ status: "OPEN" }).length, 1);
+  });
+
+  it("drops the expired and cancelled orders, and keeps the failed ones", async () => {
+    const { relayer, state } = stubRelayer({
+      price: 9n,
+      usedNonces: [2n],
+      execute: async (order) => {
+        if (order.nonce === 3n) throw revert("LimitPriceNotReached");
+        if (order.nonce === 4n) throw revert("InsufficientAmount");
+      },
+    });
+    for (const fields of [{ nonce: 1n, deadline: 1699999999n }, { nonce: 2n }, { nonce: 3n }, { nonce: 4n }]) {
+      await relayer.submit({ mode: "CROSS", order: buildOrder(fields), signature: "0x01" });
+    }
+    const changed = await relayer.check();
+    assert.deepEqual(changed.map(entry => [entry.order.nonce, entry.status]), [
+      [1n, "EXPIRED"], [2n, "CANCELLED"], [4n, "FAILED"]
+    ]);
+    assert.equal(changed[2].error, "InsufficientAmount");
+    // The price moved back before the execution: still open
+    assert.deepEqual(relayer.list({ status: "OPEN" }).map(entry => entry.order.nonce), [3n]);
+    assert.deepEqual(state.executions, []);
+  });
+
+  it("persists the orders", async () => {
+    let saved = [];
+    const storage = { load: () => saved, save: (entries) => { saved = JSON.parse(JSON.stringify(entries)); } };
+    const { relayer } = stubRelayer({ storage });
+    const entry = await relayer.submit({ mode: "CROSS", order: buildOrder(), signature: "0x01" });
+    assert.deepEqual(saved, [serializeEntry(entry)]);
+    const { relayer: restarted } = stubRelayer({ storage });
+    assert.deepEqual(restarted.list(), [entry]);
+  });
+});
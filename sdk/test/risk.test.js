@@ -0,0 +1,216 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { risk } = require("..");
+const math = require("../amm-math");
+
+const MUL = 10n ** 18n;
+
+// Open a position on the pair, returning the moved pair and the position (as the contracts do).
+function open(pair, amount, leverage) {
+  const leveragedAmount = amount * BigInt(leverage);
+  const [amountOut, fee] = math.getAmountOutWithFee(pair, leveragedAmount);
+  return [
+    { ...pair, reserveA: pair.reserveA + leveragedAmount - fee, reserveB: pair.reserveB - amountOut },
+    { collateralAmount: amount, collateralWorthValue: leveragedAmount, positionValue: amountOut, leverage },
+  ];
+}
+
+// Open a short position on the pair: borrow and sell token B for the leveraged amount.
+function openShort(pair, amount, leverage) {
+  const leveragedAmount = amount * BigInt(leverage);
+  const [amountSold, fee] = math.getAmountSoldWithFee(pair, leveragedAmount);
+  return [
+    { ...pair, reserveA: pair.reserveA - leveragedAmount - fee, reserveB: pair.reserveB + amountSold },
+    {
+      collateralAmount: amount, collateralWorthValue: leveragedAmount, positionValue: amountSold, leverage,
+      side: math.Side.SHORT
+    },
+  ];
+}
+
+describe("risk", () => {
+  const initial = { reserveA: 10000n * MUL, reserveB: 1000n * MUL };
+
+  it("computes the integer square root", () => {
+    for (const value of [0n, 1n, 2n, 3n, 4n, 99n, 100n, 10n ** 40n + 1n]) {
+      const root = risk.sqrt(value);
+      assert.ok(root * root <= value && (root + 1n) * (root + 1n) > value);
+    }
+  });
+
+  it("starts at the margin of the leverage", () => {
+    const [pair, position] = open(initial, 100n * MUL, 10);
+    const result = risk.getPositionRisk(pair, position);
+    assert.equal(result.debt, 900n * MUL);
+    // 1 / 10x margin, 2x the 5% maintenance margin
+    assert.ok(result.marginRatioBps >= 999n && result.marginRatioBps <= 1000n);
+    assert.equal(result.level, "SAFE");
+    assert.ok(result.liquidationPrice < result.price);
+    assert.equal(risk.getPositionRisk(pair, { ...position, positionValue: 0n }), null);
+  });
+
+  it("finds the liquidation price on the curve", () => {
+    const [pair, position] = open(initial, 100n * MUL, 10);
+    const result = risk.getPositionRisk(pair, position);
+    // Move the pair along k to the liquidation price, where the margin ratio is the maintenance margin
+    const k = pair.reserveA * pair.reserveB;
+    const reserveA = risk.sqrt(k * result.liquidationPrice / MUL);
+    const moved = { reserveA, reserveB: k / reserveA };
+    const liquidated = risk.getPositionRisk(moved, position);
+    assert.ok(liquidated.marginRatioBps >= 499n && liquidated.marginRatioBps <= 500n, `${liquidated.marginRatioBps}`);
+    assert.equal(liquidated.level, "LIQUIDATABLE");
+  });
+
+  it("finds the liquidation price after the swap fee", () => {
+    const [pair, position] = open({ ...initial, feeBps: 30n }, 100n * MUL, 10);
+    const result = risk.getPositionRisk(pair, position);
+    // The fee is paid on both sides of the trade, out of the 10% margin
+    assert.ok(result.marginRatioBps >= 940n && result.marginRatioBps <= 945n, `${result.marginRatioBps}`);
+    assert.ok(result.liquidationPrice > risk.getPositionRisk({ ...pair, feeBps: 0n }, position).liquidationPrice);
+    const k = pair.reserveA * pair.reserveB;
+    const reserveA = risk.sqrt(k * result.liquidationPrice / MUL);
+    const liquidated = risk.getPositionRisk({ ...pair, reserveA, reserveB: k / reserveA }, position);
+    assert.ok(liquidated.marginRatioBps >= 499n && liquidated.marginRatioBps <= 500n, `${liquidated.marginRatioBps}`);
+  });
+
+  it("lowers the cross liquidation price with the free collateral", () => {
+    const [pair, position] = open(initial, 100n * MUL, 10);
+    const isolated = risk.getPositionRisk(pair, position);
+    const cross = risk.getPositionRisk(pair, position, { freeCollateral: 300n * MUL });
+    assert.ok(cross.healthFactorBps > isolated.healthFactorBps);
+    assert.ok(cross.liquidationPrice < isolated.liquidationPrice);
+    // Fully backed by the deposit: never liquidated
+    assert.equal(risk.getPositionRisk(pair, position, { freeCollateral: 900n * MUL }).liquidationPrice, 0n);
+  });
+
+  it("bounds the removable margin by the added margin and the maintenance margin", () => {
+    const [pair, position] = open(initial, 100n * MUL, 5);
+    assert.equal(risk.getEffectiveLeverage(position), 5);
+    assert.equal(risk.getRemovableMargin(pair, position), 0n);
+    const added = { ...position, collateralAmount: 150n * MUL };
+    assert.equal(risk.getAddedMargin(added), 50n * MUL);
+    assert.equal(risk.getEffectiveLeverage(added), 3.33);
+    assert.equal(risk.getRemovableMargin(pair, added), 50n * MUL);
+
+    // After the price drop, the margin ratio must stay above the maintenance margin
+    const moved = { reserveA: pair.reserveA * 9n / 10n, reserveB: pair.reserveB * 10n / 9n };
+    const removable = risk.getRemovableMargin(moved, added);
+    assert.ok(removable > 0n && removable < 50n * MUL, `${removable}`);
+    const removed = risk.getPositionRisk(moved, { ...added, collateralAmount: added.collateralAmount - removable });
+    assert.equal(removed.marginRatioBps, 501n);
+    // The removed margin keeps backing a cross position
+    assert.equal(risk.getRemovableMargin(moved, added, { cross: true }), 50n * MUL);
+  });
+
+  it("rates a short position over its buyback cost", () => {
+    const [pair, position] = openShort(initial, 100n * MUL, 10);
+    const result = risk.getPositionRisk(pair, position);
+    // 1100 held against a buyback cost of 1000
+    assert.equal(result.returnedAmount, 1100n * MUL);
+    assert.equal(result.notional, result.debt);
+    assert.ok(result.debt <= 1000n * MUL && result.debt >= 1000n * MUL - 10n, `${result.debt}`);
+    assert.equal(result.marginRatioBps, 1000n);
+    assert.ok(result.liquidationPrice > result.price);
+
+    // Move the pair along k to the liquidation price, where the margin ratio is the maintenance margin
+    const k = pair.reserveA * pair.reserveB;
+    const reserveA = risk.sqrt(k * result.liquidationPrice / MUL);
+    const liquidated = risk.getPositionRisk({ reserveA, reserveB: k / reserveA }, position);
+    assert.ok(liquidated.marginRatioBps >= 499n && liquidated.marginRatioBps <= 500n, `${liquidated.marginRatioBps}`);
+    assert.equal(liquidated.level, "LIQUIDATABLE");
+
+    // The swap fee and the free collateral move the liquidation price
+    const [feePair, feePosition] = openShort({ ...initial, feeBps: 30n }, 100n * MUL, 10);
+    assert.ok(risk.getPositionRisk(feePair, feePosition).liquidationPrice < result.liquidationPrice);
+    assert.ok(risk.getPositionRisk(pair, position, { freeCollateral: 300n * MUL }).liquidationPrice
+      > result.liquidationPrice);
+  });
+
+  it("bounds the removable margin of a short by its buyback cost", () => {
+    const [pair, position] = openShort(initial, 100n * MUL, 5);
+    const added = { ...position, collateralAmount: 150n * MUL };
+    assert.equal(risk.getRemovableMargin(pair, added), 50n * MUL);
+    // After the price rise, the margin ratio must stay above the maintenance margin
+    const moved = { reserveA: pair.reserveA * 11n / 10n, reserveB: pair.reserveB * 10n / 11n };
+    const removable = risk.getRemovableMargin(moved, added);
+    assert.ok(removable > 0n && removable < 50n * MUL, `${removable}`);
+    const removed = risk.getPositionRisk(moved, { ...added, collateralAmount: added.collateralAmount - removable });
+    assert.equal(removed.marginRatioBps, 501n);
+  });
+
+  it("marks the positions at the feed price, whatever the reserves", () => {
+    const [pair, position] = open(initial, 100n * MUL, 10);
+    const oraclePrice = risk.getPrice(pair.reserveA, pair.reserveB, 18, 18);
+    const marked = risk.getPositionRisk(pair, position, { oraclePrice });
+    // Without the price impact of selling the whole position
+    assert.equal(marked.returnedAmount, risk.getOracleValue(position.positionValue, oraclePrice, 18, 18));
+    assert.ok(marked.returnedAmount > risk.getPositionRisk(pair, position).returnedAmount);
+    assert.equal(marked.price, oraclePrice);
+    // A swap which pumps the reserves does not move the margin ratio
+    const pumped = { reserveA: pair.reserveA * 2n, reserveB: pair.reserveB };
+    assert.deepEqual(risk.getPositionRisk(pumped, position, { oraclePrice }), marked);
+    // The liquidation price is linear: the margin ratio is the maintenance margin at that feed price
+    const liquidated = risk.getPositionRisk(pair, position, { oraclePrice: marked.liquidationPrice });
+    assert.ok(liquidated.marginRatioBps >= 499n && liquidated.marginRatioBps <= 500n, `${liquidated.marginRatioBps}`);
+    assert.equal(marked.liquidationPrice, (900n * MUL * 10000n / 9500n) * MUL / position.positionValue);
+
+    const [shortPair, short] = openShort(initial, 100n * MUL, 10);
+    const shortPrice = risk.getPrice(shortPair.reserveA, shortPair.reserveB, 18, 18);
+    const markedShort = risk.getPositionRisk(shortPair, short, { oraclePrice: shortPrice });
+    assert.equal(markedShort.debt, risk.getOracleValue(short.positionValue, shortPrice, 18, 18));
+    const liquidatedShort = risk.getPositionRisk(shortPair, short, { oraclePrice: markedShort.liquidationPrice });
+    assert.ok(liquidatedShort.marginRatioBps >= 499n && liquidatedShort.marginRatioBps <= 500n);
+    // The feed price has `PRICE_DECIMALS` decimals, whatever the token decimals (6 decimals for token B)
+    assert.equal(risk.getOracleValue(2n * 10n ** 6n, 10n * MUL, 18, 6), 20n * MUL);
+    // The removable margin at the feed price
+    const added = { ...position, collateralAmount: 150n * MUL };
+    assert.equal(risk.getRemovableMargin(pumped, added, { oraclePrice }), 50n * MUL);
+    const removable = risk.getRemovableMargin(pumped, added, { oraclePrice: oraclePrice * 85n / 100n });
+    assert.ok(removable > 0n && removable < 50n * MUL, `${removable}`);
+  });
+
+  it("marks the positions at their average settlement price", () => {
+    const [pair, position] = open(initial, 100n * MUL, 10);
+    const [returned] = math.getAmountCollateralReturn(pair, position.positionValue, 10);
+    assert.equal(risk.getMarkPrice(pair, position), returned * MUL / position.positionValue);
+    // Below the pair price, by the price impact of selling the whole position
+    assert.ok(risk.getMarkPrice(pair, position) < risk.getPrice(pair.reserveA, pair.reserveB, 18, 18));
+    // In token A per token B, whatever the token decimals (6 decimals for token A)
+    const pair6 = { reserveA: pair.reserveA / 10n ** 12n, reserveB: pair.reserveB };
+    const [returned6] = math.getAmountCollateralReturn(pair6, position.positionValue, 10);
+    assert.equal(risk.getMarkPrice(pair6, position, 6, 18), returned6 * 10n ** 12n * MUL / position.positionValue);
+
+    const [shortPair, short] = openShort(initial, 100n * MUL, 10);
+    const [cost] = math.getAmountInWithFee(shortPair, short.positionValue);
+    assert.equal(risk.getMarkPrice(shortPair, short), cost * MUL / short.positionValue);
+    assert.ok(risk.getMarkPrice(shortPair, short) > risk.getPrice(shortPair.reserveA, shortPair.reserveB, 18, 18));
+    assert.equal(risk.getMarkPrice(pair, { ...position, positionValue: 0n }), 0n);
+  });
+
+  it("reaches the stop-loss below the mark price of a long, above the one of a short", () => {
+    const long = { stopLossPrice: 9n * MUL, takeProfitPrice: 11n * MUL };
+    const short = { stopLossPrice: 11n * MUL, takeProfitPrice: 9n * MUL };
+    const cases = [
+      [math.Side.LONG, long, 9n, risk.TriggerType.STOP_LOSS], [math.Side.LONG, long, 10n, null],
+      [math.Side.LONG, long, 11n, risk.TriggerType.TAKE_PROFIT],
+      [math.Side.SHORT, short, 11n, risk.TriggerType.STOP_LOSS], [math.Side.SHORT, short, 10n, null],
+      [math.Side.SHORT, short, 9n, risk.TriggerType.TAKE_PROFIT],
+    ];
+    for (const [side, trigger, price, reached] of cases) {
+      assert.equal(risk.getReachedTrigger({ side }, trigger, price * MUL), reached, `${side} at ${price}`);
+    }
+    // The prices left at 0 are not set
+    assert.equal(risk.getReachedTrigger({}, { ...long, stopLossPrice: 0n }, 1n), null);
+    assert.equal(risk.getReachedTrigger({ side: math.Side.SHORT }, { ...short, takeProfitPrice: 0n }, 0n), null);
+  });
+
+  it("rates the health levels", () => {
+    assert.equal(risk.getHealthLevel(20000n), "SAFE");
+    assert.equal(risk.getHealthLevel(12000n), "WARNING");
+    assert.equal(risk.getHealthLevel(10500n), "DANGER");
+    assert.equal(risk.getHealthLevel(10000n), "LIQUIDATABLE");
+    assert.equal(risk.getHealthLevel(-5000n), "LIQUIDATABLE");
+  });
+});
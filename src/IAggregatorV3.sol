@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title The price feed of a pair, following the Chainlink `AggregatorV3Interface`.
+/// @dev The answer is the price of token B in token A, with `decimals` decimals.
+interface IAggregatorV3 {
+    /// @notice The decimals of the answers.
+    function decimals() external view returns (uint8);
+
+    /// @notice The description of the feed (e.g. "WETH / DAI").
+    function description() external view returns (string memory);
+
+    /// @notice The version of the aggregator.
+    function version() external view returns (uint256);
+
+    /// @notice Get the data of a round.
+    /// @param roundId The ID of the round.
+    /// @return roundId The ID of the round.
+    /// @return answer The price.
+    /// @return startedAt The timestamp at which the round started.
+    /// @return updatedAt The timestamp at which the answer was computed.
+    /// @return answeredInRound The ID of the round in which the answer was computed.
+    function getRoundData(uint80 roundId) external view returns (uint80, int256, uint256, uint256, uint80);
+
+    /// @notice Get the data of the latest round (see `getRoundData`).
+    function latestRoundData() external view returns (uint80, int256, uint256, uint256, uint80);
+}
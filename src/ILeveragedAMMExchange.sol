@@ -12,6 +12,22 @@ interface ILeveragedAMMExchange {
         ISOLATED
     }
 
+    /// @title The direction of the position.
+    /// @dev LONG: The position buys token B with the leveraged collateral, and sells it back to close.
+    /// @dev SHORT: The position borrows and sells token B for the leveraged collateral, and buys it back to close.
+    enum Side {
+        LONG,
+        SHORT
+    }
+
+    /// @title The kind of a position trigger.
+    /// @dev STOP_LOSS: The position is closed once the mark price moved against it to the stop-loss price.
+    /// @dev TAKE_PROFIT: The position is closed once the mark price moved in its favor to the take-profit price.
+    enum TriggerType {
+        STOP_LOSS,
+        TAKE_PROFIT
+    }
+
     /// @title The pair of tokens.
     /// @param tradingPairSymbol The symbol of the trading pair.
     /// @param reserveA The reserve amount of token A.
@@ -25,12 +41,20 @@ interface ILeveragedAMMExchange {
     /// @title The order to swap tokens.
     /// @param tokenA The address of token A.
     /// @param tokenB The address of token B.
-    /// @param amount The amount of token A to swap.
+    /// @param amount The amount of token A to swap, or of token B to sell (buy back for a short) when reducing or
+    ///  closing.
     /// @param leverage The leverage to use.
     /// @param positionMode The mode of the position.
     /// @param reducePosition Whether to reduce the position (CROSS mode only).
-    /// @param closePosition Whether to close the position (ISOLATED node only).
-    /// @param closePosIndex The index of the position to close (use if closePosition is true).
+    /// @param closePosition Whether to close the position, part of or all of it (ISOLATED node only).
+    /// @param closePosId The ID of the position to close (use if closePosition is true).
+    /// @param minAmountOut The minimum amount received: token B when opening, token A when selling (0: no bound).
+    ///  Opening a short receives the leveraged amount of token A, which no price moves: it must be 0 (bound the
+    ///  token B sold with `maxAmountIn`).
+    /// @param maxAmountIn The maximum amount paid: token A when opening, token B when selling (0: no bound).
+    ///  Opening a short pays (sells) token B.
+    /// @param deadline The timestamp after which the order can no longer be executed (0: no expiry).
+    /// @param side The direction of the position to open (reducing and closing follow the side of the position).
     struct Order {
         address tokenA;
         address tokenB;
@@ -39,27 +63,161 @@ interface ILeveragedAMMExchange {
         Mode positionMode;
         bool reducePosition;
         bool closePosition;
-        uint256 closePosIndex;
+        uint256 closePosId;
+        uint256 minAmountOut;
+        uint256 maxAmountIn;
+        uint256 deadline;
+        Side side;
     }
 
     /// @title The position of the user.
     /// @param tradingPairSymbol The symbol of the trading pair.
     /// @param collateralAmount The amount of collateral tokens.
     /// @param collateralWorthValue The collateral worth value of the position.
-    /// @param positionValue The value of the position (target tokens amount).
+    /// @param positionValue The value of the position (target tokens amount, borrowed for a short).
     /// @param leverage The leverage of the position.
+    /// @param id The permanent ID of the position (ISOLATED mode only, 0 in CROSS mode).
+    /// @param openedAt The timestamp of the block in which the position was opened.
+    /// @param openedBlock The number of the block in which the position was opened.
+    /// @param side The direction of the position.
+    /// @param fundingIndex The cumulative funding index of the pair at which the funding of the position was last
+    ///  settled (see `PairFunding`).
     struct Position {
         string tradingPairSymbol;
         uint256 collateralAmount;
         uint256 collateralWorthValue;
         uint256 positionValue;
         uint8 leverage;
+        uint256 id;
+        uint256 openedAt;
+        uint256 openedBlock;
+        Side side;
+        int256 fundingIndex;
+    }
+
+    /// @title The limit order of an account, signed off-chain (EIP-712) and executed by a relayer.
+    /// @param account The address of the account which signed the order (and owns the position).
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param amount The amount of token A to open with, or of token B to sell (buy back for a short) when reducing.
+    /// @param leverage The leverage to use (the max leverage in CROSS mode, the position leverage when reducing).
+    /// @param side The direction of the position to open.
+    /// @param reducePosition Whether to reduce the position (CROSS mode) or to close it, part of or all (ISOLATED
+    ///  mode).
+    /// @param closePosId The ID of the position to close (ISOLATED mode).
+    /// @param limitPrice The pair price (`getPairPrice`) to execute at: at or below it when buying token B (opening a
+    ///  long, reducing a short), at or above it when selling token B (opening a short, reducing a long).
+    /// @param minAmountOut The minimum amount received (see `Order`; 0: no bound).
+    /// @param maxAmountIn The maximum amount paid (see `Order`; 0: no bound).
+    /// @param nonce The nonce of the order, used up when it is executed or cancelled.
+    /// @param deadline The timestamp after which the order can no longer be executed (0: no expiry).
+    struct LimitOrder {
+        address account;
+        address tokenA;
+        address tokenB;
+        uint256 amount;
+        uint8 leverage;
+        Side side;
+        bool reducePosition;
+        uint256 closePosId;
+        uint256 limitPrice;
+        uint256 minAmountOut;
+        uint256 maxAmountIn;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    /// @title The stop-loss and take-profit prices of a position, executed by a keeper (0: not set).
+    /// @dev The prices are mark prices (see `getMarkPrice`). A long is stopped at or below its stop-loss price and
+    ///  takes profit at or above its take-profit price, a short the other way around.
+    /// @param stopLossPrice The mark price at which the position is closed at a loss.
+    /// @param takeProfitPrice The mark price at which the position is closed at a profit.
+    struct Trigger {
+        uint256 stopLossPrice;
+        uint256 takeProfitPrice;
+    }
+
+    /// @title The price feed of a pair, which marks the positions for the margin and liquidation checks.
+    /// @dev Without a feed, the positions are marked at the reserves of the pair.
+    /// @param feed The Chainlink-style aggregator of the price of token B in token A (address(0): none).
+    /// @param maxStaleness The maximum age (seconds) of the feed answer (0: no bound).
+    /// @param maxDeviationBps The maximum spread (in basis points of the feed price) between the feed price and the
+    ///  pair price (0: no bound).
+    struct PairOracle {
+        address feed;
+        uint256 maxStaleness;
+        uint256 maxDeviationBps;
+    }
+
+    /// @title The funding state of a pair, accrued by `pokeFunding` once per `FUNDING_INTERVAL`.
+    /// @dev The funding rate of an interval is the premium of the pair price over the feed (index) price, bounded by
+    ///  `MAX_FUNDING_RATE_BPS`. A position pays (long) or receives (short) the rate times its collateral worth value
+    ///  per interval when the rate is positive, the other way around when it is negative.
+    /// @param cumulativeIndex The sum of the funding rates of the accrued intervals, with `PRICE_DECIMALS` decimals.
+    /// @param rate The funding rate of the last interval, with `PRICE_DECIMALS` decimals (1e18: 100%).
+    /// @param lastFundingTime The timestamp the last interval ended at (0: the funding is not started).
+    struct PairFunding {
+        int256 cumulativeIndex;
+        int256 rate;
+        uint256 lastFundingTime;
+    }
+
+    /// @title A collateral token of the cross margin accounts, listed by the owner (see `setCollateral`).
+    /// @dev The listed collaterals are valued in a common unit (e.g. USD, with `PRICE_DECIMALS` decimals) at the price
+    ///  of their feed, or at par (1 per whole token) without a feed, and count as margin less their haircut.
+    /// @param feed The Chainlink-style aggregator of the price of the token (address(0): at par).
+    /// @param maxStaleness The maximum age (seconds) of the feed answer (0: no bound).
+    /// @param haircutBps The share (in basis points) of the value of the token which does not count as margin.
+    struct Collateral {
+        address feed;
+        uint256 maxStaleness;
+        uint256 haircutBps;
+    }
+
+    /// @title The totals of a cross margin account over its listed collaterals, in the common unit of their prices.
+    /// @param collateralValue The value of the deposit balances, less the haircuts.
+    /// @param marginValue The value of the collateral of the open positions, less the haircuts.
+    /// @param pnlValue The value of the unrealized PnL of the open positions (settled with the pair, with their
+    ///  accrued funding).
+    /// @param worthValue The value of the collateral worth values of the open positions.
+    /// @param remainingValue `(collateralValue + marginValue + pnlValue) * MAX_LEVERAGE - worthValue` (0 below).
+    /// @param positionCount The number of open positions drawing on the margin pool (token A listed).
+    struct AccountSummary {
+        uint256 collateralValue;
+        uint256 marginValue;
+        int256 pnlValue;
+        uint256 worthValue;
+        uint256 remainingValue;
+        uint256 positionCount;
+    }
+
+    /// @title The liquidity provided to a pair.
+    /// @param shares The amount of LP shares owned.
+    /// @param depositedA The amount of token A deposited (net of the removed shares).
+    /// @param depositedB The amount of token B deposited (net of the removed shares).
+    struct Liquidity {
+        uint256 shares;
+        uint256 depositedA;
+        uint256 depositedB;
+    }
+
+    /// @title The tokens a pair really holds, apart from its reserves.
+    /// @dev The reserves also move by the virtual leveraged amounts of the positions. The real tokens only move with
+    ///  the liquidity added and removed, and with the collateral the settled positions leave to the pair or take from
+    ///  it (their realized PnL).
+    /// @param amountA The amount of token A held (the accrued fees included).
+    /// @param amountB The amount of token B held.
+    struct PairBalance {
+        uint256 amountA;
+        uint256 amountB;
     }
 
     /* ================== Events & Errors ================== */
 
     event Deposit(address indexed account, address indexed collateralToken, uint256 amount);
     event Withdraw(address indexed account, address indexed collateralToken, uint256 amount);
+    /// @dev When a position is reduced or closed, `amountOut` is the collateral paid back to the account (without the
+    ///  added margin, see `MarginRemoved`), less the profit the pair could not pay (see `PairBalance`).
     event Swap(
         address indexed account,
         address indexed tokenA,
@@ -67,7 +225,90 @@ interface ILeveragedAMMExchange {
         uint256 amountIn,
         uint256 amountOut,
         uint8 leverage,
-        Mode positionMode
+        Mode positionMode,
+        uint256 fee,
+        Side side
+    );
+    /// @dev For a short position, `returnedAmount` is the collateral held by the position (with the proceeds of the
+    ///  sold token B), and `debt` is the cost of buying back its token B.
+    event Liquidate(
+        address indexed liquidator,
+        address indexed account,
+        address indexed tokenA,
+        address tokenB,
+        uint256 positionValue,
+        uint256 returnedAmount,
+        uint256 debt,
+        uint256 reward,
+        uint8 leverage,
+        Mode positionMode,
+        uint256 fee,
+        Side side
+    );
+    event PositionOpened(address indexed account, address indexed tokenA, address indexed tokenB, uint256 posId);
+    event PositionClosed(
+        address indexed account, address indexed tokenA, address indexed tokenB, uint256 posId, uint256 positionValue
+    );
+    event MarginAdded(
+        address indexed account, address indexed tokenA, address indexed tokenB, uint256 posId, uint256 amount
+    );
+    event MarginRemoved(
+        address indexed account, address indexed tokenA, address indexed tokenB, uint256 posId, uint256 amount
+    );
+    event LimitOrderExecuted(
+        address indexed account, address indexed relayer, bytes32 indexed orderHash, uint256 nonce, uint256 price
+    );
+    event LimitOrderCancelled(address indexed account, uint256 nonce);
+    event TriggerUpdated(
+        address indexed account,
+        address indexed tokenA,
+        address indexed tokenB,
+        uint256 posId,
+        uint256 stopLossPrice,
+        uint256 takeProfitPrice
+    );
+    event TriggerExecuted(
+        address indexed account,
+        address indexed tokenA,
+        address indexed tokenB,
+        uint256 posId,
+        address keeper,
+        TriggerType triggerType,
+        uint256 markPrice
+    );
+    event PairFeeUpdated(address indexed tokenA, address indexed tokenB, uint256 feeBps);
+    event PairOracleUpdated(
+        address indexed tokenA, address indexed tokenB, address feed, uint256 maxStaleness, uint256 maxDeviationBps
+    );
+    event CollateralUpdated(address indexed token, address feed, uint256 maxStaleness, uint256 haircutBps);
+    /// @dev The liquidator bought `amount` of a collateral of the account for `paid` token A (see `liquidate`).
+    event CollateralSeized(
+        address indexed account, address indexed liquidator, address indexed token, uint256 amount, uint256 paid
+    );
+    /// @dev `intervals` is the number of intervals elapsed since the last funding, of which only the last accrues.
+    event FundingUpdated(
+        address indexed tokenA, address indexed tokenB, int256 rate, int256 cumulativeIndex, uint256 intervals
+    );
+    /// @dev `amount` is the funding paid (positive) or received (negative) by the position, in token A.
+    event FundingSettled(
+        address indexed account, address indexed tokenA, address indexed tokenB, uint256 posId, int256 amount
+    );
+    event FeesCollected(address indexed tokenA, address indexed tokenB, address indexed recipient, uint256 amount);
+    event AddLiquidity(
+        address indexed provider,
+        address indexed tokenA,
+        address indexed tokenB,
+        uint256 amountA,
+        uint256 amountB,
+        uint256 shares
+    );
+    event RemoveLiquidity(
+        address indexed provider,
+        address indexed tokenA,
+        address indexed tokenB,
+        uint256 amountA,
+        uint256 amountB,
+        uint256 shares
     );
 
     error PairAlreadyExists();
@@ -76,6 +317,30 @@ interface ILeveragedAMMExchange {
     error InvalidTokenAddress();
     error InsufficientAmount(uint256 tokenAmount);
     error InsufficientAccountValue(uint256 leveragedAmount, uint256 remainingValue);
+    error PositionNotFound();
+    error PositionNotLiquidatable(uint256 marginRatio);
+    error InvalidFee(uint256 feeBps);
+    error PairNotFound();
+    error OrderExpired(uint256 deadline);
+    error InsufficientAmountOut(uint256 amountOut, uint256 minAmountOut);
+    error ExcessiveAmountIn(uint256 amountIn, uint256 maxAmountIn);
+    error InvalidSlippageBound();
+    error InsufficientShares(uint256 shares);
+    error InvalidMarginAmount(uint256 maxAmount);
+    error InsufficientMargin(uint256 marginRatio);
+    error InvalidPositionSide();
+    error InvalidSignature();
+    error NonceAlreadyUsed(uint256 nonce);
+    error LimitPriceNotReached(uint256 price, uint256 limitPrice);
+    error InvalidTriggerPrice(uint256 markPrice);
+    error TriggerNotSet();
+    error TriggerNotReached(uint256 markPrice);
+    error InvalidOraclePrice(int256 answer);
+    error StaleOraclePrice(uint256 updatedAt);
+    error OraclePriceDeviation(uint256 oraclePrice, uint256 pairPrice);
+    error FundingNotDue(uint256 nextFundingTime);
+    error InvalidHaircut(uint256 haircutBps);
+    error InsufficientCollateralValue(uint256 worthValue, uint256 maxWorthValue);
 
     /* ================== Functions ================== */
 
@@ -85,28 +350,125 @@ interface ILeveragedAMMExchange {
     function deposit(address collateralToken, uint256 amount) external;
 
     /// @notice Withdraw collateral tokens from the contract.
+    /// @dev In CROSS mode, the margin must still cover the worth value of the positions, with their unrealized PnL
+    ///  (reverts with `InsufficientCollateralValue`).
     /// @param collateralToken The address of the collateral token.
     /// @param amount The amount of collateral tokens to withdraw.
     function withdraw(address collateralToken, uint256 amount) external;
 
     /// @notice Swap tokens with leverage.
+    /// @dev Reverts if the order expired, or if the swapped amounts are out of its slippage bounds.
     /// @param swapOrder The order to swap tokens.
     function swap(Order calldata swapOrder) external;
 
-    /// @notice Create a pair of tokens.
+    /// @notice Execute the limit order of an account, once the pair price reached its limit price.
+    /// @dev Anyone (a relayer) can execute a valid order (see `verifyLimitOrder`), which uses up its nonce. The swap
+    ///  is made for the account, from its deposit balance.
+    /// @param order The limit order.
+    /// @param signature The EIP-712 signature of the order by its account.
+    function executeLimitOrder(LimitOrder calldata order, bytes calldata signature) external;
+
+    /// @notice Cancel the limit orders of the caller with a nonce, so that they can no longer be executed.
+    /// @param nonce The nonce of the orders.
+    function cancelLimitOrder(uint256 nonce) external;
+
+    /// @notice Set (or remove) the stop-loss and take-profit prices of a position of the caller.
+    /// @dev Reverts with `InvalidTriggerPrice` if a price is already reached at the current mark price. The
+    ///  triggers are removed with the position (closed, fully reduced or liquidated).
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    /// @param stopLossPrice The stop-loss mark price (0: not set).
+    /// @param takeProfitPrice The take-profit mark price (0: not set).
+    function setTrigger(address tokenA, address tokenB, uint256 posId, uint256 stopLossPrice, uint256 takeProfitPrice)
+        external;
+
+    /// @notice Close the whole position of an account once its mark price reached a trigger price.
+    /// @dev Anyone (a keeper) can execute a reached trigger, which is removed. Reverts with `TriggerNotSet` or
+    ///  `TriggerNotReached` otherwise.
+    /// @param account The address of the account owning the position.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    function executeTrigger(address account, address tokenA, address tokenB, uint256 posId) external;
+
+    /// @notice Liquidate a position whose margin ratio fell to the maintenance margin.
+    /// @dev The position is sold to the pair, its debt is repaid, and the liquidator is rewarded from the equity.
+    ///  With a price feed, the margin ratio is checked at the feed price (see `getPositionMarginRatio`). In CROSS
+    ///  mode, the free collateral used up is charged to the account: with token A listed, the liquidator buys the
+    ///  other collaterals of the account at their feed price with token A from its deposit balance once the deposit
+    ///  balance of token A is used up (`CollateralSeized`).
+    /// @param account The address of the account owning the position.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    function liquidate(address account, address tokenA, address tokenB, uint256 posId) external;
+
+    /// @notice Move collateral from the deposit balance to the margin of an open position.
+    /// @dev The margin lowers the debt of the position (at most down to 0), which raises its margin ratio.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    /// @param amount The amount of collateral tokens to add.
+    function addMargin(address tokenA, address tokenB, uint256 posId, uint256 amount) external;
+
+    /// @notice Move margin from an open position back to the deposit balance.
+    /// @dev Only the margin above the initial margin (`collateralWorthValue / leverage`) can be removed, and the
+    ///  margin ratio of the position must stay above the maintenance margin.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    /// @param amount The amount of collateral tokens to remove.
+    function removeMargin(address tokenA, address tokenB, uint256 posId, uint256 amount) external;
+
+    /// @notice Create a pair of tokens, pulling the reserves from the caller in exchange for LP shares.
     /// @param tokenA The address of token A.
     /// @param tokenB The address of token B.
     /// @param reserveA The reserve amount of token A.
     /// @param reserveB The reserve amount of token B.
     function createPair(address tokenA, address tokenB, uint256 reserveA, uint256 reserveB) external;
 
-    /// @notice Add reserves to a pair of tokens.
+    /// @notice Add reserves to a pair of tokens, pulling them from the caller in exchange for LP shares.
     /// @param tokenA The address of token A.
     /// @param tokenB The address of token B.
     /// @param amountA The amount of token A to add to the reserve.
     /// @param amountB The amount of token B to add to the reserve.
     function addReserves(address tokenA, address tokenB, uint256 amountA, uint256 amountB) external;
 
+    /// @notice Burn LP shares of a pair of tokens, paying out their share of the real tokens of the pair.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param shares The amount of LP shares to burn.
+    function removeReserves(address tokenA, address tokenB, uint256 shares) external;
+
+    /// @notice Set the swap fee of a pair (owner only).
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param feeBps The swap fee in basis points (at most `MAX_FEE_BPS`).
+    function setPairFee(address tokenA, address tokenB, uint256 feeBps) external;
+
+    /// @notice Set (or remove) the price feed of a pair, with its staleness and deviation guards (owner only).
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param feed The aggregator of the price of token B in token A (address(0) to mark at the pair reserves).
+    /// @param maxStaleness The maximum age (seconds) of the feed answer (0: no bound).
+    /// @param maxDeviationBps The maximum spread between the feed price and the pair price (0: no bound).
+    function setPairOracle(address tokenA, address tokenB, address feed, uint256 maxStaleness, uint256 maxDeviationBps)
+        external;
+
+    /// @notice Accrue the funding of a pair for the interval that just ended (see `PairFunding`).
+    /// @dev Anyone (a keeper) can poke the funding, once per `FUNDING_INTERVAL` (reverts with `FundingNotDue`
+    ///  before). The first poke starts the funding of the pair. Without a price feed, the funding rate is 0.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    function pokeFunding(address tokenA, address tokenB) external;
+
+    /// @notice Collect the swap fees accrued by a pair to the deposit balance of a recipient (owner only).
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param recipient The address credited with the fees (in token A).
+    function collectFees(address tokenA, address tokenB, address recipient) external;
+
     /// @notice Get the position worth value of an account.
     /// @param account The address of the account.
     /// @param tokenA The address of token A.
@@ -120,7 +482,17 @@ interface ILeveragedAMMExchange {
     /// @return The trading pair price.
     function getPairPrice(address tokenA, address tokenB) external view returns (uint256);
 
-    /// @notice Get the amount of token B from token A.
+    /// @notice Get the withdrawable amounts of the LP shares of a provider.
+    /// @param provider The address of the liquidity provider.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @return The amounts of token A and token B that `removeReserves` would pay for all the shares.
+    function getLiquidityValue(address provider, address tokenA, address tokenB)
+        external
+        view
+        returns (uint256, uint256);
+
+    /// @notice Get the amount of token B from token A (after the swap fee).
     /// @param tokenA The address of token A.
     /// @param tokenB The address of token B.
     /// @param amountIn The amount of token A to swap.
@@ -131,7 +503,7 @@ interface ILeveragedAMMExchange {
         view
         returns (uint256);
 
-    /// @notice Get the amount of token A to swap for token B.
+    /// @notice Get the amount of token A to swap for token B (including the swap fee).
     /// @param tokenA The address of token A.
     /// @param tokenB The address of token B.
     /// @param amountOut The amount of token B to receive.
@@ -142,7 +514,18 @@ interface ILeveragedAMMExchange {
         view
         returns (uint256);
 
-    /// @notice Get the returned collateral amount when reducing/closing a position.
+    /// @notice Get the amount of token B sold when opening a short position (after the swap fee).
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param amountIn The amount of token A (collateral).
+    /// @param leverage The leverage to use.
+    /// @return The amount of token B to borrow and sell.
+    function getAmountShortFromIn(address tokenA, address tokenB, uint256 amountIn, uint8 leverage)
+        external
+        view
+        returns (uint256);
+
+    /// @notice Get the returned collateral amount when reducing/closing a position (after the swap fee).
     /// @param tokenA The address of token A.
     /// @param tokenB The address of token B.
     /// @param amount The amount of token B to repay.
@@ -153,7 +536,22 @@ interface ILeveragedAMMExchange {
         view
         returns (uint256, uint256);
 
+    /// @notice Get the collateral returned by selling (long) or buying back (short) an amount of a position.
+    /// @dev The margin added to the position is given back on top of it, pro rata.
+    /// @param account The address of the account owning the position.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    /// @param amount The amount of token B to sell (or buy back).
+    /// @return The returned collateral amount.
+    function getPositionReturn(address account, address tokenA, address tokenB, uint256 posId, uint256 amount)
+        external
+        view
+        returns (uint256);
+
     /// @notice Get the remaining value of an account.
+    /// @dev In CROSS mode, with token A listed as a collateral, the remaining value of the whole account (see
+    ///  `AccountSummary`) in token A.
     /// @param account The address of the account.
     /// @param tokenA The address of token A.
     /// @param tokenB The address of token B.
@@ -163,6 +561,86 @@ interface ILeveragedAMMExchange {
         view
         returns (uint256);
 
+    /// @notice Get the margin ratio of a position.
+    /// @dev `(returnedAmount + freeCollateral - debt) / returnedAmount`, where the debt is the borrowed
+    ///  `collateralWorthValue - collateralAmount` and the free collateral backs the position in CROSS mode only: the
+    ///  margin pool of the account less its haircuts with token A listed (see `getFreeCollateral`), the deposit
+    ///  balance of token A otherwise.
+    ///  For a short, `(collateralAmount + collateralWorthValue + freeCollateral - cost) / cost`, where the cost is the
+    ///  amount of token A that buys back its token B. With a price feed (see `getOraclePrice`), the returned amount
+    ///  of a long and the cost of a short are valued at the feed price instead.
+    /// @param account The address of the account owning the position.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    /// @return The margin ratio in basis points.
+    function getPositionMarginRatio(address account, address tokenA, address tokenB, uint256 posId)
+        external
+        view
+        returns (uint256);
+
+    /// @notice Get the price of the feed of a pair, checked against its guards.
+    /// @dev Reverts with `InvalidOraclePrice` for a non-positive answer, `StaleOraclePrice` past the maximum
+    ///  staleness, and `OraclePriceDeviation` past the maximum spread with the pair price.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @return The price of token B in token A, with `PRICE_DECIMALS` decimals (0 without a feed).
+    function getOraclePrice(address tokenA, address tokenB) external view returns (uint256);
+
+    /// @notice Get the funding rate of the next interval of a pair, at the current pair and feed prices.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @return The funding rate, with `PRICE_DECIMALS` decimals (positive: the longs pay the shorts).
+    function getFundingRate(address tokenA, address tokenB) external view returns (int256);
+
+    /// @notice Get the funding accrued by a position since it was last settled.
+    /// @param account The address of the account owning the position.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    /// @return The funding the position pays (positive) or receives (negative), in token A.
+    function getPositionFunding(address account, address tokenA, address tokenB, uint256 posId)
+        external
+        view
+        returns (int256);
+
+    /// @notice Get the mark price of a position: the average price of settling all of it with the pair.
+    /// @dev The leveraged collateral returned by selling the token B of a long (`getAmountCollateralReturn`), or the
+    ///  cost of buying back the token B of a short, per token B. In token A per token B, with `PRICE_DECIMALS`
+    ///  decimals (the decimals of both tokens being normalized).
+    /// @param account The address of the account owning the position.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    /// @return The mark price (0 if the position cannot be settled).
+    function getMarkPrice(address account, address tokenA, address tokenB, uint256 posId)
+        external
+        view
+        returns (uint256);
+
+    /// @notice Get the stop-loss and take-profit prices of a position.
+    /// @param account The address of the account owning the position.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    /// @return The trigger prices (0 when not set).
+    function getTrigger(address account, address tokenA, address tokenB, uint256 posId)
+        external
+        view
+        returns (Trigger memory);
+
+    /// @notice Verify the signature, the nonce and the expiry of a limit order (not its limit price).
+    /// @dev Reverts with `InvalidSignature`, `NonceAlreadyUsed` or `OrderExpired`.
+    /// @param order The limit order.
+    /// @param signature The EIP-712 signature of the order by its account.
+    /// @return The EIP-712 hash of the order.
+    function verifyLimitOrder(LimitOrder calldata order, bytes calldata signature) external view returns (bytes32);
+
+    /// @notice Get the EIP-712 hash of a limit order, as signed by its account.
+    /// @param order The limit order.
+    /// @return The hash of the order.
+    function hashLimitOrder(LimitOrder calldata order) external view returns (bytes32);
+
     /// @notice Get the position ID of the trading pair.
     /// @param tokenA The address of token A.
     /// @param tokenB The address of token B.
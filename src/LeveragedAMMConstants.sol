@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title Constants of the exchanges (see `LeveragedAMMExchange`), shared with their linked libraries.
+library LeveragedAMMConstants {
+    /// @notice The maximum leverage allowed (the leverage of the cross mode positions).
+    uint8 internal constant MAX_LEVERAGE = 10;
+
+    /// @notice The basis points of a whole (100%).
+    uint256 internal constant BPS = 10000;
+
+    /// @notice The decimals of the prices (mark, feed and collateral prices, funding rates and indexes).
+    uint8 internal constant PRICE_DECIMALS = 18;
+
+    /// @notice The LP shares locked forever when a pair is created, so that its reserves can never be emptied.
+    uint256 internal constant MINIMUM_LIQUIDITY = 1000;
+
+    /// @notice The interval between two fundings of a pair (see `pokeFunding`).
+    uint256 internal constant FUNDING_INTERVAL = 1 hours;
+
+    /// @notice The maximum funding rate (in basis points) of an interval.
+    uint256 internal constant MAX_FUNDING_RATE_BPS = 100;
+}
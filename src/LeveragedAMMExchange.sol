@@ -3,22 +3,81 @@ pragma solidity ^0.8.20;
 
 import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 
 import {ILeveragedAMMExchange} from "./ILeveragedAMMExchange.sol";
+import {LeveragedAMMConstants} from "./LeveragedAMMConstants.sol";
+import {LeveragedAMMLimitOrders} from "./LeveragedAMMLimitOrders.sol";
+import {LeveragedAMMLiquidity} from "./LeveragedAMMLiquidity.sol";
+import {LeveragedAMMOracle} from "./LeveragedAMMOracle.sol";
 
-abstract contract LeveragedAMMExchange is ILeveragedAMMExchange, ReentrancyGuard {
+abstract contract LeveragedAMMExchange is ILeveragedAMMExchange, ReentrancyGuard, Ownable, EIP712 {
     /* ================== State Varaibles ================== */
 
     /// @notice The maximum leverage allowed.
     /// @notice The number of trading pairs created.
-    uint8 public constant MAX_LEVERAGE = 10;
+    uint8 public constant MAX_LEVERAGE = LeveragedAMMConstants.MAX_LEVERAGE;
     uint256 public pairCount = 0;
 
+    /// @notice The margin ratio (in basis points) at or below which a position can be liquidated.
+    /// @notice The share (in basis points) of the returned amount paid to the liquidator.
+    uint256 public constant MAINTENANCE_MARGIN_BPS = 500;
+    uint256 public constant LIQUIDATION_REWARD_BPS = 100;
+    uint256 internal constant BPS = LeveragedAMMConstants.BPS;
+
+    /// @notice The maximum swap fee (in basis points) of a pair.
+    uint256 public constant MAX_FEE_BPS = 1000;
+
+    /// @notice The LP shares locked forever when a pair is created, so that its reserves can never be emptied.
+    uint256 public constant MINIMUM_LIQUIDITY = LeveragedAMMConstants.MINIMUM_LIQUIDITY;
+
     /// @notice The mapping of trading pairs.
     /// @notice The mapping of user balances (deposited collateral tokens).
     mapping(address => mapping(address => Pair)) public pairs;
     mapping(address => mapping(address => uint256)) public balances;
 
+    /// @notice The mapping of the swap fees (in basis points) of the pairs.
+    /// @notice The mapping of the swap fees accrued by the pairs (token A), not yet collected.
+    mapping(address => mapping(address => uint256)) public pairFees;
+    mapping(address => mapping(address => uint256)) public accruedFees;
+
+    /// @notice The mapping of the LP shares minted by the pairs.
+    /// @notice The mapping of the liquidity provided to the pairs, by provider.
+    mapping(address => mapping(address => uint256)) public totalShares;
+    mapping(address => mapping(address => mapping(address => Liquidity))) public liquidity;
+
+    /// @notice The mapping of the tokens the pairs really hold (see `PairBalance`).
+    mapping(address => mapping(address => PairBalance)) public pairBalances;
+
+    /// @notice The EIP-712 type hash of the limit orders (`side` is encoded as its `uint8` value).
+    bytes32 public constant LIMIT_ORDER_TYPEHASH = LeveragedAMMLimitOrders.LIMIT_ORDER_TYPEHASH;
+    /// @notice The mapping of the used (executed or cancelled) limit order nonces, by account.
+    mapping(address => mapping(uint256 => bool)) public usedNonces;
+
+    /// @notice The decimals of the mark prices (see `getMarkPrice`).
+    uint8 public constant PRICE_DECIMALS = LeveragedAMMConstants.PRICE_DECIMALS;
+
+    /// @notice The mapping of the position triggers, by account, position ID of the pair and ID of the position.
+    mapping(address => mapping(bytes32 => mapping(uint256 => Trigger))) public triggers;
+
+    /// @notice The mapping of the price feeds of the pairs, which mark the positions for the margin checks.
+    mapping(address => mapping(address => PairOracle)) public pairOracles;
+
+    /// @notice The interval between two fundings of a pair (see `pokeFunding`).
+    uint256 public constant FUNDING_INTERVAL = LeveragedAMMConstants.FUNDING_INTERVAL;
+    /// @notice The maximum funding rate (in basis points) of an interval.
+    uint256 public constant MAX_FUNDING_RATE_BPS = LeveragedAMMConstants.MAX_FUNDING_RATE_BPS;
+
+    /// @notice The mapping of the funding state of the pairs.
+    mapping(address => mapping(address => PairFunding)) public pairFunding;
+    /// @notice The mapping of the funding paid by the positions of the pairs (token A), from which the funding
+    ///  received is paid.
+    mapping(address => mapping(address => uint256)) public fundingPools;
+
+    constructor() Ownable(msg.sender) EIP712("LeveragedAMMExchange", "1") {}
+
     /* ================== Modifiers ================== */
 
     modifier isValidLeverage(uint8 leverage) {
@@ -36,6 +95,11 @@ abstract contract LeveragedAMMExchange is ILeveragedAMMExchange, ReentrancyGuard
         _;
     }
 
+    modifier isValidDeadline(uint256 deadline) {
+        if (deadline != 0 && block.timestamp > deadline) revert OrderExpired(deadline);
+        _;
+    }
+
     /* ================== External Functions ================== */
 
     /// @notice Deposit collateral tokens to the contract.
@@ -48,6 +112,7 @@ abstract contract LeveragedAMMExchange is ILeveragedAMMExchange, ReentrancyGuard
     }
 
     /// @notice Withdraw collateral tokens from the contract.
+    /// @dev In CROSS mode, the margin must still cover the positions of the account (see `_checkWithdrawal`).
     /// @param collateralToken The address of the collateral token.
     /// @param amount The amount of collateral tokens to withdraw.
     function withdraw(address collateralToken, uint256 amount) external nonReentrant {
@@ -55,61 +120,476 @@ abstract contract LeveragedAMMExchange is ILeveragedAMMExchange, ReentrancyGuard
         if (balance < amount) revert InsufficientAmount(balance);
 
         balances[msg.sender][collateralToken] -= amount;
+        _checkWithdrawal(msg.sender, collateralToken);
         IERC20Metadata(collateralToken).transfer(msg.sender, amount);
         emit Withdraw(msg.sender, collateralToken, amount);
     }
 
     /// @notice Create a pair of tokens.
+    /// @dev The reserves are pulled from the caller, who receives `sqrt(reserveA * reserveB) - MINIMUM_LIQUIDITY`
+    ///  shares.
     /// @param tokenA The address of token A.
     /// @param tokenB The address of token B.
     /// @param reserveA The reserve amount of token A.
     /// @param reserveB The reserve amount of token B.
     function createPair(address tokenA, address tokenB, uint256 reserveA, uint256 reserveB)
         external
+        nonReentrant
         isValidAmount(reserveA)
         isValidAmount(reserveB)
         isValidAddress(tokenA)
         isValidAddress(tokenB)
     {
-        uint256 tokenReserveA = pairs[tokenA][tokenB].reserveA;
-        uint256 tokenReserveB = pairs[tokenA][tokenB].reserveB;
-        if (tokenReserveA != 0 || tokenReserveB != 0) revert PairAlreadyExists();
-        tokenReserveA = pairs[tokenB][tokenA].reserveA;
-        tokenReserveB = pairs[tokenB][tokenA].reserveB;
-        if (tokenReserveA != 0 || tokenReserveB != 0) revert PairAlreadyExists();
-
-        string memory symbolA = IERC20Metadata(tokenA).symbol();
-        string memory symbolB = IERC20Metadata(tokenB).symbol();
-        string memory pairSymbol = string(abi.encodePacked(symbolB, "/", symbolA));
-        pairs[tokenA][tokenB] = Pair(pairSymbol, reserveA, reserveB); // NOTE: no transferFrom for simplicity
+        LeveragedAMMLiquidity.createPair(
+            pairs, pairBalances, totalShares, liquidity, tokenA, tokenB, reserveA, reserveB
+        );
         pairCount++;
     }
 
     /// @notice Add reserves to a pair of tokens.
+    /// @dev The shares minted are valued at the smaller of the two ratios `amount / reserve`: the excess of the other
+    ///  token is donated to the pair (adding a skewed amount moves the price).
     /// @param tokenA The address of token A.
     /// @param tokenB The address of token B.
     /// @param amountA The amount of token A to add to the reserve.
     /// @param amountB The amount of token B to add to the reserve.
     function addReserves(address tokenA, address tokenB, uint256 amountA, uint256 amountB)
         external
+        nonReentrant
         isValidAmount(amountA)
         isValidAmount(amountB)
         isValidAddress(tokenA)
         isValidAddress(tokenB)
     {
-        pairs[tokenA][tokenB].reserveA += amountA; // NOTE: no transferFrom for simplicity
-        pairs[tokenA][tokenB].reserveB += amountB;
+        LeveragedAMMLiquidity.addReserves(
+            pairs, pairBalances, totalShares, liquidity, tokenA, tokenB, amountA, amountB
+        );
+    }
+
+    /// @notice Remove reserves from a pair of tokens by burning LP shares.
+    /// @dev The provider is paid its share of the real tokens of the pair (see `pairBalances`), less the accrued fees,
+    ///  and not of the reserves: reserve A includes the virtual leveraged amounts of the open positions. The reserves
+    ///  shrink by the same share.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param shares The amount of LP shares to burn.
+    function removeReserves(address tokenA, address tokenB, uint256 shares)
+        external
+        nonReentrant
+        isValidAmount(shares)
+    {
+        LeveragedAMMLiquidity.removeReserves(
+            pairs, pairBalances, totalShares, liquidity, accruedFees, tokenA, tokenB, shares
+        );
+    }
+
+    /// @notice Set the swap fee of a pair (owner only).
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param feeBps The swap fee in basis points (at most `MAX_FEE_BPS`).
+    function setPairFee(address tokenA, address tokenB, uint256 feeBps)
+        external
+        onlyOwner
+        isValidAddress(tokenA)
+        isValidAddress(tokenB)
+    {
+        if (feeBps > MAX_FEE_BPS) revert InvalidFee(feeBps);
+        pairFees[tokenA][tokenB] = feeBps;
+        emit PairFeeUpdated(tokenA, tokenB, feeBps);
+    }
+
+    /// @notice Set (or remove) the price feed of a pair, with its staleness and deviation guards (owner only).
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param feed The aggregator of the price of token B in token A (address(0) to mark at the pair reserves).
+    /// @param maxStaleness The maximum age (seconds) of the feed answer (0: no bound).
+    /// @param maxDeviationBps The maximum spread between the feed price and the pair price (0: no bound).
+    function setPairOracle(address tokenA, address tokenB, address feed, uint256 maxStaleness, uint256 maxDeviationBps)
+        external
+        onlyOwner
+        isValidAddress(tokenA)
+        isValidAddress(tokenB)
+    {
+        pairOracles[tokenA][tokenB] =
+            PairOracle({feed: feed, maxStaleness: maxStaleness, maxDeviationBps: maxDeviationBps});
+        emit PairOracleUpdated(tokenA, tokenB, feed, maxStaleness, maxDeviationBps);
+    }
+
+    /// @notice Accrue the funding of a pair for the interval that just ended (see `PairFunding`).
+    /// @dev Anyone (a keeper) can poke the funding, once per `FUNDING_INTERVAL`. The rate of the current premium
+    ///  accrues once, for the last elapsed interval: the intervals missed before it accrue nothing, as their premium
+    ///  is unknown. The positions settle their funding when they are reduced, closed or liquidated, and are marked
+    ///  with it for the margin checks.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    function pokeFunding(address tokenA, address tokenB) external {
+        if (totalShares[tokenA][tokenB] == 0) revert PairNotFound();
+        LeveragedAMMOracle.pokeFunding(pairs, pairOracles, pairFunding, tokenA, tokenB);
+    }
+
+    /// @notice Collect the swap fees accrued by a pair to the deposit balance of a recipient (owner only).
+    /// @dev The fees accrue on the leveraged amounts, which no token backs: they are paid from the real tokens of the
+    ///  pair (see `pairBalances`), at most all its token A. The rest stays accrued.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param recipient The address credited with the fees (in token A).
+    function collectFees(address tokenA, address tokenB, address recipient)
+        external
+        onlyOwner
+        isValidAddress(recipient)
+    {
+        uint256 fees = accruedFees[tokenA][tokenB];
+        PairBalance storage pairBalance = pairBalances[tokenA][tokenB];
+        uint256 amount = Math.min(fees, pairBalance.amountA);
+        accruedFees[tokenA][tokenB] = fees - amount;
+        pairBalance.amountA -= amount;
+        balances[recipient][tokenA] += amount; // NOTE: the fees are held by the contract, withdraw() pays them out
+        emit FeesCollected(tokenA, tokenB, recipient, amount);
+    }
+
+    /// @notice Swap tokens with leverage.
+    /// @param swapOrder The order to swap tokens.
+    function swap(Order calldata swapOrder) external {
+        _swap(msg.sender, swapOrder);
+    }
+
+    /// @notice Execute the limit order of an account, once the pair price reached its limit price.
+    /// @dev Anyone (a relayer) can execute a valid order (see `verifyLimitOrder`), which uses up its nonce. The swap
+    ///  is made for the account, from its deposit balance. A reducing order must follow the side of the position.
+    /// @param order The limit order.
+    /// @param signature The EIP-712 signature of the order by its account.
+    function executeLimitOrder(LimitOrder calldata order, bytes calldata signature) external nonReentrant {
+        bytes32 orderHash = verifyLimitOrder(order, signature);
+        if (order.reducePosition) {
+            bytes32 positionId = keccak256(abi.encodePacked(order.tokenA, order.tokenB));
+            if (_getPosition(order.account, positionId, order.closePosId).side != order.side) {
+                revert InvalidPositionSide();
+            }
+        }
+        // NOTE: buying token B (opening a long, reducing a short) executes at or below the limit price
+        uint256 price = getPairPrice(order.tokenA, order.tokenB);
+        bool buying = (order.side == Side.LONG) != order.reducePosition;
+        if (buying ? price > order.limitPrice : price < order.limitPrice) {
+            revert LimitPriceNotReached(price, order.limitPrice);
+        }
+
+        usedNonces[order.account][order.nonce] = true;
+        _swap(
+            order.account,
+            Order({
+                tokenA: order.tokenA,
+                tokenB: order.tokenB,
+                amount: order.amount,
+                leverage: order.leverage,
+                positionMode: _getPositionMode(),
+                reducePosition: order.reducePosition,
+                closePosition: order.reducePosition,
+                closePosId: order.closePosId,
+                minAmountOut: order.minAmountOut,
+                maxAmountIn: order.maxAmountIn,
+                deadline: order.deadline,
+                side: order.side
+            })
+        );
+        emit LimitOrderExecuted(order.account, msg.sender, orderHash, order.nonce, price);
+    }
+
+    /// @notice Cancel the limit orders of the caller with a nonce, so that they can no longer be executed.
+    /// @param nonce The nonce of the orders.
+    function cancelLimitOrder(uint256 nonce) external {
+        if (usedNonces[msg.sender][nonce]) revert NonceAlreadyUsed(nonce);
+        usedNonces[msg.sender][nonce] = true;
+        emit LimitOrderCancelled(msg.sender, nonce);
+    }
+
+    /// @notice Set (or remove) the stop-loss and take-profit prices of a position of the caller.
+    /// @dev Reverts with `InvalidTriggerPrice` if a price is already reached at the current mark price, so that it
+    ///  would close the position right away. Setting both prices to 0 removes the triggers.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    /// @param stopLossPrice The stop-loss mark price (0: not set).
+    /// @param takeProfitPrice The take-profit mark price (0: not set).
+    function setTrigger(address tokenA, address tokenB, uint256 posId, uint256 stopLossPrice, uint256 takeProfitPrice)
+        external
+    {
+        bytes32 positionId = keccak256(abi.encodePacked(tokenA, tokenB));
+        Position memory position = _getPosition(msg.sender, positionId, posId);
+        Trigger memory trigger = Trigger({stopLossPrice: stopLossPrice, takeProfitPrice: takeProfitPrice});
+        if (stopLossPrice != 0 || takeProfitPrice != 0) {
+            uint256 markPrice = _getMarkPrice(tokenA, tokenB, position);
+            (bool reached,) = _isTriggerReached(position.side, trigger, markPrice);
+            if (reached) revert InvalidTriggerPrice(markPrice);
+        }
+        triggers[msg.sender][positionId][posId] = trigger;
+        emit TriggerUpdated(msg.sender, tokenA, tokenB, posId, stopLossPrice, takeProfitPrice);
+    }
+
+    /// @notice Close the whole position of an account once its mark price reached a trigger price.
+    /// @dev Anyone (a keeper) can execute a reached trigger, which is removed. The position is settled with the pair
+    ///  as a reduce (CROSS mode) or a close (ISOLATED mode) of its whole value, for the account.
+    /// @param account The address of the account owning the position.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    function executeTrigger(address account, address tokenA, address tokenB, uint256 posId) external nonReentrant {
+        bytes32 positionId = keccak256(abi.encodePacked(tokenA, tokenB));
+        Position memory position = _getPosition(account, positionId, posId);
+        Trigger memory trigger = triggers[account][positionId][posId];
+        if (trigger.stopLossPrice == 0 && trigger.takeProfitPrice == 0) revert TriggerNotSet();
+        uint256 markPrice = _getMarkPrice(tokenA, tokenB, position);
+        (bool reached, TriggerType triggerType) = _isTriggerReached(position.side, trigger, markPrice);
+        if (!reached) revert TriggerNotReached(markPrice);
+
+        delete triggers[account][positionId][posId];
+        _closePosition(account, tokenA, tokenB, posId, position.positionValue);
+        emit TriggerExecuted(account, tokenA, tokenB, posId, msg.sender, triggerType, markPrice);
+    }
+
+    /// @notice Liquidate a position whose margin ratio fell to the maintenance margin.
+    /// @dev The position is sold to the pair, its debt is repaid, and the liquidator is rewarded from the equity.
+    ///  With a price feed, the margin ratio is checked at the feed price (see `getPositionMarginRatio`).
+    /// @param account The address of the account owning the position.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    function liquidate(address account, address tokenA, address tokenB, uint256 posId) external nonReentrant {
+        bytes32 positionId = keccak256(abi.encodePacked(tokenA, tokenB));
+        Position memory position = _getPosition(account, positionId, posId);
+        uint256 freeCollateral = _getFreeCollateral(account, tokenA);
+        (,,, uint256 marginRatio) = _getPositionMargin(position, tokenA, tokenB, freeCollateral, true);
+        if (marginRatio > MAINTENANCE_MARGIN_BPS) revert PositionNotLiquidatable(marginRatio);
+
+        // NOTE: the position is settled at the pair reserves, within the deviation guard of the feed price, and its
+        //  funding is settled from what is left of its equity
+        (uint256 returnedAmount, uint256 debt, uint256 equity,) =
+            _getPositionMargin(position, tokenA, tokenB, freeCollateral, false);
+
+        // NOTE: the reward is a share of the amount settled with the pair (the buyback cost for a short)
+        uint256 reward = ((position.side == Side.LONG ? returnedAmount : debt) * LIQUIDATION_REWARD_BPS) / BPS;
+        if (reward > equity) reward = equity; // NOTE: no reward from bad debt
+
+        (,, uint256 fee) = _settlePosition(tokenA, tokenB, position, position.positionValue);
+        _removePosition(account, tokenA, tokenB, posId);
+        balances[msg.sender][tokenA] += _payFromPair(tokenA, tokenB, position.collateralAmount, reward);
+        // NOTE: what the position owes beyond its returned amount is charged to the free collateral (all of it with
+        //  bad debt), for the pair
+        uint256 owed = debt + reward;
+        if (returnedAmount >= owed) {
+            balances[account][tokenA] += _payFromPair(tokenA, tokenB, 0, returnedAmount - owed);
+        } else if (freeCollateral != 0) {
+            pairBalances[tokenA][tokenB].amountA += _chargeFreeCollateral(account, tokenA, owed - returnedAmount);
+        }
+        _settleFunding(
+            account,
+            tokenA,
+            tokenB,
+            posId,
+            _getFunding(tokenA, tokenB, position),
+            Math.min(equity - reward, balances[account][tokenA])
+        );
+
+        emit Liquidate(
+            msg.sender,
+            account,
+            tokenA,
+            tokenB,
+            position.positionValue,
+            returnedAmount,
+            debt,
+            reward,
+            position.leverage,
+            _getPositionMode(),
+            fee,
+            position.side
+        );
+    }
+
+    /// @notice Move collateral from the deposit balance to the margin of an open position.
+    /// @dev The margin lowers the debt of the position (at most down to 0), which raises its margin ratio.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    /// @param amount The amount of collateral tokens to add.
+    function addMargin(address tokenA, address tokenB, uint256 posId, uint256 amount)
+        external
+        nonReentrant
+        isValidAmount(amount)
+    {
+        uint256 balance = balances[msg.sender][tokenA];
+        if (balance < amount) revert InsufficientAmount(balance);
+        Position storage position = _getPosition(msg.sender, keccak256(abi.encodePacked(tokenA, tokenB)), posId);
+        uint256 debt = position.collateralWorthValue - position.collateralAmount;
+        if (amount > debt) revert InvalidMarginAmount(debt);
+
+        balances[msg.sender][tokenA] = balance - amount;
+        position.collateralAmount += amount;
+        emit MarginAdded(msg.sender, tokenA, tokenB, posId, amount);
     }
 
-    function swap(Order calldata swapOrder) external virtual;
+    /// @notice Move margin from an open position back to the deposit balance.
+    /// @dev Only the margin above the initial margin (`collateralWorthValue / leverage`) can be removed, and the
+    ///  margin ratio of the position must stay above the maintenance margin.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    /// @param amount The amount of collateral tokens to remove.
+    function removeMargin(address tokenA, address tokenB, uint256 posId, uint256 amount)
+        external
+        nonReentrant
+        isValidAmount(amount)
+    {
+        Position storage position = _getPosition(msg.sender, keccak256(abi.encodePacked(tokenA, tokenB)), posId);
+        uint256 addedMargin = _getAddedMargin(position, position.positionValue);
+        if (amount > addedMargin) revert InvalidMarginAmount(addedMargin);
+
+        position.collateralAmount -= amount;
+        balances[msg.sender][tokenA] += amount;
+        (,,, uint256 marginRatio) =
+            _getPositionMargin(position, tokenA, tokenB, _getFreeCollateral(msg.sender, tokenA), true);
+        if (marginRatio <= MAINTENANCE_MARGIN_BPS) revert InsufficientMargin(marginRatio);
+        emit MarginRemoved(msg.sender, tokenA, tokenB, posId, amount);
+    }
 
     /* ================== External View Functions ================== */
 
+    /// @notice Get the withdrawable amounts of the LP shares of a provider.
+    /// @param provider The address of the liquidity provider.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @return The amounts of token A and token B that `removeReserves` would pay for all the shares.
+    function getLiquidityValue(address provider, address tokenA, address tokenB)
+        external
+        view
+        returns (uint256, uint256)
+    {
+        uint256 total = totalShares[tokenA][tokenB];
+        if (total == 0) return (0, 0);
+
+        uint256 shares = liquidity[tokenA][tokenB][provider].shares;
+        PairBalance memory pairBalance = pairBalances[tokenA][tokenB];
+        uint256 fees = accruedFees[tokenA][tokenB];
+        uint256 amountA = pairBalance.amountA > fees ? (pairBalance.amountA - fees) * shares / total : 0;
+        return (amountA, pairBalance.amountB * shares / total);
+    }
+
+    /// @notice Get the position ID of the trading pair.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @return The position ID.
+    function getPositionId(address tokenA, address tokenB) external pure returns (bytes32) {
+        return keccak256(abi.encodePacked(tokenA, tokenB));
+    }
+
+    /// @notice Get the margin ratio of a position.
+    /// @param account The address of the account owning the position.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    /// @return The margin ratio in basis points.
+    function getPositionMarginRatio(address account, address tokenA, address tokenB, uint256 posId)
+        external
+        view
+        returns (uint256)
+    {
+        bytes32 positionId = keccak256(abi.encodePacked(tokenA, tokenB));
+        Position memory position = _getPosition(account, positionId, posId);
+        (,,, uint256 marginRatio) =
+            _getPositionMargin(position, tokenA, tokenB, _getFreeCollateral(account, tokenA), true);
+        return marginRatio;
+    }
+
+    /// @notice Get the collateral returned by selling (long) or buying back (short) an amount of a position.
+    /// @dev The margin added to the position is given back on top of it, pro rata.
+    /// @param account The address of the account owning the position.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    /// @param amount The amount of token B to sell (or buy back).
+    /// @return The returned collateral amount.
+    function getPositionReturn(address account, address tokenA, address tokenB, uint256 posId, uint256 amount)
+        external
+        view
+        returns (uint256)
+    {
+        Position memory position = _getPosition(account, keccak256(abi.encodePacked(tokenA, tokenB)), posId);
+        if (amount > position.positionValue) return 0; // NOTE: avoid exception
+        (uint256 amountIn,,) = _getSettlement(tokenA, tokenB, position, amount);
+        return amountIn;
+    }
+
+    /// @notice Get the funding rate of the next interval of a pair, at the current pair and feed prices.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @return The funding rate, with `PRICE_DECIMALS` decimals (positive: the longs pay the shorts).
+    function getFundingRate(address tokenA, address tokenB) external view returns (int256) {
+        return LeveragedAMMOracle.getFundingRate(pairs, pairOracles, tokenA, tokenB);
+    }
+
+    /// @notice Get the funding accrued by a position since it was last settled.
+    /// @param account The address of the account owning the position.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    /// @return The funding the position pays (positive) or receives (negative), in token A.
+    function getPositionFunding(address account, address tokenA, address tokenB, uint256 posId)
+        external
+        view
+        returns (int256)
+    {
+        Position memory position = _getPosition(account, keccak256(abi.encodePacked(tokenA, tokenB)), posId);
+        return _getFunding(tokenA, tokenB, position);
+    }
+
+    /// @notice Get the mark price of a position: the average price of settling all of it with the pair.
+    /// @dev The leveraged collateral returned by selling the token B of a long (`getAmountCollateralReturn`), or the
+    ///  cost of buying back the token B of a short, per token B. In token A per token B, with `PRICE_DECIMALS`
+    ///  decimals (the decimals of both tokens being normalized).
+    /// @param account The address of the account owning the position.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    /// @return The mark price (0 if the position cannot be settled).
+    function getMarkPrice(address account, address tokenA, address tokenB, uint256 posId)
+        external
+        view
+        returns (uint256)
+    {
+        Position memory position = _getPosition(account, keccak256(abi.encodePacked(tokenA, tokenB)), posId);
+        return _getMarkPrice(tokenA, tokenB, position);
+    }
+
+    /// @notice Get the stop-loss and take-profit prices of a position.
+    /// @param account The address of the account owning the position.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    /// @return The trigger prices (0 when not set).
+    function getTrigger(address account, address tokenA, address tokenB, uint256 posId)
+        external
+        view
+        returns (Trigger memory)
+    {
+        return triggers[account][keccak256(abi.encodePacked(tokenA, tokenB))][posId];
+    }
+
+    /// @notice Get the price of the feed of a pair, checked against its guards.
+    /// @dev Reverts with `InvalidOraclePrice` for a non-positive answer, `StaleOraclePrice` past the maximum
+    ///  staleness, and `OraclePriceDeviation` past the maximum spread with the pair price.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @return The price of token B in token A, with `PRICE_DECIMALS` decimals (0 without a feed).
+    function getOraclePrice(address tokenA, address tokenB) external view returns (uint256) {
+        return LeveragedAMMOracle.getOraclePrice(pairs, pairOracles, tokenA, tokenB);
+    }
+
+    /* ================== Public View Functions ================== */
+
     /// @notice Get the trading pair price of two tokens.
     /// @param tokenA The address of token A.
     /// @param tokenB The address of token B.
     /// @return The trading pair price.
-    function getPairPrice(address tokenA, address tokenB) external view returns (uint256) {
+    function getPairPrice(address tokenA, address tokenB) public view returns (uint256) {
         Pair memory pair = pairs[tokenA][tokenB];
         uint256 decimalsTokenA = IERC20Metadata(tokenA).decimals();
         uint256 decimalsTokenB = IERC20Metadata(tokenB).decimals();
@@ -119,15 +599,21 @@ abstract contract LeveragedAMMExchange is ILeveragedAMMExchange, ReentrancyGuard
         return normalizedReserveA / normalizedReserveB;
     }
 
-    /// @notice Get the position ID of the trading pair.
-    /// @param tokenA The address of token A.
-    /// @param tokenB The address of token B.
-    /// @return The position ID.
-    function getPositionId(address tokenA, address tokenB) external pure returns (bytes32) {
-        return keccak256(abi.encodePacked(tokenA, tokenB));
+    /// @notice Verify the signature, the nonce and the expiry of a limit order (not its limit price).
+    /// @dev Reverts with `InvalidSignature`, `NonceAlreadyUsed` or `OrderExpired`.
+    /// @param order The limit order.
+    /// @param signature The EIP-712 signature of the order by its account.
+    /// @return The EIP-712 hash of the order.
+    function verifyLimitOrder(LimitOrder calldata order, bytes calldata signature) public view returns (bytes32) {
+        return LeveragedAMMLimitOrders.verifyLimitOrder(usedNonces, _domainSeparatorV4(), order, signature);
     }
 
-    /* ================== Public View Functions ================== */
+    /// @notice Get the EIP-712 hash of a limit order, as signed by its account.
+    /// @param order The limit order.
+    /// @return The hash of the order.
+    function hashLimitOrder(LimitOrder calldata order) public view returns (bytes32) {
+        return LeveragedAMMLimitOrders.hashLimitOrder(_domainSeparatorV4(), order);
+    }
 
     /// @notice Get the amount of token B from token A.
     /// @param tokenA The address of token A.
@@ -140,12 +626,8 @@ abstract contract LeveragedAMMExchange is ILeveragedAMMExchange, ReentrancyGuard
         view
         returns (uint256)
     {
-        Pair memory pair = pairs[tokenA][tokenB];
-        uint256 totalInput = amountIn * leverage;
-        uint256 newReserveA = pair.reserveA + totalInput;
-        if (newReserveA == 0) return 0; // NOTE: avoid exception
-        uint256 newReserveB = (pair.reserveA * pair.reserveB) / newReserveA;
-        return pair.reserveB - newReserveB;
+        (uint256 amountOut,) = _getAmountOutWithFee(tokenA, tokenB, amountIn * leverage);
+        return amountOut;
     }
 
     /// @notice Get the amount of token A to swap for token B.
@@ -159,11 +641,24 @@ abstract contract LeveragedAMMExchange is ILeveragedAMMExchange, ReentrancyGuard
         view
         returns (uint256)
     {
-        Pair memory pair = pairs[tokenA][tokenB];
-        if (pair.reserveB <= amountOut || leverage == 0) return 0; // NOTE: avoid exception
-        uint256 newReserveB = pair.reserveB - amountOut;
-        uint256 newReserveA = (pair.reserveA * pair.reserveB) / newReserveB;
-        return (newReserveA - pair.reserveA) / leverage;
+        if (leverage == 0) return 0; // NOTE: avoid exception
+        (uint256 totalInput,) = _getAmountInWithFee(tokenA, tokenB, amountOut);
+        return totalInput / leverage;
+    }
+
+    /// @notice Get the amount of token B sold when opening a short position.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param amountIn The amount of token A (collateral).
+    /// @param leverage The leverage to use.
+    /// @return The amount of token B to borrow and sell.
+    function getAmountShortFromIn(address tokenA, address tokenB, uint256 amountIn, uint8 leverage)
+        public
+        view
+        returns (uint256)
+    {
+        (uint256 amountOut,) = _getAmountSoldWithFee(tokenA, tokenB, amountIn * leverage);
+        return amountOut;
     }
 
     /// @notice Get the returned collateral amount when reducing/closing a position.
@@ -176,13 +671,372 @@ abstract contract LeveragedAMMExchange is ILeveragedAMMExchange, ReentrancyGuard
         public
         view
         returns (uint256, uint256)
+    {
+        if (leverage == 0) return (0, 0); // NOTE: avoid exception
+        (uint256 returnedAmount,) = _getAmountReturnedWithFee(tokenA, tokenB, amount);
+        return (returnedAmount, returnedAmount / leverage);
+    }
+
+    /* ================== Internal Functions ================== */
+
+    /// @notice Check the amounts of a swap against the slippage bounds of its order.
+    /// @param amountIn The amount paid (token A when opening, token B when selling).
+    /// @param amountOut The amount received (token B when opening, token A when selling).
+    /// @param minAmountOut The minimum amount received.
+    /// @param maxAmountIn The maximum amount paid (0: no bound).
+    function _checkSlippage(uint256 amountIn, uint256 amountOut, uint256 minAmountOut, uint256 maxAmountIn)
+        internal
+        pure
+    {
+        if (amountOut < minAmountOut) revert InsufficientAmountOut(amountOut, minAmountOut);
+        if (maxAmountIn != 0 && amountIn > maxAmountIn) revert ExcessiveAmountIn(amountIn, maxAmountIn);
+    }
+
+    /// @notice Swap the leveraged amount of a new position with the pair: buy token B (long), or borrow and sell it
+    ///  (short), checking the slippage bounds of the order.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param side The direction of the position.
+    /// @param amount The amount of token A (collateral).
+    /// @param leveragedAmount The leveraged amount of token A.
+    /// @param minAmountOut The minimum amount of token B received (long; 0 for a short, see `Order`).
+    /// @param maxAmountIn The maximum amount paid (token A for a long, token B for a short; 0: no bound).
+    /// @return amountOut The amount of token B bought (long) or sold (short), i.e. the position value.
+    /// @return fee The swap fee (token A).
+    function _openPosition(
+        address tokenA,
+        address tokenB,
+        Side side,
+        uint256 amount,
+        uint256 leveragedAmount,
+        uint256 minAmountOut,
+        uint256 maxAmountIn
+    ) internal returns (uint256 amountOut, uint256 fee) {
+        Pair storage pair = pairs[tokenA][tokenB];
+        if (side == Side.LONG) {
+            (amountOut, fee) = _getAmountOutWithFee(tokenA, tokenB, leveragedAmount);
+            if (amountOut == 0) revert InvalidTokenAmount();
+            _checkSlippage(amount, amountOut, minAmountOut, maxAmountIn);
+            pair.reserveA += leveragedAmount - fee;
+            pair.reserveB -= amountOut;
+        } else {
+            // NOTE: a short receives the leveraged amount it asks for, only the token B sold for it can slip
+            if (minAmountOut != 0) revert InvalidSlippageBound();
+            (amountOut, fee) = _getAmountSoldWithFee(tokenA, tokenB, leveragedAmount);
+            if (amountOut == 0) revert InvalidTokenAmount();
+            _checkSlippage(amountOut, 0, 0, maxAmountIn);
+            pair.reserveA -= leveragedAmount + fee;
+            pair.reserveB += amountOut;
+        }
+        accruedFees[tokenA][tokenB] += fee;
+    }
+
+    /// @notice Settle an amount of a position with the pair: sell its token B (long), or buy it back (short).
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param position The position (before it is reduced).
+    /// @param amount The amount of token B to settle.
+    /// @return amountIn The collateral returned to the account (before the added margin).
+    /// @return settledAmount The leveraged amount of token A returned by the pair (long) or paid to it (short).
+    /// @return fee The swap fee (token A).
+    function _settlePosition(address tokenA, address tokenB, Position memory position, uint256 amount)
+        internal
+        returns (uint256 amountIn, uint256 settledAmount, uint256 fee)
+    {
+        (amountIn, settledAmount, fee) = _getSettlement(tokenA, tokenB, position, amount);
+        if (settledAmount == 0) revert InvalidTokenAmount();
+        Pair storage pair = pairs[tokenA][tokenB];
+        if (position.side == Side.LONG) {
+            pair.reserveA -= settledAmount + fee;
+            pair.reserveB += amount;
+        } else {
+            pair.reserveA += settledAmount - fee;
+            pair.reserveB -= amount;
+        }
+        accruedFees[tokenA][tokenB] += fee;
+    }
+
+    /// @notice Settle the collateral of a position with the real tokens of the pair (see `pairBalances`): the pair
+    ///  takes the collateral the position releases, and pays the amount returned to a deposit balance.
+    /// @dev NOTE: a profit the pair cannot pay is not paid, so that it never draws on the deposits of the accounts.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param released The collateral released by the position.
+    /// @param amount The amount of token A returned.
+    /// @return paid The amount of token A paid (at most the real token A of the pair, with the released collateral).
+    function _payFromPair(address tokenA, address tokenB, uint256 released, uint256 amount)
+        internal
+        returns (uint256 paid)
+    {
+        PairBalance storage pairBalance = pairBalances[tokenA][tokenB];
+        uint256 available = pairBalance.amountA + released;
+        paid = amount < available ? amount : available;
+        pairBalance.amountA = available - paid;
+    }
+
+    /// @notice Get the amount of token B bought with token A, the swap fee being deducted from the input.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param totalInput The (leveraged) amount of token A to swap.
+    /// @return amountOut The amount of token B to receive.
+    /// @return fee The swap fee (token A), which does not enter the reserve.
+    function _getAmountOutWithFee(address tokenA, address tokenB, uint256 totalInput)
+        internal
+        view
+        returns (uint256 amountOut, uint256 fee)
+    {
+        Pair memory pair = pairs[tokenA][tokenB];
+        fee = (totalInput * pairFees[tokenA][tokenB]) / BPS;
+        uint256 newReserveA = pair.reserveA + totalInput - fee;
+        if (newReserveA == 0) return (0, fee); // NOTE: avoid exception
+        uint256 newReserveB = (pair.reserveA * pair.reserveB) / newReserveA;
+        amountOut = pair.reserveB - newReserveB;
+    }
+
+    /// @notice Get the amount of token A returned by selling token B, the swap fee being deducted from the output.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param amount The amount of token B to sell.
+    /// @return returnedAmount The (leveraged) amount of token A returned.
+    /// @return fee The swap fee (token A), which leaves the reserve with the returned amount.
+    function _getAmountReturnedWithFee(address tokenA, address tokenB, uint256 amount)
+        internal
+        view
+        returns (uint256 returnedAmount, uint256 fee)
     {
         Pair memory pair = pairs[tokenA][tokenB];
         uint256 newReserveB = pair.reserveB + amount;
-        if (newReserveB == 0 || leverage == 0) return (0, 0); // NOTE: avoid exception
+        if (newReserveB == 0) return (0, 0); // NOTE: avoid exception
         uint256 newReserveA = (pair.reserveA * pair.reserveB) / newReserveB;
         if (pair.reserveA <= newReserveA) return (0, 0); // NOTE: avoid exception
-        uint256 returnedAmount = pair.reserveA - newReserveA;
-        return (returnedAmount, returnedAmount / leverage);
+        uint256 grossAmount = pair.reserveA - newReserveA;
+        fee = (grossAmount * pairFees[tokenA][tokenB]) / BPS;
+        returnedAmount = grossAmount - fee;
+    }
+
+    /// @notice Get the amount of token A which buys an amount of token B, the swap fee being added to the input.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param amountOut The amount of token B to buy.
+    /// @return totalInput The (leveraged) amount of token A to pay, including the fee (0 if the pair has too little).
+    /// @return fee The swap fee (token A), which does not enter the reserve.
+    function _getAmountInWithFee(address tokenA, address tokenB, uint256 amountOut)
+        internal
+        view
+        returns (uint256 totalInput, uint256 fee)
+    {
+        Pair memory pair = pairs[tokenA][tokenB];
+        if (pair.reserveB <= amountOut) return (0, 0); // NOTE: avoid exception
+        uint256 newReserveB = pair.reserveB - amountOut;
+        uint256 newReserveA = (pair.reserveA * pair.reserveB) / newReserveB;
+        totalInput = ((newReserveA - pair.reserveA) * BPS) / (BPS - pairFees[tokenA][tokenB]);
+        fee = totalInput - (newReserveA - pair.reserveA);
+    }
+
+    /// @notice Get the amount of token B to sell for an amount of token A, the swap fee being deducted from the output.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param returnedAmount The (leveraged) amount of token A to receive, after the fee.
+    /// @return amount The amount of token B to sell (0 if the pair has too little).
+    /// @return fee The swap fee (token A), which leaves the reserve with the returned amount.
+    function _getAmountSoldWithFee(address tokenA, address tokenB, uint256 returnedAmount)
+        internal
+        view
+        returns (uint256 amount, uint256 fee)
+    {
+        Pair memory pair = pairs[tokenA][tokenB];
+        uint256 grossAmount = (returnedAmount * BPS) / (BPS - pairFees[tokenA][tokenB]);
+        if (pair.reserveA <= grossAmount) return (0, 0); // NOTE: avoid exception
+        uint256 newReserveA = pair.reserveA - grossAmount;
+        amount = (pair.reserveA * pair.reserveB) / newReserveA - pair.reserveB;
+        fee = grossAmount - returnedAmount;
+    }
+
+    /// @notice Get the settlement of an amount of a position with the pair (see `_settlePosition`).
+    /// @dev A long returns `settledAmount / leverage`. A short returns its share of the collateral worth value,
+    ///  plus the gain (or minus the loss) of buying back its token B, divided by the leverage in the same way:
+    ///  `(2 * worthValue - cost) / leverage`, or 0 if the cost is more than twice the worth value.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param position The position.
+    /// @param amount The amount of token B to settle.
+    /// @return amountIn The collateral returned to the account (before the added margin).
+    /// @return settledAmount The leveraged amount of token A returned by the pair (long) or paid to it (short).
+    /// @return fee The swap fee (token A).
+    function _getSettlement(address tokenA, address tokenB, Position memory position, uint256 amount)
+        internal
+        view
+        returns (uint256 amountIn, uint256 settledAmount, uint256 fee)
+    {
+        if (position.side == Side.LONG) {
+            (settledAmount, fee) = _getAmountReturnedWithFee(tokenA, tokenB, amount);
+            amountIn = settledAmount / position.leverage;
+        } else {
+            (settledAmount, fee) = _getAmountInWithFee(tokenA, tokenB, amount);
+            uint256 worthValue = (position.collateralWorthValue * amount) / position.positionValue;
+            if (2 * worthValue > settledAmount) amountIn = (2 * worthValue - settledAmount) / position.leverage;
+        }
+    }
+
+    /// @notice Get the mark price of a position (see `getMarkPrice`).
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param position The position.
+    /// @return The mark price (0 if the position cannot be settled).
+    function _getMarkPrice(address tokenA, address tokenB, Position memory position) internal view returns (uint256) {
+        return LeveragedAMMOracle.getMarkPrice(tokenA, tokenB, position);
+    }
+
+    /// @notice Check the trigger prices of a position at a mark price, the stop-loss first.
+    /// @param side The direction of the position.
+    /// @param trigger The trigger prices of the position.
+    /// @param markPrice The mark price of the position.
+    /// @return reached Whether a trigger price is reached.
+    /// @return triggerType The kind of the reached trigger.
+    function _isTriggerReached(Side side, Trigger memory trigger, uint256 markPrice)
+        internal
+        pure
+        returns (bool reached, TriggerType triggerType)
+    {
+        // NOTE: a long loses when the price falls, a short when it rises
+        bool long = side == Side.LONG;
+        uint256 stopLoss = trigger.stopLossPrice;
+        uint256 takeProfit = trigger.takeProfitPrice;
+        if (stopLoss != 0 && (long ? markPrice <= stopLoss : markPrice >= stopLoss)) {
+            return (true, TriggerType.STOP_LOSS);
+        }
+        if (takeProfit != 0 && (long ? markPrice >= takeProfit : markPrice <= takeProfit)) {
+            return (true, TriggerType.TAKE_PROFIT);
+        }
+    }
+
+    /// @notice Get the share of the margin added above the initial margin (`collateralWorthValue / leverage`) of a
+    ///  position that is settled by selling an amount of it.
+    /// @param position The position.
+    /// @param amount The amount of token B sold (all the added margin for the whole position value).
+    /// @return The added margin (token A) to give back.
+    function _getAddedMargin(Position storage position, uint256 amount) internal view returns (uint256) {
+        uint256 positionValue = position.positionValue;
+        if (positionValue == 0) return 0;
+        uint256 initialMargin = position.collateralWorthValue / position.leverage;
+        if (position.collateralAmount <= initialMargin) return 0;
+        uint256 addedMargin = position.collateralAmount - initialMargin;
+        return amount >= positionValue ? addedMargin : (addedMargin * amount) / positionValue;
+    }
+
+    /// @notice Get the funding accrued by a position since it was last settled (see `getPositionFunding`).
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param position The position.
+    /// @return The funding the position pays (positive) or receives (negative), in token A.
+    function _getFunding(address tokenA, address tokenB, Position memory position) internal view returns (int256) {
+        return LeveragedAMMOracle.getFunding(pairFunding, tokenA, tokenB, position);
+    }
+
+    /// @notice Settle the funding of a position with the pair (see `LeveragedAMMOracle.settleFunding`).
+    /// @param account The address of the account owning the position.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    /// @param funding The funding accrued by the position (see `_getFunding`).
+    /// @param available The amount of the deposit balance the funding can be paid from.
+    /// @return The funding left unsettled (see `_resetFundingIndex`).
+    function _settleFunding(
+        address account,
+        address tokenA,
+        address tokenB,
+        uint256 posId,
+        int256 funding,
+        uint256 available
+    ) internal returns (int256) {
+        return LeveragedAMMOracle.settleFunding(
+            balances, fundingPools, account, tokenA, tokenB, posId, funding, available
+        );
+    }
+
+    /// @notice Move the funding index of a position to the cumulative index of the pair, less the funding it left
+    ///  unsettled (see `LeveragedAMMOracle.resetFundingIndex`).
+    /// @dev Called once the worth value of the position is updated, which the funding is accrued on.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param position The position.
+    /// @param unsettled The funding left unsettled (see `_settleFunding`).
+    function _resetFundingIndex(address tokenA, address tokenB, Position storage position, int256 unsettled)
+        internal
+    {
+        LeveragedAMMOracle.resetFundingIndex(pairFunding, tokenA, tokenB, position, unsettled);
+    }
+
+    /// @notice Get the equity and the margin ratio of a position (see `LeveragedAMMOracle.getPositionMargin`).
+    /// @param position The position.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param freeCollateral The free collateral backing the position (see `_getFreeCollateral`).
+    /// @param marked Whether to mark the position: at the feed price of the pair (if any), with its accrued funding.
+    /// @return returnedAmount The amount of token A the position settles from.
+    /// @return debt The amount of token A the position owes.
+    /// @return equity The equity backing the position (0 with bad debt).
+    /// @return marginRatio The margin ratio in basis points (0 if nothing can be settled).
+    function _getPositionMargin(
+        Position memory position,
+        address tokenA,
+        address tokenB,
+        uint256 freeCollateral,
+        bool marked
+    ) internal view returns (uint256 returnedAmount, uint256 debt, uint256 equity, uint256 marginRatio) {
+        return LeveragedAMMOracle.getPositionMargin(
+            pairs, pairOracles, pairFunding, position, tokenA, tokenB, freeCollateral, marked
+        );
     }
+
+    /// @notice Get an open position of an account (reverts with `PositionNotFound` otherwise).
+    function _getPosition(address account, bytes32 positionId, uint256 posId)
+        internal
+        view
+        virtual
+        returns (Position storage);
+
+    /// @notice Swap tokens with leverage for an account (see `swap`).
+    /// @param account The address of the account.
+    /// @param swapOrder The order to swap tokens.
+    function _swap(address account, Order memory swapOrder) internal virtual;
+
+    /// @notice Reduce (CROSS mode) or close (ISOLATED mode) an amount of a position for an account, as a swap
+    ///  order without slippage bounds would.
+    /// @param account The address of the account.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    /// @param amount The amount of token B to sell (or buy back).
+    function _closePosition(address account, address tokenA, address tokenB, uint256 posId, uint256 amount)
+        internal
+        virtual;
+
+    /// @notice Remove a position of an account (and its triggers).
+    function _removePosition(address account, address tokenA, address tokenB, uint256 posId) internal virtual;
+
+    /// @notice Get the free collateral backing the positions of an account with a token A.
+    function _getFreeCollateral(address account, address collateralToken) internal view virtual returns (uint256);
+
+    /// @notice Charge the free collateral used up by a liquidation to an account: its deposit balance of token A, at
+    ///  most all of it by default.
+    /// @param account The address of the account.
+    /// @param tokenA The address of token A.
+    /// @param amount The amount of token A to charge.
+    /// @return paid The amount of token A paid.
+    function _chargeFreeCollateral(address account, address tokenA, uint256 amount)
+        internal
+        virtual
+        returns (uint256 paid)
+    {
+        uint256 balance = balances[account][tokenA];
+        paid = Math.min(amount, balance);
+        balances[account][tokenA] = balance - paid;
+    }
+
+    /// @notice Check the account once a collateral is withdrawn from its deposit balance (nothing to check by default).
+    function _checkWithdrawal(address account, address collateralToken) internal view virtual {}
+
+    /// @notice Get the mode of the positions of the exchange.
+    function _getPositionMode() internal pure virtual returns (Mode);
 }
@@ -1,8 +1,9 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
 import {LeveragedAMMExchange} from "./LeveragedAMMExchange.sol";
+import {LeveragedAMMMarginPool} from "./LeveragedAMMMarginPool.sol";
 
 /// @title Leveraged AMM Exchange contract in cross margin mode.
 /// @notice This contract is a simplified version of a leveraged AMM exchange.
@@ -12,35 +13,51 @@ import {LeveragedAMMExchange} from "./LeveragedAMMExchange.sol";
 ///  Users can open and reduce position in cross margin mode.
 ///   In cross margin mode, the user's position is shared across all token swaps.
 ///     `OPEN`: buy tokens, `REDUCE`: sell tokens (part of or all).
+///   The position of a pair is either long or short: the other side can be opened once it is fully reduced.
+///   The deposit balances of the listed collaterals are valued with haircuts into one margin pool, which the
+///   positions of every pair whose token A is listed draw on (see `getAccountSummary`), in the margin checks as well
+///   (see `getFreeCollateral`). The margin pool is an external library (`LeveragedAMMMarginPool`).
 contract LeveragedAMMExchangeCrossMode is LeveragedAMMExchange {
     /* ================== State Varaibles ================== */
 
     /// @notice The mapping of user positions in cross mode.
     mapping(address => mapping(bytes32 => Position)) public positionCross;
 
+    /// @notice The mapping of the collateral tokens listed for the margin pool of the accounts (see `setCollateral`).
+    mapping(address => Collateral) public collaterals;
+
+    /// @notice The listed collateral tokens (see the `CollateralUpdated` events).
+    mapping(address => bool) internal isCollateral;
+    address[] internal collateralTokens;
+
+    /// @notice The mapping of the tokens B the accounts opened a position on, by token A (once each).
+    /// @dev The tokens stay listed once their position is closed (bounded by the number of pairs).
+    mapping(address => mapping(address => address[])) internal crossTargets;
+    mapping(address => mapping(bytes32 => bool)) internal isCrossTarget;
+
     constructor() {}
 
     /* ================== External Functions ================== */
 
-    /// @notice Swap tokens with leverage.
-    /// @param swapOrder The order to swap tokens.
-    function swap(Order calldata swapOrder)
+    /// @notice List a collateral token for the margin pool of the accounts, or update its feed and haircut (owner
+    ///  only).
+    /// @dev A listed token stays listed: a haircut of 100% (`BPS`) stops it from counting as margin.
+    /// @param token The address of the collateral token.
+    /// @param feed The aggregator of the price of the token in the common unit (address(0): at par).
+    /// @param maxStaleness The maximum age (seconds) of the feed answer (0: no bound).
+    /// @param haircutBps The share (in basis points) of the value of the token which does not count as margin.
+    function setCollateral(address token, address feed, uint256 maxStaleness, uint256 haircutBps)
         external
-        override
-        isValidLeverage(swapOrder.leverage)
-        isValidAmount(swapOrder.amount)
-        isValidAddress(swapOrder.tokenA)
-        isValidAddress(swapOrder.tokenB)
+        onlyOwner
+        isValidAddress(token)
     {
-        uint256 balance = balances[msg.sender][swapOrder.tokenA];
-        if (balance < swapOrder.amount) revert InsufficientAmount(balance);
-        if (swapOrder.positionMode == Mode.CROSS) {
-            if (!swapOrder.reducePosition) {
-                _swapCrossOpen(swapOrder.tokenA, swapOrder.tokenB, swapOrder.amount);
-            } else {
-                _swapCrossReduce(swapOrder.tokenA, swapOrder.tokenB, swapOrder.amount);
-            }
+        if (haircutBps > BPS) revert InvalidHaircut(haircutBps);
+        if (!isCollateral[token]) {
+            isCollateral[token] = true;
+            collateralTokens.push(token);
         }
+        collaterals[token] = Collateral({feed: feed, maxStaleness: maxStaleness, haircutBps: haircutBps});
+        emit CollateralUpdated(token, feed, maxStaleness, haircutBps);
     }
 
     /* ================== External View Functions ================== */
@@ -52,7 +69,7 @@ contract LeveragedAMMExchangeCrossMode is LeveragedAMMExchange {
     /// @return The worth value of the position.
     function getPositionWorthValue(address account, address tokenA, address tokenB) external view returns (uint256) {
         bytes32 positionId = keccak256(abi.encodePacked(tokenA, tokenB));
-        Position memory posCross = positionCross[account][positionId];
+        Position storage posCross = positionCross[account][positionId];
         uint256 collateralWorthPositionValue = posCross.collateralWorthValue;
         return collateralWorthPositionValue;
     }
@@ -71,69 +88,290 @@ contract LeveragedAMMExchangeCrossMode is LeveragedAMMExchange {
         return positionCross[account][positionId];
     }
 
+    /// @notice Get the free collateral backing the positions of an account with a token A (see
+    ///  `getPositionMarginRatio`).
+    /// @dev With token A listed as a collateral, the deposit balances of the margin pool less their haircuts, in
+    ///  token A. Otherwise, the deposit balance of token A.
+    /// @param account The address of the account.
+    /// @param tokenA The address of token A.
+    /// @return The free collateral.
+    function getFreeCollateral(address account, address tokenA) external view returns (uint256) {
+        return _getFreeCollateral(account, tokenA);
+    }
+
     /* ================== Public View Functions ================== */
 
     /// @notice Get the remaining value of an account.
+    /// @dev With token A listed as a collateral, the remaining value of the margin pool of the account (see
+    ///  `getAccountSummary`), in token A. Otherwise, the deposit balance of token A backs the position of the pair
+    ///  alone.
     /// @param account The address of the account.
     /// @param tokenA The address of token A.
     /// @param tokenB The address of token B.
     /// @return The remaining value of the account.
     function getAccountRemainingValue(address account, address tokenA, address tokenB) public view returns (uint256) {
+        if (isCollateral[tokenA]) {
+            return LeveragedAMMMarginPool.getRemainingValue(
+                balances, collaterals, collateralTokens, crossTargets, positionCross, account, tokenA
+            );
+        }
         bytes32 positionId = keccak256(abi.encodePacked(tokenA, tokenB));
-        Position memory posCross = positionCross[account][positionId];
+        Position storage posCross = positionCross[account][positionId];
         uint256 depositedAmount = balances[account][tokenA];
         if (posCross.positionValue > 0) depositedAmount += posCross.collateralAmount;
         return depositedAmount * MAX_LEVERAGE - posCross.collateralWorthValue;
     }
 
+    /// @notice Get the totals of the margin pool of an account: the values of its listed collaterals (less their
+    ///  haircuts) and of the positions drawing on them, with their unrealized PnL.
+    /// @dev The positions of a pair whose token A is not listed are not counted.
+    /// @param account The address of the account.
+    /// @return The totals (see `AccountSummary`).
+    function getAccountSummary(address account) public view returns (AccountSummary memory) {
+        return LeveragedAMMMarginPool.getAccountSummary(
+            balances, collaterals, collateralTokens, crossTargets, positionCross, account
+        );
+    }
+
     /* ================== Internal Functions ================== */
 
+    /// @notice Swap tokens with leverage for an account (see `swap`).
+    /// @param account The address of the account.
+    /// @param swapOrder The order to swap tokens.
+    function _swap(address account, Order memory swapOrder)
+        internal
+        override
+        isValidLeverage(swapOrder.leverage)
+        isValidAmount(swapOrder.amount)
+        isValidAddress(swapOrder.tokenA)
+        isValidAddress(swapOrder.tokenB)
+        isValidDeadline(swapOrder.deadline)
+    {
+        if (swapOrder.positionMode == Mode.CROSS) {
+            if (!swapOrder.reducePosition) {
+                // NOTE: a reduce order sells an amount of token B
+                uint256 balance = balances[account][swapOrder.tokenA];
+                if (balance < swapOrder.amount) revert InsufficientAmount(balance);
+                _swapCrossOpen(
+                    account,
+                    swapOrder.tokenA,
+                    swapOrder.tokenB,
+                    swapOrder.amount,
+                    swapOrder.side,
+                    swapOrder.minAmountOut,
+                    swapOrder.maxAmountIn
+                );
+            } else {
+                _swapCrossReduce(
+                    account,
+                    swapOrder.tokenA,
+                    swapOrder.tokenB,
+                    swapOrder.amount,
+                    swapOrder.minAmountOut,
+                    swapOrder.maxAmountIn
+                );
+            }
+        }
+    }
+
     /// @notice Swap tokens in cross mode (open position).
+    /// @dev Reverts with `InvalidPositionSide` if the position is open on the other side. The funding accrued by the
+    ///  position is settled from the deposit balance (less the amount swapped) before it grows, and what it cannot pay
+    ///  stays accrued on the position (see `_resetFundingIndex`).
+    /// @param account The address of the account.
     /// @param tokenA The address of token A.
     /// @param tokenB The address of token B.
     /// @param amount The amount of token A to swap.
-    function _swapCrossOpen(address tokenA, address tokenB, uint256 amount) internal {
+    /// @param side The direction of the position.
+    /// @param minAmountOut The minimum amount of token B received (long; 0 for a short, see `Order`).
+    /// @param maxAmountIn The maximum amount paid (token A for a long, token B for a short; 0: no bound).
+    function _swapCrossOpen(
+        address account,
+        address tokenA,
+        address tokenB,
+        uint256 amount,
+        Side side,
+        uint256 minAmountOut,
+        uint256 maxAmountIn
+    ) internal {
         bytes32 positionId = keccak256(abi.encodePacked(tokenA, tokenB));
-        Position storage posCross = positionCross[msg.sender][positionId];
-        uint256 amountOut = getAmountOutFromIn(tokenA, tokenB, amount, MAX_LEVERAGE);
-        if (amountOut == 0) revert InvalidTokenAmount();
-
+        Position storage posCross = positionCross[account][positionId];
+        if (posCross.positionValue != 0 && posCross.side != side) revert InvalidPositionSide();
         uint256 leveragedAmount = amount * MAX_LEVERAGE;
-        uint256 remainingValue = getAccountRemainingValue(msg.sender, tokenA, tokenB);
+        // NOTE: the remaining value is read before the swap moves the reserves, which price the unrealized PnL
+        uint256 remainingValue = getAccountRemainingValue(account, tokenA, tokenB);
         if (leveragedAmount > remainingValue) revert InsufficientAccountValue(leveragedAmount, remainingValue);
+        (uint256 amountOut, uint256 fee) =
+            _openPosition(tokenA, tokenB, side, amount, leveragedAmount, minAmountOut, maxAmountIn);
+        int256 unsettled;
         if (posCross.leverage == 0) {
             posCross.leverage = MAX_LEVERAGE;
-            posCross.tradingPairSymbol =
-                string(abi.encodePacked(IERC20Metadata(tokenB).symbol(), "/", IERC20Metadata(tokenA).symbol()));
+            posCross.tradingPairSymbol = pairs[tokenA][tokenB].tradingPairSymbol;
+        }
+        if (posCross.positionValue == 0) {
+            // NOTE: a fully reduced position is opened again (on either side)
+            if (!isCrossTarget[account][positionId]) {
+                isCrossTarget[account][positionId] = true;
+                crossTargets[account][tokenA].push(tokenB);
+            }
+            posCross.openedAt = block.timestamp;
+            posCross.openedBlock = block.number;
+            posCross.side = side;
+        } else {
+            uint256 freeCollateral = balances[account][tokenA] - amount;
+            unsettled =
+                _settleFunding(account, tokenA, tokenB, 0, _getFunding(tokenA, tokenB, posCross), freeCollateral);
         }
 
         posCross.collateralAmount += amount;
         posCross.collateralWorthValue += leveragedAmount;
         posCross.positionValue += amountOut;
-        balances[msg.sender][tokenA] -= amount;
-        pairs[tokenA][tokenB].reserveA += leveragedAmount;
-        pairs[tokenA][tokenB].reserveB -= amountOut;
+        balances[account][tokenA] -= amount;
+        _resetFundingIndex(tokenA, tokenB, posCross, unsettled);
 
-        emit Swap(msg.sender, tokenA, tokenB, amount, amountOut, MAX_LEVERAGE, Mode.CROSS);
+        emit Swap(account, tokenA, tokenB, amount, amountOut, MAX_LEVERAGE, Mode.CROSS, fee, side);
     }
 
     /// @notice Swap tokens in cross mode (reduce position).
+    /// @dev The margin added to the position is given back pro rata (`MarginRemoved`). The collateral and the worth
+    ///  value of a short are reduced pro rata, as the cost of buying back its token B is not bounded by them. The
+    ///  funding accrued by the position is settled from the deposit balance, once credited with the returned amount,
+    ///  and what it cannot pay stays accrued on the rest of the position (see `_resetFundingIndex`).
+    /// @param account The address of the account.
     /// @param tokenA The address of token A.
     /// @param tokenB The address of token B.
-    /// @param amount The amount of token B to repay.
-    function _swapCrossReduce(address tokenA, address tokenB, uint256 amount) internal {
+    /// @param amount The amount of token B to repay (sell, or buy back for a short).
+    /// @param minAmountOut The minimum amount of token A to receive.
+    /// @param maxAmountIn The maximum amount of token B to repay (0: no bound).
+    function _swapCrossReduce(
+        address account,
+        address tokenA,
+        address tokenB,
+        uint256 amount,
+        uint256 minAmountOut,
+        uint256 maxAmountIn
+    ) internal {
         bytes32 positionId = keccak256(abi.encodePacked(tokenA, tokenB));
-        Position storage posCross = positionCross[msg.sender][positionId];
-        (uint256 leveragedAmount, uint256 amountIn) = getAmountCollateralReturn(tokenA, tokenB, amount, MAX_LEVERAGE);
-        if (leveragedAmount == 0) revert InvalidTokenAmount();
+        Position storage posCross = positionCross[account][positionId];
+        (uint256 amountIn, uint256 leveragedAmount, uint256 fee) = _settlePosition(tokenA, tokenB, posCross, amount);
+        uint256 marginAmount = _getAddedMargin(posCross, amount);
+        // NOTE: a long partly reduced releases the collateral it returns (at a profit, more than its collateral and
+        //  its worth value), a position fully reduced releases all of it
+        bool partLong = posCross.side == Side.LONG && amount < posCross.positionValue;
+        uint256 collateralAmount = posCross.collateralAmount;
+        uint256 releasedAmount = partLong
+            ? Math.min(amountIn + marginAmount, collateralAmount)
+            : (collateralAmount * amount) / posCross.positionValue;
+        uint256 paidAmount = _payFromPair(tokenA, tokenB, releasedAmount, amountIn + marginAmount);
+        // NOTE: the slippage bound applies to what the pair really pays, a profit it cannot pay being cut
+        amountIn = paidAmount > marginAmount ? paidAmount - marginAmount : 0;
+        _checkSlippage(amount, amountIn, minAmountOut, maxAmountIn);
+        balances[account][tokenA] += paidAmount;
+        int256 unsettled = _settleFunding(
+            account, tokenA, tokenB, 0, _getFunding(tokenA, tokenB, posCross), balances[account][tokenA]
+        );
 
-        posCross.collateralAmount -= amountIn;
-        posCross.collateralWorthValue -= leveragedAmount;
+        posCross.collateralAmount = collateralAmount - releasedAmount;
+        if (partLong) {
+            uint256 worthValue = posCross.collateralWorthValue;
+            posCross.collateralWorthValue = worthValue - Math.min(leveragedAmount, worthValue);
+        } else {
+            posCross.collateralWorthValue -= (posCross.collateralWorthValue * amount) / posCross.positionValue;
+        }
         posCross.positionValue -= amount;
-        balances[msg.sender][tokenA] += amountIn;
-        pairs[tokenA][tokenB].reserveA -= leveragedAmount;
-        pairs[tokenA][tokenB].reserveB += amount;
+        _resetFundingIndex(tokenA, tokenB, posCross, unsettled);
+        // NOTE: the triggers do not carry over to a position opened again
+        if (posCross.positionValue == 0) delete triggers[account][positionId][0];
+
+        emit Swap(account, tokenB, tokenA, amount, amountIn, MAX_LEVERAGE, Mode.CROSS, fee, posCross.side);
+        if (marginAmount != 0) emit MarginRemoved(account, tokenA, tokenB, 0, marginAmount);
+    }
+
+    /// @notice Get the open position of an account in cross mode.
+    /// @param account The address of the account.
+    /// @param positionId The position ID of the trading pair.
+    /// @param posId The ID of the position (must be 0).
+    /// @return The position info.
+    function _getPosition(address account, bytes32 positionId, uint256 posId)
+        internal
+        view
+        override
+        returns (Position storage)
+    {
+        Position storage posCross = positionCross[account][positionId];
+        if (posId != 0 || posCross.positionValue == 0) revert PositionNotFound();
+        return posCross;
+    }
+
+    /// @notice Reduce the position of an account in cross mode.
+    /// @param account The address of the account.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param amount The amount of token B to sell (or buy back).
+    function _closePosition(address account, address tokenA, address tokenB, uint256, uint256 amount)
+        internal
+        override
+    {
+        _swapCrossReduce(account, tokenA, tokenB, amount, 0, 0);
+    }
+
+    /// @notice Remove the position of an account in cross mode.
+    /// @param account The address of the account.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    function _removePosition(address account, address tokenA, address tokenB, uint256) internal override {
+        bytes32 positionId = keccak256(abi.encodePacked(tokenA, tokenB));
+        delete positionCross[account][positionId];
+        delete triggers[account][positionId][0];
+    }
+
+    /// @notice The free collateral backs the positions in cross mode (see `getFreeCollateral`).
+    /// @param account The address of the account.
+    /// @param collateralToken The address of token A.
+    /// @return The free collateral.
+    function _getFreeCollateral(address account, address collateralToken) internal view override returns (uint256) {
+        if (!isCollateral[collateralToken]) return balances[account][collateralToken];
+        return LeveragedAMMMarginPool.getFreeCollateral(
+            balances, collaterals, collateralTokens, account, collateralToken
+        );
+    }
+
+    /// @notice Charge the free collateral used up by a liquidation to the margin pool of an account, with token A
+    ///  listed (see `LeveragedAMMMarginPool.chargeFreeCollateral`).
+    /// @param account The address of the account.
+    /// @param tokenA The address of token A.
+    /// @param amount The amount of token A to charge.
+    /// @return The amount of token A paid.
+    function _chargeFreeCollateral(address account, address tokenA, uint256 amount)
+        internal
+        override
+        returns (uint256)
+    {
+        if (!isCollateral[tokenA]) return super._chargeFreeCollateral(account, tokenA, amount);
+        return LeveragedAMMMarginPool.chargeFreeCollateral(
+            balances, collaterals, collateralTokens, account, msg.sender, tokenA, amount
+        );
+    }
+
+    /// @notice The withdrawal must leave enough margin for the worth value of the positions, with their unrealized
+    ///  PnL: in the margin pool for a listed collateral, in the deposit balance of any other token A (reverts with
+    ///  `InsufficientCollateralValue`).
+    /// @param account The address of the account.
+    /// @param collateralToken The address of the withdrawn token.
+    function _checkWithdrawal(address account, address collateralToken) internal view override {
+        LeveragedAMMMarginPool.checkWithdrawal(
+            balances,
+            collaterals,
+            collateralTokens,
+            crossTargets,
+            positionCross,
+            account,
+            collateralToken,
+            isCollateral[collateralToken]
+        );
+    }
 
-        emit Swap(msg.sender, tokenB, tokenA, amount, amountIn, MAX_LEVERAGE, Mode.CROSS);
+    function _getPositionMode() internal pure override returns (Mode) {
+        return Mode.CROSS;
     }
 }
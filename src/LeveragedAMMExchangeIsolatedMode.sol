@@ -1,7 +1,6 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import {LeveragedAMMExchange} from "./LeveragedAMMExchange.sol";
 
 /// @title Leveraged AMM Exchange contract
@@ -11,37 +10,23 @@ import {LeveragedAMMExchange} from "./LeveragedAMMExchange.sol";
 ///  The contract also provides functions to get the pair price, amount in/out, and returned collateral amount.
 ///  Users can open and close positions in isolated margin mode.
 ///   In isolated margin mode, the user's position is isolated to each token swap.
-///     `OPEN`: buy tokens, `CLOSE`: sell all tokens in a specific single swap.
+///     `OPEN`: buy tokens, `CLOSE`: sell tokens in a specific single swap (part of or all).
+///   Each isolated position has a permanent ID, by which it is closed and liquidated.
+///   Each isolated position is either long or short.
 contract LeveragedAMMExchangeIsolatedMode is LeveragedAMMExchange {
     /* ================== State Varaibles ================== */
 
     /// @notice The mapping of user positions in isolated mode.
+    /// @dev The list is kept packed, so the index of a position changes when another one is closed (use its ID).
     mapping(address => mapping(bytes32 => Position[])) public positionsIsolated;
 
-    constructor() {}
+    /// @notice The ID of the last opened position (the IDs start at 1).
+    uint256 public lastPositionId;
 
-    /* ================== External Functions ================== */
+    /// @notice The mapping of position IDs to their index in the list of the account (plus 1, 0 if not found).
+    mapping(address => mapping(bytes32 => mapping(uint256 => uint256))) internal positionIndexes;
 
-    /// @notice Swap tokens with leverage.
-    /// @param swapOrder The order to swap tokens.
-    function swap(Order calldata swapOrder)
-        external
-        override
-        isValidLeverage(swapOrder.leverage)
-        isValidAmount(swapOrder.amount)
-        isValidAddress(swapOrder.tokenA)
-        isValidAddress(swapOrder.tokenB)
-    {
-        uint256 balance = balances[msg.sender][swapOrder.tokenA];
-        if (balance < swapOrder.amount) revert InsufficientAmount(balance);
-        if (swapOrder.positionMode == Mode.ISOLATED) {
-            if (!swapOrder.closePosition) {
-                _swapIsolatedOpen(swapOrder.tokenA, swapOrder.tokenB, swapOrder.amount, swapOrder.leverage);
-            } else {
-                _swapIsolatedClose(swapOrder.tokenA, swapOrder.tokenB, swapOrder.closePosIndex);
-            }
-        }
-    }
+    constructor() {}
 
     /* ================== External View Functions ================== */
 
@@ -52,7 +37,7 @@ contract LeveragedAMMExchangeIsolatedMode is LeveragedAMMExchange {
     /// @return The worth value of the position.
     function getPositionWorthValue(address account, address tokenA, address tokenB) external view returns (uint256) {
         bytes32 positionId = keccak256(abi.encodePacked(tokenA, tokenB));
-        Position[] memory posIsolated = positionsIsolated[account][positionId];
+        Position[] storage posIsolated = positionsIsolated[account][positionId];
         uint256 collateralWorthPositionValue = 0;
         for (uint256 i = 0; i < posIsolated.length; i++) {
             collateralWorthPositionValue += posIsolated[i].collateralWorthValue;
@@ -75,6 +60,20 @@ contract LeveragedAMMExchangeIsolatedMode is LeveragedAMMExchange {
         return positionsIsolated[account][positionId][posIndex];
     }
 
+    /// @notice Get the account position info in isolated mode by its ID.
+    /// @param account The address of the account.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position.
+    /// @return The position info.
+    function getPositionIsolatedById(address account, address tokenA, address tokenB, uint256 posId)
+        external
+        view
+        returns (Position memory)
+    {
+        return _getPosition(account, keccak256(abi.encodePacked(tokenA, tokenB)), posId);
+    }
+
     /// @notice Get the number of isolated positions for a specific trading pair.
     /// @param account The address of the account.
     /// @param tokenA The address of token A.
@@ -96,7 +95,7 @@ contract LeveragedAMMExchangeIsolatedMode is LeveragedAMMExchange {
     /// @return The remaining value of the account.
     function getAccountRemainingValue(address account, address tokenA, address tokenB) public view returns (uint256) {
         bytes32 positionId = keccak256(abi.encodePacked(tokenA, tokenB));
-        Position[] memory posIsolated = positionsIsolated[account][positionId];
+        Position[] storage posIsolated = positionsIsolated[account][positionId];
         uint256 depositedAmount = balances[account][tokenA];
         uint256 collateralWorthPositionValue = 0;
         for (uint256 i = 0; i < posIsolated.length; i++) {
@@ -108,59 +107,214 @@ contract LeveragedAMMExchangeIsolatedMode is LeveragedAMMExchange {
 
     /* ================== Internal Functions ================== */
 
+    /// @notice Swap tokens with leverage for an account (see `swap`).
+    /// @param account The address of the account.
+    /// @param swapOrder The order to swap tokens.
+    function _swap(address account, Order memory swapOrder)
+        internal
+        override
+        isValidLeverage(swapOrder.leverage)
+        isValidAmount(swapOrder.amount)
+        isValidAddress(swapOrder.tokenA)
+        isValidAddress(swapOrder.tokenB)
+        isValidDeadline(swapOrder.deadline)
+    {
+        if (swapOrder.positionMode == Mode.ISOLATED) {
+            if (!swapOrder.closePosition) {
+                // NOTE: a close order sells an amount of token B
+                uint256 balance = balances[account][swapOrder.tokenA];
+                if (balance < swapOrder.amount) revert InsufficientAmount(balance);
+                _swapIsolatedOpen(
+                    account,
+                    swapOrder.tokenA,
+                    swapOrder.tokenB,
+                    swapOrder.amount,
+                    swapOrder.leverage,
+                    swapOrder.side,
+                    swapOrder.minAmountOut,
+                    swapOrder.maxAmountIn
+                );
+            } else {
+                _swapIsolatedClose(
+                    account,
+                    swapOrder.tokenA,
+                    swapOrder.tokenB,
+                    swapOrder.closePosId,
+                    swapOrder.amount,
+                    swapOrder.minAmountOut,
+                    swapOrder.maxAmountIn
+                );
+            }
+        }
+    }
+
     /// @notice Swap tokens in isolated mode (open position).
+    /// @param account The address of the account.
     /// @param tokenA The address of token A.
     /// @param tokenB The address of token B.
     /// @param amount The amount of token A to swap.
     /// @param leverage The leverage to use.
-    function _swapIsolatedOpen(address tokenA, address tokenB, uint256 amount, uint8 leverage) internal {
+    /// @param side The direction of the position.
+    /// @param minAmountOut The minimum amount of token B received (long; 0 for a short, see `Order`).
+    /// @param maxAmountIn The maximum amount paid (token A for a long, token B for a short; 0: no bound).
+    function _swapIsolatedOpen(
+        address account,
+        address tokenA,
+        address tokenB,
+        uint256 amount,
+        uint8 leverage,
+        Side side,
+        uint256 minAmountOut,
+        uint256 maxAmountIn
+    ) internal {
         bytes32 positionId = keccak256(abi.encodePacked(tokenA, tokenB));
-        Position[] storage posIsolatedList = positionsIsolated[msg.sender][positionId];
-        uint256 amountOut = getAmountOutFromIn(tokenA, tokenB, amount, leverage);
-        if (amountOut == 0) revert InvalidTokenAmount();
-
+        Position[] storage posIsolatedList = positionsIsolated[account][positionId];
         uint256 leveragedAmount = amount * leverage;
-        uint256 remainingValue = getAccountRemainingValue(msg.sender, tokenA, tokenB);
+        uint256 remainingValue = getAccountRemainingValue(account, tokenA, tokenB);
         if (leveragedAmount > remainingValue) revert InsufficientAccountValue(leveragedAmount, remainingValue);
+        (uint256 amountOut, uint256 fee) =
+            _openPosition(tokenA, tokenB, side, amount, leveragedAmount, minAmountOut, maxAmountIn);
 
+        uint256 posId = ++lastPositionId;
         posIsolatedList.push(
             Position({
-                tradingPairSymbol: string(
-                    abi.encodePacked(IERC20Metadata(tokenB).symbol(), "/", IERC20Metadata(tokenA).symbol())
-                ),
+                tradingPairSymbol: pairs[tokenA][tokenB].tradingPairSymbol,
                 collateralAmount: amount,
                 collateralWorthValue: leveragedAmount,
                 positionValue: amountOut,
-                leverage: leverage
+                leverage: leverage,
+                id: posId,
+                openedAt: block.timestamp,
+                openedBlock: block.number,
+                side: side,
+                fundingIndex: pairFunding[tokenA][tokenB].cumulativeIndex
             })
         );
+        positionIndexes[account][positionId][posId] = posIsolatedList.length;
 
-        balances[msg.sender][tokenA] -= amount;
-        pairs[tokenA][tokenB].reserveA += leveragedAmount;
-        pairs[tokenA][tokenB].reserveB -= amountOut;
+        balances[account][tokenA] -= amount;
 
-        emit Swap(msg.sender, tokenA, tokenB, amount, amountOut, leverage, Mode.ISOLATED);
+        emit Swap(account, tokenA, tokenB, amount, amountOut, leverage, Mode.ISOLATED, fee, side);
+        emit PositionOpened(account, tokenA, tokenB, posId);
     }
 
-    /// @notice Swap tokens in isolated mode (close position).
+    /// @notice Swap tokens in isolated mode (close position, part of or all).
+    /// @dev The collateral and the worth value of a partially closed position are reduced pro rata,
+    ///  and the rest of the position keeps its ID. The margin added to the position is given back pro rata
+    ///  (`MarginRemoved`). The funding accrued by the whole position is settled from the returned amount, and what it
+    ///  cannot pay stays accrued on the rest of a partially closed position (see `_resetFundingIndex`).
+    /// @param account The address of the account.
     /// @param tokenA The address of token A.
     /// @param tokenB The address of token B.
-    /// @param closePosIndex The index of the position to close.
-    function _swapIsolatedClose(address tokenA, address tokenB, uint256 closePosIndex) internal {
+    /// @param closePosId The ID of the position to close.
+    /// @param amount The amount of token B to sell, or buy back for a short (at most the position value, which closes
+    ///  it all).
+    /// @param minAmountOut The minimum amount of token A to receive.
+    /// @param maxAmountIn The maximum amount of token B to sell (0: no bound).
+    function _swapIsolatedClose(
+        address account,
+        address tokenA,
+        address tokenB,
+        uint256 closePosId,
+        uint256 amount,
+        uint256 minAmountOut,
+        uint256 maxAmountIn
+    ) internal {
         bytes32 positionId = keccak256(abi.encodePacked(tokenA, tokenB));
-        Position[] storage posIsolatedList = positionsIsolated[msg.sender][positionId];
-        Position memory position = posIsolatedList[closePosIndex];
-        (uint256 leveragedAmount, uint256 amountIn) =
-            getAmountCollateralReturn(tokenA, tokenB, position.positionValue, position.leverage);
-        if (leveragedAmount == 0) revert InvalidTokenAmount();
+        uint256 index = _getPositionIndex(account, positionId, closePosId);
+        Position storage position = positionsIsolated[account][positionId][index];
+        uint256 positionValue = position.positionValue;
+        if (amount > positionValue) revert InvalidTokenAmount();
+        (uint256 amountIn,, uint256 fee) = _settlePosition(tokenA, tokenB, position, amount);
+        uint256 marginAmount = _getAddedMargin(position, amount);
+        uint256 releasedAmount = position.collateralAmount * amount / positionValue;
+        uint256 paidAmount = _payFromPair(tokenA, tokenB, releasedAmount, amountIn + marginAmount);
+        // NOTE: the slippage bound applies to what the pair really pays, a profit it cannot pay being cut
+        amountIn = paidAmount > marginAmount ? paidAmount - marginAmount : 0;
+        _checkSlippage(amount, amountIn, minAmountOut, maxAmountIn);
+
+        balances[account][tokenA] += paidAmount;
+
+        emit Swap(account, tokenB, tokenA, amount, amountIn, position.leverage, Mode.ISOLATED, fee, position.side);
+        if (marginAmount != 0) emit MarginRemoved(account, tokenA, tokenB, closePosId, marginAmount);
+        int256 funding = _getFunding(tokenA, tokenB, position);
+        int256 unsettled = _settleFunding(account, tokenA, tokenB, closePosId, funding, paidAmount);
+        if (amount == positionValue) {
+            _removePosition(account, tokenA, tokenB, closePosId);
+        } else {
+            position.collateralAmount -= releasedAmount;
+            position.collateralWorthValue -= position.collateralWorthValue * amount / positionValue;
+            position.positionValue = positionValue - amount;
+            _resetFundingIndex(tokenA, tokenB, position, unsettled);
+            emit PositionClosed(account, tokenA, tokenB, closePosId, positionValue - amount);
+        }
+    }
+
+    /// @notice Get the index of a position in the list of an account.
+    /// @param account The address of the account.
+    /// @param positionId The position ID of the trading pair.
+    /// @param posId The ID of the position.
+    /// @return The index of the position in the list.
+    function _getPositionIndex(address account, bytes32 positionId, uint256 posId) internal view returns (uint256) {
+        uint256 indexPlusOne = positionIndexes[account][positionId][posId];
+        if (indexPlusOne == 0) revert PositionNotFound();
+        return indexPlusOne - 1;
+    }
+
+    /// @notice Get an open position of an account in isolated mode.
+    /// @param account The address of the account.
+    /// @param positionId The position ID of the trading pair.
+    /// @param posId The ID of the position.
+    /// @return The position info.
+    function _getPosition(address account, bytes32 positionId, uint256 posId)
+        internal
+        view
+        override
+        returns (Position storage)
+    {
+        return positionsIsolated[account][positionId][_getPositionIndex(account, positionId, posId)];
+    }
 
-        balances[msg.sender][tokenA] += amountIn;
-        pairs[tokenA][tokenB].reserveA -= leveragedAmount;
-        pairs[tokenA][tokenB].reserveB += position.positionValue;
+    /// @notice Close a position of an account in isolated mode.
+    /// @param account The address of the account.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position.
+    /// @param amount The amount of token B to sell (or buy back).
+    function _closePosition(address account, address tokenA, address tokenB, uint256 posId, uint256 amount)
+        internal
+        override
+    {
+        _swapIsolatedClose(account, tokenA, tokenB, posId, amount, 0, 0);
+    }
 
-        posIsolatedList[closePosIndex] = posIsolatedList[posIsolatedList.length - 1];
+    /// @notice Remove a position of an account in isolated mode (the last position takes its index).
+    /// @param account The address of the account.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position.
+    function _removePosition(address account, address tokenA, address tokenB, uint256 posId) internal override {
+        bytes32 positionId = keccak256(abi.encodePacked(tokenA, tokenB));
+        Position[] storage posIsolatedList = positionsIsolated[account][positionId];
+        uint256 index = _getPositionIndex(account, positionId, posId);
+        uint256 lastIndex = posIsolatedList.length - 1;
+        if (index != lastIndex) {
+            posIsolatedList[index] = posIsolatedList[lastIndex];
+            positionIndexes[account][positionId][posIsolatedList[index].id] = index + 1;
+        }
         posIsolatedList.pop();
+        delete positionIndexes[account][positionId][posId];
+        delete triggers[account][positionId][posId];
+
+        emit PositionClosed(account, tokenA, tokenB, posId, 0);
+    }
+
+    /// @notice The deposit balance does not back the positions in isolated mode.
+    function _getFreeCollateral(address, address) internal pure override returns (uint256) {
+        return 0;
+    }
 
-        emit Swap(msg.sender, tokenB, tokenA, position.positionValue, amountIn, position.leverage, Mode.ISOLATED);
+    function _getPositionMode() internal pure override returns (Mode) {
+        return Mode.ISOLATED;
     }
 }
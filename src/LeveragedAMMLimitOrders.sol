@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {MessageHashUtils} from "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+
+import {ILeveragedAMMExchange} from "./ILeveragedAMMExchange.sol";
+
+/// @title Signed limit orders of the exchanges (see `executeLimitOrder` of `LeveragedAMMExchange`).
+/// @notice An account signs an EIP-712 limit order off-chain, which a relayer executes once the pair price reached
+///  its limit price. Its nonce is used up when it is executed or cancelled.
+/// @dev An external library, linked to the exchanges at deployment (which keeps them under the contract size limit of
+///  EIP-170). Its functions run on the storage of the exchange, with the EIP-712 domain separator of the exchange.
+library LeveragedAMMLimitOrders {
+    /// @notice The EIP-712 type hash of the limit orders (`side` is encoded as its `uint8` value).
+    bytes32 internal constant LIMIT_ORDER_TYPEHASH = keccak256(
+        "LimitOrder(address account,address tokenA,address tokenB,uint256 amount,uint8 leverage,uint8 side,"
+        "bool reducePosition,uint256 closePosId,uint256 limitPrice,uint256 minAmountOut,uint256 maxAmountIn,"
+        "uint256 nonce,uint256 deadline)"
+    );
+
+    /// @notice Verify the signature, the nonce and the expiry of a limit order (see `verifyLimitOrder` of the
+    ///  exchange).
+    /// @param usedNonces The used limit order nonces of the exchange, by account.
+    /// @param domainSeparator The EIP-712 domain separator of the exchange.
+    /// @param order The limit order.
+    /// @param signature The EIP-712 signature of the order by its account.
+    /// @return orderHash The EIP-712 hash of the order.
+    function verifyLimitOrder(
+        mapping(address => mapping(uint256 => bool)) storage usedNonces,
+        bytes32 domainSeparator,
+        ILeveragedAMMExchange.LimitOrder calldata order,
+        bytes calldata signature
+    ) public view returns (bytes32 orderHash) {
+        if (order.deadline != 0 && block.timestamp > order.deadline) {
+            revert ILeveragedAMMExchange.OrderExpired(order.deadline);
+        }
+        if (usedNonces[order.account][order.nonce]) revert ILeveragedAMMExchange.NonceAlreadyUsed(order.nonce);
+        orderHash = hashLimitOrder(domainSeparator, order);
+        (address signer, ECDSA.RecoverError error,) = ECDSA.tryRecover(orderHash, signature);
+        if (error != ECDSA.RecoverError.NoError || signer != order.account) {
+            revert ILeveragedAMMExchange.InvalidSignature();
+        }
+    }
+
+    /// @notice Get the EIP-712 hash of a limit order, as signed by its account.
+    /// @param domainSeparator The EIP-712 domain separator of the exchange.
+    /// @param order The limit order.
+    /// @return The hash of the order.
+    function hashLimitOrder(bytes32 domainSeparator, ILeveragedAMMExchange.LimitOrder calldata order)
+        public
+        pure
+        returns (bytes32)
+    {
+        // NOTE: every field is static, so the encoded struct is the concatenation of its encoded fields
+        return MessageHashUtils.toTypedDataHash(domainSeparator, keccak256(abi.encode(LIMIT_ORDER_TYPEHASH, order)));
+    }
+}
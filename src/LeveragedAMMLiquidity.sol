@@ -0,0 +1,163 @@
+// SPDX-License-Identifier: MIT
+// NOTE: 0.8.22 emits the events of the exchange interface from the library (the exchanges need ^0.8.20)
+pragma solidity ^0.8.22;
+
+import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+
+import {ILeveragedAMMExchange} from "./ILeveragedAMMExchange.sol";
+import {LeveragedAMMConstants} from "./LeveragedAMMConstants.sol";
+
+/// @title Liquidity of the pairs of the exchanges (see `LeveragedAMMExchange`).
+/// @notice The liquidity providers fund the reserves of a pair for LP shares, which they burn for their share of
+///  the tokens the pair really holds.
+/// @dev An external library, linked to the exchanges at deployment (which keeps them under the contract size limit of
+///  EIP-170). Its functions run on the storage of the exchange, and move the tokens of the caller.
+library LeveragedAMMLiquidity {
+    /// @dev The constants of the exchange (see `LeveragedAMMConstants`).
+    uint256 internal constant MINIMUM_LIQUIDITY = LeveragedAMMConstants.MINIMUM_LIQUIDITY;
+
+    /// @notice Create a pair with its first reserves (see `createPair` of the exchange).
+    /// @param pairs The pairs of the exchange.
+    /// @param pairBalances The tokens the pairs really hold.
+    /// @param totalShares The LP shares minted by the pairs.
+    /// @param liquidity The liquidity provided to the pairs, by provider.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param reserveA The reserve amount of token A.
+    /// @param reserveB The reserve amount of token B.
+    function createPair(
+        mapping(address => mapping(address => ILeveragedAMMExchange.Pair)) storage pairs,
+        mapping(address => mapping(address => ILeveragedAMMExchange.PairBalance)) storage pairBalances,
+        mapping(address => mapping(address => uint256)) storage totalShares,
+        mapping(address => mapping(address => mapping(address => ILeveragedAMMExchange.Liquidity))) storage liquidity,
+        address tokenA,
+        address tokenB,
+        uint256 reserveA,
+        uint256 reserveB
+    ) public {
+        uint256 tokenReserveA = pairs[tokenA][tokenB].reserveA;
+        uint256 tokenReserveB = pairs[tokenA][tokenB].reserveB;
+        if (tokenReserveA != 0 || tokenReserveB != 0) revert ILeveragedAMMExchange.PairAlreadyExists();
+        tokenReserveA = pairs[tokenB][tokenA].reserveA;
+        tokenReserveB = pairs[tokenB][tokenA].reserveB;
+        if (tokenReserveA != 0 || tokenReserveB != 0) revert ILeveragedAMMExchange.PairAlreadyExists();
+
+        uint256 shares = Math.sqrt(reserveA * reserveB);
+        if (shares <= MINIMUM_LIQUIDITY) revert ILeveragedAMMExchange.InsufficientShares(shares);
+        shares -= MINIMUM_LIQUIDITY;
+
+        string memory symbolA = IERC20Metadata(tokenA).symbol();
+        string memory symbolB = IERC20Metadata(tokenB).symbol();
+        string memory pairSymbol = string(abi.encodePacked(symbolB, "/", symbolA));
+        pairs[tokenA][tokenB] = ILeveragedAMMExchange.Pair(pairSymbol, reserveA, reserveB);
+        pairBalances[tokenA][tokenB] = ILeveragedAMMExchange.PairBalance(reserveA, reserveB);
+        totalShares[tokenA][tokenB] = shares + MINIMUM_LIQUIDITY;
+        _mintShares(liquidity, tokenA, tokenB, shares, reserveA, reserveB);
+    }
+
+    /// @notice Add reserves to a pair (see `addReserves` of the exchange).
+    /// @param pairs The pairs of the exchange.
+    /// @param pairBalances The tokens the pairs really hold.
+    /// @param totalShares The LP shares minted by the pairs.
+    /// @param liquidity The liquidity provided to the pairs, by provider.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param amountA The amount of token A to add to the reserve.
+    /// @param amountB The amount of token B to add to the reserve.
+    function addReserves(
+        mapping(address => mapping(address => ILeveragedAMMExchange.Pair)) storage pairs,
+        mapping(address => mapping(address => ILeveragedAMMExchange.PairBalance)) storage pairBalances,
+        mapping(address => mapping(address => uint256)) storage totalShares,
+        mapping(address => mapping(address => mapping(address => ILeveragedAMMExchange.Liquidity))) storage liquidity,
+        address tokenA,
+        address tokenB,
+        uint256 amountA,
+        uint256 amountB
+    ) public {
+        uint256 total = totalShares[tokenA][tokenB];
+        if (total == 0) revert ILeveragedAMMExchange.PairNotFound();
+
+        ILeveragedAMMExchange.Pair storage pair = pairs[tokenA][tokenB];
+        uint256 shares = Math.min(amountA * total / pair.reserveA, amountB * total / pair.reserveB);
+        pair.reserveA += amountA;
+        pair.reserveB += amountB;
+        ILeveragedAMMExchange.PairBalance storage pairBalance = pairBalances[tokenA][tokenB];
+        pairBalance.amountA += amountA;
+        pairBalance.amountB += amountB;
+        totalShares[tokenA][tokenB] = total + shares;
+        _mintShares(liquidity, tokenA, tokenB, shares, amountA, amountB);
+    }
+
+    /// @notice Remove reserves from a pair by burning LP shares (see `removeReserves` of the exchange).
+    /// @dev The shares are paid from the real tokens of the pair, less its accrued fees: the reserves include the
+    ///  virtual leveraged amounts of the open positions, which no token backs.
+    /// @param pairs The pairs of the exchange.
+    /// @param pairBalances The tokens the pairs really hold.
+    /// @param totalShares The LP shares minted by the pairs.
+    /// @param liquidity The liquidity provided to the pairs, by provider.
+    /// @param accruedFees The swap fees accrued by the pairs, not yet collected.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param shares The amount of LP shares to burn.
+    function removeReserves(
+        mapping(address => mapping(address => ILeveragedAMMExchange.Pair)) storage pairs,
+        mapping(address => mapping(address => ILeveragedAMMExchange.PairBalance)) storage pairBalances,
+        mapping(address => mapping(address => uint256)) storage totalShares,
+        mapping(address => mapping(address => mapping(address => ILeveragedAMMExchange.Liquidity))) storage liquidity,
+        mapping(address => mapping(address => uint256)) storage accruedFees,
+        address tokenA,
+        address tokenB,
+        uint256 shares
+    ) public {
+        ILeveragedAMMExchange.Liquidity storage provided = liquidity[tokenA][tokenB][msg.sender];
+        if (provided.shares < shares) revert ILeveragedAMMExchange.InsufficientShares(provided.shares);
+
+        ILeveragedAMMExchange.Pair storage pair = pairs[tokenA][tokenB];
+        ILeveragedAMMExchange.PairBalance storage pairBalance = pairBalances[tokenA][tokenB];
+        uint256 total = totalShares[tokenA][tokenB];
+        pair.reserveA -= pair.reserveA * shares / total;
+        pair.reserveB -= pair.reserveB * shares / total;
+        // NOTE: the accrued fees are held for the owner (see `collectFees` of the exchange)
+        uint256 balanceA = pairBalance.amountA;
+        uint256 fees = accruedFees[tokenA][tokenB];
+        uint256 amountA = balanceA > fees ? (balanceA - fees) * shares / total : 0;
+        uint256 amountB = pairBalance.amountB * shares / total;
+        pairBalance.amountA = balanceA - amountA;
+        pairBalance.amountB -= amountB;
+        totalShares[tokenA][tokenB] = total - shares;
+
+        provided.depositedA -= provided.depositedA * shares / provided.shares;
+        provided.depositedB -= provided.depositedB * shares / provided.shares;
+        provided.shares -= shares;
+
+        IERC20Metadata(tokenA).transfer(msg.sender, amountA);
+        IERC20Metadata(tokenB).transfer(msg.sender, amountB);
+        emit ILeveragedAMMExchange.RemoveLiquidity(msg.sender, tokenA, tokenB, amountA, amountB, shares);
+    }
+
+    /// @notice Credit LP shares to the caller and pull the provided tokens.
+    /// @param liquidity The liquidity provided to the pairs, by provider.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param shares The amount of LP shares minted (already added to `totalShares`).
+    /// @param amountA The amount of token A provided.
+    /// @param amountB The amount of token B provided.
+    function _mintShares(
+        mapping(address => mapping(address => mapping(address => ILeveragedAMMExchange.Liquidity))) storage liquidity,
+        address tokenA,
+        address tokenB,
+        uint256 shares,
+        uint256 amountA,
+        uint256 amountB
+    ) private {
+        ILeveragedAMMExchange.Liquidity storage provided = liquidity[tokenA][tokenB][msg.sender];
+        provided.shares += shares;
+        provided.depositedA += amountA;
+        provided.depositedB += amountB;
+
+        IERC20Metadata(tokenA).transferFrom(msg.sender, address(this), amountA);
+        IERC20Metadata(tokenB).transferFrom(msg.sender, address(this), amountB);
+        emit ILeveragedAMMExchange.AddLiquidity(msg.sender, tokenA, tokenB, amountA, amountB, shares);
+    }
+}
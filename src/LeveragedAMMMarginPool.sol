@@ -0,0 +1,280 @@
+// SPDX-License-Identifier: MIT
+// NOTE: 0.8.22 emits the events of the exchange interface from the library (the exchanges need ^0.8.20)
+pragma solidity ^0.8.22;
+
+import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+
+import {ILeveragedAMMExchange} from "./ILeveragedAMMExchange.sol";
+import {LeveragedAMMConstants} from "./LeveragedAMMConstants.sol";
+import {LeveragedAMMOracle} from "./LeveragedAMMOracle.sol";
+
+/// @title Margin pool of the cross margin accounts (see `LeveragedAMMExchangeCrossMode`).
+/// @notice The deposit balances of the listed collaterals are valued at their feed price (or at par) less their
+///  haircut, and back together the positions of every pair whose token A is listed, with the margin and the
+///  unrealized PnL of the positions.
+/// @dev An external library, linked to the cross mode exchange at deployment (which keeps the exchange under the
+///  contract size limit of EIP-170). Its functions run on the storage of the exchange, and settle the positions
+///  with its quotes.
+library LeveragedAMMMarginPool {
+    /// @dev The constants of the exchange (see `LeveragedAMMConstants`).
+    uint8 internal constant MAX_LEVERAGE = LeveragedAMMConstants.MAX_LEVERAGE;
+    uint256 internal constant BPS = LeveragedAMMConstants.BPS;
+    uint8 internal constant PRICE_DECIMALS = LeveragedAMMConstants.PRICE_DECIMALS;
+
+    /// @notice Get the totals of the margin pool of an account (see `getAccountSummary` of the exchange).
+    /// @param balances The deposit balances of the exchange.
+    /// @param collaterals The listed collaterals of the exchange.
+    /// @param collateralTokens The listed collateral tokens.
+    /// @param crossTargets The tokens B the accounts opened a position on, by token A.
+    /// @param positionCross The positions of the accounts.
+    /// @param account The address of the account.
+    /// @return summary The totals (see `AccountSummary`).
+    function getAccountSummary(
+        mapping(address => mapping(address => uint256)) storage balances,
+        mapping(address => ILeveragedAMMExchange.Collateral) storage collaterals,
+        address[] storage collateralTokens,
+        mapping(address => mapping(address => address[])) storage crossTargets,
+        mapping(address => mapping(bytes32 => ILeveragedAMMExchange.Position)) storage positionCross,
+        address account
+    ) public view returns (ILeveragedAMMExchange.AccountSummary memory summary) {
+        for (uint256 i = 0; i < collateralTokens.length; i++) {
+            address token = collateralTokens[i];
+            (uint256 marginAmount, uint256 worthAmount, int256 pnlAmount, uint256 positionCount) =
+                _getPositionTotals(crossTargets, positionCross, account, token);
+            uint256 balance = balances[account][token];
+            if (balance == 0 && positionCount == 0) continue;
+            // NOTE: the haircut applies to the margin, the worth value and the PnL are counted in full
+            uint256 price = getCollateralPrice(collaterals, token);
+            uint256 unit = 10 ** IERC20Metadata(token).decimals();
+            uint256 haircutBps = collaterals[token].haircutBps;
+            summary.collateralValue += (balance * price * (BPS - haircutBps)) / unit / BPS;
+            summary.marginValue += (marginAmount * price * (BPS - haircutBps)) / unit / BPS;
+            summary.pnlValue += (pnlAmount * int256(price)) / int256(unit);
+            summary.worthValue += (worthAmount * price) / unit;
+            summary.positionCount += positionCount;
+        }
+        int256 maxWorthValue = _getMaxWorthValue(summary.collateralValue + summary.marginValue, summary.pnlValue);
+        if (maxWorthValue > int256(summary.worthValue)) {
+            summary.remainingValue = uint256(maxWorthValue) - summary.worthValue;
+        }
+    }
+
+    /// @notice Get the remaining value of the margin pool of an account (see `getAccountSummary`), in token A.
+    /// @param balances The deposit balances of the exchange.
+    /// @param collaterals The listed collaterals of the exchange.
+    /// @param collateralTokens The listed collateral tokens.
+    /// @param crossTargets The tokens B the accounts opened a position on, by token A.
+    /// @param positionCross The positions of the accounts.
+    /// @param account The address of the account.
+    /// @param tokenA The address of token A (listed).
+    /// @return The remaining value.
+    function getRemainingValue(
+        mapping(address => mapping(address => uint256)) storage balances,
+        mapping(address => ILeveragedAMMExchange.Collateral) storage collaterals,
+        address[] storage collateralTokens,
+        mapping(address => mapping(address => address[])) storage crossTargets,
+        mapping(address => mapping(bytes32 => ILeveragedAMMExchange.Position)) storage positionCross,
+        address account,
+        address tokenA
+    ) public view returns (uint256) {
+        uint256 remainingValue =
+            getAccountSummary(balances, collaterals, collateralTokens, crossTargets, positionCross, account)
+                .remainingValue;
+        return (remainingValue * (10 ** IERC20Metadata(tokenA).decimals())) / getCollateralPrice(collaterals, tokenA);
+    }
+
+    /// @notice Get the free collateral of an account backing its positions of a listed token A: the deposit balances
+    ///  of the listed collaterals less their haircuts, in token A.
+    /// @dev The deposit balance of token A is counted less its haircut, the other collaterals are converted at their
+    ///  feed prices (the feeds are only read for the other collaterals the account holds).
+    /// @param balances The deposit balances of the exchange.
+    /// @param collaterals The listed collaterals of the exchange.
+    /// @param collateralTokens The listed collateral tokens.
+    /// @param account The address of the account.
+    /// @param tokenA The address of token A (listed).
+    /// @return freeCollateral The free collateral.
+    function getFreeCollateral(
+        mapping(address => mapping(address => uint256)) storage balances,
+        mapping(address => ILeveragedAMMExchange.Collateral) storage collaterals,
+        address[] storage collateralTokens,
+        address account,
+        address tokenA
+    ) public view returns (uint256 freeCollateral) {
+        uint256 value;
+        for (uint256 i = 0; i < collateralTokens.length; i++) {
+            address token = collateralTokens[i];
+            uint256 balance = balances[account][token];
+            if (token == tokenA || balance == 0) continue;
+            value += (balance * getCollateralPrice(collaterals, token) * (BPS - collaterals[token].haircutBps))
+                / (10 ** IERC20Metadata(token).decimals()) / BPS;
+        }
+        freeCollateral = (balances[account][tokenA] * (BPS - collaterals[tokenA].haircutBps)) / BPS;
+        if (value != 0) {
+            freeCollateral +=
+                (value * (10 ** IERC20Metadata(tokenA).decimals())) / getCollateralPrice(collaterals, tokenA);
+        }
+    }
+
+    /// @notice Charge the free collateral used up by the liquidation of a position to the margin pool of an account.
+    /// @dev The deposit balance of token A pays first. The liquidator then buys the other collaterals of the account
+    ///  (in listing order) at their feed prices, paying for them in token A from its deposit balance
+    ///  (`CollateralSeized`). Whatever the collaterals cannot pay is bad debt.
+    /// @param balances The deposit balances of the exchange.
+    /// @param collaterals The listed collaterals of the exchange.
+    /// @param collateralTokens The listed collateral tokens.
+    /// @param account The address of the account owning the liquidated position.
+    /// @param liquidator The address of the liquidator.
+    /// @param tokenA The address of token A (listed).
+    /// @param amount The amount of token A to charge.
+    /// @return paid The amount of token A paid (the account and the liquidator together).
+    function chargeFreeCollateral(
+        mapping(address => mapping(address => uint256)) storage balances,
+        mapping(address => ILeveragedAMMExchange.Collateral) storage collaterals,
+        address[] storage collateralTokens,
+        address account,
+        address liquidator,
+        address tokenA,
+        uint256 amount
+    ) public returns (uint256 paid) {
+        uint256 balance = balances[account][tokenA];
+        paid = Math.min(amount, balance);
+        balances[account][tokenA] = balance - paid;
+        for (uint256 i = 0; i < collateralTokens.length && paid < amount; i++) {
+            address token = collateralTokens[i];
+            balance = balances[account][token];
+            if (token == tokenA || balance == 0) continue;
+            // NOTE: the collateral worth the amount left (rounded up), at most all of it
+            uint256 priceA = getCollateralPrice(collaterals, tokenA) * (10 ** IERC20Metadata(token).decimals());
+            uint256 price = getCollateralPrice(collaterals, token) * (10 ** IERC20Metadata(tokenA).decimals());
+            uint256 seized = Math.min(Math.ceilDiv((amount - paid) * priceA, price), balance);
+            uint256 seizedValue = Math.min((seized * price) / priceA, amount - paid);
+
+            uint256 liquidatorBalance = balances[liquidator][tokenA];
+            if (liquidatorBalance < seizedValue) revert ILeveragedAMMExchange.InsufficientAmount(liquidatorBalance);
+            balances[liquidator][tokenA] = liquidatorBalance - seizedValue;
+            balances[liquidator][token] += seized;
+            balances[account][token] = balance - seized;
+            paid += seizedValue;
+            emit ILeveragedAMMExchange.CollateralSeized(account, liquidator, token, seized, seizedValue);
+        }
+    }
+
+    /// @notice Check the margin pool of an account once a collateral is withdrawn: the margin must cover the worth
+    ///  value of the positions (reverts with `InsufficientCollateralValue`).
+    /// @dev A listed collateral is checked against the whole pool (see `getAccountSummary`). Any other token is
+    ///  checked against the positions it is token A of, which its deposit balance backs alone (in token A).
+    /// @param balances The deposit balances of the exchange.
+    /// @param collaterals The listed collaterals of the exchange.
+    /// @param collateralTokens The listed collateral tokens.
+    /// @param crossTargets The tokens B the accounts opened a position on, by token A.
+    /// @param positionCross The positions of the accounts.
+    /// @param account The address of the account.
+    /// @param token The address of the withdrawn token.
+    /// @param listed Whether the token is a listed collateral.
+    function checkWithdrawal(
+        mapping(address => mapping(address => uint256)) storage balances,
+        mapping(address => ILeveragedAMMExchange.Collateral) storage collaterals,
+        address[] storage collateralTokens,
+        mapping(address => mapping(address => address[])) storage crossTargets,
+        mapping(address => mapping(bytes32 => ILeveragedAMMExchange.Position)) storage positionCross,
+        address account,
+        address token,
+        bool listed
+    ) public view {
+        uint256 worthValue;
+        int256 maxWorthValue;
+        if (listed) {
+            ILeveragedAMMExchange.AccountSummary memory summary =
+                getAccountSummary(balances, collaterals, collateralTokens, crossTargets, positionCross, account);
+            worthValue = summary.worthValue;
+            maxWorthValue = _getMaxWorthValue(summary.collateralValue + summary.marginValue, summary.pnlValue);
+        } else {
+            (uint256 marginAmount, uint256 worthAmount, int256 pnlAmount,) =
+                _getPositionTotals(crossTargets, positionCross, account, token);
+            worthValue = worthAmount;
+            maxWorthValue = _getMaxWorthValue(balances[account][token] + marginAmount, pnlAmount);
+        }
+        if (int256(worthValue) > maxWorthValue) {
+            revert ILeveragedAMMExchange.InsufficientCollateralValue(
+                worthValue, maxWorthValue > 0 ? uint256(maxWorthValue) : 0
+            );
+        }
+    }
+
+    /// @notice Get the price of a listed collateral token: the answer of its feed, or par without a feed.
+    /// @param collaterals The listed collaterals of the exchange.
+    /// @param token The address of the collateral token.
+    /// @return The price of a whole token in the common unit, with `PRICE_DECIMALS` decimals.
+    function getCollateralPrice(mapping(address => ILeveragedAMMExchange.Collateral) storage collaterals, address token)
+        internal
+        view
+        returns (uint256)
+    {
+        ILeveragedAMMExchange.Collateral storage collateral = collaterals[token];
+        if (collateral.feed == address(0)) return 10 ** PRICE_DECIMALS;
+        return LeveragedAMMOracle.getFeedPrice(collateral.feed, collateral.maxStaleness);
+    }
+
+    /// @notice Get the totals of the open positions of an account with a token A.
+    /// @param crossTargets The tokens B the accounts opened a position on, by token A.
+    /// @param positionCross The positions of the accounts.
+    /// @param account The address of the account.
+    /// @param token The address of token A.
+    /// @return marginAmount The collateral of the positions.
+    /// @return worthAmount The collateral worth value of the positions.
+    /// @return pnlAmount The unrealized PnL of the positions (see `_getPositionPnl`).
+    /// @return positionCount The number of open positions.
+    function _getPositionTotals(
+        mapping(address => mapping(address => address[])) storage crossTargets,
+        mapping(address => mapping(bytes32 => ILeveragedAMMExchange.Position)) storage positionCross,
+        address account,
+        address token
+    ) private view returns (uint256 marginAmount, uint256 worthAmount, int256 pnlAmount, uint256 positionCount) {
+        address[] storage targets = crossTargets[account][token];
+        for (uint256 j = 0; j < targets.length; j++) {
+            ILeveragedAMMExchange.Position storage position =
+                positionCross[account][keccak256(abi.encodePacked(token, targets[j]))];
+            if (position.positionValue == 0) continue;
+            marginAmount += position.collateralAmount;
+            worthAmount += position.collateralWorthValue;
+            pnlAmount += _getPositionPnl(position, account, token, targets[j]);
+            positionCount++;
+        }
+    }
+
+    /// @notice Get the unrealized PnL of a position, settled with the pair (as `getPositionMarginRatio` does without a
+    ///  feed) and with its accrued funding.
+    /// @dev A long gains the amount returned by selling its token B over its worth value, a short the worth value over
+    ///  the cost of buying its token B back (see the quotes of the exchange).
+    /// @param position The position.
+    /// @param account The address of the account owning the position.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @return pnl The unrealized PnL, in token A (negative: a loss).
+    function _getPositionPnl(
+        ILeveragedAMMExchange.Position storage position,
+        address account,
+        address tokenA,
+        address tokenB
+    ) private view returns (int256 pnl) {
+        ILeveragedAMMExchange exchange = ILeveragedAMMExchange(address(this));
+        uint256 positionValue = position.positionValue;
+        if (position.side == ILeveragedAMMExchange.Side.LONG) {
+            (uint256 settledAmount,) = exchange.getAmountCollateralReturn(tokenA, tokenB, positionValue, 1);
+            pnl = int256(settledAmount) - int256(position.collateralWorthValue);
+        } else {
+            uint256 settledAmount = exchange.getAmountInForOut(tokenA, tokenB, positionValue, 1);
+            pnl = int256(position.collateralWorthValue) - int256(settledAmount);
+        }
+        pnl -= exchange.getPositionFunding(account, tokenA, tokenB, 0);
+    }
+
+    /// @notice Get the worth value a margin can back: `(margin + pnl) * MAX_LEVERAGE`.
+    /// @param margin The margin (collateral and position margin, less their haircuts).
+    /// @param pnl The unrealized PnL of the positions.
+    /// @return The maximum worth value (negative when the losses exceed the margin).
+    function _getMaxWorthValue(uint256 margin, int256 pnl) private pure returns (int256) {
+        return (int256(margin) + pnl) * int256(uint256(MAX_LEVERAGE));
+    }
+}
@@ -0,0 +1,322 @@
+// SPDX-License-Identifier: MIT
+// NOTE: 0.8.22 emits the events of the exchange interface from the library (the exchanges need ^0.8.20)
+pragma solidity ^0.8.22;
+
+import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+
+import {ILeveragedAMMExchange} from "./ILeveragedAMMExchange.sol";
+import {IAggregatorV3} from "./IAggregatorV3.sol";
+import {LeveragedAMMConstants} from "./LeveragedAMMConstants.sol";
+
+/// @title Price feeds and funding of the pairs of the exchanges (see `LeveragedAMMExchange`).
+/// @notice The feed of a pair (its index price) marks the positions for the margin checks, and the premium of the
+///  pair price over it sets the funding rate of the pair, accrued once per `FUNDING_INTERVAL`.
+/// @dev An external library, linked to the exchanges at deployment (which keeps them under the contract size limit of
+///  EIP-170). Its functions run on the storage of the exchange.
+library LeveragedAMMOracle {
+    /// @dev The constants of the exchange (see `LeveragedAMMConstants`).
+    uint256 internal constant BPS = LeveragedAMMConstants.BPS;
+    uint8 internal constant PRICE_DECIMALS = LeveragedAMMConstants.PRICE_DECIMALS;
+    uint256 internal constant FUNDING_INTERVAL = LeveragedAMMConstants.FUNDING_INTERVAL;
+    uint256 internal constant MAX_FUNDING_RATE_BPS = LeveragedAMMConstants.MAX_FUNDING_RATE_BPS;
+
+    /// @notice Accrue the funding of a pair for the interval that just ended (see `pokeFunding` of the exchange).
+    /// @param pairs The pairs of the exchange.
+    /// @param pairOracles The price feeds of the pairs.
+    /// @param pairFunding The funding state of the pairs.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    function pokeFunding(
+        mapping(address => mapping(address => ILeveragedAMMExchange.Pair)) storage pairs,
+        mapping(address => mapping(address => ILeveragedAMMExchange.PairOracle)) storage pairOracles,
+        mapping(address => mapping(address => ILeveragedAMMExchange.PairFunding)) storage pairFunding,
+        address tokenA,
+        address tokenB
+    ) public {
+        ILeveragedAMMExchange.PairFunding storage funding = pairFunding[tokenA][tokenB];
+        uint256 lastFundingTime = funding.lastFundingTime;
+        if (lastFundingTime == 0) {
+            // NOTE: the first poke starts the funding of the pair
+            funding.lastFundingTime = block.timestamp;
+            emit ILeveragedAMMExchange.FundingUpdated(tokenA, tokenB, 0, funding.cumulativeIndex, 0);
+            return;
+        }
+        if (block.timestamp < lastFundingTime + FUNDING_INTERVAL) {
+            revert ILeveragedAMMExchange.FundingNotDue(lastFundingTime + FUNDING_INTERVAL);
+        }
+
+        uint256 intervals = (block.timestamp - lastFundingTime) / FUNDING_INTERVAL;
+        int256 rate = getFundingRate(pairs, pairOracles, tokenA, tokenB);
+        funding.cumulativeIndex += rate;
+        funding.rate = rate;
+        funding.lastFundingTime = lastFundingTime + intervals * FUNDING_INTERVAL;
+        emit ILeveragedAMMExchange.FundingUpdated(tokenA, tokenB, rate, funding.cumulativeIndex, intervals);
+    }
+
+    /// @notice Get the price of the feed of a pair, checked against its guards (see `getOraclePrice` of the
+    ///  exchange).
+    /// @param pairs The pairs of the exchange.
+    /// @param pairOracles The price feeds of the pairs.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @return price The price of token B in token A, with `PRICE_DECIMALS` decimals (0 without a feed).
+    function getOraclePrice(
+        mapping(address => mapping(address => ILeveragedAMMExchange.Pair)) storage pairs,
+        mapping(address => mapping(address => ILeveragedAMMExchange.PairOracle)) storage pairOracles,
+        address tokenA,
+        address tokenB
+    ) public view returns (uint256 price) {
+        ILeveragedAMMExchange.PairOracle storage oracle = pairOracles[tokenA][tokenB];
+        if (oracle.feed == address(0)) return 0;
+        price = getFeedPrice(oracle.feed, oracle.maxStaleness);
+        uint256 maxDeviationBps = oracle.maxDeviationBps;
+        if (maxDeviationBps != 0) {
+            uint256 pairPrice = _getPairPrice(pairs, tokenA, tokenB);
+            uint256 spread = price > pairPrice ? price - pairPrice : pairPrice - price;
+            if (spread * BPS > maxDeviationBps * price) {
+                revert ILeveragedAMMExchange.OraclePriceDeviation(price, pairPrice);
+            }
+        }
+    }
+
+    /// @notice Get the funding rate of a pair: the premium of the pair price over the feed price, bounded by
+    ///  `MAX_FUNDING_RATE_BPS`.
+    /// @dev The feed price is checked for validity and staleness, but not for deviation: a large premium is what the
+    ///  funding pulls back (at the bounded rate).
+    /// @param pairs The pairs of the exchange.
+    /// @param pairOracles The price feeds of the pairs.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @return rate The funding rate, with `PRICE_DECIMALS` decimals (0 without a feed).
+    function getFundingRate(
+        mapping(address => mapping(address => ILeveragedAMMExchange.Pair)) storage pairs,
+        mapping(address => mapping(address => ILeveragedAMMExchange.PairOracle)) storage pairOracles,
+        address tokenA,
+        address tokenB
+    ) public view returns (int256 rate) {
+        ILeveragedAMMExchange.PairOracle storage oracle = pairOracles[tokenA][tokenB];
+        if (oracle.feed == address(0)) return 0;
+        uint256 indexPrice = getFeedPrice(oracle.feed, oracle.maxStaleness);
+        rate = ((int256(_getPairPrice(pairs, tokenA, tokenB)) - int256(indexPrice)) * int256(10 ** PRICE_DECIMALS))
+            / int256(indexPrice);
+        int256 maxRate = int256((10 ** PRICE_DECIMALS) * MAX_FUNDING_RATE_BPS / BPS);
+        if (rate > maxRate) rate = maxRate;
+        else if (rate < -maxRate) rate = -maxRate;
+    }
+
+    /// @notice Settle the funding of a position with the pair: the funding paid is taken from the deposit balance
+    ///  of the account (at most `available`) and added to the funding pool of the pair, the funding received is paid
+    ///  from the funding pool of the pair (at most all of it).
+    /// @dev The caller moves the funding index of the position to the cumulative index of the pair, less the funding
+    ///  left unsettled (see `_resetFundingIndex` of the exchange).
+    /// @param balances The deposit balances of the exchange.
+    /// @param fundingPools The funding pools of the pairs.
+    /// @param account The address of the account owning the position.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param posId The ID of the position (0 in CROSS mode).
+    /// @param funding The funding accrued by the position (see `getFunding`).
+    /// @param available The amount of the deposit balance the funding can be paid from.
+    /// @return unsettled The funding left unsettled: beyond `available` (paid), or beyond the funding pool (received).
+    function settleFunding(
+        mapping(address => mapping(address => uint256)) storage balances,
+        mapping(address => mapping(address => uint256)) storage fundingPools,
+        address account,
+        address tokenA,
+        address tokenB,
+        uint256 posId,
+        int256 funding,
+        uint256 available
+    ) public returns (int256 unsettled) {
+        if (funding == 0) return 0;
+        uint256 amount;
+        int256 settled;
+        // NOTE: the funding pool is kept apart from the fees of the pair, which the owner collects
+        if (funding > 0) {
+            amount = uint256(funding) < available ? uint256(funding) : available;
+            balances[account][tokenA] -= amount;
+            fundingPools[tokenA][tokenB] += amount;
+            settled = int256(amount);
+        } else {
+            uint256 pool = fundingPools[tokenA][tokenB];
+            amount = uint256(-funding) < pool ? uint256(-funding) : pool;
+            fundingPools[tokenA][tokenB] = pool - amount;
+            balances[account][tokenA] += amount;
+            settled = -int256(amount);
+        }
+        emit ILeveragedAMMExchange.FundingSettled(account, tokenA, tokenB, posId, settled);
+        return funding - settled;
+    }
+
+    /// @notice Move the funding index of a position to the cumulative index of the pair, less the funding it left
+    ///  unsettled, which stays accrued on the position (see `getPositionFunding` of the exchange) until it is settled
+    ///  again.
+    /// @dev The funding owed is rounded up and the funding due down. A position closed in full (no worth value left)
+    ///  keeps nothing: the funding it could not pay is bad debt, as with a liquidation.
+    /// @param pairFunding The funding state of the pairs.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param position The position, with its updated worth value.
+    /// @param unsettled The funding left unsettled (see `settleFunding`).
+    function resetFundingIndex(
+        mapping(address => mapping(address => ILeveragedAMMExchange.PairFunding)) storage pairFunding,
+        address tokenA,
+        address tokenB,
+        ILeveragedAMMExchange.Position storage position,
+        int256 unsettled
+    ) public {
+        int256 index = pairFunding[tokenA][tokenB].cumulativeIndex;
+        uint256 worthValue = position.collateralWorthValue;
+        if (unsettled != 0 && worthValue != 0) {
+            int256 shift = unsettled > 0
+                ? int256(Math.ceilDiv(uint256(unsettled) * (10 ** PRICE_DECIMALS), worthValue))
+                : -int256((uint256(-unsettled) * (10 ** PRICE_DECIMALS)) / worthValue);
+            // NOTE: a long accrues the index change, a short its opposite
+            index = position.side == ILeveragedAMMExchange.Side.LONG ? index - shift : index + shift;
+        }
+        position.fundingIndex = index;
+    }
+
+    /// @notice Get the equity and the margin ratio of a position, settled at the current reserves (or marked at the
+    ///  feed price of the pair, with its accrued funding).
+    /// @dev A long returns the leveraged amount of selling its token B, and owes the borrowed
+    ///  `collateralWorthValue - collateralAmount`. A short holds its collateral and the proceeds of the sold token B,
+    ///  and owes the cost of buying it back. The margin ratio is the equity per amount settled with the pair.
+    ///  At the feed price, the amount of a long (or the cost of a short) is the value of its token B, without fee.
+    ///  The funding the position pays is added to its debt, the funding it receives to its returned amount.
+    /// @param pairs The pairs of the exchange.
+    /// @param pairOracles The price feeds of the pairs.
+    /// @param pairFunding The funding state of the pairs.
+    /// @param position The position.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param freeCollateral The free collateral backing the position (see `_getFreeCollateral` of the exchange).
+    /// @param marked Whether to mark the position: at the feed price of the pair (if any), with its accrued funding.
+    /// @return returnedAmount The amount of token A the position settles from.
+    /// @return debt The amount of token A the position owes.
+    /// @return equity The equity backing the position (0 with bad debt).
+    /// @return marginRatio The margin ratio in basis points (0 if nothing can be settled).
+    function getPositionMargin(
+        mapping(address => mapping(address => ILeveragedAMMExchange.Pair)) storage pairs,
+        mapping(address => mapping(address => ILeveragedAMMExchange.PairOracle)) storage pairOracles,
+        mapping(address => mapping(address => ILeveragedAMMExchange.PairFunding)) storage pairFunding,
+        ILeveragedAMMExchange.Position memory position,
+        address tokenA,
+        address tokenB,
+        uint256 freeCollateral,
+        bool marked
+    ) public view returns (uint256 returnedAmount, uint256 debt, uint256 equity, uint256 marginRatio) {
+        // NOTE: settled with the quotes of the exchange at leverage 1, i.e. the leveraged amounts of the pair
+        ILeveragedAMMExchange exchange = ILeveragedAMMExchange(address(this));
+        uint256 oraclePrice = marked ? getOraclePrice(pairs, pairOracles, tokenA, tokenB) : 0;
+        uint256 settledAmount;
+        if (oraclePrice != 0) settledAmount = _getOracleValue(tokenA, tokenB, position.positionValue, oraclePrice);
+        if (position.side == ILeveragedAMMExchange.Side.LONG) {
+            if (oraclePrice == 0) {
+                (settledAmount,) = exchange.getAmountCollateralReturn(tokenA, tokenB, position.positionValue, 1);
+            }
+            returnedAmount = settledAmount;
+            debt = position.collateralWorthValue - position.collateralAmount;
+        } else {
+            returnedAmount = position.collateralWorthValue + position.collateralAmount;
+            if (oraclePrice == 0) settledAmount = exchange.getAmountInForOut(tokenA, tokenB, position.positionValue, 1);
+            debt = settledAmount;
+        }
+        if (marked) {
+            int256 funding = getFunding(pairFunding, tokenA, tokenB, position);
+            if (funding > 0) debt += uint256(funding);
+            else returnedAmount += uint256(-funding);
+        }
+        if (returnedAmount + freeCollateral > debt) equity = returnedAmount + freeCollateral - debt;
+        if (settledAmount != 0) marginRatio = (equity * BPS) / settledAmount;
+    }
+
+    /// @notice Get the mark price of a position (see `getMarkPrice` of the exchange).
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param position The position.
+    /// @return The mark price (0 if the position cannot be settled).
+    function getMarkPrice(address tokenA, address tokenB, ILeveragedAMMExchange.Position memory position)
+        public
+        view
+        returns (uint256)
+    {
+        ILeveragedAMMExchange exchange = ILeveragedAMMExchange(address(this));
+        uint256 settledAmount;
+        if (position.side == ILeveragedAMMExchange.Side.LONG) {
+            (settledAmount,) = exchange.getAmountCollateralReturn(tokenA, tokenB, position.positionValue, 1);
+        } else {
+            settledAmount = exchange.getAmountInForOut(tokenA, tokenB, position.positionValue, 1);
+        }
+        uint256 normalizedAmountA = settledAmount * (10 ** (18 - IERC20Metadata(tokenA).decimals()));
+        uint256 normalizedAmountB = position.positionValue * (10 ** (18 - IERC20Metadata(tokenB).decimals()));
+        return (normalizedAmountA * (10 ** PRICE_DECIMALS)) / normalizedAmountB;
+    }
+
+    /// @notice Get the funding accrued by a position since it was last settled (see `getPositionFunding` of the
+    ///  exchange).
+    /// @dev The funding of an interval is its rate times the collateral worth value of the position.
+    /// @param pairFunding The funding state of the pairs.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param position The position.
+    /// @return The funding the position pays (positive) or receives (negative), in token A.
+    function getFunding(
+        mapping(address => mapping(address => ILeveragedAMMExchange.PairFunding)) storage pairFunding,
+        address tokenA,
+        address tokenB,
+        ILeveragedAMMExchange.Position memory position
+    ) internal view returns (int256) {
+        int256 funding = (int256(position.collateralWorthValue)
+                * (pairFunding[tokenA][tokenB].cumulativeIndex - position.fundingIndex)) / int256(10 ** PRICE_DECIMALS);
+        return position.side == ILeveragedAMMExchange.Side.LONG ? funding : -funding;
+    }
+
+    /// @notice Get the answer of a feed with `PRICE_DECIMALS` decimals, checked for validity and staleness.
+    /// @param feed The aggregator.
+    /// @param maxStaleness The maximum age (seconds) of the answer (0: no bound).
+    /// @return The price.
+    function getFeedPrice(address feed, uint256 maxStaleness) internal view returns (uint256) {
+        (, int256 answer,, uint256 updatedAt,) = IAggregatorV3(feed).latestRoundData();
+        if (answer <= 0) revert ILeveragedAMMExchange.InvalidOraclePrice(answer);
+        if (maxStaleness != 0 && block.timestamp > updatedAt + maxStaleness) {
+            revert ILeveragedAMMExchange.StaleOraclePrice(updatedAt);
+        }
+        return (uint256(answer) * (10 ** PRICE_DECIMALS)) / (10 ** IAggregatorV3(feed).decimals());
+    }
+
+    /// @notice Get the amount of token A worth an amount of token B at a feed price.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @param amount The amount of token B.
+    /// @param price The price of token B in token A, with `PRICE_DECIMALS` decimals.
+    /// @return The amount of token A.
+    function _getOracleValue(address tokenA, address tokenB, uint256 amount, uint256 price)
+        private
+        view
+        returns (uint256)
+    {
+        uint256 decimalsTokenA = IERC20Metadata(tokenA).decimals();
+        uint256 decimalsTokenB = IERC20Metadata(tokenB).decimals();
+        return (amount * price * (10 ** decimalsTokenA)) / (10 ** (PRICE_DECIMALS + decimalsTokenB));
+    }
+
+    /// @notice Get the pair price with `PRICE_DECIMALS` decimals (`getPairPrice` of the exchange has none).
+    /// @param pairs The pairs of the exchange.
+    /// @param tokenA The address of token A.
+    /// @param tokenB The address of token B.
+    /// @return pairPrice The price of token B in token A (0 for an empty pair).
+    function _getPairPrice(
+        mapping(address => mapping(address => ILeveragedAMMExchange.Pair)) storage pairs,
+        address tokenA,
+        address tokenB
+    ) private view returns (uint256 pairPrice) {
+        ILeveragedAMMExchange.Pair storage pair = pairs[tokenA][tokenB];
+        uint256 reserveB = pair.reserveB;
+        if (reserveB != 0) {
+            pairPrice = (pair.reserveA * (10 ** (PRICE_DECIMALS + IERC20Metadata(tokenB).decimals())))
+                / (reserveB * (10 ** IERC20Metadata(tokenA).decimals()));
+        }
+    }
+}
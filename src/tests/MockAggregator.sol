@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IAggregatorV3} from "../IAggregatorV3.sol";
+
+/// @title A price feed whose answers are pushed by anyone, for local networks and tests only.
+contract MockAggregator is IAggregatorV3 {
+    struct Round {
+        int256 answer;
+        uint256 updatedAt;
+    }
+
+    uint8 public immutable decimals;
+    string public description;
+    uint256 public constant version = 1;
+
+    /// @notice The ID of the latest round.
+    uint80 public latestRound;
+    mapping(uint80 => Round) internal rounds;
+
+    event AnswerUpdated(int256 indexed current, uint256 indexed roundId, uint256 updatedAt);
+
+    error RoundNotFound(uint80 roundId);
+
+    constructor(uint8 _decimals, string memory _description, int256 initialAnswer) {
+        decimals = _decimals;
+        description = _description;
+        setPrice(initialAnswer);
+    }
+
+    /// @notice Push a new answer, updated now.
+    /// @param answer The price, with `decimals` decimals.
+    function setPrice(int256 answer) public {
+        setRoundData(answer, block.timestamp);
+    }
+
+    /// @notice Push a new answer with its update time (e.g. in the past, to test the staleness of the feed).
+    /// @param answer The price, with `decimals` decimals.
+    /// @param updatedAt The timestamp at which the answer was computed.
+    function setRoundData(int256 answer, uint256 updatedAt) public {
+        latestRound++;
+        rounds[latestRound] = Round({answer: answer, updatedAt: updatedAt});
+        emit AnswerUpdated(answer, latestRound, updatedAt);
+    }
+
+    function getRoundData(uint80 roundId) public view returns (uint80, int256, uint256, uint256, uint80) {
+        if (roundId == 0 || roundId > latestRound) revert RoundNotFound(roundId);
+        Round memory round = rounds[roundId];
+        return (roundId, round.answer, round.updatedAt, round.updatedAt, roundId);
+    }
+
+    function latestRoundData() external view returns (uint80, int256, uint256, uint256, uint80) {
+        return getRoundData(latestRound);
+    }
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title The `aggregate3` batch of Multicall3 (and its ETH balance and block timestamp reads), for local networks and
+///  tests only.
+/// @notice Public networks have Multicall3 at 0xcA11bde05977b3631167028862bE2a173976CA11, whose functions have the
+///  same ABI.
+contract Multicall3 {
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    error CallFailed(uint256 index);
+
+    /// @notice Make several calls in a single one (read with `eth_call`, so that they see the same block).
+    /// @param calls The calls: a failed call reverts the batch, unless it allows failure.
+    /// @return returnData The success and the return data (or revert data) of every call.
+    function aggregate3(Call3[] calldata calls) external payable returns (Result[] memory returnData) {
+        returnData = new Result[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            Call3 calldata call = calls[i];
+            (returnData[i].success, returnData[i].returnData) = call.target.call(call.callData);
+            if (!returnData[i].success && !call.allowFailure) revert CallFailed(i);
+        }
+    }
+
+    /// @notice The ETH balance of an account, so that it can be read in a batch.
+    function getEthBalance(address addr) external view returns (uint256 balance) {
+        balance = addr.balance;
+    }
+
+    /// @notice The timestamp of the block, so that it can be read in a batch.
+    function getCurrentBlockTimestamp() external view returns (uint256 timestamp) {
+        timestamp = block.timestamp;
+    }
+}
@@ -2,8 +2,10 @@
 pragma solidity ^0.8.20;
 
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
 import {Test, stdError, console} from "forge-std/Test.sol";
 import {MyToken} from "../src/tests/MyToken.sol";
+import {MockAggregator} from "../src/tests/MockAggregator.sol";
 import {LeveragedAMMExchangeCrossMode} from "../src/LeveragedAMMExchangeCrossMode.sol";
 import {ILeveragedAMMExchange} from "../src/ILeveragedAMMExchange.sol";
 
@@ -24,6 +26,9 @@ contract LeveragedAMMExchangeTest is Test {
         tokenB = address(wethContract);
         tradingPairSymbol = "WETH/USDC";
         maxLeverage = leveragedAMMExchange.MAX_LEVERAGE();
+        // NOTE: createPair/addReserves pull the reserves from the caller
+        IERC20(tokenA).approve(address(leveragedAMMExchange), type(uint256).max);
+        IERC20(tokenB).approve(address(leveragedAMMExchange), type(uint256).max);
     }
 
     function test_MaxLeverage() public view {
@@ -38,9 +43,21 @@ contract LeveragedAMMExchangeTest is Test {
         assertEq(reserveA, 10000);
         assertEq(reserveB, 1000);
         assertEq(leveragedAMMExchange.pairCount(), 1);
+
+        // sqrt(10000 * 1000) = 3162 shares, of which MINIMUM_LIQUIDITY are locked
+        (uint256 shares, uint256 depositedA, uint256 depositedB) =
+            leveragedAMMExchange.liquidity(tokenA, tokenB, address(this));
+        assertEq(shares, 2162);
+        assertEq(depositedA, 10000);
+        assertEq(depositedB, 1000);
+        assertEq(leveragedAMMExchange.totalShares(tokenA, tokenB), 3162);
+        assertEq(IERC20(tokenA).balanceOf(address(leveragedAMMExchange)), 10000);
+        assertEq(IERC20(tokenB).balanceOf(address(leveragedAMMExchange)), 1000);
     }
 
     function test_CreatePair_Failed() public {
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InsufficientShares.selector, 1000));
+        leveragedAMMExchange.createPair(tokenA, tokenB, 1000, 1000);
         leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
         vm.expectRevert(ILeveragedAMMExchange.InvalidTokenAddress.selector);
         leveragedAMMExchange.createPair(tokenA, address(0), 10000, 1000);
@@ -64,9 +81,36 @@ contract LeveragedAMMExchangeTest is Test {
         (, uint256 reserveA, uint256 reserveB) = leveragedAMMExchange.pairs(tokenA, tokenB);
         assertEq(reserveA, 11000);
         assertEq(reserveB, 1100);
+
+        // min(1000 * 3162 / 10000, 100 * 3162 / 1000) = 316 shares
+        (uint256 shares, uint256 depositedA, uint256 depositedB) =
+            leveragedAMMExchange.liquidity(tokenA, tokenB, address(this));
+        assertEq(shares, 2478);
+        assertEq(depositedA, 11000);
+        assertEq(depositedB, 1100);
+        assertEq(leveragedAMMExchange.totalShares(tokenA, tokenB), 3478);
+
+        // The excess of token B is donated to the pair
+        address provider = makeAddr("provider");
+        IERC20(tokenA).transfer(provider, 1100);
+        IERC20(tokenB).transfer(provider, 1000);
+        vm.startPrank(provider);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 1100);
+        IERC20(tokenB).approve(address(leveragedAMMExchange), 1000);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.AddLiquidity(provider, tokenA, tokenB, 1100, 1000, 347);
+        leveragedAMMExchange.addReserves(tokenA, tokenB, 1100, 1000);
+        vm.stopPrank();
+        (shares,,) = leveragedAMMExchange.liquidity(tokenA, tokenB, provider);
+        assertEq(shares, 347);
+        (uint256 amountA, uint256 amountB) = leveragedAMMExchange.getLiquidityValue(provider, tokenA, tokenB);
+        assertEq(amountA, 1097);
+        assertEq(amountB, 190);
     }
 
     function test_AddReserves_Failed() public {
+        vm.expectRevert(ILeveragedAMMExchange.PairNotFound.selector);
+        leveragedAMMExchange.addReserves(tokenA, tokenB, 1000, 100);
         leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
         vm.expectRevert(ILeveragedAMMExchange.InvalidTokenAddress.selector);
         leveragedAMMExchange.addReserves(tokenA, address(0), 1000, 100);
@@ -82,6 +126,101 @@ contract LeveragedAMMExchangeTest is Test {
         leveragedAMMExchange.addReserves(tokenA, tokenB, 1000, 0);
     }
 
+    function test_RemoveReserves() public {
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        uint256 balanceA = IERC20(tokenA).balanceOf(address(this));
+        uint256 balanceB = IERC20(tokenB).balanceOf(address(this));
+
+        // Burn half of the shares: 10000 * 1081 / 3162 and 1000 * 1081 / 3162
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.RemoveLiquidity(address(this), tokenA, tokenB, 3418, 341, 1081);
+        leveragedAMMExchange.removeReserves(tokenA, tokenB, 1081);
+        (, uint256 reserveA, uint256 reserveB) = leveragedAMMExchange.pairs(tokenA, tokenB);
+        assertEq(reserveA, 6582);
+        assertEq(reserveB, 659);
+        assertEq(IERC20(tokenA).balanceOf(address(this)), balanceA + 3418);
+        assertEq(IERC20(tokenB).balanceOf(address(this)), balanceB + 341);
+
+        (uint256 shares, uint256 depositedA, uint256 depositedB) =
+            leveragedAMMExchange.liquidity(tokenA, tokenB, address(this));
+        assertEq(shares, 1081);
+        assertEq(depositedA, 5000);
+        assertEq(depositedB, 500);
+        assertEq(leveragedAMMExchange.totalShares(tokenA, tokenB), 2081);
+        (uint256 amountA, uint256 amountB) = leveragedAMMExchange.getLiquidityValue(address(this), tokenA, tokenB);
+        assertEq(amountA, 3419);
+        assertEq(amountB, 342);
+
+        // The locked shares keep the reserves from being emptied
+        leveragedAMMExchange.removeReserves(tokenA, tokenB, 1081);
+        (, reserveA, reserveB) = leveragedAMMExchange.pairs(tokenA, tokenB);
+        assertEq(reserveA, 3163);
+        assertEq(reserveB, 317);
+        (shares, depositedA, depositedB) = leveragedAMMExchange.liquidity(tokenA, tokenB, address(this));
+        assertEq(shares, 0);
+        assertEq(depositedA, 0);
+        assertEq(depositedB, 0);
+    }
+
+    function test_RemoveReserves_Failed() public {
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        vm.expectRevert(ILeveragedAMMExchange.InvalidTokenAmount.selector);
+        leveragedAMMExchange.removeReserves(tokenA, tokenB, 0);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InsufficientShares.selector, 2162));
+        leveragedAMMExchange.removeReserves(tokenA, tokenB, 2163);
+        vm.prank(makeAddr("provider"));
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InsufficientShares.selector, 0));
+        leveragedAMMExchange.removeReserves(tokenA, tokenB, 1);
+    }
+
+    function test_RemoveReserves_OpenPosition() public {
+        address trader = makeAddr("trader");
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        IERC20(tokenA).transfer(trader, 100);
+        vm.startPrank(trader);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 100);
+        leveragedAMMExchange.deposit(tokenA, 100);
+        ILeveragedAMMExchange.Order memory order = ILeveragedAMMExchange.Order({
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 100,
+            leverage: maxLeverage,
+            positionMode: ILeveragedAMMExchange.Mode.CROSS,
+            reducePosition: false,
+            closePosition: false,
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 0,
+            side: ILeveragedAMMExchange.Side.LONG
+        });
+        leveragedAMMExchange.swap(order);
+        vm.stopPrank();
+        (, uint256 reserveA,) = leveragedAMMExchange.pairs(tokenA, tokenB);
+        assertEq(reserveA, 11000);
+
+        // Case 1: The shares are paid from the real tokens of the pair: 10000 * 2162 / 3162 and 1000 * 2162 / 3162,
+        //  where reserve A (11000 * 2162 / 3162 = 7521) would pay out 684 of the trader's deposit
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.RemoveLiquidity(address(this), tokenA, tokenB, 6837, 683, 2162);
+        leveragedAMMExchange.removeReserves(tokenA, tokenB, 2162);
+        (uint256 balanceA, uint256 balanceB) = leveragedAMMExchange.pairBalances(tokenA, tokenB);
+        assertEq(balanceA, 3163);
+        assertEq(balanceB, 317);
+
+        // Case 2: The trader closes the position and withdraws all of its deposit balance, the pair keeps the rest
+        order.amount = leveragedAMMExchange.getPositionCross(trader, tokenA, tokenB).positionValue;
+        order.reducePosition = true;
+        vm.startPrank(trader);
+        leveragedAMMExchange.swap(order);
+        uint256 withdrawn = leveragedAMMExchange.balances(trader, tokenA);
+        leveragedAMMExchange.withdraw(tokenA, withdrawn);
+        vm.stopPrank();
+        (balanceA,) = leveragedAMMExchange.pairBalances(tokenA, tokenB);
+        assertEq(balanceA, 3163 + 100 - withdrawn);
+        assertEq(IERC20(tokenA).balanceOf(address(leveragedAMMExchange)), balanceA);
+    }
+
     function test_Deposit() public {
         IERC20(tokenA).approve(address(leveragedAMMExchange), 20);
         leveragedAMMExchange.deposit(tokenA, 20);
@@ -89,6 +228,7 @@ contract LeveragedAMMExchangeTest is Test {
     }
 
     function test_Deposit_Failed() public {
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 0);
         vm.expectRevert();
         leveragedAMMExchange.deposit(tokenA, 20);
     }
@@ -210,7 +350,11 @@ contract LeveragedAMMExchangeTest is Test {
                 positionMode: ILeveragedAMMExchange.Mode.CROSS,
                 reducePosition: false,
                 closePosition: false,
-                closePosIndex: 0
+                closePosId: 0,
+                minAmountOut: 0,
+                maxAmountIn: 0,
+                deadline: 0,
+                side: ILeveragedAMMExchange.Side.LONG
             })
         );
 
@@ -235,6 +379,9 @@ contract LeveragedAMMExchangeTest is Test {
         assertEq(position.collateralWorthValue, amountIn * leverage);
         assertEq(position.positionValue, amountOut);
         assertEq(position.leverage, maxLeverage);
+        assertEq(position.id, 0);
+        assertEq(position.openedAt, block.timestamp);
+        assertEq(position.openedBlock, block.number);
     }
 
     function test_Swap_Reduce_CrossMode() public {
@@ -259,7 +406,11 @@ contract LeveragedAMMExchangeTest is Test {
                 positionMode: ILeveragedAMMExchange.Mode.CROSS,
                 reducePosition: false,
                 closePosition: false,
-                closePosIndex: 0
+                closePosId: 0,
+                minAmountOut: 0,
+                maxAmountIn: 0,
+                deadline: 0,
+                side: ILeveragedAMMExchange.Side.LONG
             })
         );
         (, uint256 reserveA_, uint256 reserveB_) = leveragedAMMExchange.pairs(tokenA, tokenB);
@@ -278,7 +429,11 @@ contract LeveragedAMMExchangeTest is Test {
                 positionMode: ILeveragedAMMExchange.Mode.CROSS,
                 reducePosition: true,
                 closePosition: false,
-                closePosIndex: 0
+                closePosId: 0,
+                minAmountOut: 0,
+                maxAmountIn: 0,
+                deadline: 0,
+                side: ILeveragedAMMExchange.Side.LONG
             })
         );
         uint256 remaingCollateralAmount = amountIn - amountIn_;
@@ -306,6 +461,1403 @@ contract LeveragedAMMExchangeTest is Test {
         assertEq(position.leverage, maxLeverage);
     }
 
+    function test_Margin_CrossMode() public {
+        uint256 depositAmount = 2000;
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), depositAmount);
+        leveragedAMMExchange.deposit(tokenA, depositAmount);
+
+        // Open a position (100 of token A at 10x)
+        ILeveragedAMMExchange.Order memory order = ILeveragedAMMExchange.Order({
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 100,
+            leverage: maxLeverage,
+            positionMode: ILeveragedAMMExchange.Mode.CROSS,
+            reducePosition: false,
+            closePosition: false,
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 0,
+            side: ILeveragedAMMExchange.Side.LONG
+        });
+        leveragedAMMExchange.swap(order);
+        uint256 remainingValue = leveragedAMMExchange.getAccountRemainingValue(address(this), tokenA, tokenB);
+
+        // Case 1: Move margin from the deposit balance to the position (at most its debt)
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.MarginAdded(address(this), tokenA, tokenB, 0, 200);
+        leveragedAMMExchange.addMargin(tokenA, tokenB, 0, 200);
+        ILeveragedAMMExchange.Position memory position =
+            leveragedAMMExchange.getPositionCross(address(this), tokenA, tokenB);
+        assertEq(position.collateralAmount, 300);
+        assertEq(position.collateralWorthValue, 1000);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), depositAmount - 300);
+        assertEq(leveragedAMMExchange.getAccountRemainingValue(address(this), tokenA, tokenB), remainingValue);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InvalidMarginAmount.selector, 700));
+        leveragedAMMExchange.addMargin(tokenA, tokenB, 0, 701);
+        vm.expectRevert(ILeveragedAMMExchange.PositionNotFound.selector);
+        leveragedAMMExchange.addMargin(tokenA, tokenB, 1, 200);
+
+        // Case 2: Move margin back to the deposit balance (at most the margin added above the initial margin)
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InvalidMarginAmount.selector, 200));
+        leveragedAMMExchange.removeMargin(tokenA, tokenB, 0, 201);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.MarginRemoved(address(this), tokenA, tokenB, 0, 50);
+        leveragedAMMExchange.removeMargin(tokenA, tokenB, 0, 50);
+        assertEq(leveragedAMMExchange.getPositionCross(address(this), tokenA, tokenB).collateralAmount, 250);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), depositAmount - 250);
+
+        // Case 3: Reducing the position gives back the added margin pro rata
+        uint256 reduceAmount = position.positionValue / 2;
+        (, uint256 amountIn_) =
+            leveragedAMMExchange.getAmountCollateralReturn(tokenA, tokenB, reduceAmount, maxLeverage);
+        uint256 marginAmount = (150 * reduceAmount) / position.positionValue;
+        order.amount = reduceAmount;
+        order.reducePosition = true;
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.Swap(
+            address(this),
+            tokenB,
+            tokenA,
+            reduceAmount,
+            amountIn_,
+            maxLeverage,
+            ILeveragedAMMExchange.Mode.CROSS,
+            0,
+            ILeveragedAMMExchange.Side.LONG
+        );
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.MarginRemoved(address(this), tokenA, tokenB, 0, marginAmount);
+        leveragedAMMExchange.swap(order);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), depositAmount - 250 + amountIn_ + marginAmount);
+        position = leveragedAMMExchange.getPositionCross(address(this), tokenA, tokenB);
+        assertEq(position.collateralAmount, 250 - amountIn_ - marginAmount);
+
+        // Case 4: The rest of the added margin can still be removed
+        marginAmount = position.collateralAmount - position.collateralWorthValue / maxLeverage;
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.MarginRemoved(address(this), tokenA, tokenB, 0, marginAmount);
+        leveragedAMMExchange.removeMargin(tokenA, tokenB, 0, marginAmount);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InvalidMarginAmount.selector, 0));
+        leveragedAMMExchange.removeMargin(tokenA, tokenB, 0, 1);
+    }
+
+    function test_SetPairFee() public {
+        leveragedAMMExchange.createPair(tokenA, tokenB, 100000, 10000);
+        assertEq(leveragedAMMExchange.owner(), address(this));
+        assertEq(leveragedAMMExchange.pairFees(tokenA, tokenB), 0);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.PairFeeUpdated(tokenA, tokenB, 30);
+        leveragedAMMExchange.setPairFee(tokenA, tokenB, 30);
+        assertEq(leveragedAMMExchange.pairFees(tokenA, tokenB), 30);
+
+        // Check the quotes after the fee of 0.3% (5000, 10000, 9091 and 1515 without fee)
+        assertEq(leveragedAMMExchange.getAmountOutFromIn(tokenA, tokenB, 10000, 10), 4993);
+        assertEq(leveragedAMMExchange.getAmountInForOut(tokenA, tokenB, 5000, 10), 10030);
+        (uint256 leveragedAmount, uint256 collateralAmount) =
+            leveragedAMMExchange.getAmountCollateralReturn(tokenA, tokenB, 1000, 6);
+        assertEq(leveragedAmount, 9064);
+        assertEq(collateralAmount, 1510);
+    }
+
+    function test_SetPairFee_Failed() public {
+        uint256 maxFee = leveragedAMMExchange.MAX_FEE_BPS();
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InvalidFee.selector, maxFee + 1));
+        leveragedAMMExchange.setPairFee(tokenA, tokenB, maxFee + 1);
+        vm.expectRevert(ILeveragedAMMExchange.InvalidTokenAddress.selector);
+        leveragedAMMExchange.setPairFee(address(0), tokenB, 30);
+
+        address user = makeAddr("user");
+        vm.startPrank(user);
+        vm.expectRevert(abi.encodeWithSelector(Ownable.OwnableUnauthorizedAccount.selector, user));
+        leveragedAMMExchange.setPairFee(tokenA, tokenB, 30);
+        vm.expectRevert(abi.encodeWithSelector(Ownable.OwnableUnauthorizedAccount.selector, user));
+        leveragedAMMExchange.collectFees(tokenA, tokenB, user);
+        vm.stopPrank();
+    }
+
+    function test_Swap_Fee_CrossMode() public {
+        uint256 depositAmount = 20000;
+        uint256 amountIn = 10000;
+
+        leveragedAMMExchange.createPair(tokenA, tokenB, 100000, 10000);
+        leveragedAMMExchange.setPairFee(tokenA, tokenB, 30);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), depositAmount);
+        leveragedAMMExchange.deposit(tokenA, depositAmount);
+
+        // Case 1: Open position (the fee of 300 is taken from the leveraged input)
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.Swap(
+            address(this),
+            tokenA,
+            tokenB,
+            amountIn,
+            4993,
+            maxLeverage,
+            ILeveragedAMMExchange.Mode.CROSS,
+            300,
+            ILeveragedAMMExchange.Side.LONG
+        );
+        leveragedAMMExchange.swap(
+            ILeveragedAMMExchange.Order({
+                tokenA: tokenA,
+                tokenB: tokenB,
+                amount: amountIn,
+                leverage: maxLeverage,
+                positionMode: ILeveragedAMMExchange.Mode.CROSS,
+                reducePosition: false,
+                closePosition: false,
+                closePosId: 0,
+                minAmountOut: 0,
+                maxAmountIn: 0,
+                deadline: 0,
+                side: ILeveragedAMMExchange.Side.LONG
+            })
+        );
+        (, uint256 reserveA, uint256 reserveB) = leveragedAMMExchange.pairs(tokenA, tokenB);
+        assertEq(reserveA, 100000 + amountIn * maxLeverage - 300);
+        assertEq(reserveB, 10000 - 4993);
+        assertEq(leveragedAMMExchange.accruedFees(tokenA, tokenB), 300);
+        assertEq(leveragedAMMExchange.getPositionCross(address(this), tokenA, tokenB).collateralWorthValue, 100000);
+
+        // Case 2: Reduce position (the fee of 299 is taken from the returned amount of 99711)
+        (uint256 leveragedAmount, uint256 amountIn_) =
+            leveragedAMMExchange.getAmountCollateralReturn(tokenA, tokenB, 4993, maxLeverage);
+        assertEq(leveragedAmount, 99412);
+        assertEq(amountIn_, 9941);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.Swap(
+            address(this),
+            tokenB,
+            tokenA,
+            4993,
+            amountIn_,
+            maxLeverage,
+            ILeveragedAMMExchange.Mode.CROSS,
+            299,
+            ILeveragedAMMExchange.Side.LONG
+        );
+        leveragedAMMExchange.swap(
+            ILeveragedAMMExchange.Order({
+                tokenA: tokenA,
+                tokenB: tokenB,
+                amount: 4993,
+                leverage: maxLeverage,
+                positionMode: ILeveragedAMMExchange.Mode.CROSS,
+                reducePosition: true,
+                closePosition: false,
+                closePosId: 0,
+                minAmountOut: 0,
+                maxAmountIn: 0,
+                deadline: 0,
+                side: ILeveragedAMMExchange.Side.LONG
+            })
+        );
+        (, uint256 reserveA_, uint256 reserveB_) = leveragedAMMExchange.pairs(tokenA, tokenB);
+        assertEq(reserveA_, reserveA - leveragedAmount - 299);
+        assertEq(reserveB_, 10000);
+        assertEq(leveragedAMMExchange.accruedFees(tokenA, tokenB), 599);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), depositAmount - amountIn + amountIn_);
+    }
+
+    function test_Swap_Slippage_CrossMode() public {
+        leveragedAMMExchange.createPair(tokenA, tokenB, 100000, 10000);
+        leveragedAMMExchange.setPairFee(tokenA, tokenB, 30);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 20000);
+        leveragedAMMExchange.deposit(tokenA, 20000);
+        vm.warp(1000);
+
+        // Case 1: Open position (10000 of token A for 4993 of token B)
+        ILeveragedAMMExchange.Order memory order = ILeveragedAMMExchange.Order({
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 10000,
+            leverage: maxLeverage,
+            positionMode: ILeveragedAMMExchange.Mode.CROSS,
+            reducePosition: false,
+            closePosition: false,
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 999,
+            side: ILeveragedAMMExchange.Side.LONG
+        });
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.OrderExpired.selector, 999));
+        leveragedAMMExchange.swap(order);
+        order.deadline = block.timestamp;
+        order.minAmountOut = 4994;
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InsufficientAmountOut.selector, 4993, 4994));
+        leveragedAMMExchange.swap(order);
+        order.minAmountOut = 4993;
+        order.maxAmountIn = 9999;
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.ExcessiveAmountIn.selector, 10000, 9999));
+        leveragedAMMExchange.swap(order);
+        order.maxAmountIn = 10000;
+        leveragedAMMExchange.swap(order);
+        assertEq(leveragedAMMExchange.getPositionCross(address(this), tokenA, tokenB).positionValue, 4993);
+
+        // Case 2: Reduce position (4993 of token B for 9941 of token A)
+        order.amount = 4993;
+        order.reducePosition = true;
+        order.minAmountOut = 9942;
+        order.maxAmountIn = 0;
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InsufficientAmountOut.selector, 9941, 9942));
+        leveragedAMMExchange.swap(order);
+        order.minAmountOut = 9941;
+        order.maxAmountIn = 4992;
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.ExcessiveAmountIn.selector, 4993, 4992));
+        leveragedAMMExchange.swap(order);
+        order.maxAmountIn = 4993;
+        leveragedAMMExchange.swap(order);
+        assertEq(leveragedAMMExchange.getPositionCross(address(this), tokenA, tokenB).positionValue, 0);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), 20000 - 10000 + 9941);
+    }
+
+    function test_CollectFees() public {
+        address treasury = makeAddr("treasury");
+
+        leveragedAMMExchange.createPair(tokenA, tokenB, 100000, 10000);
+        leveragedAMMExchange.setPairFee(tokenA, tokenB, 30);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 10000);
+        leveragedAMMExchange.deposit(tokenA, 10000);
+        leveragedAMMExchange.swap(
+            ILeveragedAMMExchange.Order({
+                tokenA: tokenA,
+                tokenB: tokenB,
+                amount: 10000,
+                leverage: maxLeverage,
+                positionMode: ILeveragedAMMExchange.Mode.CROSS,
+                reducePosition: false,
+                closePosition: false,
+                closePosId: 0,
+                minAmountOut: 0,
+                maxAmountIn: 0,
+                deadline: 0,
+                side: ILeveragedAMMExchange.Side.LONG
+            })
+        );
+
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.FeesCollected(tokenA, tokenB, treasury, 300);
+        leveragedAMMExchange.collectFees(tokenA, tokenB, treasury);
+        assertEq(leveragedAMMExchange.accruedFees(tokenA, tokenB), 0);
+        assertEq(leveragedAMMExchange.balances(treasury, tokenA), 300);
+        vm.expectRevert(ILeveragedAMMExchange.InvalidTokenAddress.selector);
+        leveragedAMMExchange.collectFees(tokenA, tokenB, address(0));
+    }
+
+    function test_CollectFees_PairBalance() public {
+        address treasury = makeAddr("treasury");
+        address trader = makeAddr("trader");
+
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        leveragedAMMExchange.removeReserves(tokenA, tokenB, 2162);
+        leveragedAMMExchange.setPairFee(tokenA, tokenB, 1000);
+        IERC20(tokenA).transfer(trader, 5000);
+        vm.startPrank(trader);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 5000);
+        leveragedAMMExchange.deposit(tokenA, 5000);
+        ILeveragedAMMExchange.Order memory order = ILeveragedAMMExchange.Order({
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 4000,
+            leverage: maxLeverage,
+            positionMode: ILeveragedAMMExchange.Mode.CROSS,
+            reducePosition: false,
+            closePosition: false,
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 0,
+            side: ILeveragedAMMExchange.Side.LONG
+        });
+        leveragedAMMExchange.swap(order);
+        vm.stopPrank();
+        assertEq(leveragedAMMExchange.accruedFees(tokenA, tokenB), 4000);
+
+        // Case 1: The fees of the leveraged amount are paid from the real token A of the pair (3163), not more
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.FeesCollected(tokenA, tokenB, treasury, 3163);
+        leveragedAMMExchange.collectFees(tokenA, tokenB, treasury);
+        assertEq(leveragedAMMExchange.accruedFees(tokenA, tokenB), 4000 - 3163);
+        (uint256 balanceA,) = leveragedAMMExchange.pairBalances(tokenA, tokenB);
+        assertEq(balanceA, 0);
+        vm.prank(treasury);
+        leveragedAMMExchange.withdraw(tokenA, 3163);
+
+        // Case 2: The trader closes the position and withdraws all of its deposit balance, the pair keeps the rest
+        order.amount = leveragedAMMExchange.getPositionCross(trader, tokenA, tokenB).positionValue;
+        order.reducePosition = true;
+        vm.startPrank(trader);
+        leveragedAMMExchange.swap(order);
+        uint256 withdrawn = leveragedAMMExchange.balances(trader, tokenA);
+        leveragedAMMExchange.withdraw(tokenA, withdrawn);
+        vm.stopPrank();
+        (balanceA,) = leveragedAMMExchange.pairBalances(tokenA, tokenB);
+        assertEq(balanceA, 5000 - withdrawn);
+        assertEq(IERC20(tokenA).balanceOf(address(leveragedAMMExchange)), balanceA);
+    }
+
+    function test_Liquidate_CrossMode() public {
+        uint256 depositAmount = 100;
+        address liquidator = makeAddr("liquidator");
+
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), depositAmount);
+        leveragedAMMExchange.deposit(tokenA, depositAmount);
+
+        // Open position first for testing (no free collateral left)
+        leveragedAMMExchange.swap(
+            ILeveragedAMMExchange.Order({
+                tokenA: tokenA,
+                tokenB: tokenB,
+                amount: depositAmount,
+                leverage: maxLeverage,
+                positionMode: ILeveragedAMMExchange.Mode.CROSS,
+                reducePosition: false,
+                closePosition: false,
+                closePosId: 0,
+                minAmountOut: 0,
+                maxAmountIn: 0,
+                deadline: 0,
+                side: ILeveragedAMMExchange.Side.LONG
+            })
+        );
+        // NOTE: (1001 returned - 900 debt) / 1001 returned
+        assertEq(leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, 0), 1008);
+        vm.prank(liquidator);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.PositionNotLiquidatable.selector, 1008));
+        leveragedAMMExchange.liquidate(address(this), tokenA, tokenB, 0);
+
+        // Case 3: Liquidate the position after the price drop
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 1);
+        leveragedAMMExchange.addReserves(tokenA, tokenB, 1, 60);
+        (, uint256 reserveA, uint256 reserveB) = leveragedAMMExchange.pairs(tokenA, tokenB);
+        ILeveragedAMMExchange.Position memory position =
+            leveragedAMMExchange.getPositionCross(address(this), tokenA, tokenB);
+        (uint256 leveragedAmount,) =
+            leveragedAMMExchange.getAmountCollateralReturn(tokenA, tokenB, position.positionValue, maxLeverage);
+        assertEq(leveragedAmount, 945);
+        assertEq(leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, 0), 476);
+
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.Liquidate(
+            liquidator,
+            address(this),
+            tokenA,
+            tokenB,
+            position.positionValue,
+            945,
+            900,
+            9,
+            maxLeverage,
+            ILeveragedAMMExchange.Mode.CROSS,
+            0,
+            ILeveragedAMMExchange.Side.LONG
+        );
+        vm.prank(liquidator);
+        leveragedAMMExchange.liquidate(address(this), tokenA, tokenB, 0);
+
+        // Check reserves and balances (the equity of 45 minus the reward of 1%)
+        (, uint256 reserveA_, uint256 reserveB_) = leveragedAMMExchange.pairs(tokenA, tokenB);
+        assertEq(reserveA_, reserveA - leveragedAmount);
+        assertEq(reserveB_, reserveB + position.positionValue);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), 36);
+        assertEq(leveragedAMMExchange.balances(liquidator, tokenA), 9);
+
+        // Check position information
+        position = leveragedAMMExchange.getPositionCross(address(this), tokenA, tokenB);
+        assertEq(position.positionValue, 0);
+        assertEq(leveragedAMMExchange.getPositionWorthValue(address(this), tokenA, tokenB), 0);
+    }
+
+    function test_Liquidate_CrossMode_FreeCollateral() public {
+        uint256 depositAmount = 1000;
+        uint256 amountIn = 100;
+
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), depositAmount);
+        leveragedAMMExchange.deposit(tokenA, depositAmount);
+        leveragedAMMExchange.swap(
+            ILeveragedAMMExchange.Order({
+                tokenA: tokenA,
+                tokenB: tokenB,
+                amount: amountIn,
+                leverage: maxLeverage,
+                positionMode: ILeveragedAMMExchange.Mode.CROSS,
+                reducePosition: false,
+                closePosition: false,
+                closePosId: 0,
+                minAmountOut: 0,
+                maxAmountIn: 0,
+                deadline: 0,
+                side: ILeveragedAMMExchange.Side.LONG
+            })
+        );
+
+        // The deposit balance backs the position: (945 returned + 900 free - 900 debt) / 945 returned
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 1);
+        leveragedAMMExchange.addReserves(tokenA, tokenB, 1, 60);
+        assertEq(leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, 0), 10000);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.PositionNotLiquidatable.selector, 10000));
+        leveragedAMMExchange.liquidate(address(this), tokenA, tokenB, 0);
+    }
+
+    function test_Liquidate_CrossMode_Fee() public {
+        address liquidator = makeAddr("liquidator");
+
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        leveragedAMMExchange.setPairFee(tokenA, tokenB, 30);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 100);
+        leveragedAMMExchange.deposit(tokenA, 100);
+        leveragedAMMExchange.swap(
+            ILeveragedAMMExchange.Order({
+                tokenA: tokenA,
+                tokenB: tokenB,
+                amount: 100,
+                leverage: maxLeverage,
+                positionMode: ILeveragedAMMExchange.Mode.CROSS,
+                reducePosition: false,
+                closePosition: false,
+                closePosId: 0,
+                minAmountOut: 0,
+                maxAmountIn: 0,
+                deadline: 0,
+                side: ILeveragedAMMExchange.Side.LONG
+            })
+        );
+
+        // The fee of 2 is taken from the returned amount of 945: (943 returned - 900 debt) / 943 returned
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 1);
+        leveragedAMMExchange.addReserves(tokenA, tokenB, 1, 60);
+        assertEq(leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, 0), 455);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.Liquidate(
+            liquidator,
+            address(this),
+            tokenA,
+            tokenB,
+            91,
+            943,
+            900,
+            9,
+            maxLeverage,
+            ILeveragedAMMExchange.Mode.CROSS,
+            2,
+            ILeveragedAMMExchange.Side.LONG
+        );
+        vm.prank(liquidator);
+        leveragedAMMExchange.liquidate(address(this), tokenA, tokenB, 0);
+
+        (, uint256 reserveA, uint256 reserveB) = leveragedAMMExchange.pairs(tokenA, tokenB);
+        assertEq(reserveA, 10998 - 945);
+        assertEq(reserveB, 969 + 91);
+        assertEq(leveragedAMMExchange.accruedFees(tokenA, tokenB), 3 + 2);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), 34);
+        assertEq(leveragedAMMExchange.balances(liquidator, tokenA), 9);
+    }
+
+    function test_Liquidate_Failed() public {
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        vm.expectRevert(ILeveragedAMMExchange.PositionNotFound.selector);
+        leveragedAMMExchange.liquidate(address(this), tokenA, tokenB, 0);
+        vm.expectRevert(ILeveragedAMMExchange.PositionNotFound.selector);
+        leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, 0);
+
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 100);
+        leveragedAMMExchange.deposit(tokenA, 100);
+        leveragedAMMExchange.swap(
+            ILeveragedAMMExchange.Order({
+                tokenA: tokenA,
+                tokenB: tokenB,
+                amount: 100,
+                leverage: maxLeverage,
+                positionMode: ILeveragedAMMExchange.Mode.CROSS,
+                reducePosition: false,
+                closePosition: false,
+                closePosId: 0,
+                minAmountOut: 0,
+                maxAmountIn: 0,
+                deadline: 0,
+                side: ILeveragedAMMExchange.Side.LONG
+            })
+        );
+        vm.expectRevert(ILeveragedAMMExchange.PositionNotFound.selector);
+        leveragedAMMExchange.liquidate(address(this), tokenA, tokenB, 1);
+    }
+
+    function test_SetPairOracle() public {
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        assertEq(leveragedAMMExchange.getOraclePrice(tokenA, tokenB), 0);
+
+        // 10 USDC per WETH with 8 decimals, i.e. 1e31 raw units with PRICE_DECIMALS (6 and 18 decimals)
+        MockAggregator feed = new MockAggregator(8, "WETH / USDC", 1e21);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.PairOracleUpdated(tokenA, tokenB, address(feed), 1 hours, 1000);
+        leveragedAMMExchange.setPairOracle(tokenA, tokenB, address(feed), 1 hours, 1000);
+        (address feedAddress, uint256 maxStaleness, uint256 maxDeviationBps) =
+            leveragedAMMExchange.pairOracles(tokenA, tokenB);
+        assertEq(feedAddress, address(feed));
+        assertEq(maxStaleness, 1 hours);
+        assertEq(maxDeviationBps, 1000);
+        assertEq(leveragedAMMExchange.getOraclePrice(tokenA, tokenB), 1e31);
+
+        // Check the guards: non-positive answer, staleness and deviation from the pair price (10)
+        feed.setPrice(0);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InvalidOraclePrice.selector, 0));
+        leveragedAMMExchange.getOraclePrice(tokenA, tokenB);
+        feed.setPrice(1.1e21);
+        assertEq(leveragedAMMExchange.getOraclePrice(tokenA, tokenB), 1.1e31);
+        feed.setPrice(1.12e21);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.OraclePriceDeviation.selector, 1.12e31, 1e31));
+        leveragedAMMExchange.getOraclePrice(tokenA, tokenB);
+        vm.warp(1000);
+        feed.setPrice(1e21);
+        vm.warp(1000 + 1 hours + 1);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.StaleOraclePrice.selector, 1000));
+        leveragedAMMExchange.getOraclePrice(tokenA, tokenB);
+
+        // Remove the feed (no guards)
+        leveragedAMMExchange.setPairOracle(tokenA, tokenB, address(0), 0, 0);
+        assertEq(leveragedAMMExchange.getOraclePrice(tokenA, tokenB), 0);
+
+        address user = makeAddr("user");
+        vm.prank(user);
+        vm.expectRevert(abi.encodeWithSelector(Ownable.OwnableUnauthorizedAccount.selector, user));
+        leveragedAMMExchange.setPairOracle(tokenA, tokenB, address(feed), 0, 0);
+        vm.expectRevert(ILeveragedAMMExchange.InvalidTokenAddress.selector);
+        leveragedAMMExchange.setPairOracle(address(0), tokenB, address(feed), 0, 0);
+    }
+
+    function test_Liquidate_CrossMode_Oracle() public {
+        address liquidator = makeAddr("liquidator");
+        leveragedAMMExchange.createPair(tokenA, tokenB, 1000000, 100000);
+        MockAggregator feed = new MockAggregator(8, "WETH / USDC", 1e21);
+        leveragedAMMExchange.setPairOracle(tokenA, tokenB, address(feed), 1 hours, 1000);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 1000);
+        leveragedAMMExchange.deposit(tokenA, 1000);
+        leveragedAMMExchange.swap(
+            ILeveragedAMMExchange.Order({
+                tokenA: tokenA,
+                tokenB: tokenB,
+                amount: 1000,
+                leverage: maxLeverage,
+                positionMode: ILeveragedAMMExchange.Mode.CROSS,
+                reducePosition: false,
+                closePosition: false,
+                closePosId: 0,
+                minAmountOut: 0,
+                maxAmountIn: 0,
+                deadline: 0,
+                side: ILeveragedAMMExchange.Side.LONG
+            })
+        );
+
+        // Case 1: The position is marked at the feed price: (9910 worth - 9000 debt) / 9910 (10010 returned at the
+        // reserves moved by the swap)
+        ILeveragedAMMExchange.Position memory position =
+            leveragedAMMExchange.getPositionCross(address(this), tokenA, tokenB);
+        assertEq(position.positionValue, 991);
+        assertEq(leveragedAMMExchange.getPositionReturn(address(this), tokenA, tokenB, 0, 991), 1001);
+        assertEq(leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, 0), 918);
+
+        // Case 2: A price drop of the pair alone does not liquidate (9100 returned at the reserves, i.e. 109)
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 1);
+        leveragedAMMExchange.addReserves(tokenA, tokenB, 1, 10000);
+        vm.prank(liquidator);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.PositionNotLiquidatable.selector, 918));
+        leveragedAMMExchange.liquidate(address(this), tokenA, tokenB, 0);
+
+        // Case 3: Neither a feed price too far from the pair price (9.26), nor a stale one
+        feed.setPrice(1.2e21);
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                ILeveragedAMMExchange.OraclePriceDeviation.selector, 1.2e31, 9265299195479272353658872203212
+            )
+        );
+        leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, 0);
+        vm.warp(1000);
+        feed.setPrice(0.92e21);
+        vm.warp(1000 + 1 hours + 1);
+        vm.prank(liquidator);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.StaleOraclePrice.selector, 1000));
+        leveragedAMMExchange.liquidate(address(this), tokenA, tokenB, 0);
+
+        // Case 4: Liquidate once the feed price drops: (9117 worth - 9000 debt) / 9117, settled at the reserves
+        feed.setPrice(0.92e21);
+        assertEq(leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, 0), 128);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.Liquidate(
+            liquidator,
+            address(this),
+            tokenA,
+            tokenB,
+            991,
+            9100,
+            9000,
+            91,
+            maxLeverage,
+            ILeveragedAMMExchange.Mode.CROSS,
+            0,
+            ILeveragedAMMExchange.Side.LONG
+        );
+        vm.prank(liquidator);
+        leveragedAMMExchange.liquidate(address(this), tokenA, tokenB, 0);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), 9);
+        assertEq(leveragedAMMExchange.balances(liquidator, tokenA), 91);
+    }
+
+    function test_Funding_CrossMode() public {
+        leveragedAMMExchange.createPair(tokenA, tokenB, 1000000, 100000);
+        // 9.5 USDC per WETH with 8 decimals: the pair price is at a premium of about 5%, bounded to 1% per interval
+        MockAggregator feed = new MockAggregator(8, "WETH / USDC", 0.95e21);
+        leveragedAMMExchange.setPairOracle(tokenA, tokenB, address(feed), 0, 0);
+        vm.warp(1000);
+        leveragedAMMExchange.pokeFunding(tokenA, tokenB);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 1000);
+        leveragedAMMExchange.deposit(tokenA, 1000);
+        ILeveragedAMMExchange.Order memory order = ILeveragedAMMExchange.Order({
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 100,
+            leverage: maxLeverage,
+            positionMode: ILeveragedAMMExchange.Mode.CROSS,
+            reducePosition: false,
+            closePosition: false,
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 0,
+            side: ILeveragedAMMExchange.Side.LONG
+        });
+        leveragedAMMExchange.swap(order);
+
+        // Case 1: Growing the position settles its funding (1% of its 1000 worth value) from the deposit balance
+        vm.warp(1000 + 1 hours);
+        leveragedAMMExchange.pokeFunding(tokenA, tokenB);
+        assertEq(leveragedAMMExchange.getPositionFunding(address(this), tokenA, tokenB, 0), 10);
+        order.amount = 50;
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.FundingSettled(address(this), tokenA, tokenB, 0, 10);
+        leveragedAMMExchange.swap(order);
+        assertEq(leveragedAMMExchange.getPositionFunding(address(this), tokenA, tokenB, 0), 0);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), 1000 - 100 - 50 - 10);
+        assertEq(leveragedAMMExchange.fundingPools(tokenA, tokenB), 10);
+
+        // Case 2: Reducing the position settles its funding (1% of its 1500 worth value) once the returned amount is
+        // credited
+        vm.warp(1000 + 2 hours);
+        leveragedAMMExchange.pokeFunding(tokenA, tokenB);
+        assertEq(leveragedAMMExchange.getPositionFunding(address(this), tokenA, tokenB, 0), 15);
+        uint256 amount = leveragedAMMExchange.getPositionCross(address(this), tokenA, tokenB).positionValue / 2;
+        uint256 returnedAmount = leveragedAMMExchange.getPositionReturn(address(this), tokenA, tokenB, 0, amount);
+        order.amount = amount;
+        order.reducePosition = true;
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.FundingSettled(address(this), tokenA, tokenB, 0, 15);
+        leveragedAMMExchange.swap(order);
+        assertEq(leveragedAMMExchange.getPositionFunding(address(this), tokenA, tokenB, 0), 0);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), 1000 - 150 - 10 + returnedAmount - 15);
+        assertEq(leveragedAMMExchange.fundingPools(tokenA, tokenB), 25);
+
+        // Case 3: Without a feed, the funding rate is 0
+        leveragedAMMExchange.setPairOracle(tokenA, tokenB, address(0), 0, 0);
+        assertEq(leveragedAMMExchange.getFundingRate(tokenA, tokenB), 0);
+        vm.warp(1000 + 3 hours);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.FundingUpdated(tokenA, tokenB, 0, 0.02e18, 1);
+        leveragedAMMExchange.pokeFunding(tokenA, tokenB);
+    }
+
+    function test_Funding_Unsettled_CrossMode() public {
+        leveragedAMMExchange.createPair(tokenA, tokenB, 1000000, 100000);
+        MockAggregator feed = new MockAggregator(8, "WETH / USDC", 0.95e21);
+        leveragedAMMExchange.setPairOracle(tokenA, tokenB, address(feed), 0, 0);
+        vm.warp(1000);
+        leveragedAMMExchange.pokeFunding(tokenA, tokenB);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 1000);
+        leveragedAMMExchange.deposit(tokenA, 100);
+        ILeveragedAMMExchange.Order memory order = ILeveragedAMMExchange.Order({
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 100,
+            leverage: maxLeverage,
+            positionMode: ILeveragedAMMExchange.Mode.CROSS,
+            reducePosition: false,
+            closePosition: false,
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 0,
+            side: ILeveragedAMMExchange.Side.LONG
+        });
+        leveragedAMMExchange.swap(order);
+        vm.warp(1000 + 1 hours);
+        leveragedAMMExchange.pokeFunding(tokenA, tokenB);
+        assertEq(leveragedAMMExchange.getPositionFunding(address(this), tokenA, tokenB, 0), 10);
+
+        // Case 1: Growing the position with a deposit of just the amount swapped pays nothing, the funding stays
+        // accrued on the position
+        leveragedAMMExchange.deposit(tokenA, 50);
+        order.amount = 50;
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.FundingSettled(address(this), tokenA, tokenB, 0, 0);
+        leveragedAMMExchange.swap(order);
+        assertEq(leveragedAMMExchange.getPositionFunding(address(this), tokenA, tokenB, 0), 10);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), 0);
+        assertEq(leveragedAMMExchange.fundingPools(tokenA, tokenB), 0);
+
+        // Case 2: Reducing the position pays the funding from the returned amount, the rest stays accrued
+        uint256 returnedAmount = leveragedAMMExchange.getPositionReturn(address(this), tokenA, tokenB, 0, 5);
+        assertGt(returnedAmount, 0);
+        assertLt(returnedAmount, 10);
+        order.amount = 5;
+        order.reducePosition = true;
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.FundingSettled(address(this), tokenA, tokenB, 0, int256(returnedAmount));
+        leveragedAMMExchange.swap(order);
+        assertEq(
+            leveragedAMMExchange.getPositionFunding(address(this), tokenA, tokenB, 0), 10 - int256(returnedAmount)
+        );
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), 0);
+        assertEq(leveragedAMMExchange.fundingPools(tokenA, tokenB), returnedAmount);
+
+        // Case 3: Once the deposit balance can pay it, the rest of the funding is settled
+        leveragedAMMExchange.deposit(tokenA, 10);
+        uint256 nextReturnedAmount = leveragedAMMExchange.getPositionReturn(address(this), tokenA, tokenB, 0, 5);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.FundingSettled(address(this), tokenA, tokenB, 0, 10 - int256(returnedAmount));
+        leveragedAMMExchange.swap(order);
+        assertEq(leveragedAMMExchange.getPositionFunding(address(this), tokenA, tokenB, 0), 0);
+        assertEq(
+            leveragedAMMExchange.balances(address(this), tokenA), 10 + nextReturnedAmount - (10 - returnedAmount)
+        );
+        assertEq(leveragedAMMExchange.fundingPools(tokenA, tokenB), 10);
+    }
+
+    function test_Swap_Short_CrossMode() public {
+        uint256 depositAmount = 2000;
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), depositAmount);
+        leveragedAMMExchange.deposit(tokenA, depositAmount);
+
+        // Case 1: Borrow and sell token B for the leveraged amount (1000 of token A)
+        ILeveragedAMMExchange.Order memory order = ILeveragedAMMExchange.Order({
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 100,
+            leverage: maxLeverage,
+            positionMode: ILeveragedAMMExchange.Mode.CROSS,
+            reducePosition: false,
+            closePosition: false,
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 0,
+            side: ILeveragedAMMExchange.Side.SHORT
+        });
+        assertEq(leveragedAMMExchange.getAmountShortFromIn(tokenA, tokenB, 100, maxLeverage), 111);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.Swap(
+            address(this),
+            tokenA,
+            tokenB,
+            100,
+            111,
+            maxLeverage,
+            ILeveragedAMMExchange.Mode.CROSS,
+            0,
+            ILeveragedAMMExchange.Side.SHORT
+        );
+        leveragedAMMExchange.swap(order);
+        (, uint256 reserveA, uint256 reserveB) = leveragedAMMExchange.pairs(tokenA, tokenB);
+        assertEq(reserveA, 9000);
+        assertEq(reserveB, 1111);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), depositAmount - 100);
+        ILeveragedAMMExchange.Position memory position =
+            leveragedAMMExchange.getPositionCross(address(this), tokenA, tokenB);
+        assertEq(uint8(position.side), uint8(ILeveragedAMMExchange.Side.SHORT));
+        assertEq(position.collateralAmount, 100);
+        assertEq(position.collateralWorthValue, 1000);
+        assertEq(position.positionValue, 111);
+
+        // Case 2: The position cannot be opened on the other side
+        order.side = ILeveragedAMMExchange.Side.LONG;
+        vm.expectRevert(ILeveragedAMMExchange.InvalidPositionSide.selector);
+        leveragedAMMExchange.swap(order);
+
+        // Case 3: Buy back token B, returning (2 * 1000 worth - 999 cost) / 10x
+        assertEq(leveragedAMMExchange.getAmountInForOut(tokenA, tokenB, 111, 1), 999);
+        assertEq(leveragedAMMExchange.getPositionReturn(address(this), tokenA, tokenB, 0, 111), 100);
+        order.amount = 111;
+        order.reducePosition = true;
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.Swap(
+            address(this),
+            tokenB,
+            tokenA,
+            111,
+            100,
+            maxLeverage,
+            ILeveragedAMMExchange.Mode.CROSS,
+            0,
+            ILeveragedAMMExchange.Side.SHORT
+        );
+        leveragedAMMExchange.swap(order);
+        (, reserveA, reserveB) = leveragedAMMExchange.pairs(tokenA, tokenB);
+        assertEq(reserveA, 9999);
+        assertEq(reserveB, 1000);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), depositAmount);
+        position = leveragedAMMExchange.getPositionCross(address(this), tokenA, tokenB);
+        assertEq(position.collateralAmount, 0);
+        assertEq(position.collateralWorthValue, 0);
+        assertEq(position.positionValue, 0);
+
+        // Case 4: The fully reduced position is opened again on the other side
+        order.amount = 100;
+        order.reducePosition = false;
+        leveragedAMMExchange.swap(order);
+        position = leveragedAMMExchange.getPositionCross(address(this), tokenA, tokenB);
+        assertEq(uint8(position.side), uint8(ILeveragedAMMExchange.Side.LONG));
+    }
+
+    function test_Liquidate_CrossMode_Short() public {
+        uint256 depositAmount = 100;
+        address liquidator = makeAddr("liquidator");
+
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), depositAmount);
+        leveragedAMMExchange.deposit(tokenA, depositAmount);
+
+        // Open a short position (no free collateral left)
+        leveragedAMMExchange.swap(
+            ILeveragedAMMExchange.Order({
+                tokenA: tokenA,
+                tokenB: tokenB,
+                amount: depositAmount,
+                leverage: maxLeverage,
+                positionMode: ILeveragedAMMExchange.Mode.CROSS,
+                reducePosition: false,
+                closePosition: false,
+                closePosId: 0,
+                minAmountOut: 0,
+                maxAmountIn: 0,
+                deadline: 0,
+                side: ILeveragedAMMExchange.Side.SHORT
+            })
+        );
+        // NOTE: (1100 held - 999 buyback cost) / 999 buyback cost
+        assertEq(leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, 0), 1011);
+        vm.prank(liquidator);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.PositionNotLiquidatable.selector, 1011));
+        leveragedAMMExchange.liquidate(address(this), tokenA, tokenB, 0);
+
+        // Liquidate the position after the price rise (the buyback cost is 1064)
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 600);
+        leveragedAMMExchange.addReserves(tokenA, tokenB, 600, 1);
+        (, uint256 reserveA, uint256 reserveB) = leveragedAMMExchange.pairs(tokenA, tokenB);
+        assertEq(leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, 0), 338);
+
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.Liquidate(
+            liquidator,
+            address(this),
+            tokenA,
+            tokenB,
+            111,
+            1100,
+            1064,
+            10,
+            maxLeverage,
+            ILeveragedAMMExchange.Mode.CROSS,
+            0,
+            ILeveragedAMMExchange.Side.SHORT
+        );
+        vm.prank(liquidator);
+        leveragedAMMExchange.liquidate(address(this), tokenA, tokenB, 0);
+
+        // Check reserves and balances (the equity of 36 minus the reward of 1% of the buyback cost)
+        (, uint256 reserveA_, uint256 reserveB_) = leveragedAMMExchange.pairs(tokenA, tokenB);
+        assertEq(reserveA_, reserveA + 1064);
+        assertEq(reserveB_, reserveB - 111);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), 26);
+        assertEq(leveragedAMMExchange.balances(liquidator, tokenA), 10);
+        assertEq(leveragedAMMExchange.getPositionCross(address(this), tokenA, tokenB).positionValue, 0);
+    }
+
+    function test_LimitOrder_CrossMode() public {
+        (address trader, uint256 traderKey) = makeAddrAndKey("trader");
+        address relayer = makeAddr("relayer");
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        depositFor(trader, 1000);
+
+        // Case 1: Sell token B short once the price rose to the limit price
+        uint256 price = leveragedAMMExchange.getPairPrice(tokenA, tokenB);
+        ILeveragedAMMExchange.LimitOrder memory order = ILeveragedAMMExchange.LimitOrder({
+            account: trader,
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 100,
+            leverage: maxLeverage,
+            side: ILeveragedAMMExchange.Side.SHORT,
+            reducePosition: false,
+            closePosId: 0,
+            limitPrice: price * 11 / 10,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            nonce: 1,
+            deadline: 0
+        });
+        bytes memory signature = signLimitOrder(traderKey, order);
+        vm.prank(relayer);
+        vm.expectRevert(
+            abi.encodeWithSelector(ILeveragedAMMExchange.LimitPriceNotReached.selector, price, order.limitPrice)
+        );
+        leveragedAMMExchange.executeLimitOrder(order, signature);
+
+        leveragedAMMExchange.addReserves(tokenA, tokenB, 2000, 1);
+        price = leveragedAMMExchange.getPairPrice(tokenA, tokenB);
+        bytes32 orderHash = leveragedAMMExchange.hashLimitOrder(order);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.LimitOrderExecuted(trader, relayer, orderHash, 1, price);
+        vm.prank(relayer);
+        leveragedAMMExchange.executeLimitOrder(order, signature);
+        assertTrue(leveragedAMMExchange.usedNonces(trader, 1));
+        assertEq(leveragedAMMExchange.balances(trader, tokenA), 900);
+        ILeveragedAMMExchange.Position memory position = leveragedAMMExchange.getPositionCross(trader, tokenA, tokenB);
+        assertEq(uint8(position.side), uint8(ILeveragedAMMExchange.Side.SHORT));
+        assertEq(position.collateralAmount, 100);
+        assertEq(position.collateralWorthValue, 1000);
+
+        // Case 2: The order cannot be executed twice
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.NonceAlreadyUsed.selector, 1));
+        leveragedAMMExchange.executeLimitOrder(order, signature);
+
+        // Case 3: Buy the position back once the price fell to the limit price, following its side
+        price = leveragedAMMExchange.getPairPrice(tokenA, tokenB);
+        order.amount = position.positionValue;
+        order.side = ILeveragedAMMExchange.Side.LONG;
+        order.reducePosition = true;
+        order.limitPrice = price - 1;
+        order.nonce = 2;
+        signature = signLimitOrder(traderKey, order);
+        vm.expectRevert(ILeveragedAMMExchange.InvalidPositionSide.selector);
+        leveragedAMMExchange.executeLimitOrder(order, signature);
+        order.side = ILeveragedAMMExchange.Side.SHORT;
+        signature = signLimitOrder(traderKey, order);
+        vm.expectRevert(
+            abi.encodeWithSelector(ILeveragedAMMExchange.LimitPriceNotReached.selector, price, order.limitPrice)
+        );
+        leveragedAMMExchange.executeLimitOrder(order, signature);
+        order.limitPrice = price;
+        signature = signLimitOrder(traderKey, order);
+        vm.prank(relayer);
+        leveragedAMMExchange.executeLimitOrder(order, signature);
+        position = leveragedAMMExchange.getPositionCross(trader, tokenA, tokenB);
+        assertEq(position.positionValue, 0);
+        assertTrue(leveragedAMMExchange.balances(trader, tokenA) > 900);
+    }
+
+    function test_LimitOrder_Failed() public {
+        (address trader, uint256 traderKey) = makeAddrAndKey("trader");
+        (, uint256 otherKey) = makeAddrAndKey("other");
+        vm.warp(1000);
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        depositFor(trader, 1000);
+        ILeveragedAMMExchange.LimitOrder memory order = ILeveragedAMMExchange.LimitOrder({
+            account: trader,
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 100,
+            leverage: maxLeverage,
+            side: ILeveragedAMMExchange.Side.LONG,
+            reducePosition: false,
+            closePosId: 0,
+            limitPrice: type(uint256).max,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            nonce: 1,
+            deadline: 1000
+        });
+
+        // Case 1: The EIP-712 hash of the order
+        bytes32 domainSeparator = keccak256(
+            abi.encode(
+                keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+                keccak256("LeveragedAMMExchange"),
+                keccak256("1"),
+                block.chainid,
+                address(leveragedAMMExchange)
+            )
+        );
+        bytes32 structHash = keccak256(abi.encode(leveragedAMMExchange.LIMIT_ORDER_TYPEHASH(), order));
+        bytes32 orderHash = keccak256(abi.encodePacked("\x19\x01", domainSeparator, structHash));
+        assertEq(leveragedAMMExchange.hashLimitOrder(order), orderHash);
+        bytes memory signature = signLimitOrder(traderKey, order);
+        assertEq(leveragedAMMExchange.verifyLimitOrder(order, signature), orderHash);
+
+        // Case 2: Signed by another account, or changed after signing
+        bytes memory otherSignature = signLimitOrder(otherKey, order);
+        vm.expectRevert(ILeveragedAMMExchange.InvalidSignature.selector);
+        leveragedAMMExchange.executeLimitOrder(order, otherSignature);
+        order.amount = 200;
+        vm.expectRevert(ILeveragedAMMExchange.InvalidSignature.selector);
+        leveragedAMMExchange.executeLimitOrder(order, signature);
+        vm.expectRevert(ILeveragedAMMExchange.InvalidSignature.selector);
+        leveragedAMMExchange.executeLimitOrder(order, "");
+        order.amount = 100;
+
+        // Case 3: Expired
+        vm.warp(1001);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.OrderExpired.selector, 1000));
+        leveragedAMMExchange.executeLimitOrder(order, signature);
+        vm.warp(1000);
+
+        // Case 4: Cancelled by the account
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.LimitOrderCancelled(trader, 1);
+        vm.prank(trader);
+        leveragedAMMExchange.cancelLimitOrder(1);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.NonceAlreadyUsed.selector, 1));
+        leveragedAMMExchange.executeLimitOrder(order, signature);
+        vm.prank(trader);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.NonceAlreadyUsed.selector, 1));
+        leveragedAMMExchange.cancelLimitOrder(1);
+        assertEq(leveragedAMMExchange.balances(trader, tokenA), 1000);
+    }
+
+    function test_Trigger_CrossMode() public {
+        address trader = makeAddr("trader");
+        address keeper = makeAddr("keeper");
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        depositFor(trader, 100);
+        ILeveragedAMMExchange.Order memory order = ILeveragedAMMExchange.Order({
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 100,
+            leverage: maxLeverage,
+            positionMode: ILeveragedAMMExchange.Mode.CROSS,
+            reducePosition: false,
+            closePosition: false,
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 0,
+            side: ILeveragedAMMExchange.Side.LONG
+        });
+        vm.prank(trader);
+        leveragedAMMExchange.swap(order);
+        ILeveragedAMMExchange.Position memory position = leveragedAMMExchange.getPositionCross(trader, tokenA, tokenB);
+
+        // Case 1: The mark price is the leveraged collateral returned per token B (normalized, 18 decimals)
+        (uint256 returnedAmount,) =
+            leveragedAMMExchange.getAmountCollateralReturn(tokenA, tokenB, position.positionValue, maxLeverage);
+        uint256 markPrice = leveragedAMMExchange.getMarkPrice(trader, tokenA, tokenB, 0);
+        assertEq(markPrice, (returnedAmount * 1e12 * 1e18) / position.positionValue);
+
+        // Case 2: The trigger prices must not be reached yet, and set on an open position of the caller
+        vm.startPrank(trader);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InvalidTriggerPrice.selector, markPrice));
+        leveragedAMMExchange.setTrigger(tokenA, tokenB, 0, markPrice, 0);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InvalidTriggerPrice.selector, markPrice));
+        leveragedAMMExchange.setTrigger(tokenA, tokenB, 0, 0, markPrice);
+        vm.expectRevert(ILeveragedAMMExchange.PositionNotFound.selector);
+        leveragedAMMExchange.setTrigger(tokenA, tokenB, 1, markPrice * 9 / 10, 0);
+        vm.stopPrank();
+        vm.expectRevert(ILeveragedAMMExchange.PositionNotFound.selector);
+        leveragedAMMExchange.setTrigger(tokenA, tokenB, 0, markPrice * 9 / 10, 0);
+        vm.expectRevert(ILeveragedAMMExchange.TriggerNotSet.selector);
+        leveragedAMMExchange.executeTrigger(trader, tokenA, tokenB, 0);
+
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.TriggerUpdated(trader, tokenA, tokenB, 0, markPrice * 9 / 10, markPrice * 11 / 10);
+        vm.prank(trader);
+        leveragedAMMExchange.setTrigger(tokenA, tokenB, 0, markPrice * 9 / 10, markPrice * 11 / 10);
+        ILeveragedAMMExchange.Trigger memory trigger = leveragedAMMExchange.getTrigger(trader, tokenA, tokenB, 0);
+        assertEq(trigger.stopLossPrice, markPrice * 9 / 10);
+        assertEq(trigger.takeProfitPrice, markPrice * 11 / 10);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.TriggerNotReached.selector, markPrice));
+        leveragedAMMExchange.executeTrigger(trader, tokenA, tokenB, 0);
+
+        // Case 3: Stopped once the price fell (the whole position is sold, without deposit balance left)
+        leveragedAMMExchange.addReserves(tokenA, tokenB, 1, 200);
+        markPrice = leveragedAMMExchange.getMarkPrice(trader, tokenA, tokenB, 0);
+        assertLe(markPrice, trigger.stopLossPrice);
+        assertEq(leveragedAMMExchange.balances(trader, tokenA), 0);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.TriggerExecuted(
+            trader, tokenA, tokenB, 0, keeper, ILeveragedAMMExchange.TriggerType.STOP_LOSS, markPrice
+        );
+        vm.prank(keeper);
+        leveragedAMMExchange.executeTrigger(trader, tokenA, tokenB, 0);
+        assertEq(leveragedAMMExchange.getPositionCross(trader, tokenA, tokenB).positionValue, 0);
+        assertTrue(leveragedAMMExchange.balances(trader, tokenA) > 0);
+        assertEq(leveragedAMMExchange.getTrigger(trader, tokenA, tokenB, 0).stopLossPrice, 0);
+        vm.expectRevert(ILeveragedAMMExchange.PositionNotFound.selector);
+        leveragedAMMExchange.executeTrigger(trader, tokenA, tokenB, 0);
+
+        // Case 4: The triggers do not carry over to a position opened again after a full reduce
+        depositFor(trader, 200);
+        vm.startPrank(trader);
+        leveragedAMMExchange.swap(order);
+        markPrice = leveragedAMMExchange.getMarkPrice(trader, tokenA, tokenB, 0);
+        leveragedAMMExchange.setTrigger(tokenA, tokenB, 0, 0, markPrice * 2);
+        order.amount = leveragedAMMExchange.getPositionCross(trader, tokenA, tokenB).positionValue;
+        order.reducePosition = true;
+        leveragedAMMExchange.swap(order);
+        vm.stopPrank();
+        assertEq(leveragedAMMExchange.getTrigger(trader, tokenA, tokenB, 0).takeProfitPrice, 0);
+    }
+
+    function test_SetCollateral() public {
+        // 2000 USD per WETH with 8 decimals
+        MockAggregator feed = new MockAggregator(8, "WETH / USD", 2000e8);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.CollateralUpdated(tokenB, address(feed), 1 hours, 2000);
+        leveragedAMMExchange.setCollateral(tokenB, address(feed), 1 hours, 2000);
+        (address feedAddress, uint256 maxStaleness, uint256 haircutBps) = leveragedAMMExchange.collaterals(tokenB);
+        assertEq(feedAddress, address(feed));
+        assertEq(maxStaleness, 1 hours);
+        assertEq(haircutBps, 2000);
+
+        // Without a feed, the collateral is valued at par: 1 USDC (6 decimals) = 1e12 with PRICE_DECIMALS
+        leveragedAMMExchange.setCollateral(tokenA, address(0), 0, 0);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 1000);
+        leveragedAMMExchange.deposit(tokenA, 1000);
+        IERC20(tokenB).approve(address(leveragedAMMExchange), 5e11);
+        leveragedAMMExchange.deposit(tokenB, 5e11);
+        ILeveragedAMMExchange.AccountSummary memory summary = leveragedAMMExchange.getAccountSummary(address(this));
+        assertEq(summary.collateralValue, 1000e12 + 800e12);
+        assertEq(summary.remainingValue, 18000e12);
+
+        // A haircut of 100% stops the collateral from counting
+        leveragedAMMExchange.setCollateral(tokenB, address(feed), 1 hours, 10000);
+        assertEq(leveragedAMMExchange.getAccountSummary(address(this)).collateralValue, 1000e12);
+        vm.warp(1000 + 1 hours + 1);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.StaleOraclePrice.selector, 1));
+        leveragedAMMExchange.getAccountSummary(address(this));
+
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InvalidHaircut.selector, 10001));
+        leveragedAMMExchange.setCollateral(tokenB, address(feed), 0, 10001);
+        vm.expectRevert(ILeveragedAMMExchange.InvalidTokenAddress.selector);
+        leveragedAMMExchange.setCollateral(address(0), address(feed), 0, 0);
+        address user = makeAddr("user");
+        vm.prank(user);
+        vm.expectRevert(abi.encodeWithSelector(Ownable.OwnableUnauthorizedAccount.selector, user));
+        leveragedAMMExchange.setCollateral(tokenB, address(feed), 0, 0);
+    }
+
+    function test_CollateralPool_CrossMode() public {
+        MyToken wbtcContract = new MyToken("Wrapped BTC", "WBTC", 8, type(uint256).max);
+        address tokenC = address(wbtcContract);
+        IERC20(tokenC).approve(address(leveragedAMMExchange), type(uint256).max);
+        leveragedAMMExchange.createPair(tokenA, tokenB, 1000000, 100000);
+        leveragedAMMExchange.createPair(tokenA, tokenC, 1000000, 100000);
+        // USDC at par with a haircut of 10%, WETH at 2000 USD with a haircut of 20%
+        MockAggregator feed = new MockAggregator(8, "WETH / USD", 2000e8);
+        leveragedAMMExchange.setCollateral(tokenA, address(0), 0, 1000);
+        leveragedAMMExchange.setCollateral(tokenB, address(feed), 0, 2000);
+        leveragedAMMExchange.deposit(tokenA, 1000);
+        ILeveragedAMMExchange.Order memory order = ILeveragedAMMExchange.Order({
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 1000,
+            leverage: maxLeverage,
+            positionMode: ILeveragedAMMExchange.Mode.CROSS,
+            reducePosition: false,
+            closePosition: false,
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 0,
+            side: ILeveragedAMMExchange.Side.LONG
+        });
+
+        // Case 1: The haircut of USDC leaves 90% of its value to the margin pool
+        assertEq(leveragedAMMExchange.getAccountRemainingValue(address(this), tokenA, tokenB), 9000);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InsufficientAccountValue.selector, 10000, 9000));
+        leveragedAMMExchange.swap(order);
+
+        // Case 2: The WETH deposit (1000 USD, 800 after the haircut) backs the positions of both pairs
+        leveragedAMMExchange.deposit(tokenB, 5e11);
+        assertEq(leveragedAMMExchange.getAccountRemainingValue(address(this), tokenA, tokenB), 17000);
+        order.amount = 600;
+        leveragedAMMExchange.swap(order);
+        // NOTE: the unrealized PnL of each position is 6 (its 6000 worth value returns 6006 at the rounded reserves)
+        assertEq(leveragedAMMExchange.getAccountRemainingValue(address(this), tokenA, tokenC), 11060);
+        order.tokenB = tokenC;
+        order.amount = 400;
+        leveragedAMMExchange.swap(order);
+        ILeveragedAMMExchange.AccountSummary memory summary = leveragedAMMExchange.getAccountSummary(address(this));
+        assertEq(summary.collateralValue, 800e12);
+        assertEq(summary.marginValue, 900e12);
+        assertEq(summary.pnlValue, 12e12);
+        assertEq(summary.worthValue, 10000e12);
+        assertEq(summary.remainingValue, 7120e12);
+        assertEq(summary.positionCount, 2);
+        assertEq(leveragedAMMExchange.getAccountRemainingValue(address(this), tokenA, tokenB), 7120);
+
+        // Case 3: The WETH deposit cannot be withdrawn below the worth value of the positions
+        vm.expectRevert(
+            abi.encodeWithSelector(ILeveragedAMMExchange.InsufficientCollateralValue.selector, 10000e12, 9120e12)
+        );
+        leveragedAMMExchange.withdraw(tokenB, 5e11);
+        leveragedAMMExchange.withdraw(tokenB, 2.5e11);
+        assertEq(leveragedAMMExchange.getAccountRemainingValue(address(this), tokenA, tokenB), 3120);
+
+        // Case 4: The margin pool follows the WETH feed
+        feed.setPrice(1000e8);
+        assertEq(leveragedAMMExchange.getAccountRemainingValue(address(this), tokenA, tokenB), 1120);
+
+        // Case 5: A closed position stops drawing on the margin pool
+        order.amount = leveragedAMMExchange.getPositionCross(address(this), tokenA, tokenC).positionValue;
+        order.reducePosition = true;
+        leveragedAMMExchange.swap(order);
+        summary = leveragedAMMExchange.getAccountSummary(address(this));
+        assertEq(summary.worthValue, 6000e12);
+        assertEq(summary.positionCount, 1);
+    }
+
+    function test_CollateralPool_CrossMode_OpenBeforeSwap() public {
+        leveragedAMMExchange.createPair(tokenA, tokenB, 1000000, 100000);
+        leveragedAMMExchange.setPairFee(tokenA, tokenB, 30);
+        leveragedAMMExchange.setCollateral(tokenA, address(0), 0, 0);
+        leveragedAMMExchange.deposit(tokenA, 1100);
+        ILeveragedAMMExchange.Order memory order = ILeveragedAMMExchange.Order({
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 100,
+            leverage: maxLeverage,
+            positionMode: ILeveragedAMMExchange.Mode.CROSS,
+            reducePosition: false,
+            closePosition: false,
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 0,
+            side: ILeveragedAMMExchange.Side.LONG
+        });
+        leveragedAMMExchange.swap(order);
+
+        // The swap fee is an unrealized loss of the position: the rest of the deposit cannot back 1000 more
+        uint256 remainingValue = leveragedAMMExchange.getAccountRemainingValue(address(this), tokenA, tokenB);
+        assertLt(remainingValue, 10000);
+        // NOTE: priced after the swap, the buy would raise the unrealized PnL of the position over the fee
+        order.amount = 1000;
+        vm.expectRevert(
+            abi.encodeWithSelector(ILeveragedAMMExchange.InsufficientAccountValue.selector, 10000, remainingValue)
+        );
+        leveragedAMMExchange.swap(order);
+    }
+
+    function test_CollateralPool_CrossMode_FreeCollateral() public {
+        address liquidator = makeAddr("liquidator");
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        // USDC at par, WETH at 2000 USD with a haircut of 20%
+        MockAggregator feed = new MockAggregator(8, "WETH / USD", 2000e8);
+        leveragedAMMExchange.setCollateral(tokenA, address(0), 0, 0);
+        leveragedAMMExchange.setCollateral(tokenB, address(feed), 0, 2000);
+        leveragedAMMExchange.deposit(tokenA, 100);
+        leveragedAMMExchange.swap(
+            ILeveragedAMMExchange.Order({
+                tokenA: tokenA,
+                tokenB: tokenB,
+                amount: 100,
+                leverage: maxLeverage,
+                positionMode: ILeveragedAMMExchange.Mode.CROSS,
+                reducePosition: false,
+                closePosition: false,
+                closePosId: 0,
+                minAmountOut: 0,
+                maxAmountIn: 0,
+                deadline: 0,
+                side: ILeveragedAMMExchange.Side.LONG
+            })
+        );
+
+        // Case 1: The WETH deposit (125 USDC, 100 after the haircut) is the only free collateral of the position
+        leveragedAMMExchange.deposit(tokenB, 6.25e10);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), 0);
+        assertEq(leveragedAMMExchange.getFreeCollateral(address(this), tokenA), 100);
+
+        // Case 2: It backs the margin ratio after the price drop: (945 returned + 100 free - 900 debt) / 945 returned
+        leveragedAMMExchange.addReserves(tokenA, tokenB, 1, 60);
+        assertEq(leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, 0), 1534);
+        vm.prank(liquidator);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.PositionNotLiquidatable.selector, 1534));
+        leveragedAMMExchange.liquidate(address(this), tokenA, tokenB, 0);
+
+        // Case 3: The WETH deposit cannot be withdrawn, the unrealized loss (945 - 1000) eating into the margin
+        ILeveragedAMMExchange.AccountSummary memory summary = leveragedAMMExchange.getAccountSummary(address(this));
+        assertEq(summary.pnlValue, -55e12);
+        assertEq(summary.remainingValue, (100e12 + 100e12 - 55e12) * 10 - 1000e12);
+        vm.expectRevert(
+            abi.encodeWithSelector(ILeveragedAMMExchange.InsufficientCollateralValue.selector, 1000e12, 450e12)
+        );
+        leveragedAMMExchange.withdraw(tokenB, 6.25e10);
+
+        // Case 4: Once liquidatable, the liquidator buys the WETH worth what the position owes beyond its returned
+        // amount (the debt and the reward), at the feed price, with the token A of its deposit balance
+        leveragedAMMExchange.addReserves(tokenA, tokenB, 1, 132);
+        uint256 positionValue = leveragedAMMExchange.getPositionCross(address(this), tokenA, tokenB).positionValue;
+        (uint256 returnedAmount,) =
+            leveragedAMMExchange.getAmountCollateralReturn(tokenA, tokenB, positionValue, maxLeverage);
+        assertEq(
+            leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, 0),
+            ((returnedAmount + 100 - 900) * 10000) / returnedAmount
+        );
+        uint256 reward = returnedAmount / 100;
+        uint256 charged = 900 + reward - returnedAmount;
+        vm.prank(liquidator);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InsufficientAmount.selector, reward));
+        leveragedAMMExchange.liquidate(address(this), tokenA, tokenB, 0);
+        depositFor(liquidator, charged);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.CollateralSeized(address(this), liquidator, tokenB, charged * 5e8, charged);
+        vm.prank(liquidator);
+        leveragedAMMExchange.liquidate(address(this), tokenA, tokenB, 0);
+        assertEq(leveragedAMMExchange.balances(liquidator, tokenA), reward);
+        assertEq(leveragedAMMExchange.balances(liquidator, tokenB), charged * 5e8);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), 0);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenB), 6.25e10 - charged * 5e8);
+    }
+
+    function test_Withdraw_CrossMode_Unlisted() public {
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        leveragedAMMExchange.setPairFee(tokenA, tokenB, 100);
+        leveragedAMMExchange.deposit(tokenA, 100);
+        leveragedAMMExchange.swap(
+            ILeveragedAMMExchange.Order({
+                tokenA: tokenA,
+                tokenB: tokenB,
+                amount: 50,
+                leverage: maxLeverage,
+                positionMode: ILeveragedAMMExchange.Mode.CROSS,
+                reducePosition: false,
+                closePosition: false,
+                closePosId: 0,
+                minAmountOut: 0,
+                maxAmountIn: 0,
+                deadline: 0,
+                side: ILeveragedAMMExchange.Side.LONG
+            })
+        );
+        uint256 positionValue = leveragedAMMExchange.getPositionCross(address(this), tokenA, tokenB).positionValue;
+        (uint256 settledAmount,) = leveragedAMMExchange.getAmountCollateralReturn(tokenA, tokenB, positionValue, 1);
+        assertLt(settledAmount, 500);
+
+        // Without a margin pool, the deposit balance of token A backs the position alone, with its unrealized loss
+        leveragedAMMExchange.withdraw(tokenA, 45);
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                ILeveragedAMMExchange.InsufficientCollateralValue.selector, 500, (50 + settledAmount - 500) * 10
+            )
+        );
+        leveragedAMMExchange.withdraw(tokenA, 5);
+    }
+
     function test_Swap_Failed() public {
         ILeveragedAMMExchange.Order memory invalidOrder = ILeveragedAMMExchange.Order({
             tokenA: address(0),
@@ -315,7 +1867,11 @@ contract LeveragedAMMExchangeTest is Test {
             positionMode: ILeveragedAMMExchange.Mode.CROSS,
             reducePosition: false,
             closePosition: false,
-            closePosIndex: 0
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 0,
+            side: ILeveragedAMMExchange.Side.LONG
         });
         vm.expectRevert(ILeveragedAMMExchange.InvalidLeverage.selector);
         leveragedAMMExchange.swap(invalidOrder);
@@ -337,7 +1893,7 @@ contract LeveragedAMMExchangeTest is Test {
         uint256 price = leveragedAMMExchange.getPairPrice(tokenA, tokenB);
         uint256 depositBalance = leveragedAMMExchange.balances(address(this), tokenA);
         bytes32 positionId = leveragedAMMExchange.getPositionId(tokenA, tokenB);
-        (,, uint256 collateralWorthValue, uint256 positionValue,) =
+        (,, uint256 collateralWorthValue, uint256 positionValue,,,,,,) =
             leveragedAMMExchange.positionCross(address(this), positionId);
         uint256 remainingValue = leveragedAMMExchange.getAccountRemainingValue(address(this), tokenA, tokenB);
 
@@ -348,4 +1904,21 @@ contract LeveragedAMMExchangeTest is Test {
         console.log("Deposit & Max Leverage:", depositBalance, maxLeverage);
         console.log("Cross Position:", collateralWorthValue, positionValue, remainingValue);
     }
+
+    function depositFor(address account, uint256 amount) public {
+        IERC20(tokenA).transfer(account, amount);
+        vm.startPrank(account);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), amount);
+        leveragedAMMExchange.deposit(tokenA, amount);
+        vm.stopPrank();
+    }
+
+    function signLimitOrder(uint256 privateKey, ILeveragedAMMExchange.LimitOrder memory order)
+        public
+        view
+        returns (bytes memory)
+    {
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(privateKey, leveragedAMMExchange.hashLimitOrder(order));
+        return abi.encodePacked(r, s, v);
+    }
 }
@@ -4,6 +4,7 @@ pragma solidity ^0.8.20;
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import {Test, stdError, console} from "forge-std/Test.sol";
 import {MyToken} from "../src/tests/MyToken.sol";
+import {MockAggregator} from "../src/tests/MockAggregator.sol";
 import {LeveragedAMMExchangeIsolatedMode} from "../src/LeveragedAMMExchangeIsolatedMode.sol";
 import {ILeveragedAMMExchange} from "../src/ILeveragedAMMExchange.sol";
 
@@ -24,6 +25,9 @@ contract LeveragedAMMExchangeTest is Test {
         tokenB = address(wethContract);
         tradingPairSymbol = "WETH/USDC";
         maxLeverage = leveragedAMMExchange.MAX_LEVERAGE();
+        // NOTE: createPair/addReserves pull the reserves from the caller
+        IERC20(tokenA).approve(address(leveragedAMMExchange), type(uint256).max);
+        IERC20(tokenB).approve(address(leveragedAMMExchange), type(uint256).max);
     }
 
     function test_MaxLeverage() public view {
@@ -89,6 +93,7 @@ contract LeveragedAMMExchangeTest is Test {
     }
 
     function test_Deposit_Failed() public {
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 0);
         vm.expectRevert();
         leveragedAMMExchange.deposit(tokenA, 20);
     }
@@ -206,6 +211,10 @@ contract LeveragedAMMExchangeTest is Test {
         for (uint8 i = 0; i < loopCount; i++) {
             uint8 newLeverage = i + 1;
             uint256 amountOut = leveragedAMMExchange.getAmountOutFromIn(tokenA, tokenB, amountIn, newLeverage);
+            vm.warp(1000 + i);
+            vm.roll(10 + i);
+            vm.expectEmit(true, true, true, true);
+            emit ILeveragedAMMExchange.PositionOpened(address(this), tokenA, tokenB, i + 1);
             leveragedAMMExchange.swap(
                 ILeveragedAMMExchange.Order({
                     tokenA: tokenA,
@@ -215,7 +224,11 @@ contract LeveragedAMMExchangeTest is Test {
                     positionMode: ILeveragedAMMExchange.Mode.ISOLATED,
                     reducePosition: false,
                     closePosition: false,
-                    closePosIndex: 0
+                    closePosId: 0,
+                    minAmountOut: 0,
+                    maxAmountIn: 0,
+                    deadline: 0,
+                    side: ILeveragedAMMExchange.Side.LONG
                 })
             );
 
@@ -245,6 +258,9 @@ contract LeveragedAMMExchangeTest is Test {
             assertEq(position.collateralWorthValue, amountIn * newLeverage);
             assertEq(position.positionValue, amountOut);
             assertEq(position.leverage, newLeverage);
+            assertEq(position.id, i + 1);
+            assertEq(position.openedAt, 1000 + i);
+            assertEq(position.openedBlock, 10 + i);
         }
     }
 
@@ -273,7 +289,11 @@ contract LeveragedAMMExchangeTest is Test {
                 positionMode: ILeveragedAMMExchange.Mode.ISOLATED,
                 reducePosition: false,
                 closePosition: false,
-                closePosIndex: 0
+                closePosId: 0,
+                minAmountOut: 0,
+                maxAmountIn: 0,
+                deadline: 0,
+                side: ILeveragedAMMExchange.Side.LONG
             })
         );
         currentBalance -= amountIn;
@@ -285,7 +305,7 @@ contract LeveragedAMMExchangeTest is Test {
         bytes32 positionId = keccak256(abi.encodePacked(tokenA, tokenB));
         uint8 posIndex = 0;
 
-        (,,, uint256 posValue, uint8 leverage) =
+        (,,, uint256 posValue, uint8 leverage, uint256 posId,,,,) =
             leveragedAMMExchange.positionsIsolated(address(this), positionId, posIndex);
 
         (uint256 leveragedAmount, uint256 amountIn_) =
@@ -300,7 +320,11 @@ contract LeveragedAMMExchangeTest is Test {
                 positionMode: ILeveragedAMMExchange.Mode.ISOLATED,
                 reducePosition: false,
                 closePosition: true,
-                closePosIndex: posIndex
+                closePosId: posId,
+                minAmountOut: 0,
+                maxAmountIn: 0,
+                deadline: 0,
+                side: ILeveragedAMMExchange.Side.LONG
             })
         );
 
@@ -327,16 +351,1049 @@ contract LeveragedAMMExchangeTest is Test {
         assertEq(length, 0);
     }
 
+    function test_Swap_PartialClose_IsolatedMode() public {
+        uint256 depositAmount = 2000;
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), depositAmount);
+        leveragedAMMExchange.deposit(tokenA, depositAmount);
+
+        // Open two positions (1000 of token A at 6x, then 500 at 2x)
+        ILeveragedAMMExchange.Order memory order = ILeveragedAMMExchange.Order({
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 1000,
+            leverage: 6,
+            positionMode: ILeveragedAMMExchange.Mode.ISOLATED,
+            reducePosition: false,
+            closePosition: false,
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 0,
+            side: ILeveragedAMMExchange.Side.LONG
+        });
+        leveragedAMMExchange.swap(order);
+        order.amount = 500;
+        order.leverage = 2;
+        leveragedAMMExchange.swap(order);
+        ILeveragedAMMExchange.Position memory position =
+            leveragedAMMExchange.getPositionIsolated(address(this), tokenA, tokenB, 0);
+        uint256 posValue = position.positionValue;
+
+        // Case 1: Close a quarter of the first position (it stays at the same index)
+        uint256 amount = posValue / 4;
+        (uint256 leveragedAmount, uint256 amountIn_) =
+            leveragedAMMExchange.getAmountCollateralReturn(tokenA, tokenB, amount, 6);
+        (, uint256 reserveA, uint256 reserveB) = leveragedAMMExchange.pairs(tokenA, tokenB);
+        order.amount = amount;
+        order.leverage = 6;
+        order.closePosition = true;
+        order.closePosId = position.id;
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.Swap(
+            address(this),
+            tokenB,
+            tokenA,
+            amount,
+            amountIn_,
+            6,
+            ILeveragedAMMExchange.Mode.ISOLATED,
+            0,
+            ILeveragedAMMExchange.Side.LONG
+        );
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.PositionClosed(address(this), tokenA, tokenB, 1, posValue - amount);
+        leveragedAMMExchange.swap(order);
+
+        (, uint256 reserveA_, uint256 reserveB_) = leveragedAMMExchange.pairs(tokenA, tokenB);
+        assertEq(reserveA_, reserveA - leveragedAmount);
+        assertEq(reserveB_, reserveB + amount);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), depositAmount - 1500 + amountIn_);
+        assertEq(leveragedAMMExchange.getPositionsIsolatedLength(address(this), tokenA, tokenB), 2);
+        position = leveragedAMMExchange.getPositionIsolated(address(this), tokenA, tokenB, 0);
+        assertEq(position.collateralAmount, 1000 - 1000 * amount / posValue);
+        assertEq(position.collateralWorthValue, 6000 - 6000 * amount / posValue);
+        assertEq(position.positionValue, posValue - amount);
+        assertEq(position.leverage, 6);
+        assertEq(position.id, 1);
+
+        // Case 2: Close more than the position value, or an unknown position
+        order.amount = posValue - amount + 1;
+        vm.expectRevert(ILeveragedAMMExchange.InvalidTokenAmount.selector);
+        leveragedAMMExchange.swap(order);
+        order.amount = 1;
+        order.closePosId = 3;
+        vm.expectRevert(ILeveragedAMMExchange.PositionNotFound.selector);
+        leveragedAMMExchange.swap(order);
+
+        // Case 3: Close the rest of the first position (the last position takes its index, and keeps its ID)
+        order.amount = posValue - amount;
+        order.closePosId = 1;
+        leveragedAMMExchange.swap(order);
+        assertEq(leveragedAMMExchange.getPositionsIsolatedLength(address(this), tokenA, tokenB), 1);
+        position = leveragedAMMExchange.getPositionIsolated(address(this), tokenA, tokenB, 0);
+        assertEq(position.collateralAmount, 500);
+        assertEq(position.leverage, 2);
+        assertEq(position.id, 2);
+        vm.expectRevert(ILeveragedAMMExchange.PositionNotFound.selector);
+        leveragedAMMExchange.getPositionIsolatedById(address(this), tokenA, tokenB, 1);
+    }
+
+    function test_Swap_Close_NoDeposit_IsolatedMode() public {
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 100);
+        leveragedAMMExchange.deposit(tokenA, 100);
+
+        // The whole deposit balance is the collateral of the position
+        ILeveragedAMMExchange.Order memory order = ILeveragedAMMExchange.Order({
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 100,
+            leverage: 5,
+            positionMode: ILeveragedAMMExchange.Mode.ISOLATED,
+            reducePosition: false,
+            closePosition: false,
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 0,
+            side: ILeveragedAMMExchange.Side.LONG
+        });
+        leveragedAMMExchange.swap(order);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), 0);
+
+        // Closing it sells token B: the deposit balance of token A does not bound the order amount
+        uint256 positionValue =
+            leveragedAMMExchange.getPositionIsolatedById(address(this), tokenA, tokenB, 1).positionValue;
+        uint256 returnedAmount =
+            leveragedAMMExchange.getPositionReturn(address(this), tokenA, tokenB, 1, positionValue);
+        order.amount = positionValue;
+        order.closePosition = true;
+        order.closePosId = 1;
+        leveragedAMMExchange.swap(order);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), returnedAmount);
+        assertEq(leveragedAMMExchange.getPositionsIsolatedLength(address(this), tokenA, tokenB), 0);
+    }
+
+    function test_Swap_Close_PairShortfall_IsolatedMode() public {
+        address trader = makeAddr("trader");
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 100);
+        leveragedAMMExchange.deposit(tokenA, 100);
+        depositFor(trader, 100000);
+        ILeveragedAMMExchange.Order memory order = ILeveragedAMMExchange.Order({
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 100,
+            leverage: 10,
+            positionMode: ILeveragedAMMExchange.Mode.ISOLATED,
+            reducePosition: false,
+            closePosition: false,
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 0,
+            side: ILeveragedAMMExchange.Side.LONG
+        });
+        leveragedAMMExchange.swap(order);
+        // A large long pumps the pair price far above what the real token A of the pair can pay the first one
+        order.amount = 100000;
+        vm.prank(trader);
+        leveragedAMMExchange.swap(order);
+
+        uint256 positionValue =
+            leveragedAMMExchange.getPositionIsolatedById(address(this), tokenA, tokenB, 1).positionValue;
+        uint256 returnedAmount =
+            leveragedAMMExchange.getPositionReturn(address(this), tokenA, tokenB, 1, positionValue);
+        (uint256 balanceA,) = leveragedAMMExchange.pairBalances(tokenA, tokenB);
+        // The pair pays its real token A, with the collateral the position releases
+        uint256 paidAmount = balanceA + 100;
+        assertGt(returnedAmount, paidAmount);
+        order.amount = positionValue;
+        order.closePosition = true;
+        order.closePosId = 1;
+
+        // Case 1: The slippage bound applies to the amount paid
+        order.minAmountOut = returnedAmount;
+        vm.expectRevert(
+            abi.encodeWithSelector(ILeveragedAMMExchange.InsufficientAmountOut.selector, paidAmount, returnedAmount)
+        );
+        leveragedAMMExchange.swap(order);
+
+        // Case 2: The profit the pair cannot pay is cut, and the Swap event carries the amount paid
+        order.minAmountOut = 0;
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.Swap(
+            address(this),
+            tokenB,
+            tokenA,
+            positionValue,
+            paidAmount,
+            10,
+            ILeveragedAMMExchange.Mode.ISOLATED,
+            0,
+            ILeveragedAMMExchange.Side.LONG
+        );
+        leveragedAMMExchange.swap(order);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), paidAmount);
+        (balanceA,) = leveragedAMMExchange.pairBalances(tokenA, tokenB);
+        assertEq(balanceA, 0);
+    }
+
+    function test_Margin_IsolatedMode() public {
+        uint256 depositAmount = 1000;
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), depositAmount);
+        leveragedAMMExchange.deposit(tokenA, depositAmount);
+
+        // Open a position (100 of token A at 5x)
+        ILeveragedAMMExchange.Order memory order = ILeveragedAMMExchange.Order({
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 100,
+            leverage: 5,
+            positionMode: ILeveragedAMMExchange.Mode.ISOLATED,
+            reducePosition: false,
+            closePosition: false,
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 0,
+            side: ILeveragedAMMExchange.Side.LONG
+        });
+        leveragedAMMExchange.swap(order);
+
+        // Case 1: Add margin to the position (at most its debt, from the deposit balance)
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.MarginAdded(address(this), tokenA, tokenB, 1, 50);
+        leveragedAMMExchange.addMargin(tokenA, tokenB, 1, 50);
+        ILeveragedAMMExchange.Position memory position =
+            leveragedAMMExchange.getPositionIsolatedById(address(this), tokenA, tokenB, 1);
+        assertEq(position.collateralAmount, 150);
+        assertEq(position.collateralWorthValue, 500);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), depositAmount - 150);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InvalidMarginAmount.selector, 350));
+        leveragedAMMExchange.addMargin(tokenA, tokenB, 1, 351);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InsufficientAmount.selector, 850));
+        leveragedAMMExchange.addMargin(tokenA, tokenB, 1, 851);
+        vm.expectRevert(ILeveragedAMMExchange.PositionNotFound.selector);
+        leveragedAMMExchange.addMargin(tokenA, tokenB, 2, 50);
+        vm.expectRevert(ILeveragedAMMExchange.InvalidTokenAmount.selector);
+        leveragedAMMExchange.addMargin(tokenA, tokenB, 1, 0);
+
+        // Case 2: Remove margin (at most the margin added above the initial margin of 100)
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InvalidMarginAmount.selector, 50));
+        leveragedAMMExchange.removeMargin(tokenA, tokenB, 1, 51);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.MarginRemoved(address(this), tokenA, tokenB, 1, 20);
+        leveragedAMMExchange.removeMargin(tokenA, tokenB, 1, 20);
+        assertEq(leveragedAMMExchange.getPositionIsolatedById(address(this), tokenA, tokenB, 1).collateralAmount, 130);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), depositAmount - 130);
+
+        // Case 3: The margin ratio must stay above the maintenance margin after the price drop
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 1);
+        leveragedAMMExchange.addReserves(tokenA, tokenB, 1, 200);
+        (uint256 leveragedAmount,) =
+            leveragedAMMExchange.getAmountCollateralReturn(tokenA, tokenB, position.positionValue, 5);
+        assertGt(leveragedAmount, 400);
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                ILeveragedAMMExchange.InsufficientMargin.selector, ((leveragedAmount - 400) * 10000) / leveragedAmount
+            )
+        );
+        leveragedAMMExchange.removeMargin(tokenA, tokenB, 1, 30);
+        leveragedAMMExchange.removeMargin(tokenA, tokenB, 1, 10);
+        assertGt(
+            leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, 1),
+            leveragedAMMExchange.MAINTENANCE_MARGIN_BPS()
+        );
+
+        // Case 4: Closing the position gives back the rest of the added margin
+        (, uint256 amountIn_) =
+            leveragedAMMExchange.getAmountCollateralReturn(tokenA, tokenB, position.positionValue, 5);
+        order.amount = position.positionValue;
+        order.closePosition = true;
+        order.closePosId = 1;
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.Swap(
+            address(this),
+            tokenB,
+            tokenA,
+            position.positionValue,
+            amountIn_,
+            5,
+            ILeveragedAMMExchange.Mode.ISOLATED,
+            0,
+            ILeveragedAMMExchange.Side.LONG
+        );
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.MarginRemoved(address(this), tokenA, tokenB, 1, 20);
+        leveragedAMMExchange.swap(order);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), depositAmount - 120 + amountIn_ + 20);
+        assertEq(leveragedAMMExchange.getPositionsIsolatedLength(address(this), tokenA, tokenB), 0);
+        vm.expectRevert(ILeveragedAMMExchange.PositionNotFound.selector);
+        leveragedAMMExchange.removeMargin(tokenA, tokenB, 1, 1);
+    }
+
+    function test_Swap_Fee_IsolatedMode() public {
+        uint256 depositAmount = 20000;
+        uint256 amountIn = 10000;
+        uint8 leverage = 5;
+
+        leveragedAMMExchange.createPair(tokenA, tokenB, 100000, 10000);
+        leveragedAMMExchange.setPairFee(tokenA, tokenB, 30);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), depositAmount);
+        leveragedAMMExchange.deposit(tokenA, depositAmount);
+
+        // Case 1: Open position (the fee of 150 is taken from the leveraged input)
+        assertEq(leveragedAMMExchange.getAmountOutFromIn(tokenA, tokenB, amountIn, leverage), 3327);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.Swap(
+            address(this),
+            tokenA,
+            tokenB,
+            amountIn,
+            3327,
+            leverage,
+            ILeveragedAMMExchange.Mode.ISOLATED,
+            150,
+            ILeveragedAMMExchange.Side.LONG
+        );
+        leveragedAMMExchange.swap(
+            ILeveragedAMMExchange.Order({
+                tokenA: tokenA,
+                tokenB: tokenB,
+                amount: amountIn,
+                leverage: leverage,
+                positionMode: ILeveragedAMMExchange.Mode.ISOLATED,
+                reducePosition: false,
+                closePosition: false,
+                closePosId: 0,
+                minAmountOut: 0,
+                maxAmountIn: 0,
+                deadline: 0,
+                side: ILeveragedAMMExchange.Side.LONG
+            })
+        );
+        (, uint256 reserveA, uint256 reserveB) = leveragedAMMExchange.pairs(tokenA, tokenB);
+        assertEq(reserveA, 149850);
+        assertEq(reserveB, 6673);
+        assertEq(leveragedAMMExchange.accruedFees(tokenA, tokenB), 150);
+
+        // Case 2: Close position (the fee of 149 is taken from the returned amount of 49856)
+        (uint256 leveragedAmount, uint256 amountIn_) =
+            leveragedAMMExchange.getAmountCollateralReturn(tokenA, tokenB, 3327, leverage);
+        assertEq(leveragedAmount, 49707);
+        assertEq(amountIn_, 9941);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.Swap(
+            address(this),
+            tokenB,
+            tokenA,
+            3327,
+            amountIn_,
+            leverage,
+            ILeveragedAMMExchange.Mode.ISOLATED,
+            149,
+            ILeveragedAMMExchange.Side.LONG
+        );
+        leveragedAMMExchange.swap(
+            ILeveragedAMMExchange.Order({
+                tokenA: tokenA,
+                tokenB: tokenB,
+                amount: 3327,
+                leverage: leverage,
+                positionMode: ILeveragedAMMExchange.Mode.ISOLATED,
+                reducePosition: false,
+                closePosition: true,
+                closePosId: 1,
+                minAmountOut: 0,
+                maxAmountIn: 0,
+                deadline: 0,
+                side: ILeveragedAMMExchange.Side.LONG
+            })
+        );
+        (, reserveA, reserveB) = leveragedAMMExchange.pairs(tokenA, tokenB);
+        assertEq(reserveA, 99994);
+        assertEq(reserveB, 10000);
+        assertEq(leveragedAMMExchange.accruedFees(tokenA, tokenB), 299);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), depositAmount - amountIn + amountIn_);
+    }
+
+    function test_Swap_Slippage_IsolatedMode() public {
+        leveragedAMMExchange.createPair(tokenA, tokenB, 100000, 10000);
+        leveragedAMMExchange.setPairFee(tokenA, tokenB, 30);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 20000);
+        leveragedAMMExchange.deposit(tokenA, 20000);
+        vm.warp(1000);
+
+        // Case 1: Open position (10000 of token A at 5x for 3327 of token B)
+        ILeveragedAMMExchange.Order memory order = ILeveragedAMMExchange.Order({
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 10000,
+            leverage: 5,
+            positionMode: ILeveragedAMMExchange.Mode.ISOLATED,
+            reducePosition: false,
+            closePosition: false,
+            closePosId: 0,
+            minAmountOut: 3328,
+            maxAmountIn: 10000,
+            deadline: block.timestamp,
+            side: ILeveragedAMMExchange.Side.LONG
+        });
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InsufficientAmountOut.selector, 3327, 3328));
+        leveragedAMMExchange.swap(order);
+        order.minAmountOut = 3327;
+        leveragedAMMExchange.swap(order);
+        assertEq(leveragedAMMExchange.getPositionsIsolatedLength(address(this), tokenA, tokenB), 1);
+
+        // Case 2: Close position (the position value of 3327 for 9941 of token A)
+        order.amount = 3327;
+        order.closePosition = true;
+        order.closePosId = 1;
+        order.minAmountOut = 9941;
+        order.maxAmountIn = 3327;
+        order.deadline = 999;
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.OrderExpired.selector, 999));
+        leveragedAMMExchange.swap(order);
+        order.deadline = 0;
+        order.maxAmountIn = 3326;
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.ExcessiveAmountIn.selector, 3327, 3326));
+        leveragedAMMExchange.swap(order);
+        order.maxAmountIn = 3327;
+        order.minAmountOut = 9942;
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InsufficientAmountOut.selector, 9941, 9942));
+        leveragedAMMExchange.swap(order);
+        order.minAmountOut = 9941;
+        leveragedAMMExchange.swap(order);
+        assertEq(leveragedAMMExchange.getPositionsIsolatedLength(address(this), tokenA, tokenB), 0);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), 20000 - 10000 + 9941);
+    }
+
+    function test_Liquidate_IsolatedMode() public {
+        uint256 depositAmount = 1000;
+        uint256 amountIn = 100;
+        address liquidator = makeAddr("liquidator");
+
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), depositAmount);
+        leveragedAMMExchange.deposit(tokenA, depositAmount);
+
+        // Open positions first for testing
+        for (uint8 i = 0; i < 2; i++) {
+            leveragedAMMExchange.swap(
+                ILeveragedAMMExchange.Order({
+                    tokenA: tokenA,
+                    tokenB: tokenB,
+                    amount: amountIn,
+                    leverage: i == 0 ? maxLeverage : 2,
+                    positionMode: ILeveragedAMMExchange.Mode.ISOLATED,
+                    reducePosition: false,
+                    closePosition: false,
+                    closePosId: 0,
+                    minAmountOut: 0,
+                    maxAmountIn: 0,
+                    deadline: 0,
+                    side: ILeveragedAMMExchange.Side.LONG
+                })
+            );
+        }
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                ILeveragedAMMExchange.PositionNotLiquidatable.selector,
+                leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, 1)
+            )
+        );
+        leveragedAMMExchange.liquidate(address(this), tokenA, tokenB, 1);
+
+        // Case 3: Liquidate the 10x position after the price drop (the deposit balance does not back it)
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 1);
+        leveragedAMMExchange.addReserves(tokenA, tokenB, 1, 100);
+        (, uint256 reserveA, uint256 reserveB) = leveragedAMMExchange.pairs(tokenA, tokenB);
+        ILeveragedAMMExchange.Position memory position =
+            leveragedAMMExchange.getPositionIsolated(address(this), tokenA, tokenB, 0);
+        ILeveragedAMMExchange.Position memory lastPosition =
+            leveragedAMMExchange.getPositionIsolated(address(this), tokenA, tokenB, 1);
+        (uint256 leveragedAmount,) =
+            leveragedAMMExchange.getAmountCollateralReturn(tokenA, tokenB, position.positionValue, maxLeverage);
+        uint256 equity = leveragedAmount - 900;
+        uint256 reward = leveragedAmount / 100;
+        uint256 marginRatio = leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, position.id);
+        assertEq(marginRatio, (equity * 10000) / leveragedAmount);
+        assertLe(marginRatio, leveragedAMMExchange.MAINTENANCE_MARGIN_BPS());
+        assertGt(
+            leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, lastPosition.id), marginRatio
+        );
+
+        // NOTE: the position is removed before the liquidation is emitted
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.PositionClosed(address(this), tokenA, tokenB, 1, 0);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.Liquidate(
+            liquidator,
+            address(this),
+            tokenA,
+            tokenB,
+            position.positionValue,
+            leveragedAmount,
+            900,
+            reward,
+            maxLeverage,
+            ILeveragedAMMExchange.Mode.ISOLATED,
+            0,
+            ILeveragedAMMExchange.Side.LONG
+        );
+        vm.prank(liquidator);
+        leveragedAMMExchange.liquidate(address(this), tokenA, tokenB, 1);
+
+        // Check reserves and balances
+        (, uint256 reserveA_, uint256 reserveB_) = leveragedAMMExchange.pairs(tokenA, tokenB);
+        assertEq(reserveA_, reserveA - leveragedAmount);
+        assertEq(reserveB_, reserveB + position.positionValue);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), depositAmount - 2 * amountIn + equity - reward);
+        assertEq(leveragedAMMExchange.balances(liquidator, tokenA), reward);
+
+        // Check position information (the last position takes the index of the liquidated one, and keeps its ID)
+        assertEq(leveragedAMMExchange.getPositionsIsolatedLength(address(this), tokenA, tokenB), 1);
+        position = leveragedAMMExchange.getPositionIsolated(address(this), tokenA, tokenB, 0);
+        assertEq(position.positionValue, lastPosition.positionValue);
+        assertEq(position.leverage, 2);
+        assertEq(position.id, 2);
+        assertEq(leveragedAMMExchange.getPositionIsolatedById(address(this), tokenA, tokenB, 2).leverage, 2);
+        vm.expectRevert(ILeveragedAMMExchange.PositionNotFound.selector);
+        leveragedAMMExchange.liquidate(address(this), tokenA, tokenB, 1);
+    }
+
+    function test_Liquidate_IsolatedMode_Oracle() public {
+        address liquidator = makeAddr("liquidator");
+        leveragedAMMExchange.createPair(tokenA, tokenB, 1000000, 100000);
+        // 10 USDC per WETH with 8 decimals, within 20% of the pair price
+        MockAggregator feed = new MockAggregator(8, "WETH / USDC", 1e21);
+        leveragedAMMExchange.setPairOracle(tokenA, tokenB, address(feed), 1 hours, 2000);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 1000);
+        leveragedAMMExchange.deposit(tokenA, 1000);
+        leveragedAMMExchange.swap(
+            ILeveragedAMMExchange.Order({
+                tokenA: tokenA,
+                tokenB: tokenB,
+                amount: 200,
+                leverage: 5,
+                positionMode: ILeveragedAMMExchange.Mode.ISOLATED,
+                reducePosition: false,
+                closePosition: false,
+                closePosId: 0,
+                minAmountOut: 0,
+                maxAmountIn: 0,
+                deadline: 0,
+                side: ILeveragedAMMExchange.Side.SHORT
+            })
+        );
+
+        // Case 1: The short is marked at the feed price: (1200 held - 1000 cost) / 1000 cost
+        ILeveragedAMMExchange.Position memory position =
+            leveragedAMMExchange.getPositionIsolatedById(address(this), tokenA, tokenB, 1);
+        assertEq(position.positionValue, 100);
+        assertEq(leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, 1), 2000);
+
+        // Case 2: A price pump of the pair alone does not liquidate (1148 cost at the reserves, i.e. 452)
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 150000);
+        leveragedAMMExchange.addReserves(tokenA, tokenB, 150000, 1);
+        assertEq(leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, 1), 2000);
+        vm.prank(liquidator);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.PositionNotLiquidatable.selector, 2000));
+        leveragedAMMExchange.liquidate(address(this), tokenA, tokenB, 1);
+
+        // Case 3: Liquidate once the feed price rises: (1200 held - 1150 cost) / 1150, bought back at the reserves
+        feed.setPrice(1.15e21);
+        assertEq(leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, 1), 434);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.Liquidate(
+            liquidator,
+            address(this),
+            tokenA,
+            tokenB,
+            100,
+            1200,
+            1148,
+            11,
+            5,
+            ILeveragedAMMExchange.Mode.ISOLATED,
+            0,
+            ILeveragedAMMExchange.Side.SHORT
+        );
+        vm.prank(liquidator);
+        leveragedAMMExchange.liquidate(address(this), tokenA, tokenB, 1);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), 1000 - 200 + 52 - 11);
+        assertEq(leveragedAMMExchange.balances(liquidator, tokenA), 11);
+    }
+
+    function test_Funding_IsolatedMode() public {
+        address shortTrader = makeAddr("shortTrader");
+        leveragedAMMExchange.createPair(tokenA, tokenB, 1000000, 100000);
+        // 9.5 USDC per WETH with 8 decimals: the pair price is at a premium of about 5%, bounded to 1% per interval
+        MockAggregator feed = new MockAggregator(8, "WETH / USDC", 0.95e21);
+        leveragedAMMExchange.setPairOracle(tokenA, tokenB, address(feed), 0, 0);
+        vm.warp(1000);
+
+        // Case 1: The first poke starts the funding, the next one is due an interval later
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.FundingUpdated(tokenA, tokenB, 0, 0, 0);
+        leveragedAMMExchange.pokeFunding(tokenA, tokenB);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.FundingNotDue.selector, 1000 + 1 hours));
+        leveragedAMMExchange.pokeFunding(tokenA, tokenB);
+
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 1000);
+        leveragedAMMExchange.deposit(tokenA, 1000);
+        depositFor(shortTrader, 1000);
+        ILeveragedAMMExchange.Order memory order = ILeveragedAMMExchange.Order({
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 100,
+            leverage: 5,
+            positionMode: ILeveragedAMMExchange.Mode.ISOLATED,
+            reducePosition: false,
+            closePosition: false,
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 0,
+            side: ILeveragedAMMExchange.Side.LONG
+        });
+        leveragedAMMExchange.swap(order);
+        order.side = ILeveragedAMMExchange.Side.SHORT;
+        vm.prank(shortTrader);
+        leveragedAMMExchange.swap(order);
+        assertEq(leveragedAMMExchange.getFundingRate(tokenA, tokenB), 0.01e18);
+        assertEq(leveragedAMMExchange.getPositionFunding(address(this), tokenA, tokenB, 1), 0);
+        uint256 marginRatio = leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, 1);
+
+        // Case 2: Two intervals elapsed, only the one that just ended accrues: the long pays 1% of its 500 worth
+        // value, the short receives as much
+        vm.warp(1000 + 2 hours + 10);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.FundingUpdated(tokenA, tokenB, 0.01e18, 0.01e18, 2);
+        leveragedAMMExchange.pokeFunding(tokenA, tokenB);
+        (int256 cumulativeIndex, int256 rate, uint256 lastFundingTime) =
+            leveragedAMMExchange.pairFunding(tokenA, tokenB);
+        assertEq(cumulativeIndex, 0.01e18);
+        assertEq(rate, 0.01e18);
+        assertEq(lastFundingTime, 1000 + 2 hours);
+        assertEq(leveragedAMMExchange.getPositionFunding(address(this), tokenA, tokenB, 1), 5);
+        assertEq(leveragedAMMExchange.getPositionFunding(shortTrader, tokenA, tokenB, 2), -5);
+        // The funding owed is added to the debt of the long
+        assertLt(leveragedAMMExchange.getPositionMarginRatio(address(this), tokenA, tokenB, 1), marginRatio);
+
+        // Case 3: Closing the long settles its funding from the returned amount, to the funding pool of the pair
+        uint256 positionValue =
+            leveragedAMMExchange.getPositionIsolatedById(address(this), tokenA, tokenB, 1).positionValue;
+        uint256 returnedAmount =
+            leveragedAMMExchange.getPositionReturn(address(this), tokenA, tokenB, 1, positionValue);
+        order.amount = positionValue;
+        order.closePosition = true;
+        order.closePosId = 1;
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.FundingSettled(address(this), tokenA, tokenB, 1, 5);
+        leveragedAMMExchange.swap(order);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), 1000 - 100 + returnedAmount - 5);
+        assertEq(leveragedAMMExchange.fundingPools(tokenA, tokenB), 5);
+        assertEq(leveragedAMMExchange.accruedFees(tokenA, tokenB), 0);
+
+        // Case 4: Closing the short pays its funding from the funding pool of the pair
+        positionValue = leveragedAMMExchange.getPositionIsolatedById(shortTrader, tokenA, tokenB, 2).positionValue;
+        returnedAmount = leveragedAMMExchange.getPositionReturn(shortTrader, tokenA, tokenB, 2, positionValue);
+        order.amount = positionValue;
+        order.closePosId = 2;
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.FundingSettled(shortTrader, tokenA, tokenB, 2, -5);
+        vm.prank(shortTrader);
+        leveragedAMMExchange.swap(order);
+        assertEq(leveragedAMMExchange.balances(shortTrader, tokenA), 1000 - 100 + returnedAmount + 5);
+        assertEq(leveragedAMMExchange.fundingPools(tokenA, tokenB), 0);
+    }
+
+    function test_Funding_PartialClose_IsolatedMode() public {
+        leveragedAMMExchange.createPair(tokenA, tokenB, 1000000, 100000);
+        MockAggregator feed = new MockAggregator(8, "WETH / USDC", 0.95e21);
+        leveragedAMMExchange.setPairOracle(tokenA, tokenB, address(feed), 0, 0);
+        vm.warp(1000);
+        leveragedAMMExchange.pokeFunding(tokenA, tokenB);
+
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 1000);
+        leveragedAMMExchange.deposit(tokenA, 1000);
+        ILeveragedAMMExchange.Order memory order = ILeveragedAMMExchange.Order({
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 1000,
+            leverage: 10,
+            positionMode: ILeveragedAMMExchange.Mode.ISOLATED,
+            reducePosition: false,
+            closePosition: false,
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 0,
+            side: ILeveragedAMMExchange.Side.LONG
+        });
+        leveragedAMMExchange.swap(order);
+        vm.warp(1000 + 1 hours);
+        leveragedAMMExchange.pokeFunding(tokenA, tokenB);
+        // The long owes 1% of its 10000 worth value
+        assertEq(leveragedAMMExchange.getPositionFunding(address(this), tokenA, tokenB, 1), 100);
+
+        // Case 1: A small partial close pays the funding from its returned amount, the rest stays accrued on the
+        // position
+        uint256 returnedAmount = leveragedAMMExchange.getPositionReturn(address(this), tokenA, tokenB, 1, 10);
+        assertGt(returnedAmount, 0);
+        assertLt(returnedAmount, 100);
+        order.amount = 10;
+        order.closePosition = true;
+        order.closePosId = 1;
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.FundingSettled(address(this), tokenA, tokenB, 1, int256(returnedAmount));
+        leveragedAMMExchange.swap(order);
+        assertEq(
+            leveragedAMMExchange.getPositionFunding(address(this), tokenA, tokenB, 1), 100 - int256(returnedAmount)
+        );
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), 0);
+        assertEq(leveragedAMMExchange.fundingPools(tokenA, tokenB), returnedAmount);
+
+        // Case 2: Closing the rest of the position settles the rest of the funding
+        uint256 positionValue =
+            leveragedAMMExchange.getPositionIsolatedById(address(this), tokenA, tokenB, 1).positionValue;
+        uint256 nextReturnedAmount =
+            leveragedAMMExchange.getPositionReturn(address(this), tokenA, tokenB, 1, positionValue);
+        order.amount = positionValue;
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.FundingSettled(address(this), tokenA, tokenB, 1, 100 - int256(returnedAmount));
+        leveragedAMMExchange.swap(order);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), nextReturnedAmount - (100 - returnedAmount));
+        assertEq(leveragedAMMExchange.fundingPools(tokenA, tokenB), 100);
+    }
+
+    function test_Funding_CollectFees_IsolatedMode() public {
+        address shortTrader = makeAddr("shortTrader");
+        address treasury = makeAddr("treasury");
+        leveragedAMMExchange.createPair(tokenA, tokenB, 1000000, 100000);
+        leveragedAMMExchange.setPairFee(tokenA, tokenB, 30);
+        MockAggregator feed = new MockAggregator(8, "WETH / USDC", 0.95e21);
+        leveragedAMMExchange.setPairOracle(tokenA, tokenB, address(feed), 0, 0);
+        vm.warp(1000);
+        leveragedAMMExchange.pokeFunding(tokenA, tokenB);
+
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 1000);
+        leveragedAMMExchange.deposit(tokenA, 1000);
+        depositFor(shortTrader, 1000);
+        ILeveragedAMMExchange.Order memory order = ILeveragedAMMExchange.Order({
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 100,
+            leverage: 5,
+            positionMode: ILeveragedAMMExchange.Mode.ISOLATED,
+            reducePosition: false,
+            closePosition: false,
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 0,
+            side: ILeveragedAMMExchange.Side.LONG
+        });
+        leveragedAMMExchange.swap(order);
+        order.side = ILeveragedAMMExchange.Side.SHORT;
+        vm.prank(shortTrader);
+        leveragedAMMExchange.swap(order);
+        vm.warp(1000 + 1 hours);
+        leveragedAMMExchange.pokeFunding(tokenA, tokenB);
+
+        // The long pays its funding (1% of its 500 worth value) to the funding pool, apart from the fees
+        uint256 positionValue =
+            leveragedAMMExchange.getPositionIsolatedById(address(this), tokenA, tokenB, 1).positionValue;
+        order.amount = positionValue;
+        order.side = ILeveragedAMMExchange.Side.LONG;
+        order.closePosition = true;
+        order.closePosId = 1;
+        leveragedAMMExchange.swap(order);
+        assertEq(leveragedAMMExchange.fundingPools(tokenA, tokenB), 5);
+
+        // Collecting the fees between the accrual and the settlement leaves the funding pool alone
+        uint256 fees = leveragedAMMExchange.accruedFees(tokenA, tokenB);
+        assertGt(fees, 0);
+        leveragedAMMExchange.collectFees(tokenA, tokenB, treasury);
+        assertEq(leveragedAMMExchange.balances(treasury, tokenA), fees);
+        assertEq(leveragedAMMExchange.fundingPools(tokenA, tokenB), 5);
+
+        // The short still receives its funding
+        positionValue = leveragedAMMExchange.getPositionIsolatedById(shortTrader, tokenA, tokenB, 2).positionValue;
+        uint256 returnedAmount = leveragedAMMExchange.getPositionReturn(shortTrader, tokenA, tokenB, 2, positionValue);
+        order.amount = positionValue;
+        order.side = ILeveragedAMMExchange.Side.SHORT;
+        order.closePosId = 2;
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.FundingSettled(shortTrader, tokenA, tokenB, 2, -5);
+        vm.prank(shortTrader);
+        leveragedAMMExchange.swap(order);
+        assertEq(leveragedAMMExchange.balances(shortTrader, tokenA), 1000 - 100 + returnedAmount + 5);
+        assertEq(leveragedAMMExchange.fundingPools(tokenA, tokenB), 0);
+    }
+
+    function test_Swap_Short_IsolatedMode() public {
+        uint256 depositAmount = 1000;
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), depositAmount);
+        leveragedAMMExchange.deposit(tokenA, depositAmount);
+
+        // Case 1: Borrow and sell token B for the leveraged amount (500 of token A)
+        ILeveragedAMMExchange.Order memory order = ILeveragedAMMExchange.Order({
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 100,
+            leverage: 5,
+            positionMode: ILeveragedAMMExchange.Mode.ISOLATED,
+            reducePosition: false,
+            closePosition: false,
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 0,
+            side: ILeveragedAMMExchange.Side.SHORT
+        });
+        assertEq(leveragedAMMExchange.getAmountShortFromIn(tokenA, tokenB, 100, 5), 52);
+        // The leveraged amount received is fixed: only the token B sold is bounded
+        order.minAmountOut = 1;
+        vm.expectRevert(ILeveragedAMMExchange.InvalidSlippageBound.selector);
+        leveragedAMMExchange.swap(order);
+        order.minAmountOut = 0;
+        order.maxAmountIn = 51;
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.ExcessiveAmountIn.selector, 52, 51));
+        leveragedAMMExchange.swap(order);
+        order.maxAmountIn = 52;
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.Swap(
+            address(this),
+            tokenA,
+            tokenB,
+            100,
+            52,
+            5,
+            ILeveragedAMMExchange.Mode.ISOLATED,
+            0,
+            ILeveragedAMMExchange.Side.SHORT
+        );
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.PositionOpened(address(this), tokenA, tokenB, 1);
+        leveragedAMMExchange.swap(order);
+        (, uint256 reserveA, uint256 reserveB) = leveragedAMMExchange.pairs(tokenA, tokenB);
+        assertEq(reserveA, 9500);
+        assertEq(reserveB, 1052);
+        ILeveragedAMMExchange.Position memory position =
+            leveragedAMMExchange.getPositionIsolatedById(address(this), tokenA, tokenB, 1);
+        assertEq(uint8(position.side), uint8(ILeveragedAMMExchange.Side.SHORT));
+        assertEq(position.collateralWorthValue, 500);
+        assertEq(position.positionValue, 52);
+
+        // Case 2: Buy back half of it after the price drop (the buyback cost is 219 for a worth value of 250)
+        IERC20(tokenA).approve(address(leveragedAMMExchange), 1);
+        leveragedAMMExchange.addReserves(tokenA, tokenB, 1, 100);
+        assertEq(leveragedAMMExchange.getPositionReturn(address(this), tokenA, tokenB, 1, 26), 56);
+        assertEq(leveragedAMMExchange.getPositionReturn(address(this), tokenA, tokenB, 1, 53), 0);
+        order.amount = 26;
+        order.closePosition = true;
+        order.closePosId = 1;
+        order.maxAmountIn = 0;
+        order.minAmountOut = 57;
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InsufficientAmountOut.selector, 56, 57));
+        leveragedAMMExchange.swap(order);
+        order.minAmountOut = 56;
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.Swap(
+            address(this),
+            tokenB,
+            tokenA,
+            26,
+            56,
+            5,
+            ILeveragedAMMExchange.Mode.ISOLATED,
+            0,
+            ILeveragedAMMExchange.Side.SHORT
+        );
+        leveragedAMMExchange.swap(order);
+        (, reserveA, reserveB) = leveragedAMMExchange.pairs(tokenA, tokenB);
+        assertEq(reserveA, 9720);
+        assertEq(reserveB, 1126);
+        assertEq(leveragedAMMExchange.balances(address(this), tokenA), depositAmount - 100 + 56);
+        position = leveragedAMMExchange.getPositionIsolatedById(address(this), tokenA, tokenB, 1);
+        assertEq(position.collateralAmount, 50);
+        assertEq(position.collateralWorthValue, 250);
+        assertEq(position.positionValue, 26);
+    }
+
+    function test_LimitOrder_IsolatedMode() public {
+        (address trader, uint256 traderKey) = makeAddrAndKey("trader");
+        address relayer = makeAddr("relayer");
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        depositFor(trader, 1000);
+
+        // Case 1: Buy token B once the price fell to the limit price
+        uint256 price = leveragedAMMExchange.getPairPrice(tokenA, tokenB);
+        ILeveragedAMMExchange.LimitOrder memory order = ILeveragedAMMExchange.LimitOrder({
+            account: trader,
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 100,
+            leverage: 5,
+            side: ILeveragedAMMExchange.Side.LONG,
+            reducePosition: false,
+            closePosId: 0,
+            limitPrice: price * 9 / 10,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            nonce: 1,
+            deadline: 0
+        });
+        bytes memory signature = signLimitOrder(traderKey, order);
+        vm.expectRevert(
+            abi.encodeWithSelector(ILeveragedAMMExchange.LimitPriceNotReached.selector, price, order.limitPrice)
+        );
+        leveragedAMMExchange.executeLimitOrder(order, signature);
+
+        leveragedAMMExchange.addReserves(tokenA, tokenB, 1, 200);
+        price = leveragedAMMExchange.getPairPrice(tokenA, tokenB);
+        bytes32 orderHash = leveragedAMMExchange.hashLimitOrder(order);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.PositionOpened(trader, tokenA, tokenB, 1);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.LimitOrderExecuted(trader, relayer, orderHash, 1, price);
+        vm.prank(relayer);
+        leveragedAMMExchange.executeLimitOrder(order, signature);
+        assertEq(leveragedAMMExchange.balances(trader, tokenA), 900);
+        ILeveragedAMMExchange.Position memory position =
+            leveragedAMMExchange.getPositionIsolatedById(trader, tokenA, tokenB, 1);
+        assertEq(position.collateralWorthValue, 500);
+
+        // Case 2: Sell the position once the price rose to the limit price, following its side
+        price = leveragedAMMExchange.getPairPrice(tokenA, tokenB);
+        order.amount = position.positionValue;
+        order.reducePosition = true;
+        order.closePosId = 1;
+        order.limitPrice = price + 1;
+        order.nonce = 2;
+        order.side = ILeveragedAMMExchange.Side.SHORT;
+        signature = signLimitOrder(traderKey, order);
+        vm.expectRevert(ILeveragedAMMExchange.InvalidPositionSide.selector);
+        leveragedAMMExchange.executeLimitOrder(order, signature);
+        order.side = ILeveragedAMMExchange.Side.LONG;
+        signature = signLimitOrder(traderKey, order);
+        vm.expectRevert(
+            abi.encodeWithSelector(ILeveragedAMMExchange.LimitPriceNotReached.selector, price, order.limitPrice)
+        );
+        leveragedAMMExchange.executeLimitOrder(order, signature);
+
+        leveragedAMMExchange.addReserves(tokenA, tokenB, 3000, 1);
+        vm.prank(relayer);
+        leveragedAMMExchange.executeLimitOrder(order, signature);
+        assertEq(leveragedAMMExchange.getPositionsIsolatedLength(trader, tokenA, tokenB), 0);
+        assertTrue(leveragedAMMExchange.balances(trader, tokenA) > 1000);
+
+        // Case 3: A closed position cannot be closed again
+        order.nonce = 3;
+        signature = signLimitOrder(traderKey, order);
+        vm.expectRevert(ILeveragedAMMExchange.PositionNotFound.selector);
+        leveragedAMMExchange.executeLimitOrder(order, signature);
+    }
+
+    function test_Trigger_IsolatedMode() public {
+        address trader = makeAddr("trader");
+        address keeper = makeAddr("keeper");
+        leveragedAMMExchange.createPair(tokenA, tokenB, 10000, 1000);
+        depositFor(trader, 1000);
+        ILeveragedAMMExchange.Order memory order = ILeveragedAMMExchange.Order({
+            tokenA: tokenA,
+            tokenB: tokenB,
+            amount: 100,
+            leverage: 5,
+            positionMode: ILeveragedAMMExchange.Mode.ISOLATED,
+            reducePosition: false,
+            closePosition: false,
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 0,
+            side: ILeveragedAMMExchange.Side.SHORT
+        });
+        vm.startPrank(trader);
+        leveragedAMMExchange.swap(order);
+        order.side = ILeveragedAMMExchange.Side.LONG;
+        leveragedAMMExchange.swap(order);
+        leveragedAMMExchange.swap(order);
+        vm.stopPrank();
+
+        // Case 1: The mark price of a short is the cost of buying back its token B, per token B
+        ILeveragedAMMExchange.Position memory shortPosition =
+            leveragedAMMExchange.getPositionIsolatedById(trader, tokenA, tokenB, 1);
+        uint256 shortPrice = leveragedAMMExchange.getMarkPrice(trader, tokenA, tokenB, 1);
+        uint256 longPrice = leveragedAMMExchange.getMarkPrice(trader, tokenA, tokenB, 2);
+        uint256 cost = leveragedAMMExchange.getAmountInForOut(tokenA, tokenB, shortPosition.positionValue, 1);
+        assertEq(shortPrice, (cost * 1e12 * 1e18) / shortPosition.positionValue);
+        assertGt(shortPrice, longPrice);
+
+        // Case 2: A short takes profit below its mark price, and is stopped above it
+        vm.startPrank(trader);
+        vm.expectRevert(abi.encodeWithSelector(ILeveragedAMMExchange.InvalidTriggerPrice.selector, shortPrice));
+        leveragedAMMExchange.setTrigger(tokenA, tokenB, 1, shortPrice * 9 / 10, 0);
+        leveragedAMMExchange.setTrigger(tokenA, tokenB, 1, shortPrice * 2, shortPrice * 9 / 10);
+        leveragedAMMExchange.setTrigger(tokenA, tokenB, 2, longPrice * 9 / 10, 0);
+        leveragedAMMExchange.setTrigger(tokenA, tokenB, 3, longPrice * 9 / 10, 0);
+
+        // Case 3: Removed by setting both prices to 0
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.TriggerUpdated(trader, tokenA, tokenB, 3, 0, 0);
+        leveragedAMMExchange.setTrigger(tokenA, tokenB, 3, 0, 0);
+        vm.stopPrank();
+
+        // Case 4: Once the price fell, the short takes profit and the long is stopped
+        leveragedAMMExchange.addReserves(tokenA, tokenB, 1, 400);
+        uint256 balance = leveragedAMMExchange.balances(trader, tokenA);
+        uint256 returned =
+            leveragedAMMExchange.getPositionReturn(trader, tokenA, tokenB, 1, shortPosition.positionValue);
+        shortPrice = leveragedAMMExchange.getMarkPrice(trader, tokenA, tokenB, 1);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.PositionClosed(trader, tokenA, tokenB, 1, 0);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.TriggerExecuted(
+            trader, tokenA, tokenB, 1, keeper, ILeveragedAMMExchange.TriggerType.TAKE_PROFIT, shortPrice
+        );
+        vm.prank(keeper);
+        leveragedAMMExchange.executeTrigger(trader, tokenA, tokenB, 1);
+        assertEq(leveragedAMMExchange.balances(trader, tokenA), balance + returned);
+
+        longPrice = leveragedAMMExchange.getMarkPrice(trader, tokenA, tokenB, 2);
+        vm.expectEmit(true, true, true, true);
+        emit ILeveragedAMMExchange.TriggerExecuted(
+            trader, tokenA, tokenB, 2, keeper, ILeveragedAMMExchange.TriggerType.STOP_LOSS, longPrice
+        );
+        vm.prank(keeper);
+        leveragedAMMExchange.executeTrigger(trader, tokenA, tokenB, 2);
+        vm.expectRevert(ILeveragedAMMExchange.TriggerNotSet.selector);
+        leveragedAMMExchange.executeTrigger(trader, tokenA, tokenB, 3);
+        assertEq(leveragedAMMExchange.getPositionsIsolatedLength(trader, tokenA, tokenB), 1);
+        assertEq(leveragedAMMExchange.getTrigger(trader, tokenA, tokenB, 1).takeProfitPrice, 0);
+        assertEq(leveragedAMMExchange.getTrigger(trader, tokenA, tokenB, 2).stopLossPrice, 0);
+    }
+
     function test_Swap_Failed() public {
         ILeveragedAMMExchange.Order memory invalidOrder = ILeveragedAMMExchange.Order({
             tokenA: address(0),
             tokenB: address(0),
             amount: 1000,
             leverage: 0,
-            positionMode: ILeveragedAMMExchange.Mode.CROSS,
+            positionMode: ILeveragedAMMExchange.Mode.ISOLATED,
             reducePosition: false,
             closePosition: false,
-            closePosIndex: 0
+            closePosId: 0,
+            minAmountOut: 0,
+            maxAmountIn: 0,
+            deadline: 0,
+            side: ILeveragedAMMExchange.Side.LONG
         });
         vm.expectRevert(ILeveragedAMMExchange.InvalidLeverage.selector);
         leveragedAMMExchange.swap(invalidOrder);
@@ -376,4 +1433,21 @@ contract LeveragedAMMExchangeTest is Test {
             console.log("Isolated Position (remaining):", remainingValue);
         }
     }
+
+    function depositFor(address account, uint256 amount) public {
+        IERC20(tokenA).transfer(account, amount);
+        vm.startPrank(account);
+        IERC20(tokenA).approve(address(leveragedAMMExchange), amount);
+        leveragedAMMExchange.deposit(tokenA, amount);
+        vm.stopPrank();
+    }
+
+    function signLimitOrder(uint256 privateKey, ILeveragedAMMExchange.LimitOrder memory order)
+        public
+        view
+        returns (bytes memory)
+    {
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(privateKey, leveragedAMMExchange.hashLimitOrder(order));
+        return abi.encodePacked(r, s, v);
+    }
 }